@@ -0,0 +1,136 @@
+import semver from "semver";
+
+// Changelog files at the root of a package tarball
+const CHANGELOG_FILE = /^(changelog|changes|history|releases?)(\.(md|markdown|txt))?$/i;
+
+const MAX_ENTRY_LENGTH = 120;
+
+// Published versions after `from` up to and including `to`, oldest first.
+// Prereleases are left out unless `to` is one.
+const intermediateVersions = (packument, from, to) =>
+  semver.sort(Object.keys(packument.versions || {})
+    .filter(version => semver.valid(version) && semver.gt(version, from) && semver.lte(version, to))
+    .filter(version => version === to || semver.prerelease(version) === null));
+
+// Version a heading or release title is about: "## [2.0.0] - 2024-01-02",
+// "# v2.0.0", "### 2.0.0 (2024-01-02)", "name@2.0.0", "Release 2.0.0"
+const headingVersion = (text) => {
+  const match = /(?:^|[\s[@(/])v?(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)(?=$|[\s\]),:/])/.exec(text);
+  return match ? match[1] : null;
+};
+
+// version -> section text of a Markdown (or plain) changelog. Headings may
+// be ATX ("## 1.2.0") or setext ("1.2.0" underlined with === or ---).
+const parseChangelog = (text) => {
+  const lines = String(text).split(/\r?\n/);
+  const sections = new Map();
+  let current = null;
+  let level = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const atx = /^(#{1,6})\s+(.*)$/.exec(line);
+    const underline = /^(=+|-+)\s*$/.exec(lines[i + 1] || "");
+    const setext = !atx && underline && line.trim() && !/^\s*[-*+]\s/.test(line);
+    const version = atx ? headingVersion(atx[2]) : setext ? headingVersion(line) : null;
+    const headingLevel = atx ? atx[1].length : underline?.[1].startsWith("=") ? 1 : 2;
+
+    // Versions in deeper headings ("### Upgrading from 1.x") stay in their section
+    if (version && (!current || headingLevel <= level)) {
+      current = version;
+      level = headingLevel;
+      if (!sections.has(current)) sections.set(current, []);
+      if (setext) i++;
+    } else if (current) {
+      sections.get(current).push(line);
+    }
+  }
+
+  return new Map([...sections].map(([version, body]) => [version, body.join("\n").trim()]));
+};
+
+// version -> body from GitHub releases. Tags naming another package of a
+// monorepo ("@babel/core@7.0.0" when reading @babel/parser) are skipped.
+const parseReleases = (releases, name) => {
+  const sections = new Map();
+  (releases || []).forEach(release => {
+    const tag = release.tag_name || "";
+    const at = tag.lastIndexOf("@");
+    if (at > 0 && tag.slice(0, at) !== name) return;
+    const version = headingVersion(at > 0 ? tag.slice(at + 1) : tag) || headingVersion(release.name || "");
+    if (version && !sections.has(version)) sections.set(version, release.body || "");
+  });
+  return sections;
+};
+
+// "* **core:** drop Node 14 ([#12](https://…)) (abc1234)" -> "core: drop Node 14"
+const condenseEntry = (line) => {
+  const text = line
+    .replace(/^\s*([-*+]|\d+\.)\s+/, "")
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\s*\(?#\d+\)?/g, "")
+    .replace(/\s*\(([0-9a-f]{7,40})\)/g, "")
+    .replace(/[*_`]/g, "")
+    .replace(/^BREAKING(\s+CHANGES?)?:?\s*/i, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text.length > MAX_ENTRY_LENGTH ? `${text.slice(0, MAX_ENTRY_LENGTH - 1)}…` : text;
+};
+
+// Breaking-change entries of a changelog section: items under a heading
+// mentioning "breaking", and items marked BREAKING or with a conventional
+// commit "!" ("feat!: …", "fix(api)!: …").
+const breakingEntries = (section) => {
+  const entries = [];
+  let underBreaking = false;
+  let headingLevel = 0;
+
+  String(section || "").split(/\r?\n/).forEach(line => {
+    // "**Breaking changes**" paragraphs count as the deepest heading
+    const atx = /^(#{1,6})\s+(.*)$/.exec(line);
+    const bold = !atx && /^\s*\*\*([^*]+)\*\*:?\s*$/.exec(line);
+    const heading = atx ? { level: atx[1].length, text: atx[2] } : bold ? { level: 7, text: bold[1] } : null;
+    if (heading) {
+      if (/breaking/i.test(heading.text)) {
+        underBreaking = true;
+        headingLevel = heading.level;
+      } else if (underBreaking && heading.level <= headingLevel) {
+        underBreaking = false;
+      }
+      return;
+    }
+
+    const item = /^\s*([-*+]|\d+\.)\s+\S/.test(line);
+    const marked = /\bBREAKING\b|breaking change|^\s*([-*+]|\d+\.)\s+(\*\*)?\w+(\([^)]*\))?!:/i.test(line);
+    if ((item && underBreaking) || (item && marked) || (!item && /^\s*BREAKING CHANGES?:/i.test(line))) {
+      const entry = condenseEntry(line);
+      if (entry) entries.push(entry);
+    }
+  });
+  return [...new Set(entries)];
+};
+
+// Condensed notes for an upgrade: the intermediate versions with the
+// breaking entries of each, from `sections` (version -> changelog text).
+// `missing` lists versions the changelog says nothing about.
+const summarizeChangelog = (versions, sections) => {
+  const entries = versions
+    .filter(version => sections.has(version))
+    .map(version => ({ version, breaking: breakingEntries(sections.get(version)) }))
+    .filter(entry => entry.breaking.length > 0);
+  return {
+    versions,
+    breaking: entries,
+    missing: versions.filter(version => !sections.has(version)),
+  };
+};
+
+export {
+  CHANGELOG_FILE,
+  intermediateVersions,
+  parseChangelog,
+  parseReleases,
+  condenseEntry,
+  breakingEntries,
+  summarizeChangelog
+};
@@ -0,0 +1,141 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { promises as fs } from 'fs';
+import { execFileSync } from 'child_process';
+import os from 'os';
+import path from 'path';
+import { intermediateVersions, parseChangelog, parseReleases, condenseEntry, breakingEntries, summarizeChangelog } from './changelog.js';
+
+const changelog = `# Changelog
+
+## [2.0.0](https://github.com/acme/lib/compare/v1.1.0...v2.0.0) (2024-03-01)
+
+### ⚠ BREAKING CHANGES
+
+* **api:** \`parse()\` now returns a Promise ([#42](https://github.com/acme/lib/issues/42)) ([abc1234](https://github.com/acme/lib/commit/abc1234))
+* drop support for Node 16
+
+### Features
+
+* add \`format()\`
+
+### Migrating from 1.x
+
+Nothing else changed.
+
+## 1.1.0 (2024-01-10)
+
+* feat!: rename \`opts.strict\` to \`opts.exact\`
+* fix: handle empty input
+
+1.0.1 / 2023-12-01
+==================
+
+  * Fix typo in README
+`;
+
+describe('changelog', () => {
+  test('lists the versions between current and target', () => {
+    const packument = { versions: { '1.0.0': {}, '1.0.1': {}, '1.1.0': {}, '2.0.0-rc.1': {}, '2.0.0': {}, '2.1.0': {} } };
+    expect(intermediateVersions(packument, '1.0.0', '2.0.0')).toEqual(['1.0.1', '1.1.0', '2.0.0']);
+    expect(intermediateVersions(packument, '1.1.0', '2.0.0-rc.1')).toEqual(['2.0.0-rc.1']);
+  });
+
+  test('splits a changelog into version sections', () => {
+    const sections = parseChangelog(changelog);
+    expect([...sections.keys()]).toEqual(['2.0.0', '1.1.0', '1.0.1']);
+    expect(sections.get('2.0.0')).toContain('### Migrating from 1.x');
+    expect(sections.get('1.0.1')).toBe('* Fix typo in README');
+  });
+
+  test('maps GitHub releases to versions', () => {
+    const releases = parseReleases([
+      { tag_name: 'v2.0.0', body: 'two' },
+      { tag_name: '@acme/other@3.0.0', body: 'other package' },
+      { tag_name: '@acme/lib@1.1.0', body: 'one' },
+      { tag_name: 'nightly', name: 'Release 1.0.1', body: 'patch' }
+    ], '@acme/lib');
+    expect(Object.fromEntries(releases)).toEqual({ '2.0.0': 'two', '1.1.0': 'one', '1.0.1': 'patch' });
+  });
+
+  test('condenses breaking-change entries', () => {
+    const sections = parseChangelog(changelog);
+    expect(breakingEntries(sections.get('2.0.0'))).toEqual(['api: parse() now returns a Promise', 'drop support for Node 16']);
+    expect(breakingEntries(sections.get('1.1.0'))).toEqual(['feat!: rename opts.strict to opts.exact']);
+    expect(breakingEntries('**Breaking changes**\n- removed `x`\n\n**Fixes**\n- y')).toEqual(['removed x']);
+    expect(condenseEntry(`- ${'a'.repeat(200)}`)).toHaveLength(120);
+  });
+
+  test('summarizes an upgrade', () => {
+    const summary = summarizeChangelog(['1.0.1', '1.1.0', '1.2.0', '2.0.0'], parseChangelog(changelog));
+    expect(summary.breaking.map(entry => entry.version)).toEqual(['1.1.0', '2.0.0']);
+    expect(summary.missing).toEqual(['1.2.0']);
+  });
+
+  describe('update --changelog', () => {
+    let server;
+    let dir;
+    let registryUrl;
+
+    beforeAll(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-changelog-'));
+      await fs.mkdir(path.join(dir, 'pack', 'package'), { recursive: true });
+      await fs.writeFile(path.join(dir, 'pack', 'package', 'package.json'), '{"name":"lib","version":"2.0.0"}');
+      await fs.writeFile(path.join(dir, 'pack', 'package', 'CHANGELOG.md'), changelog);
+      execFileSync('tar', ['--format=ustar', '-czf', path.join(dir, 'lib-2.0.0.tgz'), '-C', path.join(dir, 'pack'), 'package']);
+      const tarball = await fs.readFile(path.join(dir, 'lib-2.0.0.tgz'));
+
+      server = http.createServer((req, res) => {
+        if (req.url === '/lib/-/lib-2.0.0.tgz') {
+          res.writeHead(200, { 'content-type': 'application/octet-stream' });
+          res.end(tarball);
+          return;
+        }
+        if (req.url !== '/lib') {
+          res.writeHead(404).end();
+          return;
+        }
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({
+          name: 'lib',
+          'dist-tags': { latest: '2.0.0' },
+          versions: {
+            '1.0.0': { deprecated: 'Upgrade to 1.0.1, 1.0.0 corrupts output' },
+            '1.0.1': {},
+            '1.1.0': {},
+            '2.0.0': { dist: { tarball: `${registryUrl}lib/-/lib-2.0.0.tgz` } }
+          }
+        }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      registryUrl = `http://127.0.0.1:${server.address().port}/`;
+
+      await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ name: 'app', dependencies: { lib: '^1.0.0' } }));
+      await fs.writeFile(path.join(dir, 'package-lock.json'), JSON.stringify({
+        name: 'app',
+        lockfileVersion: 3,
+        packages: { '': { name: 'app', dependencies: { lib: '^1.0.0' } }, 'node_modules/lib': { version: '1.0.0' } }
+      }));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('reads breaking changes from the target tarball and flags deprecated versions', async () => {
+      const { updateSuggestions } = await import('./index.js');
+      const [lib] = await updateSuggestions({ json: true, cwd: dir, cache: false, registry: registryUrl, changelog: true });
+      expect(lib.deprecated).toBe('Upgrade to 1.0.1, 1.0.0 corrupts output');
+      expect(lib.changelog).toEqual({
+        source: 'CHANGELOG.md',
+        versions: ['1.0.1', '1.1.0', '2.0.0'],
+        breaking: [
+          { version: '1.1.0', breaking: ['feat!: rename opts.strict to opts.exact'] },
+          { version: '2.0.0', breaking: ['api: parse() now returns a Promise', 'drop support for Node 16'] }
+        ],
+        missing: []
+      });
+    });
+  });
+});
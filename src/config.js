@@ -0,0 +1,336 @@
+import { promises as fs } from "fs";
+import path from "path";
+import yaml from "yaml";
+import depcheck from "depcheck";
+import { fileExists } from "./utils.js";
+
+const CONFIG_FILES = [".depauditrc", ".depauditrc.json", ".depauditrc.yaml", ".depauditrc.yml"];
+const IGNORE_COMMANDS = ["all", "unused", "update", "risk", "dependabot", "vuln", "licenses", "duplicates", "deprecated", "engines", "supply-chain", "lockfile-lint"];
+
+const DEFAULT_CONFIG = {
+  ignore: {},
+  risk: {
+    thresholds: {
+      staleMonths: 24,
+      agingMonths: 12,
+      minMaintainers: 1,
+      minWeeklyDownloads: 1000,
+      high: 3,
+      medium: 6,
+    },
+    weights: {
+      stale: 3,
+      aging: 2,
+      maintainers: 2,
+      downloads: 2,
+      vulnerabilities: 3,
+      deprecated: 4,
+      supplyChain: 2,
+    },
+  },
+  unused: {
+    ignoreBinPackage: false,
+    skipMissing: false,
+    ignoreMatches: [],
+    ignorePatterns: [],
+    specials: [],
+  },
+  licenses: {
+    allow: [],
+    deny: [],
+    overrides: {},
+  },
+  deprecated: {
+    replacements: {},
+  },
+  supplyChain: {
+    recentDays: 7,
+    maintainerDays: 90,
+    typosquatDownloads: 50000,
+    popular: [],
+  },
+  lockfileLint: {
+    allowedHosts: ["registry.npmjs.org", "registry.yarnpkg.com"],
+  },
+  fix: {
+    verify: null,
+  },
+  workspaces: {},
+};
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Objects merge key by key; arrays and scalars from `override` replace `base`
+const mergeConfig = (base, override) => {
+  if (!isPlainObject(override)) return base;
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base?.[key]) ? mergeConfig(base[key], value) : value;
+  });
+  return merged;
+};
+
+// * matches any run of characters and ? a single one
+const globToRegExp = (pattern, { ignoreCase = false } = {}) =>
+  new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".")}$`, ignoreCase ? "i" : "");
+
+// Validation collects every problem so users can fix them in one pass
+const validateConfig = (config) => {
+  const errors = [];
+  const expect = (condition, where, message) => {
+    if (!condition) errors.push(`${where}: ${message}`);
+  };
+
+  if (!isPlainObject(config)) return ["config must be an object"];
+
+  const known = Object.keys(DEFAULT_CONFIG);
+  Object.keys(config).forEach(key => expect(known.includes(key), key, `unknown option (expected one of ${known.join(", ")})`));
+
+  const validateSections = (section, where) => {
+    if (section.ignore !== undefined) {
+      expect(isPlainObject(section.ignore), `${where}ignore`, "expected an object keyed by command");
+      Object.entries(isPlainObject(section.ignore) ? section.ignore : {}).forEach(([command, entries]) => {
+        const at = `${where}ignore.${command}`;
+        expect(IGNORE_COMMANDS.includes(command), at, `unknown command (expected one of ${IGNORE_COMMANDS.join(", ")})`);
+        if (!Array.isArray(entries)) {
+          errors.push(`${at}: expected an array`);
+          return;
+        }
+        entries.forEach((entry, i) => {
+          if (typeof entry === "string") return;
+          if (!isPlainObject(entry) || typeof entry.package !== "string") {
+            errors.push(`${at}[${i}]: expected a package name or { package, reason, expires }`);
+            return;
+          }
+          if (entry.expires !== undefined) {
+            expect(
+              /^\d{4}-\d{2}-\d{2}/.test(String(entry.expires)) && !Number.isNaN(Date.parse(entry.expires)),
+              `${at}[${i}].expires`,
+              "expected a YYYY-MM-DD date"
+            );
+          }
+          if (entry.reason !== undefined) expect(typeof entry.reason === "string", `${at}[${i}].reason`, "expected a string");
+        });
+      });
+    }
+
+    if (section.risk !== undefined) {
+      expect(isPlainObject(section.risk), `${where}risk`, "expected an object");
+      ["thresholds", "weights"].forEach(group => {
+        const values = section.risk?.[group];
+        if (values === undefined) return;
+        if (!isPlainObject(values)) {
+          errors.push(`${where}risk.${group}: expected an object`);
+          return;
+        }
+        Object.entries(values).forEach(([key, value]) => {
+          const at = `${where}risk.${group}.${key}`;
+          expect(key in DEFAULT_CONFIG.risk[group], at, `unknown option (expected one of ${Object.keys(DEFAULT_CONFIG.risk[group]).join(", ")})`);
+          expect(typeof value === "number" && value >= 0, at, "expected a non-negative number");
+        });
+      });
+    }
+
+    if (section.unused !== undefined) {
+      expect(isPlainObject(section.unused), `${where}unused`, "expected an object");
+      ["ignoreMatches", "ignorePatterns", "specials"].forEach(key => {
+        const value = section.unused?.[key];
+        if (value === undefined) return;
+        expect(Array.isArray(value) && value.every(v => typeof v === "string"), `${where}unused.${key}`, "expected an array of strings");
+      });
+      (Array.isArray(section.unused?.specials) ? section.unused.specials : []).forEach(name => {
+        expect(Boolean(depcheck.special[name]), `${where}unused.specials`, `unknown depcheck special "${name}"`);
+      });
+      ["ignoreBinPackage", "skipMissing"].forEach(key => {
+        if (section.unused?.[key] !== undefined) {
+          expect(typeof section.unused[key] === "boolean", `${where}unused.${key}`, "expected true or false");
+        }
+      });
+    }
+
+    if (section.supplyChain !== undefined) {
+      expect(isPlainObject(section.supplyChain), `${where}supplyChain`, "expected an object");
+      Object.entries(isPlainObject(section.supplyChain) ? section.supplyChain : {}).forEach(([key, value]) => {
+        const at = `${where}supplyChain.${key}`;
+        if (key === "popular") {
+          expect(Array.isArray(value) && value.every(v => typeof v === "string"), at, "expected an array of package names");
+          return;
+        }
+        expect(key in DEFAULT_CONFIG.supplyChain, at, `unknown option (expected one of ${Object.keys(DEFAULT_CONFIG.supplyChain).join(", ")})`);
+        expect(typeof value === "number" && value >= 0, at, "expected a non-negative number");
+      });
+    }
+  };
+
+  validateSections(config, "");
+
+  if (config.licenses !== undefined) {
+    expect(isPlainObject(config.licenses), "licenses", "expected an object");
+    ["allow", "deny"].forEach(key => {
+      const value = config.licenses?.[key];
+      if (value === undefined) return;
+      expect(Array.isArray(value) && value.every(v => typeof v === "string"), `licenses.${key}`, "expected an array of strings");
+    });
+    const overrides = config.licenses?.overrides;
+    if (overrides !== undefined) {
+      expect(
+        isPlainObject(overrides) && Object.values(overrides).every(v => typeof v === "string"),
+        "licenses.overrides",
+        "expected an object mapping package names to license expressions"
+      );
+    }
+  }
+
+  if (config.deprecated !== undefined) {
+    expect(isPlainObject(config.deprecated), "deprecated", "expected an object");
+    const replacements = config.deprecated?.replacements;
+    if (replacements !== undefined) {
+      expect(
+        isPlainObject(replacements) &&
+          Object.values(replacements).every(v => Array.isArray(v) && v.every(item => typeof item === "string")),
+        "deprecated.replacements",
+        "expected an object mapping package names to arrays of replacements"
+      );
+    }
+  }
+
+  if (config.lockfileLint !== undefined) {
+    expect(isPlainObject(config.lockfileLint), "lockfileLint", "expected an object");
+    Object.entries(isPlainObject(config.lockfileLint) ? config.lockfileLint : {}).forEach(([key, value]) => {
+      const at = `lockfileLint.${key}`;
+      expect(key in DEFAULT_CONFIG.lockfileLint, at, `unknown option (expected one of ${Object.keys(DEFAULT_CONFIG.lockfileLint).join(", ")})`);
+      expect(Array.isArray(value) && value.every(v => typeof v === "string" && !v.includes("/")), at, "expected an array of host names");
+    });
+  }
+
+  if (config.fix !== undefined) {
+    expect(isPlainObject(config.fix), "fix", "expected an object");
+    const verify = config.fix?.verify;
+    if (verify !== undefined) {
+      expect(verify === null || (typeof verify === "string" && verify.trim() !== ""), "fix.verify", "expected a command string");
+    }
+  }
+
+  if (config.workspaces !== undefined) {
+    expect(isPlainObject(config.workspaces), "workspaces", "expected an object keyed by workspace name or path");
+    Object.entries(isPlainObject(config.workspaces) ? config.workspaces : {}).forEach(([name, override]) => {
+      const where = `workspaces.${name}.`;
+      if (!isPlainObject(override)) {
+        errors.push(`workspaces.${name}: expected an object`);
+        return;
+      }
+      Object.keys(override).forEach(key => {
+        expect(["ignore", "risk", "unused", "supplyChain"].includes(key), `${where}${key}`, "unknown option (expected ignore, risk, unused or supplyChain)");
+      });
+      validateSections(override, where);
+    });
+  }
+
+  return errors;
+};
+
+const parseConfigFile = (content, file) => {
+  if (/\.ya?ml$/.test(file)) return yaml.parse(content);
+  try {
+    return JSON.parse(content);
+  } catch (err) {
+    // An extensionless .depauditrc may be YAML too
+    if (file.endsWith(".json")) throw err;
+    return yaml.parse(content);
+  }
+};
+
+// Finds and validates the project config: an explicit path, one of the rc
+// files, or the "depAudit" key in package.json
+const loadConfig = async (rootDir, { configPath } = {}) => {
+  let source = null;
+  let raw = null;
+
+  const candidates = configPath ? [path.resolve(rootDir, configPath)] : CONFIG_FILES.map(file => path.join(rootDir, file));
+  for (const file of candidates) {
+    if (await fileExists(file)) {
+      source = file;
+      try {
+        raw = parseConfigFile(await fs.readFile(file, "utf8"), file);
+      } catch (err) {
+        throw new Error(`Could not parse ${path.relative(rootDir, file) || file}: ${err.message}`);
+      }
+      break;
+    }
+  }
+
+  if (configPath && !source) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  if (!source) {
+    const pkgPath = path.join(rootDir, "package.json");
+    if (await fileExists(pkgPath)) {
+      const pkg = JSON.parse(await fs.readFile(pkgPath, "utf8"));
+      if (pkg.depAudit !== undefined) {
+        source = `${pkgPath}#depAudit`;
+        raw = pkg.depAudit;
+      }
+    }
+  }
+
+  if (!source) return { ...DEFAULT_CONFIG, source: null };
+
+  const errors = validateConfig(raw ?? {});
+  if (errors.length > 0) {
+    const where = path.relative(rootDir, source) || source;
+    throw new Error(`Invalid dep-audit config in ${where}:\n${errors.map(e => `  - ${e}`).join("\n")}`);
+  }
+
+  return { ...mergeConfig(DEFAULT_CONFIG, raw ?? {}), source };
+};
+
+// Config for one workspace: overrides keyed by its name or path on top of
+// the root settings. Ignore lists are combined rather than replaced.
+const resolveWorkspaceConfig = (config, ws) => {
+  const override = config.workspaces?.[ws.name] || config.workspaces?.[ws.path];
+  if (!override) return config;
+
+  // Only the sections the override sets; a missing one keeps the root's
+  const { ignore, ...sections } = override;
+  const merged = mergeConfig(config, sections);
+  merged.ignore = { ...config.ignore };
+  Object.entries(ignore || {}).forEach(([command, entries]) => {
+    merged.ignore[command] = [...(config.ignore?.[command] || []), ...entries];
+  });
+  return merged;
+};
+
+// Splits `items` into kept and ignored according to the command's ignore
+// list (plus the "all" list). Expired entries no longer apply.
+const applyIgnores = (config, command, items, getName = (item) => item, now = new Date()) => {
+  const entries = [...(config.ignore?.all || []), ...(config.ignore?.[command] || [])]
+    .map(entry => (typeof entry === "string" ? { package: entry } : entry));
+
+  const active = [];
+  const expired = [];
+  entries.forEach(entry => {
+    if (entry.expires && new Date(entry.expires) < now) expired.push(entry);
+    else active.push({ ...entry, matcher: globToRegExp(entry.package) });
+  });
+
+  const kept = [];
+  const ignored = [];
+  items.forEach(item => {
+    const name = getName(item);
+    const entry = name ? active.find(e => e.matcher.test(name)) : null;
+    if (entry) ignored.push({ item, name, reason: entry.reason || null, expires: entry.expires || null });
+    else kept.push(item);
+  });
+
+  return { kept, ignored, expired };
+};
+
+export {
+  DEFAULT_CONFIG,
+  validateConfig,
+  loadConfig,
+  resolveWorkspaceConfig,
+  applyIgnores,
+  globToRegExp
+};
@@ -0,0 +1,94 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateConfig, loadConfig, resolveWorkspaceConfig, applyIgnores } from './config.js';
+
+describe('config', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-config-'));
+    await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ name: 'app' }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('returns defaults when no config exists', async () => {
+    const config = await loadConfig(dir);
+    expect(config.source).toBeNull();
+    expect(config.risk.thresholds.staleMonths).toBe(24);
+  });
+
+  test('loads YAML rc files and merges over the defaults', async () => {
+    await fs.writeFile(path.join(dir, '.depauditrc.yaml'), 'risk:\n  thresholds:\n    minWeeklyDownloads: 50\nunused:\n  ignoreMatches: ["@types/*"]\n');
+    const config = await loadConfig(dir);
+    expect(config.risk.thresholds).toMatchObject({ minWeeklyDownloads: 50, staleMonths: 24 });
+    expect(config.unused.ignoreMatches).toEqual(['@types/*']);
+  });
+
+  test('reads the depAudit key from package.json', async () => {
+    await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ name: 'app', depAudit: { ignore: { risk: ['left-pad'] } } }));
+    const config = await loadConfig(dir);
+    expect(config.source).toMatch(/package\.json#depAudit$/);
+    expect(config.ignore.risk).toEqual(['left-pad']);
+  });
+
+  test('reports every validation problem with its location', async () => {
+    await fs.writeFile(path.join(dir, '.depauditrc.json'), JSON.stringify({
+      ignore: { risk: [{ package: 'a', expires: 'soon' }], audit: [] },
+      risk: { weights: { stale: -1 } },
+      unused: { specials: ['nope'] },
+      colors: true
+    }));
+    await expect(loadConfig(dir)).rejects.toThrow(/Invalid dep-audit config in \.depauditrc\.json/);
+    const errors = validateConfig(JSON.parse(await fs.readFile(path.join(dir, '.depauditrc.json'), 'utf8')));
+    expect(errors).toEqual(expect.arrayContaining([
+      'colors: unknown option (expected one of ignore, risk, unused, licenses, deprecated, supplyChain, lockfileLint, fix, workspaces)',
+      'ignore.audit: unknown command (expected one of all, unused, update, risk, dependabot, vuln, licenses, duplicates, deprecated, engines, supply-chain, lockfile-lint)',
+      'ignore.risk[0].expires: expected a YYYY-MM-DD date',
+      'risk.weights.stale: expected a non-negative number',
+      'unused.specials: unknown depcheck special "nope"'
+    ]));
+  });
+
+  test('applies per-workspace overrides and combines ignore lists', () => {
+    const config = {
+      ignore: { risk: ['left-pad'] },
+      risk: { thresholds: { high: 3, medium: 6 } },
+      unused: { ignoreMatches: ['eslint-*'] },
+      supplyChain: { recentDays: 7, maintainerDays: 90 },
+      workspaces: { '@acme/api': { ignore: { risk: ['is-odd'] }, risk: { thresholds: { high: 5 } }, supplyChain: { recentDays: 1 } } }
+    };
+    expect(validateConfig(config)).toEqual([]);
+    expect(validateConfig({ workspaces: { web: { supplyChain: { recentDays: 'soon' }, licenses: {} } } })).toEqual([
+      'workspaces.web.licenses: unknown option (expected ignore, risk, unused or supplyChain)',
+      'workspaces.web.supplyChain.recentDays: expected a non-negative number'
+    ]);
+    const resolved = resolveWorkspaceConfig(config, { name: '@acme/api', path: 'packages/api' });
+    expect(resolved.risk.thresholds).toEqual({ high: 5, medium: 6 });
+    expect(resolved.supplyChain).toEqual({ recentDays: 1, maintainerDays: 90 });
+    expect(resolved.unused).toEqual({ ignoreMatches: ['eslint-*'] });
+    expect(resolved.ignore.risk).toEqual(['left-pad', 'is-odd']);
+    expect(resolveWorkspaceConfig(config, { name: 'web', path: 'apps/web' })).toBe(config);
+  });
+
+  test('ignores matching packages until the entry expires', () => {
+    const config = {
+      ignore: {
+        all: ['@types/*'],
+        risk: [
+          { package: 'request', reason: 'migrating to undici', expires: '2026-12-31' },
+          { package: 'left-pad', expires: '2020-01-01' }
+        ]
+      }
+    };
+    const result = applyIgnores(config, 'risk', ['request', 'left-pad', '@types/node', 'chalk'], n => n, new Date('2026-06-01'));
+    expect(result.kept).toEqual(['left-pad', 'chalk']);
+    expect(result.ignored.map(i => i.name)).toEqual(['request', '@types/node']);
+    expect(result.ignored[0].reason).toBe('migrating to undici');
+    expect(result.expired).toEqual([{ package: 'left-pad', expires: '2020-01-01' }]);
+  });
+});
@@ -0,0 +1,338 @@
+import { promises as fs } from "fs";
+import path from "path";
+import semver from "semver";
+import yaml from "yaml";
+import { globToRegExp } from "./config.js";
+import { rangeFor } from "./manifest.js";
+import { fileExists } from "./utils.js";
+
+const DEPENDABOT_FILES = [".github/dependabot.yml", ".github/dependabot.yaml"];
+
+const ECOSYSTEMS = [
+  "bun", "bundler", "cargo", "composer", "devcontainers", "docker", "docker-compose", "dotnet-sdk", "elm",
+  "github-actions", "gitsubmodule", "gomod", "gradle", "helm", "maven", "mix", "npm", "nuget", "pip", "pub",
+  "swift", "terraform", "uv",
+];
+const INTERVALS = ["daily", "weekly", "monthly", "quarterly", "semiannually", "yearly", "cron"];
+const DAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+const VERSIONING_STRATEGIES = ["auto", "increase", "increase-if-necessary", "lockfile-only", "widen"];
+const ALLOW_DEPENDENCY_TYPES = ["direct", "indirect", "all", "production", "development"];
+const GROUP_DEPENDENCY_TYPES = ["production", "development"];
+const GROUP_UPDATE_TYPES = ["major", "minor", "patch"];
+const IGNORE_UPDATE_TYPES = ["version-update:semver-major", "version-update:semver-minor", "version-update:semver-patch"];
+const DEFAULT_PR_LIMIT = 5;
+
+const TOP_LEVEL_KEYS = ["version", "updates", "registries", "enable-beta-ecosystems", "multi-ecosystem-groups"];
+const ENTRY_KEYS = [
+  "package-ecosystem", "directory", "directories", "schedule", "allow", "assignees", "commit-message", "cooldown",
+  "exclude-paths", "groups", "ignore", "insecure-external-code-execution", "labels", "milestone",
+  "multi-ecosystem-group", "open-pull-requests-limit", "patterns", "pull-request-branch-name", "rebase-strategy",
+  "registries", "reviewers", "target-branch", "vendor", "versioning-strategy",
+];
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.every(v => typeof v === "string");
+
+// ["updates", 0, "schedule"] -> "updates[0].schedule"
+const formatPath = (keys) => keys.reduce((out, key) =>
+  (typeof key === "number" ? `${out}[${key}]` : out ? `${out}.${key}` : key), "");
+
+// Parses and validates .github/dependabot.yml the way GitHub does, as far as
+// npm updates are concerned. Resolves to { config, errors, entryLines } where
+// errors are { path, message, line }, entryLines the line of each updates
+// entry, and config is null when the YAML doesn't parse.
+const parseDependabotConfig = (content) => {
+  const lineCounter = new yaml.LineCounter();
+  const doc = yaml.parseDocument(content, { lineCounter });
+  const lineOf = (offset) => lineCounter.linePos(offset).line;
+
+  if (doc.errors.length > 0) {
+    return {
+      config: null,
+      errors: doc.errors.map(err => ({ path: "", message: err.message.split("\n")[0], line: lineOf(err.pos[0]) })),
+      entryLines: [],
+    };
+  }
+
+  const config = doc.toJS() || {};
+  const errors = [];
+  // Missing keys point at the closest node that exists
+  const expect = (condition, keys, message) => {
+    if (condition) return;
+    let node = null;
+    for (let n = keys.length; n >= 0 && !node?.range; n--) node = n === 0 ? doc.contents : doc.getIn(keys.slice(0, n), true);
+    errors.push({ path: formatPath(keys), message, line: node?.range ? lineOf(node.range[0]) : 1 });
+  };
+
+  if (!isPlainObject(config)) {
+    expect(false, [], "expected a mapping with version and updates");
+    return { config: null, errors, entryLines: [] };
+  }
+
+  Object.keys(config).forEach(key => expect(TOP_LEVEL_KEYS.includes(key), [key], "unknown option"));
+  expect(config.version === 2, ["version"], "expected version: 2");
+  expect(Array.isArray(config.updates) && config.updates.length > 0, ["updates"], "expected a list of update entries");
+
+  const seen = new Map();
+  (Array.isArray(config.updates) ? config.updates : []).forEach((entry, i) => {
+    const at = (...keys) => ["updates", i, ...keys];
+    if (!isPlainObject(entry)) {
+      expect(false, at(), "expected a mapping");
+      return;
+    }
+
+    Object.keys(entry).forEach(key => expect(ENTRY_KEYS.includes(key), at(key), "unknown option"));
+    expect(ECOSYSTEMS.includes(entry["package-ecosystem"]), at("package-ecosystem"),
+      `expected one of ${ECOSYSTEMS.join(", ")}`);
+
+    if (entry.directory !== undefined && entry.directories !== undefined) {
+      expect(false, at("directories"), "use either directory or directories, not both");
+    } else if (entry.directories !== undefined) {
+      expect(isStringList(entry.directories) && entry.directories.every(dir => dir.startsWith("/")), at("directories"),
+        "expected a list of paths starting with /");
+    } else {
+      expect(typeof entry.directory === "string" && entry.directory.startsWith("/"), at("directory"),
+        "expected a path starting with /");
+    }
+
+    const schedule = entry.schedule;
+    if (!isPlainObject(schedule)) {
+      expect(false, at("schedule"), "expected a mapping with an interval");
+    } else {
+      expect(INTERVALS.includes(schedule.interval), at("schedule", "interval"), `expected one of ${INTERVALS.join(", ")}`);
+      if (schedule.interval === "cron") expect(typeof schedule.cronjob === "string", at("schedule", "cronjob"), "required for a cron interval");
+      if (schedule.day !== undefined) expect(DAYS.includes(schedule.day), at("schedule", "day"), `expected one of ${DAYS.join(", ")}`);
+      if (schedule.time !== undefined) expect(/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time), at("schedule", "time"), "expected HH:MM");
+    }
+
+    const limit = entry["open-pull-requests-limit"];
+    if (limit !== undefined) {
+      expect(Number.isInteger(limit) && limit >= 0, at("open-pull-requests-limit"), "expected a non-negative integer");
+    }
+    if (entry["versioning-strategy"] !== undefined) {
+      expect(VERSIONING_STRATEGIES.includes(entry["versioning-strategy"]), at("versioning-strategy"),
+        `expected one of ${VERSIONING_STRATEGIES.join(", ")}`);
+    }
+
+    if (entry.allow !== undefined) {
+      expect(Array.isArray(entry.allow), at("allow"), "expected a list");
+      (Array.isArray(entry.allow) ? entry.allow : []).forEach((rule, j) => {
+        expect(isPlainObject(rule) && (rule["dependency-name"] !== undefined || rule["dependency-type"] !== undefined),
+          at("allow", j), "expected dependency-name or dependency-type");
+        if (rule?.["dependency-name"] !== undefined) {
+          expect(typeof rule["dependency-name"] === "string", at("allow", j, "dependency-name"), "expected a string");
+        }
+        if (rule?.["dependency-type"] !== undefined) {
+          expect(ALLOW_DEPENDENCY_TYPES.includes(rule["dependency-type"]), at("allow", j, "dependency-type"),
+            `expected one of ${ALLOW_DEPENDENCY_TYPES.join(", ")}`);
+        }
+      });
+    }
+
+    if (entry.ignore !== undefined) {
+      expect(Array.isArray(entry.ignore), at("ignore"), "expected a list");
+      (Array.isArray(entry.ignore) ? entry.ignore : []).forEach((rule, j) => {
+        expect(typeof rule?.["dependency-name"] === "string", at("ignore", j, "dependency-name"), "expected a string");
+        const versions = rule?.versions;
+        if (versions !== undefined) {
+          const list = [].concat(versions);
+          expect(list.every(range => typeof range === "string" && semver.validRange(range)), at("ignore", j, "versions"),
+            "expected a version range or a list of them");
+        }
+        if (rule?.["update-types"] !== undefined) {
+          expect(Array.isArray(rule["update-types"]) && rule["update-types"].every(type => IGNORE_UPDATE_TYPES.includes(type)),
+            at("ignore", j, "update-types"), `expected a list of ${IGNORE_UPDATE_TYPES.join(", ")}`);
+        }
+      });
+    }
+
+    if (entry.groups !== undefined) {
+      expect(isPlainObject(entry.groups), at("groups"), "expected a mapping of group names");
+      Object.entries(isPlainObject(entry.groups) ? entry.groups : {}).forEach(([name, group]) => {
+        if (!isPlainObject(group)) {
+          expect(false, at("groups", name), "expected a mapping");
+          return;
+        }
+        expect(["patterns", "dependency-type", "update-types"].some(key => group[key] !== undefined), at("groups", name),
+          "expected patterns, dependency-type or update-types");
+        ["patterns", "exclude-patterns"].forEach(key => {
+          if (group[key] !== undefined) expect(isStringList(group[key]), at("groups", name, key), "expected a list of strings");
+        });
+        if (group["dependency-type"] !== undefined) {
+          expect(GROUP_DEPENDENCY_TYPES.includes(group["dependency-type"]), at("groups", name, "dependency-type"),
+            `expected one of ${GROUP_DEPENDENCY_TYPES.join(", ")}`);
+        }
+        if (group["update-types"] !== undefined) {
+          expect(Array.isArray(group["update-types"]) && group["update-types"].every(type => GROUP_UPDATE_TYPES.includes(type)),
+            at("groups", name, "update-types"), `expected a list of ${GROUP_UPDATE_TYPES.join(", ")}`);
+        }
+        if (group["applies-to"] !== undefined) {
+          expect(["version-updates", "security-updates"].includes(group["applies-to"]), at("groups", name, "applies-to"),
+            "expected version-updates or security-updates");
+        }
+      });
+    }
+
+    // GitHub rejects two entries updating the same thing
+    [].concat(entry.directories ?? entry.directory ?? []).forEach(dir => {
+      const key = [entry["package-ecosystem"], normalizeDirectory(String(dir)), entry["target-branch"] || ""].join("\0");
+      if (seen.has(key)) {
+        expect(false, at(), `duplicates updates[${seen.get(key)}] (same package-ecosystem, directory and target-branch)`);
+      } else {
+        seen.set(key, i);
+      }
+    });
+  });
+
+  const entryLines = (Array.isArray(config.updates) ? config.updates : [])
+    .map((entry, i) => lineOf(doc.getIn(["updates", i], true)?.range?.[0] ?? 0));
+  return { config, errors, entryLines };
+};
+
+// Closest .github/dependabot.yml above the project, stopping at the git root.
+// Resolves to { file, repoRoot } or null.
+const findDependabotConfig = async (rootDir) => {
+  let dir = path.resolve(rootDir);
+  for (let depth = 0; depth < 20; depth++) {
+    for (const name of DEPENDABOT_FILES) {
+      const file = path.join(dir, name);
+      if (await fileExists(file)) return { file, repoRoot: dir };
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir || await fileExists(path.join(dir, ".git"))) break;
+    dir = parent;
+  }
+  return null;
+};
+
+const loadDependabotConfig = async (rootDir) => {
+  const found = await findDependabotConfig(rootDir);
+  if (!found) return null;
+  return { ...found, ...parseDependabotConfig(await fs.readFile(found.file, "utf8")) };
+};
+
+// "/packages/api/" -> "/packages/api", "." -> "/"
+const normalizeDirectory = (dir) => `/${dir.replace(/^\.?\/+/, "").replace(/\/+$/, "")}`;
+
+// npm entries of a config that update `dir` (a "/"-rooted repository path).
+// `directories` may use globs.
+const entriesFor = (config, dir) => (config?.updates || [])
+  .map((entry, index) => ({ entry, index }))
+  .filter(({ entry }) => entry["package-ecosystem"] === "npm")
+  .filter(({ entry }) => [].concat(entry.directories ?? entry.directory ?? [])
+    .some(pattern => globToRegExp(normalizeDirectory(String(pattern))).test(dir)));
+
+const matchesName = (pattern, name) => globToRegExp(pattern).test(name);
+
+// Dependabot's dependency types for a direct dependency
+const isDevelopment = (dep) => dep.depType === "devDependencies";
+
+const allowedBy = (rule, dep) =>
+  (rule["dependency-name"] === undefined || matchesName(rule["dependency-name"], dep.name)) &&
+  (rule["dependency-type"] === undefined ||
+    ["direct", "all"].includes(rule["dependency-type"]) ||
+    (rule["dependency-type"] === "production" && !isDevelopment(dep)) ||
+    (rule["dependency-type"] === "development" && isDevelopment(dep)));
+
+const bumpType = (from, to) => {
+  if (semver.major(to) > semver.major(from)) return "major";
+  if (semver.minor(to) > semver.minor(from)) return "minor";
+  return "patch";
+};
+
+// Whether an ignore rule rules out one candidate version
+const ignores = (rule, current, version) => {
+  const versions = rule.versions === undefined ? [] : [].concat(rule.versions);
+  const types = rule["update-types"] || [];
+  if (versions.length === 0 && types.length === 0) return true;
+  return versions.some(range => semver.satisfies(version, range)) ||
+    types.includes(`version-update:semver-${bumpType(current, version)}`);
+};
+
+const describeIgnore = (rule, index) => {
+  const details = [
+    rule.versions === undefined ? null : `versions ${[].concat(rule.versions).join(", ")}`,
+    rule["update-types"]?.length > 0 ? rule["update-types"].join(", ") : null,
+  ].filter(Boolean);
+  return `ignore[${index}] (${rule["dependency-name"]}${details.length > 0 ? `: ${details.join("; ")}` : ""})`;
+};
+
+// First group (in config order) a version update falls into
+const groupFor = (groups, dep, type) => Object.entries(groups || {}).find(([, group]) =>
+  group["applies-to"] !== "security-updates" &&
+  (group.patterns === undefined || group.patterns.some(pattern => matchesName(pattern, dep.name))) &&
+  !(group["exclude-patterns"] || []).some(pattern => matchesName(pattern, dep.name)) &&
+  (group["dependency-type"] === undefined || (group["dependency-type"] === "development") === isDevelopment(dep)) &&
+  (group["update-types"] === undefined || group["update-types"].includes(type)))?.[0] || null;
+
+// What an update entry does with one outdated direct dependency. `dep` is
+// { name, current, declared, depType, versions (published), library }.
+// Resolves to { status, target, group, range, reason } with status one of
+// pr, grouped, ignored, not-allowed, strategy, disabled or unsupported, or
+// null when nothing newer is published.
+const explainUpdate = (entry, dep) => {
+  const result = (status, reason, extra = {}) => ({ status, target: null, group: null, range: null, reason, ...extra });
+
+  if (entry["open-pull-requests-limit"] === 0) {
+    return result("disabled", "open-pull-requests-limit is 0, so version updates are disabled");
+  }
+  const allow = entry.allow || [];
+  if (allow.length > 0 && !allow.some(rule => allowedBy(rule, dep))) {
+    return result("not-allowed", "not matched by any allow rule");
+  }
+  if (!semver.validRange(dep.declared) || !semver.valid(dep.current)) {
+    return result("unsupported", `declared as ${dep.declared}, which Dependabot doesn't update`);
+  }
+
+  const candidates = semver.rsort((dep.versions || [])
+    .filter(version => semver.valid(version) && semver.prerelease(version) === null && semver.gt(version, dep.current)));
+  if (candidates.length === 0) return null;
+
+  const rules = (entry.ignore || [])
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => matchesName(rule["dependency-name"], dep.name));
+  const ignoredBy = (version) => rules.find(({ rule }) => ignores(rule, dep.current, version));
+  const target = candidates.find(version => !ignoredBy(version));
+  const [latest] = candidates;
+
+  if (!target) {
+    const { rule, index } = ignoredBy(latest);
+    return result("ignored", `every newer version is ignored by ${describeIgnore(rule, index)}`);
+  }
+  const skipped = target === latest ? "" : ` (${latest} is ignored by ${describeIgnore(ignoredBy(latest).rule, ignoredBy(latest).index)})`;
+
+  // How package.json changes. "auto" widens library ranges and increases
+  // application ones.
+  let strategy = entry["versioning-strategy"] || "auto";
+  if (strategy === "auto") strategy = dep.library ? "widen" : "increase";
+  const inRange = semver.satisfies(target, dep.declared);
+  // Ranges rangeFor can't move (complex, < or >) become ^target
+  const bumped = rangeFor(dep.declared, target);
+
+  let range;
+  if (strategy === "lockfile-only" || ((strategy === "increase-if-necessary" || strategy === "widen") && inRange)) {
+    if (!inRange) {
+      return result("strategy", `versioning-strategy lockfile-only keeps ${dep.declared}, which doesn't allow ${target}`, { target });
+    }
+    range = dep.declared;
+  } else {
+    range = strategy === "widen" ? `${dep.declared} || ${bumped}` : bumped;
+  }
+
+  const type = bumpType(dep.current, target);
+  const group = groupFor(entry.groups, dep, type);
+  const change = range === dep.declared ? "lockfile only" : `${dep.declared} → ${range}`;
+  return group
+    ? result("grouped", `${type} update to ${target} in group "${group}" (${change})${skipped}`, { target, group, range })
+    : result("pr", `${type} update to ${target} (${change})${skipped}`, { target, range });
+};
+
+export {
+  DEPENDABOT_FILES,
+  DEFAULT_PR_LIMIT,
+  parseDependabotConfig,
+  loadDependabotConfig,
+  normalizeDirectory,
+  entriesFor,
+  explainUpdate
+};
@@ -0,0 +1,186 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseDependabotConfig, normalizeDirectory, entriesFor, explainUpdate } from './dependabot.js';
+
+const config = `version: 2
+updates:
+  - package-ecosystem: npm
+    directory: /
+    schedule:
+      interval: weekly
+    open-pull-requests-limit: 2
+    ignore:
+      - dependency-name: "eslint*"
+        update-types: ["version-update:semver-major"]
+      - dependency-name: legacy
+    groups:
+      types:
+        patterns: ["@types/*"]
+  - package-ecosystem: npm
+    directory: /apps/web
+    schedule:
+      interval: daily
+`;
+
+describe('dependabot', () => {
+  test('validates the config with line numbers', () => {
+    expect(parseDependabotConfig(config).errors).toEqual([]);
+
+    const { errors } = parseDependabotConfig(`version: 2
+updates:
+  - package-ecosystem: npmjs
+    directory: packages
+    schedule:
+      interval: hourly
+    versioning-strategy: bump
+    open-pull-requests-limit: -1
+  - package-ecosystem: npm
+    directory: /
+`);
+    expect(errors.map(e => `${e.line} ${e.path}: ${e.message.split(' (')[0]}`)).toEqual([
+      expect.stringMatching(/^3 updates\[0\]\.package-ecosystem: expected one of/),
+      '4 updates[0].directory: expected a path starting with /',
+      expect.stringMatching(/^6 updates\[0\]\.schedule\.interval: expected one of/),
+      '8 updates[0].open-pull-requests-limit: expected a non-negative integer',
+      expect.stringMatching(/^7 updates\[0\]\.versioning-strategy: expected one of/),
+      '9 updates[1].schedule: expected a mapping with an interval'
+    ]);
+    expect(parseDependabotConfig('version: 2\nupdates: [').errors).toHaveLength(1);
+  });
+
+  test('matches entries by directory', () => {
+    const { config: parsed } = parseDependabotConfig(config);
+    expect(normalizeDirectory('apps/web/')).toBe('/apps/web');
+    expect(entriesFor(parsed, '/').map(e => e.index)).toEqual([0]);
+    expect(entriesFor(parsed, '/apps/web').map(e => e.index)).toEqual([1]);
+    expect(entriesFor({ updates: [{ 'package-ecosystem': 'npm', directories: ['/packages/*'] }] }, '/packages/api')).toHaveLength(1);
+  });
+
+  test('explains what happens to an outdated dependency', () => {
+    const { config: parsed } = parseDependabotConfig(config);
+    const [entry] = parsed.updates;
+    const dep = (name, declared, current, versions, extra = {}) =>
+      explainUpdate(entry, { name, declared, current, versions, depType: 'devDependencies', library: false, ...extra });
+
+    expect(dep('eslint', '^8.0.0', '8.1.0', ['8.1.0', '8.57.0', '9.0.0'])).toMatchObject({
+      status: 'pr',
+      target: '8.57.0',
+      range: '^8.57.0',
+      reason: expect.stringContaining('9.0.0 is ignored by ignore[0]')
+    });
+    expect(dep('eslint-plugin-x', '^1.0.0', '1.0.0', ['1.0.0', '2.0.0'])).toMatchObject({ status: 'ignored' });
+    expect(dep('legacy', '^1.0.0', '1.0.0', ['1.0.0', '1.1.0'])).toMatchObject({ status: 'ignored' });
+    expect(dep('@types/node', '^20.0.0', '20.1.0', ['20.1.0', '22.0.0'])).toMatchObject({ status: 'grouped', group: 'types' });
+    expect(dep('left-pad', 'github:a/left-pad', '1.0.0', ['1.0.0', '2.0.0'])).toMatchObject({ status: 'unsupported' });
+    expect(dep('lodash', '^4.17.0', '4.17.21', ['4.17.21'])).toBeNull();
+    expect(dep('vite', '<2.0.0', '1.5.0', ['1.5.0', '2.1.0'])).toMatchObject({
+      status: 'pr',
+      range: '^2.1.0',
+      reason: 'major update to 2.1.0 (<2.0.0 → ^2.1.0)'
+    });
+
+    const lockfileOnly = { ...entry, 'versioning-strategy': 'lockfile-only' };
+    expect(explainUpdate(lockfileOnly, { name: 'vite', declared: '^5.0.0', current: '5.0.0', versions: ['5.4.0', '6.0.0'] }))
+      .toMatchObject({ status: 'strategy', target: '6.0.0' });
+    expect(explainUpdate({ ...entry, 'versioning-strategy': 'increase-if-necessary' }, { name: 'vite', declared: '^5.0.0', current: '5.0.0', versions: ['5.4.0'] }))
+      .toMatchObject({ status: 'pr', range: '^5.0.0', reason: expect.stringContaining('lockfile only') });
+    expect(explainUpdate({ ...entry, allow: [{ 'dependency-type': 'production' }] }, { name: 'vite', declared: '^5.0.0', current: '5.0.0', versions: ['6.0.0'], depType: 'devDependencies' }))
+      .toMatchObject({ status: 'not-allowed' });
+    expect(explainUpdate({ ...entry, 'open-pull-requests-limit': 0 }, { name: 'vite', declared: '^5.0.0', current: '5.0.0', versions: ['6.0.0'] }))
+      .toMatchObject({ status: 'disabled' });
+  });
+
+  describe('dependabot command', () => {
+    let server;
+    let dir;
+    let registry;
+
+    beforeAll(async () => {
+      const published = {
+        eslint: ['8.1.0', '8.57.0', '9.0.0'],
+        '@types/node': ['20.1.0', '22.0.0'],
+        '@types/react': ['18.0.0', '18.3.0'],
+        legacy: ['1.0.0', '1.1.0'],
+        ui: ['1.0.0', '2.0.0']
+      };
+      server = http.createServer((req, res) => {
+        const name = decodeURIComponent(req.url.slice(1));
+        const versions = published[name] || ['1.0.0'];
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({
+          name,
+          'dist-tags': { latest: versions[versions.length - 1] },
+          versions: Object.fromEntries(versions.map(v => [v, {}]))
+        }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      registry = `http://127.0.0.1:${server.address().port}/`;
+
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-dependabot-'));
+      await fs.mkdir(path.join(dir, '.git'));
+      await fs.mkdir(path.join(dir, '.github'));
+      await fs.writeFile(path.join(dir, '.github', 'dependabot.yml'), config);
+      await fs.mkdir(path.join(dir, 'tools', 'cli'), { recursive: true });
+
+      const devDependencies = { eslint: '^8.0.0', '@types/node': '^20.0.0', '@types/react': '^18.0.0', legacy: '^1.0.0' };
+      await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ name: 'app', private: true, devDependencies, workspaces: ['tools/*'] }));
+      await fs.writeFile(path.join(dir, 'tools', 'cli', 'package.json'), JSON.stringify({ name: 'cli', dependencies: { ui: '^1.0.0' } }));
+      await fs.writeFile(path.join(dir, 'tools', 'cli', 'package-lock.json'), '{}');
+      await fs.writeFile(path.join(dir, 'package-lock.json'), JSON.stringify({
+        name: 'app',
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'app', devDependencies, workspaces: ['tools/*'] },
+          'tools/cli': { name: 'cli', dependencies: { ui: '^1.0.0' } },
+          'node_modules/cli': { resolved: 'tools/cli', link: true },
+          'node_modules/eslint': { version: '8.1.0', dev: true },
+          'node_modules/@types/node': { version: '20.1.0', dev: true },
+          'node_modules/@types/react': { version: '18.0.0', dev: true },
+          'node_modules/legacy': { version: '1.0.0', dev: true },
+          'node_modules/ui': { version: '1.0.0' }
+        }
+      }));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('explains which outdated dependencies Dependabot would update', async () => {
+      const { explainDependabot } = await import('./index.js');
+      const { app, cli } = await explainDependabot({ json: true, cwd: dir, cache: false, registry });
+
+      expect(app.updates.map(u => [u.package, u.status, u.target, u.group])).toEqual([
+        ['@types/node', 'grouped', '22.0.0', 'types'],
+        ['@types/react', 'grouped', '18.3.0', 'types'],
+        ['eslint', 'pr', '8.57.0', null],
+        ['legacy', 'ignored', null, null]
+      ]);
+      expect(app.issues.map(i => [i.type, i.path])).toEqual([
+        ['DEPENDABOT_CONFIG', 'updates[1].directory']
+      ]);
+
+      expect(cli.updates.map(u => [u.package, u.status, u.range])).toEqual([['ui', 'pr', '^2.0.0']]);
+      expect(cli.issues).toEqual([expect.objectContaining({
+        type: 'DEPENDABOT_UNCOVERED',
+        message: 'package-lock.json in /tools/cli is not covered by any npm updates entry; entries for / don\'t update it.',
+        file: '.github/dependabot.yml'
+      })]);
+    });
+
+    test('reports entries over their pull request limit', async () => {
+      await fs.writeFile(path.join(dir, '.github', 'dependabot.yml'), config.replace('open-pull-requests-limit: 2', 'open-pull-requests-limit: 1'));
+      const { explainDependabot } = await import('./index.js');
+      const { app } = await explainDependabot({ json: true, cwd: dir, cache: false, registry, workspace: 'app' });
+      expect(app.issues.find(i => i.type === 'DEPENDABOT_PR_LIMIT')).toMatchObject({
+        severity: 'LOW',
+        message: 'updates[0] would open 2 version update PRs for app, but open-pull-requests-limit is 1; the rest wait until open ones are merged or closed.',
+        line: 3
+      });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import semver from "semver";
+
+// Known replacements for deprecated or abandoned packages. Extended (or
+// overridden per package) by `deprecated.replacements` in the config.
+const REPLACEMENTS = {
+  "request": ["undici", "node-fetch", "fetch (Node 18+)"],
+  "request-promise": ["undici", "node-fetch"],
+  "request-promise-native": ["undici", "node-fetch"],
+  "node-sass": ["sass"],
+  "tslint": ["eslint", "typescript-eslint"],
+  "babel-eslint": ["@babel/eslint-parser"],
+  "@babel/polyfill": ["core-js", "regenerator-runtime"],
+  "uglify-es": ["terser"],
+  "istanbul": ["nyc", "c8"],
+  "gulp-util": ["plugin-error", "fancy-log", "ansi-colors"],
+  "coffee-script": ["coffeescript"],
+  "querystring": ["URLSearchParams"],
+  "left-pad": ["String.prototype.padStart"],
+  "mkdirp": ["fs.mkdir({ recursive: true })"],
+};
+
+// Replacements for a package version: "name@range" keys apply to the
+// versions in range, plain names to every version. Config entries win.
+const replacementsFor = (name, version, extra = {}) => {
+  const matches = (table) => Object.entries(table).find(([key]) => {
+    if (key === name) return true;
+    const at = key.lastIndexOf("@");
+    return at > 0 && key.slice(0, at) === name && semver.valid(version) && semver.satisfies(version, key.slice(at + 1));
+  })?.[1];
+  return matches(extra) || matches(REPLACEMENTS) || [];
+};
+
+// Deprecation of one version from its packument, or null. `packageWide`
+// when the latest version is deprecated too (the whole package is), and
+// `upgrade` is the highest newer version that isn't deprecated.
+const deprecationOf = (packument, version) => {
+  const message = packument.versions?.[version]?.deprecated;
+  if (!message) return null;
+
+  const latest = packument["dist-tags"]?.latest;
+  const upgrades = Object.entries(packument.versions || {})
+    .filter(([v, manifest]) => !manifest?.deprecated && semver.valid(v) && semver.valid(version) && semver.gt(v, version))
+    .map(([v]) => v)
+    .filter(v => semver.prerelease(v) === null);
+  return {
+    message: String(message),
+    packageWide: Boolean(latest && packument.versions?.[latest]?.deprecated),
+    upgrade: upgrades.length > 0 ? semver.rsort(upgrades)[0] : null,
+  };
+};
+
+export {
+  REPLACEMENTS,
+  replacementsFor,
+  deprecationOf
+};
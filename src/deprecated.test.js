@@ -0,0 +1,110 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { replacementsFor, deprecationOf } from './deprecated.js';
+
+const packuments = {
+  request: {
+    name: 'request',
+    'dist-tags': { latest: '2.88.2' },
+    versions: {
+      '2.88.0': { deprecated: 'request has been deprecated, see https://github.com/request/request/issues/3142' },
+      '2.88.2': { deprecated: 'request has been deprecated, see https://github.com/request/request/issues/3142' }
+    }
+  },
+  glob: {
+    name: 'glob',
+    'dist-tags': { latest: '10.0.0' },
+    versions: {
+      '7.2.3': { deprecated: 'Glob versions prior to v9 are no longer supported' },
+      '9.0.0': {},
+      '10.0.0': {},
+      '11.0.0-beta.1': {}
+    }
+  },
+  lodash: { name: 'lodash', 'dist-tags': { latest: '4.17.21' }, versions: { '4.17.21': {} } }
+};
+
+describe('deprecated', () => {
+  test('reads deprecations from the packument', () => {
+    expect(deprecationOf(packuments.request, '2.88.0')).toEqual({
+      message: 'request has been deprecated, see https://github.com/request/request/issues/3142',
+      packageWide: true,
+      upgrade: null
+    });
+    expect(deprecationOf(packuments.glob, '7.2.3')).toMatchObject({ packageWide: false, upgrade: '10.0.0' });
+    expect(deprecationOf(packuments.glob, '9.0.0')).toBeNull();
+  });
+
+  test('looks up replacements, config first', () => {
+    expect(replacementsFor('request', '2.88.2')).toContain('undici');
+    expect(replacementsFor('request', '2.88.2', { request: ['got'] })).toEqual(['got']);
+    expect(replacementsFor('legacy', '1.2.0', { 'legacy@<2': ['legacy-next'] })).toEqual(['legacy-next']);
+    expect(replacementsFor('legacy', '2.0.0', { 'legacy@<2': ['legacy-next'] })).toEqual([]);
+  });
+
+  describe('deprecated command', () => {
+    let server;
+    let dir;
+    let registry;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const data = packuments[decodeURIComponent(req.url.slice(1))];
+        if (!data) {
+          res.writeHead(404).end();
+          return;
+        }
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(data));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      registry = `http://127.0.0.1:${server.address().port}/`;
+
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-deprecated-'));
+      await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({
+        name: 'app',
+        dependencies: { request: '^2.88.0', lodash: '^4.17.0' },
+        depAudit: { deprecated: { replacements: { request: ['undici'] } } }
+      }));
+      await fs.writeFile(path.join(dir, 'package-lock.json'), JSON.stringify({
+        name: 'app',
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'app', dependencies: { request: '^2.88.0', lodash: '^4.17.0' } },
+          'node_modules/request': { version: '2.88.0', dependencies: { glob: '^7.0.0' } },
+          'node_modules/glob': { version: '7.2.3' },
+          'node_modules/lodash': { version: '4.17.21' }
+        }
+      }));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('finds deprecated versions across the resolved graph', async () => {
+      const { deprecated } = await import('./index.js');
+      const findings = await deprecated({ json: true, cwd: dir, cache: false, registry });
+      expect(findings.map(f => [f.package, f.version, f.direct, f.advice, f.path])).toEqual([
+        ['request', '2.88.0', true, 'Replace with undici', ['app', 'request@2.88.0']],
+        ['glob', '7.2.3', false, 'Upgrade to 10.0.0', ['app', 'request@2.88.0', 'glob@7.2.3']]
+      ]);
+    });
+
+    test('reports deprecated direct dependencies in dependabot output', async () => {
+      const { explainDependabot } = await import('./index.js');
+      const { issues } = await explainDependabot({ json: true, cwd: dir, cache: false, registry });
+      expect(issues.filter(issue => issue.type === 'DEPRECATED_PACKAGE')).toEqual([{
+        type: 'DEPRECATED_PACKAGE',
+        package: 'request',
+        message: 'request@2.88.0 in dependencies is deprecated: request has been deprecated, see https://github.com/request/request/issues/3142',
+        fix: 'Replace with undici',
+        severity: 'MEDIUM'
+      }]);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import path from "path";
+import semver from "semver";
+import { escapeMarkdown, markdownTable } from "./report.js";
+
+const DIFF_FORMATS = ["table", "markdown", "json"];
+
+// Lockfile file name -> package manager
+const LOCKFILE_MANAGERS = {
+  "package-lock.json": "npm",
+  "npm-shrinkwrap.json": "npm",
+  "yarn.lock": "yarn",
+  "pnpm-lock.yaml": "pnpm",
+};
+
+const managerForFile = (file) => LOCKFILE_MANAGERS[path.basename(file)] || null;
+
+const compareVersions = (a, b) =>
+  (semver.valid(a) && semver.valid(b) ? semver.compare(a, b) : String(a).localeCompare(String(b)));
+
+// "major" | "minor" | "patch" | "premajor" | ... or null for non-semver versions
+const bumpType = (from, to) => (semver.valid(from) && semver.valid(to) ? semver.diff(from, to) : null);
+
+// name -> version -> { direct, dev } for every installed package. Direct
+// means some importer (the root or a workspace) depends on it.
+const indexVersions = (graph) => {
+  const index = new Map();
+  const entry = (node) => {
+    if (!index.has(node.name)) index.set(node.name, new Map());
+    const versions = index.get(node.name);
+    if (!versions.has(node.version)) versions.set(node.version, { direct: false, dev: true });
+    return versions.get(node.version);
+  };
+
+  Object.values(graph.packages).forEach(node => {
+    if (!node.name || !node.version) return;
+    const info = entry(node);
+    info.dev = info.dev && node.dev;
+  });
+  Object.values(graph.importers).forEach(importer => {
+    importer.edges.forEach(edge => {
+      const node = graph.packages[edge.to];
+      if (node?.name && node.version) entry(node).direct = true;
+    });
+  });
+  return index;
+};
+
+// Added, removed, upgraded and downgraded packages between two lockfile
+// graphs. When a package changes versions, old and new versions are paired
+// in order; anything left over is added or removed.
+const diffGraphs = (base, head) => {
+  const before = indexVersions(base);
+  const after = indexVersions(head);
+  const names = [...new Set([...before.keys(), ...after.keys()])].sort();
+
+  const changes = names.flatMap(name => {
+    const old = before.get(name) || new Map();
+    const now = after.get(name) || new Map();
+    const removed = [...old.keys()].filter(version => !now.has(version)).sort(compareVersions);
+    const added = [...now.keys()].filter(version => !old.has(version)).sort(compareVersions);
+    const paired = Math.min(removed.length, added.length);
+
+    return [
+      ...removed.slice(0, paired).map((from, i) => {
+        const to = added[i];
+        const upgrade = compareVersions(from, to) < 0;
+        return {
+          name,
+          type: upgrade ? "upgraded" : "downgraded",
+          from,
+          to,
+          bump: bumpType(upgrade ? from : to, upgrade ? to : from),
+          direct: old.get(from).direct || now.get(to).direct,
+          dev: now.get(to).dev,
+        };
+      }),
+      ...added.slice(paired).map(to => ({ name, type: "added", from: null, to, bump: null, ...now.get(to) })),
+      ...removed.slice(paired).map(from => ({ name, type: "removed", from, to: null, bump: null, ...old.get(from) })),
+    ];
+  });
+
+  const count = (list) => Object.fromEntries(
+    ["added", "removed", "upgraded", "downgraded"].map(type => [type, list.filter(change => change.type === type).length])
+  );
+  return {
+    changes: changes.sort((a, b) => Number(b.direct) - Number(a.direct) || a.name.localeCompare(b.name)),
+    summary: {
+      direct: count(changes.filter(change => change.direct)),
+      transitive: count(changes.filter(change => !change.direct)),
+    },
+  };
+};
+
+const changeRow = (change) => [
+  change.type,
+  `${change.name}${change.dev ? " (dev)" : ""}`,
+  change.from || "",
+  change.to || "",
+  change.bump || "",
+];
+
+// "2 added, 0 removed, 1 upgraded, 0 downgraded"
+const describeChanges = ({ direct, transitive }) =>
+  ["added", "removed", "upgraded", "downgraded"]
+    .map(type => `${direct[type] + transitive[type]} ${type}`)
+    .join(", ");
+
+// PR comment body for a diff with its `vulnerabilities` and `risky` packages
+const renderDiffMarkdown = (diff) => {
+  const lines = [`## Lockfile changes: ${diff.base.label} → ${diff.head.label}`, ""];
+  if (diff.changes.length === 0) {
+    lines.push("No dependency changes.", "");
+    return lines.join("\n");
+  }
+  lines.push(`${describeChanges(diff.summary)}.`, "");
+
+  [["Direct dependencies", true], ["Transitive dependencies", false]].forEach(([title, direct]) => {
+    const rows = diff.changes.filter(change => change.direct === direct).map(changeRow);
+    if (rows.length === 0) return;
+    lines.push(`### ${title}`, "", markdownTable(["Change", "Package", "From", "To", "Bump"], rows), "");
+  });
+
+  if (diff.vulnerabilities?.introduced.length > 0) {
+    lines.push("### New vulnerabilities", "", markdownTable(
+      ["Package", "Advisory", "Severity", "Fixed in"],
+      diff.vulnerabilities.introduced.map(v => [`${v.package}@${v.version}`, v.id, v.severity, v.fixed || "none"])
+    ), "");
+  }
+  if (diff.vulnerabilities?.resolved.length > 0) {
+    lines.push(`Resolves ${diff.vulnerabilities.resolved.map(v => `${escapeMarkdown(v.id)} (${escapeMarkdown(v.package)})`).join(", ")}.`, "");
+  }
+  if (diff.risky?.length > 0) {
+    lines.push("### Risky new packages", "", markdownTable(
+      ["Package", "Level", "Score", "Reasons"],
+      diff.risky.map(r => [`${r.name}@${r.version}`, r.level, r.score, r.reason])
+    ), "");
+  }
+  return lines.join("\n");
+};
+
+export {
+  DIFF_FORMATS,
+  managerForFile,
+  diffGraphs,
+  describeChanges,
+  renderDiffMarkdown
+};
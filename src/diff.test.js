@@ -0,0 +1,141 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import { promises as fs } from 'fs';
+import { execFileSync } from 'child_process';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { parseNpmLock, parsePnpmLock } from './lockfile.js';
+import { managerForFile, diffGraphs, renderDiffMarkdown } from './diff.js';
+
+const npmLock = (packages, root = { a: '^1.0.0', b: '^1.0.0' }) => JSON.stringify({
+  name: 'app',
+  lockfileVersion: 3,
+  packages: { '': { name: 'app', dependencies: root }, ...packages }
+});
+
+const base = npmLock({
+  'node_modules/a': { version: '1.0.0', dependencies: { shared: '^1.0.0' } },
+  'node_modules/b': { version: '2.1.0' },
+  'node_modules/shared': { version: '1.2.0' },
+  'node_modules/gone': { version: '0.1.0' }
+});
+
+const head = npmLock({
+  'node_modules/a': { version: '2.0.0', dependencies: { shared: '^1.0.0', fresh: '^1.0.0' } },
+  'node_modules/b': { version: '2.0.5' },
+  'node_modules/shared': { version: '1.2.1' },
+  'node_modules/fresh': { version: '1.0.0' }
+});
+
+describe('diff', () => {
+  test('detects lockfile managers by file name', () => {
+    expect(managerForFile('/x/npm-shrinkwrap.json')).toBe('npm');
+    expect(managerForFile('pnpm-lock.yaml')).toBe('pnpm');
+    expect(managerForFile('lock.txt')).toBeNull();
+  });
+
+  test('classifies added, removed, upgraded and downgraded packages', () => {
+    const { changes, summary } = diffGraphs(parseNpmLock(base), parseNpmLock(head));
+    expect(changes.map(c => [c.type, c.name, c.from, c.to, c.bump, c.direct])).toEqual([
+      ['upgraded', 'a', '1.0.0', '2.0.0', 'major', true],
+      ['downgraded', 'b', '2.1.0', '2.0.5', 'minor', true],
+      ['added', 'fresh', null, '1.0.0', null, false],
+      ['removed', 'gone', '0.1.0', null, null, false],
+      ['upgraded', 'shared', '1.2.0', '1.2.1', 'patch', false]
+    ]);
+    expect(summary).toEqual({
+      direct: { added: 0, removed: 0, upgraded: 1, downgraded: 1 },
+      transitive: { added: 1, removed: 1, upgraded: 1, downgraded: 0 }
+    });
+  });
+
+  test('compares graphs from different lockfile formats the same way', () => {
+    const pnpm = parsePnpmLock(`lockfileVersion: '9.0'
+
+importers:
+  .:
+    dependencies:
+      a:
+        specifier: ^1.0.0
+        version: 2.0.0
+
+packages:
+  a@2.0.0:
+    resolution: {integrity: sha512-a}
+
+snapshots:
+  a@2.0.0: {}
+`);
+    expect(diffGraphs(parseNpmLock(base), pnpm).changes.find(c => c.name === 'a')).toMatchObject({ type: 'upgraded', direct: true });
+  });
+
+  test('renders a Markdown PR comment', () => {
+    const markdown = renderDiffMarkdown({
+      base: { label: 'main' },
+      head: { label: 'working tree' },
+      ...diffGraphs(parseNpmLock(base), parseNpmLock(head)),
+      vulnerabilities: { introduced: [{ package: 'fresh', version: '1.0.0', id: 'GHSA-x', severity: 'HIGH', fixed: '1.0.1' }], resolved: [] },
+      risky: [{ name: 'fresh', version: '1.0.0', level: 'HIGH', score: 3, reason: 'Few maintainers' }]
+    });
+    expect(markdown).toContain('## Lockfile changes: main → working tree');
+    expect(markdown).toContain('1 added, 1 removed, 2 upgraded, 1 downgraded.');
+    expect(markdown).toContain('| upgraded | a | 1.0.0 | 2.0.0 | major |');
+    expect(markdown).toContain('### New vulnerabilities');
+    expect(markdown).toContain('| fresh@1.0.0 | HIGH | 3 | Few maintainers |');
+  });
+
+  describe('diff command', () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-diff-'));
+      await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ name: 'app', dependencies: { a: '^1.0.0', b: '^1.0.0' } }));
+      await fs.writeFile(path.join(dir, 'package-lock.json'), base);
+      const git = (...args) => execFileSync('git', args, { cwd: dir, stdio: 'pipe' });
+      git('init', '-q');
+      git('add', '.');
+      git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'base');
+      await fs.writeFile(path.join(dir, 'package-lock.json'), head);
+      await fs.writeFile(path.join(dir, 'base-lock.json'), base);
+    });
+
+    afterAll(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('reads the base from a git ref or a file', async () => {
+      const { diff } = await import('./index.js');
+      const fromRef = await diff('HEAD', undefined, { json: true, cwd: dir, offline: true, cache: false });
+      expect(fromRef.base.label).toBe('HEAD');
+      expect(fromRef.changes).toHaveLength(5);
+
+      const fromFile = await diff(path.join(dir, 'base-lock.json'), undefined, { json: true, cwd: dir, offline: true, cache: false });
+      expect(fromFile.changes).toEqual(fromRef.changes);
+      await expect(diff('no-such-ref', undefined, { json: true, cwd: dir, offline: true })).rejects.toThrow('not a file or git ref');
+    });
+
+    test('scores added packages with the workspace config', async () => {
+      const published = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+      const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(req.url.startsWith('/-/')
+          ? { downloads: 10 }
+          : { name: 'fresh', 'dist-tags': { latest: '1.0.0' }, versions: { '1.0.0': {} }, time: { created: published, modified: published, '1.0.0': published } }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      await fs.writeFile(path.join(dir, '.depauditrc.json'), JSON.stringify({
+        supplyChain: { recentDays: 1 },
+        workspaces: { app: { supplyChain: { recentDays: 30 } } }
+      }));
+      try {
+        const { diff } = await import('./index.js');
+        const result = await diff('HEAD', undefined, { json: true, cwd: dir, cache: false, registry: `http://127.0.0.1:${server.address().port}/` });
+        expect(result.risky.map(entry => entry.name)).toEqual(['fresh']);
+        expect(result.risky[0].reason).toContain('Published 10 days ago');
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+        await fs.rm(path.join(dir, '.depauditrc.json'));
+      }
+    });
+  });
+});
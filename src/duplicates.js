@@ -0,0 +1,112 @@
+import semver from "semver";
+
+// "npm:^1.2.0" -> "^1.2.0"; aliases, tags, git, file and workspace specs -> null
+const semverRange = (spec) => {
+  const range = String(spec ?? "").replace(/^npm:/, "");
+  return semver.validRange(range) ? range : null;
+};
+
+const compareVersions = (a, b) =>
+  (semver.valid(a) && semver.valid(b) ? semver.compare(a, b) : String(a).localeCompare(String(b)));
+
+// Every package name resolved at more than one version, with the packages
+// that require each version and the ranges they ask for. `specOf(parent,
+// edge)` can replace the lockfile's spec (pnpm records exact versions for
+// transitive dependencies).
+const findDuplicates = (graph, { specOf = (parent, edge) => edge.spec } = {}) => {
+  const dependentsOf = new Map();
+  Object.values({ ...graph.importers, ...graph.packages }).forEach(parent => {
+    parent.edges.forEach(edge => {
+      if (!edge.to) return;
+      if (!dependentsOf.has(edge.to)) dependentsOf.set(edge.to, []);
+      dependentsOf.get(edge.to).push({
+        name: parent.name || parent.id || "root",
+        version: graph.packages[parent.id] ? parent.version : null,
+        spec: specOf(parent, edge),
+        type: edge.type,
+      });
+    });
+  });
+
+  const byName = new Map();
+  Object.values(graph.packages).forEach(node => {
+    if (!node.name || !node.version) return;
+    if (!byName.has(node.name)) byName.set(node.name, new Map());
+    const versions = byName.get(node.name);
+    if (!versions.has(node.version)) versions.set(node.version, []);
+    versions.get(node.version).push(node);
+  });
+
+  return [...byName.entries()]
+    .filter(([, versions]) => versions.size > 1)
+    .map(([name, versions]) => {
+      const entries = [...versions.entries()]
+        .sort(([a], [b]) => compareVersions(a, b))
+        .map(([version, nodes]) => {
+          const seen = new Set();
+          const dependents = nodes.flatMap(node => dependentsOf.get(node.id) || []).filter(dependent => {
+            const key = `${dependent.name}@${dependent.version} ${dependent.spec}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          });
+          return { version, instances: nodes.length, dev: nodes.every(node => node.dev), dependents };
+        });
+      const specs = [...new Set(entries.flatMap(entry => entry.dependents.map(dependent => dependent.spec)))];
+      return {
+        name,
+        versions: entries,
+        ranges: specs.filter(semverRange),
+        unsupported: specs.filter(spec => !semverRange(spec)),
+      };
+    })
+    .sort((a, b) => b.versions.length - a.versions.length || a.name.localeCompare(b.name));
+};
+
+// Highest of `available` that satisfies every requested range, or null when
+// the ranges conflict (or one of them isn't a semver range)
+const dedupeTarget = (duplicate, available = duplicate.versions.map(entry => entry.version)) => {
+  if (duplicate.unsupported.length > 0 || duplicate.ranges.length === 0) return null;
+  const candidates = available.filter(version => semver.valid(version) &&
+    duplicate.ranges.every(range => semver.satisfies(version, semverRange(range), { includePrerelease: true })));
+  return candidates.sort(compareVersions).pop() || null;
+};
+
+// Installed copies and bytes removed by resolving everything to `target`,
+// which costs one new copy when it isn't installed yet. `sizeOf(version)`
+// returns the unpacked size or null when unknown.
+const estimateSaving = (duplicate, target, sizeOf = () => null) => {
+  if (!target) return null;
+  const removed = duplicate.versions.filter(entry => entry.version !== target);
+  const added = removed.length === duplicate.versions.length ? [{ version: target, instances: -1 }] : [];
+  const sizes = [...removed, ...added].map(entry => {
+    const size = sizeOf(entry.version);
+    return size == null ? null : size * entry.instances;
+  });
+  return {
+    copies: removed.reduce((sum, entry) => sum + entry.instances, 0) - added.length,
+    bytes: sizes.every(size => size != null) ? sizes.reduce((sum, size) => sum + size, 0) : null,
+  };
+};
+
+// Manager-specific way to collapse the duplicates onto their targets
+const dedupeFix = (manager, targets) => {
+  const pinned = Object.fromEntries(Object.entries(targets).filter(([, version]) => version));
+  if (Object.keys(pinned).length === 0) return null;
+  switch (manager) {
+    case "yarn":
+      return { command: "yarn install", manifest: { resolutions: pinned } };
+    case "pnpm":
+      return { command: "pnpm install", manifest: { pnpm: { overrides: pinned } } };
+    default:
+      return { command: "npm dedupe", manifest: null };
+  }
+};
+
+export {
+  semverRange,
+  findDuplicates,
+  dedupeTarget,
+  estimateSaving,
+  dedupeFix
+};
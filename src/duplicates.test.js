@@ -0,0 +1,91 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseNpmLock } from './lockfile.js';
+import { semverRange, findDuplicates, dedupeTarget, estimateSaving, dedupeFix } from './duplicates.js';
+
+const lock = JSON.stringify({
+  name: 'app',
+  lockfileVersion: 3,
+  packages: {
+    '': { name: 'app', dependencies: { a: '^1.0.0', b: '^1.0.0', lib: '^1.2.0' } },
+    'node_modules/a': { version: '1.0.0', dependencies: { lib: '^1.0.0', old: '^1.0.0' } },
+    'node_modules/a/node_modules/lib': { version: '1.1.0' },
+    'node_modules/b': { version: '1.0.0', dependencies: { lib: '~1.1.0', old: '^2.0.0' } },
+    'node_modules/b/node_modules/lib': { version: '1.1.0' },
+    'node_modules/lib': { version: '1.3.0' },
+    'node_modules/old': { version: '1.0.0' },
+    'node_modules/b/node_modules/old': { version: '2.0.0' }
+  }
+});
+
+describe('duplicates', () => {
+  test('normalizes requested ranges', () => {
+    expect(semverRange('npm:^1.2.0')).toBe('^1.2.0');
+    expect(semverRange('npm:other@^1.0.0')).toBeNull();
+    expect(semverRange('github:a/b')).toBeNull();
+  });
+
+  test('lists every version with its dependents and ranges', () => {
+    const [lib, old] = findDuplicates(parseNpmLock(lock));
+    expect(lib.name).toBe('lib');
+    expect(lib.versions.map(v => [v.version, v.instances])).toEqual([['1.1.0', 2], ['1.3.0', 1]]);
+    expect(lib.versions[0].dependents.map(d => `${d.name}@${d.version} ${d.spec}`)).toEqual(['a@1.0.0 ^1.0.0', 'b@1.0.0 ~1.1.0']);
+    expect(lib.versions[1].dependents).toEqual([{ name: 'app', version: null, spec: '^1.2.0', type: 'prod' }]);
+    expect(lib.ranges).toEqual(['^1.0.0', '~1.1.0', '^1.2.0']);
+    expect(old.ranges).toEqual(['^1.0.0', '^2.0.0']);
+  });
+
+  test('finds a single version satisfying every range', () => {
+    const [lib, old] = findDuplicates(parseNpmLock(lock));
+    expect(dedupeTarget(lib)).toBeNull();
+    expect(dedupeTarget(old)).toBeNull();
+
+    const relaxed = { ...lib, ranges: ['^1.0.0', '^1.1.0'] };
+    expect(dedupeTarget(relaxed)).toBe('1.3.0');
+    expect(dedupeTarget({ ...lib, ranges: ['^1.0.0', '~1.1.0'] }, ['1.1.0', '1.1.4', '1.3.0'])).toBe('1.1.4');
+    expect(dedupeTarget({ ...relaxed, unsupported: ['github:a/lib'] })).toBeNull();
+  });
+
+  test('estimates the saving from unpacked sizes', () => {
+    const [lib] = findDuplicates(parseNpmLock(lock));
+    const sizes = { '1.1.0': 1000, '1.3.0': 1200, '1.1.4': 1100 };
+    expect(estimateSaving(lib, '1.3.0', v => sizes[v])).toEqual({ copies: 2, bytes: 2000 });
+    expect(estimateSaving(lib, '1.1.4', v => sizes[v])).toEqual({ copies: 2, bytes: 2100 });
+    expect(estimateSaving(lib, '1.3.0')).toEqual({ copies: 2, bytes: null });
+    expect(estimateSaving(lib, null)).toBeNull();
+  });
+
+  test('suggests the manager-specific fix', () => {
+    expect(dedupeFix('npm', { lib: '1.3.0' })).toEqual({ command: 'npm dedupe', manifest: null });
+    expect(dedupeFix('yarn', { lib: '1.3.0', old: null })).toEqual({ command: 'yarn install', manifest: { resolutions: { lib: '1.3.0' } } });
+    expect(dedupeFix('pnpm', { lib: '1.3.0' }).manifest).toEqual({ pnpm: { overrides: { lib: '1.3.0' } } });
+    expect(dedupeFix('npm', { old: null })).toBeNull();
+  });
+
+  describe('duplicates command', () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-duplicates-'));
+      await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({
+        name: 'app',
+        dependencies: { a: '^1.0.0', b: '^1.0.0', lib: '^1.2.0' },
+        depAudit: { ignore: { duplicates: ['old'] } }
+      }));
+      await fs.writeFile(path.join(dir, 'package-lock.json'), lock);
+    });
+
+    afterAll(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('reports duplicates without registry data when offline', async () => {
+      const { duplicates } = await import('./index.js');
+      const result = await duplicates({ json: true, cwd: dir, offline: true, cache: false });
+      expect(result.duplicates.map(d => [d.name, d.target, d.saving])).toEqual([['lib', null, null]]);
+      expect(result.fix).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { promises as fs } from "fs";
+import path from "path";
+import semver from "semver";
+import { fileExists } from "./utils.js";
+
+const NODE_VERSION_FILES = [".nvmrc", ".node-version"];
+
+// LTS codenames nvm accepts as lts/<name>
+const NODE_CODENAMES = {
+  argon: 4,
+  boron: 6,
+  carbon: 8,
+  dubnium: 10,
+  erbium: 12,
+  fermium: 14,
+  gallium: 16,
+  hydrogen: 18,
+  iron: 20,
+  jod: 22,
+  krypton: 24,
+};
+
+// .nvmrc / .node-version content -> semver range: "v18.17.0" -> "18.17.0",
+// "20" -> "20.x", "lts/iron" -> "20.x". Null for aliases that move
+// ("node", "lts/*", "stable").
+const nodeVersionRange = (text) => {
+  const value = String(text).split(/\r?\n/)[0].trim().replace(/^v/, "");
+  const codename = /^lts\/(\w+)$/i.exec(value)?.[1]?.toLowerCase();
+  if (codename && NODE_CODENAMES[codename]) return `${NODE_CODENAMES[codename]}.x`;
+  if (semver.valid(value)) return value;
+  if (/^\d+(\.\d+)?$/.test(value)) return `${value}.x`;
+  return null;
+};
+
+// The `engines.node` range of a manifest or lockfile entry, or null. Old
+// packages sometimes have an array here, which npm ignores too.
+const enginesNode = (engines) => {
+  const range = engines && !Array.isArray(engines) ? engines.node : null;
+  return typeof range === "string" && semver.validRange(range) ? range : null;
+};
+
+// Node versions a workspace supports: its own engines.node, the root's, then
+// .nvmrc / .node-version in the workspace and root directories. Resolves to
+// { range, source, minimum } or null when nothing says.
+const readNodeRequirement = async (rootDir, ws, rootManifest = null) => {
+  const fromManifest = [[ws.manifest, ws.isRoot ? "package.json" : `${ws.path}/package.json`], [rootManifest, "package.json"]];
+  for (const [manifest, source] of fromManifest) {
+    const range = enginesNode(manifest?.engines);
+    if (range) return { range, source: `${source} engines.node`, minimum: semver.minVersion(range)?.version ?? null };
+  }
+
+  for (const dir of [...new Set([ws.dir, rootDir])]) {
+    for (const name of NODE_VERSION_FILES) {
+      const file = path.join(dir, name);
+      if (!(await fileExists(file))) continue;
+      const range = nodeVersionRange(await fs.readFile(file, "utf8"));
+      if (!range) continue;
+      return {
+        range,
+        source: path.relative(rootDir, file).split(path.sep).join("/"),
+        minimum: semver.minVersion(range)?.version ?? null,
+      };
+    }
+  }
+  return null;
+};
+
+// Whether a package's engines.node accepts the lowest Node version the
+// project supports, which is what CI on the oldest version runs. Packages
+// without a (valid) engines.node are compatible.
+const supportsNode = (requirement, engines) => {
+  const range = enginesNode(engines);
+  if (!range || !requirement?.minimum) return true;
+  return semver.satisfies(requirement.minimum, range, { includePrerelease: true });
+};
+
+// How an upgrade changes the minimum Node version: { from, to, raises,
+// compatible } with the engines.node ranges of both versions, or null when
+// the target declares none. A new minimum at or below the project's own
+// doesn't count as raising it; `compatible` is null without a requirement.
+const nodeEngineChange = (requirement, currentEngines, targetEngines) => {
+  const to = enginesNode(targetEngines);
+  if (!to) return null;
+  const from = enginesNode(currentEngines);
+  const minimumOf = (range) => (range ? semver.minVersion(range)?.version : null) ?? "0.0.0";
+  return {
+    from,
+    to,
+    raises: semver.gt(minimumOf(to), minimumOf(from)) && semver.gt(minimumOf(to), requirement?.minimum ?? "0.0.0"),
+    compatible: requirement?.minimum ? supportsNode(requirement, targetEngines) : null,
+  };
+};
+
+export {
+  NODE_VERSION_FILES,
+  nodeVersionRange,
+  enginesNode,
+  readNodeRequirement,
+  supportsNode,
+  nodeEngineChange
+};
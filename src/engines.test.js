@@ -0,0 +1,119 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { nodeVersionRange, enginesNode, readNodeRequirement, supportsNode, nodeEngineChange } from './engines.js';
+
+describe('engines', () => {
+  test('reads .nvmrc values', () => {
+    expect(nodeVersionRange('v18.17.0\n')).toBe('18.17.0');
+    expect(nodeVersionRange('20')).toBe('20.x');
+    expect(nodeVersionRange('lts/hydrogen')).toBe('18.x');
+    expect(nodeVersionRange('lts/*')).toBeNull();
+    expect(nodeVersionRange('node')).toBeNull();
+  });
+
+  test('ignores engines that are not a node range', () => {
+    expect(enginesNode({ node: '>=18' })).toBe('>=18');
+    expect(enginesNode(['node >= 0.4'])).toBeNull();
+    expect(enginesNode({ node: 'latest' })).toBeNull();
+    expect(enginesNode(null)).toBeNull();
+  });
+
+  test('finds the project requirement in engines, then version files', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-engines-'));
+    try {
+      await fs.mkdir(path.join(dir, 'packages', 'api'), { recursive: true });
+      await fs.writeFile(path.join(dir, '.nvmrc'), 'v20.11.1\n');
+      const root = { isRoot: true, path: '', dir, manifest: { name: 'app' } };
+      const api = { isRoot: false, path: 'packages/api', dir: path.join(dir, 'packages', 'api'), manifest: { engines: { node: '>=18.18' } } };
+
+      expect(await readNodeRequirement(dir, root, root.manifest)).toEqual({ range: '20.11.1', source: '.nvmrc', minimum: '20.11.1' });
+      expect(await readNodeRequirement(dir, api, root.manifest)).toEqual({ range: '>=18.18', source: 'packages/api/package.json engines.node', minimum: '18.18.0' });
+      expect(await readNodeRequirement(dir, { ...api, manifest: {} }, { engines: { node: '^18 || ^20' } }))
+        .toMatchObject({ source: 'package.json engines.node', minimum: '18.0.0' });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('checks packages against the lowest supported Node version', () => {
+    const requirement = { range: '>=18', minimum: '18.0.0' };
+    expect(supportsNode(requirement, { node: '>=16' })).toBe(true);
+    expect(supportsNode(requirement, { node: '>=18.17' })).toBe(false);
+    expect(supportsNode(requirement, {})).toBe(true);
+
+    expect(nodeEngineChange(requirement, { node: '>=14' }, { node: '>=20' })).toEqual({ from: '>=14', to: '>=20', raises: true, compatible: false });
+    expect(nodeEngineChange(requirement, { node: '>=14' }, { node: '>=16' })).toEqual({ from: '>=14', to: '>=16', raises: false, compatible: true });
+    expect(nodeEngineChange(requirement, { node: '>=18' }, { node: '>=18.17' })).toEqual({ from: '>=18', to: '>=18.17', raises: true, compatible: false });
+    expect(nodeEngineChange(null, { node: '>=14' }, { node: '>=16' })).toMatchObject({ raises: true, compatible: null });
+    expect(nodeEngineChange(null, { node: '>=16' }, { node: '>=16' })).toEqual({ from: '>=16', to: '>=16', raises: false, compatible: null });
+    expect(nodeEngineChange(requirement, { node: '>=16' }, undefined)).toBeNull();
+  });
+
+  describe('engines command', () => {
+    let server;
+    let dir;
+    let registry;
+
+    beforeAll(async () => {
+      const packuments = {
+        vite: { '5.0.0': { engines: { node: '^18.0.0 || >=20.0.0' } }, '6.0.0': { engines: { node: '^18.0.0 || ^20.0.0 || >=22.0.0' } } },
+        lint: { '1.0.0': { engines: { node: '>=16' } }, '2.0.0': { engines: { node: '>=20' } } },
+        glob: { '11.0.0': { engines: { node: '20 || >=22' } } }
+      };
+      server = http.createServer((req, res) => {
+        const name = decodeURIComponent(req.url.slice(1));
+        const versions = packuments[name] || { '1.0.0': {} };
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ name, 'dist-tags': { latest: Object.keys(versions).pop() }, versions }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      registry = `http://127.0.0.1:${server.address().port}/`;
+
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-engines-'));
+      const manifest = { name: 'app', engines: { node: '>=18' }, dependencies: { vite: '^5.0.0' }, devDependencies: { lint: '^1.0.0' } };
+      await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify(manifest));
+      await fs.writeFile(path.join(dir, 'package-lock.json'), JSON.stringify({
+        name: 'app',
+        lockfileVersion: 3,
+        packages: {
+          '': manifest,
+          'node_modules/vite': { version: '5.0.0', engines: { node: '^18.0.0 || >=20.0.0' }, dependencies: { glob: '^11.0.0' } },
+          'node_modules/glob': { version: '11.0.0', engines: { node: '20 || >=22' } },
+          'node_modules/lint': { version: '1.0.0', dev: true, engines: { node: '>=16' } }
+        }
+      }));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('reports incompatible packages and updates raising the minimum Node version', async () => {
+      const { engines } = await import('./index.js');
+      const result = await engines({ json: true, cwd: dir, cache: false, registry });
+      expect(result.node).toEqual({ range: '>=18', source: 'package.json engines.node', minimum: '18.0.0' });
+      expect(result.incompatible).toEqual([{
+        package: 'glob',
+        version: '11.0.0',
+        engines: '20 || >=22',
+        direct: false,
+        dev: false,
+        path: ['app', 'vite@5.0.0', 'glob@11.0.0']
+      }]);
+      expect(result.updates).toEqual([{ package: 'lint', current: '1.0.0', target: '2.0.0', type: 'MAJOR', from: '>=16', to: '>=20', compatible: false }]);
+    });
+
+    test('annotates update suggestions', async () => {
+      const { updateSuggestions } = await import('./index.js');
+      const suggestions = await updateSuggestions({ json: true, cwd: dir, cache: false, registry });
+      expect(Object.fromEntries(suggestions.map(s => [s.name, s.node]))).toEqual({
+        vite: { from: '^18.0.0 || >=20.0.0', to: '^18.0.0 || ^20.0.0 || >=22.0.0', raises: false, compatible: true },
+        lint: { from: '>=16', to: '>=20', raises: true, compatible: false }
+      });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+// Exit codes: findings over a --fail-on threshold are distinct from the
+// tool itself failing (bad config, unreadable lockfile, registry errors)
+const EXIT_CODES = {
+  OK: 0,
+  FINDINGS: 1,
+  ERROR: 2,
+};
+
+const SEVERITY_LEVELS = ["low", "medium", "high"];
+const ADVISORY_LEVELS = ["low", "medium", "high", "critical"];
+const UPDATE_LEVELS = ["patch", "minor", "major"];
+
+// "medium" -> ["MEDIUM", "HIGH"]
+const atOrAbove = (levels, threshold) => {
+  const index = levels.indexOf(String(threshold).toLowerCase());
+  if (index === -1) throw new Error(`Unknown --fail-on level "${threshold}" (expected one of ${levels.join(", ")})`);
+  return levels.slice(index).map(level => level.toUpperCase());
+};
+
+// Monorepo runs return one result per workspace, keyed by workspace name
+const workspaceResults = (result, isSingle) => (isSingle(result) ? [result] : Object.values(result || {}));
+
+// Per command: how to list its findings and which field carries the level
+const GATES = {
+  risk: {
+    levels: SEVERITY_LEVELS,
+    findings: (result) => workspaceResults(result, Array.isArray).flat(),
+    level: (item) => item.level,
+  },
+  dependabot: {
+    levels: SEVERITY_LEVELS,
+    findings: (result) => workspaceResults(result, r => Array.isArray(r?.issues)).flatMap(r => r.issues),
+    level: (item) => item.severity,
+  },
+  vuln: {
+    levels: ADVISORY_LEVELS,
+    findings: (result) => workspaceResults(result, Array.isArray).flat(),
+    // Advisories without a score still count, at the lowest level
+    level: (item) => (item.severity === "UNKNOWN" ? "LOW" : item.severity),
+  },
+  update: {
+    levels: UPDATE_LEVELS,
+    findings: (result) => workspaceResults(result, Array.isArray).flat(),
+    level: (item) => item.type,
+  },
+  licenses: {
+    levels: null,
+    findings: (result) => workspaceResults(result, r => Array.isArray(r?.production))
+      .flatMap(r => [...r.production, ...r.development])
+      .filter(entry => entry.status !== "allowed"),
+    level: () => null,
+  },
+  deprecated: {
+    levels: null,
+    findings: (result) => workspaceResults(result, Array.isArray).flat(),
+    level: () => null,
+  },
+  engines: {
+    levels: null,
+    findings: (result) => workspaceResults(result, r => Array.isArray(r?.incompatible)).flatMap(r => r.incompatible),
+    level: () => null,
+  },
+  "supply-chain": {
+    levels: null,
+    findings: (result) => workspaceResults(result, Array.isArray).flat(),
+    level: () => null,
+  },
+  "lockfile-lint": {
+    levels: SEVERITY_LEVELS,
+    findings: (result) => workspaceResults(result, Array.isArray).flat(),
+    level: (item) => item.severity,
+  },
+  unused: {
+    levels: null,
+    findings: (result) => workspaceResults(result, Array.isArray).flat(),
+    level: () => null,
+  },
+};
+
+// Findings that should fail the run. `threshold` is a level name, or true
+// for commands without levels (unused).
+const findingsOverThreshold = (command, result, threshold) => {
+  const gate = GATES[command];
+  if (!gate) throw new Error(`--fail-on is not supported for ${command}`);
+  if (!threshold) return [];
+
+  const findings = gate.findings(result);
+  if (!gate.levels) return findings;
+
+  const failing = atOrAbove(gate.levels, threshold);
+  return findings.filter(item => failing.includes(gate.level(item)));
+};
+
+export {
+  EXIT_CODES,
+  SEVERITY_LEVELS,
+  ADVISORY_LEVELS,
+  UPDATE_LEVELS,
+  findingsOverThreshold
+};
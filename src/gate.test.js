@@ -0,0 +1,39 @@
+import { describe, test, expect } from 'vitest';
+import { findingsOverThreshold } from './gate.js';
+
+describe('gate', () => {
+  const risk = [
+    { name: 'a', level: 'HIGH' },
+    { name: 'b', level: 'MEDIUM' },
+    { name: 'c', level: 'LOW' }
+  ];
+
+  test('fails on findings at or above the threshold', () => {
+    expect(findingsOverThreshold('risk', risk, 'high').map(r => r.name)).toEqual(['a']);
+    expect(findingsOverThreshold('risk', risk, 'medium').map(r => r.name)).toEqual(['a', 'b']);
+    expect(findingsOverThreshold('risk', risk, undefined)).toEqual([]);
+  });
+
+  test('collects findings from every workspace of a monorepo run', () => {
+    const grouped = {
+      '@acme/api': { issues: [{ package: 'lodash', severity: 'HIGH' }] },
+      '@acme/web': { issues: [{ package: 'react', severity: 'MEDIUM' }] }
+    };
+    expect(findingsOverThreshold('dependabot', grouped, 'high')).toHaveLength(1);
+    expect(findingsOverThreshold('dependabot', { issues: [] }, 'medium')).toEqual([]);
+    expect(findingsOverThreshold('unused', { api: ['left-pad'], web: [] }, true)).toEqual(['left-pad']);
+  });
+
+  test('uses update types as levels', () => {
+    const updates = [{ name: 'a', type: 'MINOR' }, { name: 'b', type: 'MAJOR' }];
+    expect(findingsOverThreshold('update', updates, 'major').map(u => u.name)).toEqual(['b']);
+    expect(findingsOverThreshold('update', updates, 'patch')).toHaveLength(2);
+    expect(() => findingsOverThreshold('update', updates, 'huge')).toThrow('Unknown --fail-on level');
+  });
+
+  test('counts unscored advisories as low', () => {
+    const vulns = [{ id: 'GHSA-1', severity: 'UNKNOWN' }, { id: 'GHSA-2', severity: 'HIGH' }];
+    expect(findingsOverThreshold('vuln', vulns, 'low').map(v => v.id)).toEqual(['GHSA-1', 'GHSA-2']);
+    expect(findingsOverThreshold('vuln', vulns, 'medium').map(v => v.id)).toEqual(['GHSA-2']);
+  });
+});
@@ -1,51 +1,61 @@
 #!/usr/bin/env node
 
-import { Command } from "commander";
+import { Command, InvalidArgumentError, Option } from "commander";
 import chalk from "chalk";
 import ora from "ora";
 import { promises as fs } from "fs";
 import path from "path";
-import { execSync } from "child_process";
 import { promisify } from "util";
-import { exec } from "child_process";
+import readline from "readline/promises";
+import { exec, execFile } from "child_process";
 import depcheck from "depcheck";
 import semver from "semver";
 import Table from "cli-table3";
-import lockfile from "@yarnpkg/lockfile";
-import yaml from "yaml";
+import { safeJsonParse, sanitizePackageName, fileExists, mapLimit, formatAge, formatBytes } from "./utils.js";
+import {
+  createGraph,
+  getNode,
+  rootImporterId,
+  findPackages,
+  resolveDirect,
+  subgraph,
+  findPath,
+  findPaths,
+  descendants,
+  groupVersionsByName,
+  listImporterDependencies,
+  parseDescriptor,
+  parseNpmLock,
+  parseYarnLock,
+  parsePnpmLock
+} from "./lockfile.js";
+import { findWorkspaceRoot, discoverWorkspaces, selectWorkspaces } from "./workspaces.js";
+import { createRegistryClient, createDiskCache, defaultCacheDir } from "./registry.js";
+import { loadConfig, resolveWorkspaceConfig, applyIgnores, globToRegExp } from "./config.js";
+import { EXIT_CODES, SEVERITY_LEVELS, ADVISORY_LEVELS, UPDATE_LEVELS, findingsOverThreshold } from "./gate.js";
+import { createSarifLog } from "./sarif.js";
+import { REPORT_FORMATS, createReport, renderReport } from "./report.js";
+import { readAdvisories, saveAdvisoryDatabase, createAdvisoryIndex, scanGraph, nodeLabel } from "./vuln.js";
+import { normalizeLicense, evaluateLicense, licenseFromManifest } from "./licenses.js";
+import { SBOM_FORMATS, createSbom } from "./sbom.js";
+import { findDuplicates, dedupeTarget, estimateSaving, dedupeFix } from "./duplicates.js";
+import { DIFF_FORMATS, managerForFile, diffGraphs, describeChanges, renderDiffMarkdown } from "./diff.js";
+import { rangePrefix, rangeFor, removeDependencies, setDependencyRange, editManifest } from "./manifest.js";
+import { UPDATE_TARGETS, targetVersion, updateType, normalizeRepository, groupPackages } from "./update.js";
+import { replacementsFor, deprecationOf } from "./deprecated.js";
+import { recordsPeers, withPeers, findPeerConflicts, simulatePeers } from "./peers.js";
+import { POPULAR_PACKAGES, typosquatTarget, supplyChainSignals } from "./supplychain.js";
+import { lintPackage, lockfileSync } from "./lockfilelint.js";
+import { enginesNode, readNodeRequirement, supportsNode, nodeEngineChange } from "./engines.js";
+import { DEFAULT_PR_LIMIT, loadDependabotConfig, normalizeDirectory, entriesFor, explainUpdate } from "./dependabot.js";
+import { CHANGELOG_FILE, intermediateVersions, parseChangelog, parseReleases, summarizeChangelog } from "./changelog.js";
 
 const execAsync = promisify(exec);
-
-// Utility functions
-const safeJsonParse = (content, fallback = {}) => {
-  try {
-    return JSON.parse(content);
-  } catch {
-    return fallback;
-  }
-};
-
-const sanitizePackageName = (name) => {
-  // Only allow valid npm package name characters
-  const isValid = /^[@a-z0-9._/-]+$/i.test(name);
-  if (!isValid) {
-    console.debug(`Invalid package name detected: "${name}"`);
-  }
-  return isValid ? name : null;
-};
-
-const fileExists = async (filePath) => {
-  try {
-    await fs.access(filePath);
-    return true;
-  } catch {
-    return false;
-  }
-};
+const execFileAsync = promisify(execFile);
+const VERSION = "2.0.0";
 
 // Package manager detection with better error handling
-const detectPackageManager = async () => {
-  const cwd = process.cwd();
+const detectPackageManager = async (cwd = process.cwd()) => {
   const lockFiles = [
     { file: "yarn.lock", manager: "yarn" },
     { file: "pnpm-lock.yaml", manager: "pnpm" },
@@ -60,160 +70,206 @@ const detectPackageManager = async () => {
   return "npm";
 };
 
-// Enhanced lockfile parsing with proper error handling
-const parseLockfile = async (manager) => {
-  const cwd = process.cwd();
-  const lockFiles = {
-    npm: "package-lock.json",
-    yarn: "yarn.lock", 
-    pnpm: "pnpm-lock.yaml"
-  };
+const LOCKFILES = {
+  npm: "package-lock.json",
+  yarn: "yarn.lock",
+  pnpm: "pnpm-lock.yaml",
+};
+
+// Lockfile text -> dependency graph. Yarn v1 needs the manifests (keyed by
+// workspace path) because it has no entries for the projects themselves.
+const parseLockfileContent = (manager, content, manifests = {}) => {
+  switch (manager) {
+    case "npm":
+      return parseNpmLock(content);
+    case "yarn":
+      return parseYarnLock(content, { manifests });
+    case "pnpm":
+      return parsePnpmLock(content);
+    default:
+      return createGraph(manager);
+  }
+};
 
-  const lockFile = lockFiles[manager];
+// Enhanced lockfile parsing with proper error handling
+const parseLockfile = async (manager, { cwd = process.cwd(), manifests } = {}) => {
+  const lockFile = LOCKFILES[manager];
   if (!lockFile) {
     console.warn(chalk.yellow(`Unknown package manager: ${manager}`));
-    return { dependencies: {} };
+    return createGraph(manager);
   }
 
   const lockPath = path.join(cwd, lockFile);
-  if (!(await fileExists(lockPath))) return { dependencies: {} };
+  if (!(await fileExists(lockPath))) return createGraph(manager);
 
   try {
     const content = await fs.readFile(lockPath, "utf8");
+
+    // Yarn v1 lockfiles have no entry for the project itself
+    const pkgPath = path.join(cwd, "package.json");
+    const projectManifests = manifests || ((await fileExists(pkgPath))
+      ? { "": safeJsonParse(await fs.readFile(pkgPath, "utf8")) }
+      : {});
     
-    switch (manager) {
-      case "npm":
-        return parseNpmLock(content);
-      case "yarn":
-        return parseYarnLock(content);
-      case "pnpm":
-        return parsePnpmLock(content);
-      default:
-        return { dependencies: {} };
-    }
+    return parseLockfileContent(manager, content, projectManifests);
   } catch (err) {
     console.warn(chalk.yellow(`Failed to parse ${lockFile}: ${err.message}`));
-    return { dependencies: {} };
+    return createGraph(manager);
   }
 };
 
-const parseNpmLock = (content) => {
-  const lock = safeJsonParse(content);
-  const deps = {};
-  const visited = new Set();
+// Shared project model: workspace layout, package manager and the root lockfile
+const loadProject = async (opts = {}) => {
+  const cwd = path.resolve(opts.cwd || process.cwd());
+  const rootDir = await findWorkspaceRoot(cwd);
 
-  const walk = (node, depth = 0, path = "") => {
-    if (depth > 100 || visited.has(path)) return;
-    visited.add(path);
+  if (!(await fileExists(path.join(rootDir, "package.json")))) {
+    throw new Error("package.json not found");
+  }
 
-    Object.entries(node || {}).forEach(([name, info]) => {
-      if (info?.version) {
-        deps[name] = { version: info.version };
-      }
-      if (info?.dependencies) {
-        walk(info.dependencies, depth + 1, `${path}/${name}`);
-      }
-    });
-  };
+  const config = await loadConfig(rootDir, { configPath: opts.config });
+  const workspaces = await discoverWorkspaces(rootDir);
+  const manager = await detectPackageManager(rootDir);
+  const manifests = Object.fromEntries(workspaces.map(ws => [ws.path, ws.manifest || {}]));
+  const lock = await parseLockfile(manager, { cwd: rootDir, manifests });
 
-  walk(lock.dependencies);
-  return { dependencies: deps };
-};
+  const rootImporter = rootImporterId(lock) ?? "";
+  workspaces.forEach(ws => {
+    ws.importerId = ws.isRoot ? rootImporter : ws.path;
+    ws.config = resolveWorkspaceConfig(config, ws);
+  });
 
-const parseYarnLock = (content) => {
-  try {
-    const parsed = lockfile.parse(content);
-    const deps = {};
-
-    Object.entries(parsed.object || {}).forEach(([key, value]) => {
-      const names = key.split(",")
-        .map(k => k.trim().split("@")[0])
-        .filter(name => name.length > 0);
-      
-      names.forEach(name => {
-        if (value?.version) {
-          deps[name] = { version: value.version };
-        }
-      });
-    });
+  // Running from inside a workspace package narrows the analysis to it
+  const current = workspaces.find(ws => !ws.isRoot && ws.dir === cwd);
+  const selected = selectWorkspaces(workspaces, opts.workspace || current?.name);
+
+  const registry = await createRegistryClient({
+    cwd: rootDir,
+    registry: opts.registry,
+    cache: opts.cache,
+    concurrency: opts.concurrency,
+    offline: opts.offline,
+    ttl: opts.ttl,
+  });
 
-    return { dependencies: deps };
-  } catch (err) {
-    throw new Error(`Yarn lockfile parsing failed: ${err.message}`);
-  }
+  return { rootDir, manager, lock, config, workspaces, selected, registry, isMonorepo: workspaces.length > 1 };
 };
 
-const parsePnpmLock = (content) => {
-  try {
-    const parsed = yaml.parse(content);
-    const deps = {};
+// Runs an analysis for every selected workspace. Single-package projects get
+// the plain result; monorepos get results keyed by workspace name.
+const runPerWorkspace = async (opts, analyze) => {
+  const project = opts.project || await loadProject(opts);
+  if (opts.scope) return analyze(opts.scope, project);
+  if (!project.isMonorepo) return analyze(project.workspaces[0], project);
+
+  const grouped = {};
+  for (const ws of project.selected) {
+    if (!opts.json) {
+      console.log(chalk.bold.magenta(`\n📦 ${ws.name} (${ws.isRoot ? "root" : ws.path})`));
+    }
+    grouped[ws.name] = await analyze(ws, project);
+  }
+  return grouped;
+};
 
-    Object.keys(parsed.packages || {}).forEach(key => {
-      if (!key.startsWith("/")) return;
+// Manager command scoped to a workspace package
+const workspaceCommand = (project, ws, command) => {
+  if (!project?.isMonorepo) return command;
+  const [bin, ...args] = command.split(" ");
 
-      const withoutSlash = key.slice(1);
-      const atIndex = withoutSlash.startsWith("@") 
-        ? withoutSlash.indexOf("@", 1)
-        : withoutSlash.lastIndexOf("@");
-      
-      if (atIndex === -1) return;
+  if (ws.isRoot) {
+    return bin === "pnpm" && ["add", "remove"].includes(args[0]) ? `${command} -w` : command;
+  }
+  switch (bin) {
+    case "yarn":
+      return `yarn workspace ${ws.name} ${args.join(" ")}`;
+    case "pnpm":
+      return `${command} --filter ${ws.name}`;
+    default:
+      return `${command} --workspace ${ws.name}`;
+  }
+};
 
-      const name = withoutSlash.slice(0, atIndex);
-      const version = withoutSlash.slice(atIndex + 1);
-      deps[name] = { version };
-    });
+// Applies the config's ignore list for a command and reports what it skipped
+const filterIgnored = (ws, command, items, getName, opts = {}) => {
+  const { kept, ignored, expired } = applyIgnores(ws.config, command, items, getName);
 
-    return { dependencies: deps };
-  } catch (err) {
-    throw new Error(`PNPM lockfile parsing failed: ${err.message}`);
+  expired.forEach(entry => {
+    console.warn(chalk.yellow(`Ignore entry for ${entry.package} (${command}) expired on ${entry.expires}; it is reported again.`));
+  });
+  if (!opts.json && ignored.length > 0) {
+    const names = ignored.map(i => (i.reason ? `${i.name} (${i.reason})` : i.name));
+    console.log(chalk.gray(`Ignored by config: ${[...new Set(names)].join(", ")}`));
   }
+
+  return kept;
 };
 
-// Safe command execution with package name validation
-const safeExecCommand = async (manager, action, packageName, extraArgs = '') => {
-  // Validate package name first
-  if (!sanitizePackageName(packageName)) {
-    throw new Error(`Invalid package name: ${packageName}`);
-  }
-  
-  // Build command based on manager and action
-  let command;
-  if (action === 'view') {
-    command = `${manager} ${manager === 'yarn' ? 'info' : 'view'} ${packageName} ${extraArgs}`.trim();
-  } else if (action === 'ls') {
-    command = `${manager} ${manager === 'yarn' ? 'list' : 'ls'} ${packageName} ${extraArgs}`.trim();
-  } else {
-    throw new Error(`Unsupported action: ${action}`);
+// Offline runs list uncached packages once instead of warning per package
+const reportUncached = (names) => {
+  if (names.length === 0) return;
+  console.warn(chalk.yellow(
+    `${names.length} package(s) not in the offline cache: ${names.join(", ")}. Run "dep-audit cache warm" while online.`
+  ));
+};
+
+const staleNote = (age) => chalk.gray(`(cached ${formatAge(age)} ago)`);
+
+// Vulnerability report from the manager's audit command, cached per project
+// so it is available offline
+const runAudit = async (project) => {
+  const { manager, registry } = project;
+  const cacheKey = `audit:${manager}:${project.rootDir}`;
+
+  if (registry.offline) {
+    const cached = await registry.cache?.get(cacheKey);
+    if (!cached) {
+      console.warn(chalk.yellow("No cached audit results, skipping CVE check while offline"));
+      return { output: {}, age: null };
+    }
+    return { output: cached.data, age: cached.age };
   }
-  
+
   try {
-    const { stdout } = await execAsync(command);
-    return stdout.trim();
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      throw new Error(`Command not found: ${manager}`);
+    const auditCmd = manager === "yarn" ? "yarn audit --json" : "npm audit --json";
+    let stdout;
+    try {
+      ({ stdout } = await execAsync(auditCmd, { cwd: project.rootDir, maxBuffer: 64 * 1024 * 1024 }));
+    } catch (err) {
+      // Audits exit non-zero when they find vulnerabilities
+      if (!err.stdout) throw err;
+      stdout = err.stdout;
     }
-    throw new Error(`Command failed: ${err.message}`);
+    const output = safeJsonParse(stdout);
+    await registry.cache?.set(cacheKey, output);
+    return { output, age: 0 };
+  } catch (err) {
+    console.warn(chalk.yellow(`${manager} audit failed, skipping CVE check: ${err.message}`));
+    return { output: {}, age: null };
   }
 };
 
-// Enhanced scan function
-const scan = async (opts = {}) => {
-  const pkgPath = path.resolve(process.cwd(), "package.json");
-  
-  if (!(await fileExists(pkgPath))) {
-    throw new Error("package.json not found");
+// Version installed in node_modules, for packages the lockfile doesn't pin
+const readInstalledVersion = async (project, ws, name) => {
+  for (const dir of [ws.dir, project.rootDir]) {
+    const manifestPath = path.join(dir, "node_modules", name, "package.json");
+    if (await fileExists(manifestPath)) {
+      return safeJsonParse(await fs.readFile(manifestPath, "utf8")).version || null;
+    }
   }
+  return null;
+};
 
-  const content = await fs.readFile(pkgPath, "utf8");
-  const pkg = safeJsonParse(content);
+// Enhanced scan function
+const scan = async (opts = {}) => runPerWorkspace(opts, async (ws, project) => {
+  const pkg = ws.manifest || {};
   
   if (!pkg.name) {
-    throw new Error("Invalid package.json: missing name field");
+    throw new Error(`Invalid package.json${ws.isRoot ? "" : ` in ${ws.path}`}: missing name field`);
   }
 
-  const manager = await detectPackageManager();
-  const lock = await parseLockfile(manager);
+  const { manager } = project;
+  const lock = project.isMonorepo ? subgraph(project.lock, ws.importerId) : project.lock;
 
   const result = {
     manager,
@@ -221,7 +277,10 @@ const scan = async (opts = {}) => {
     devDependencies: pkg.devDependencies || {},
     optionalDependencies: pkg.optionalDependencies || {},
     peerDependencies: pkg.peerDependencies || {},
-    lockfileDependencies: lock.dependencies || {},
+    lockfileVersion: lock.lockfileVersion,
+    lockfileDependencies: groupVersionsByName(lock),
+    lockfileInstances: Object.keys(lock.packages).length,
+    importers: listImporterDependencies(lock),
   };
 
   if (opts.json) return result;
@@ -248,28 +307,50 @@ const scan = async (opts = {}) => {
     ]);
   });
 
+  const duplicated = Object.entries(result.lockfileDependencies).filter(([, versions]) => versions.length > 1);
+  table.push([
+    "Installed instances",
+    result.lockfileInstances,
+    duplicated.length > 0 ? `${duplicated.length} packages at multiple versions` : ""
+  ]);
+
+  if (result.importers.length > 1) {
+    table.push([
+      "Workspace projects",
+      result.importers.length,
+      result.importers.map(importer => `${importer.name || importer.path} (${importer.dependencies.length})`).join(", ")
+    ]);
+  }
+
   console.log(table.toString());
   return result;
-};
+});
 
 // Enhanced unused dependencies detection
-const unused = async (opts = {}) => {
-  const manager = await detectPackageManager();
+const unused = async (opts = {}) => runPerWorkspace(opts, async (ws, project) => {
+  const { manager } = project;
   
   if (manager !== "npm") {
     console.warn(chalk.yellow(`Depcheck primarily supports npm; results for ${manager} may be incomplete.`));
   }
 
   try {
-    const result = await depcheck(process.cwd(), {
-      ignoreBinPackage: false,
-      skipMissing: false,
+    const { unused: unusedConfig } = ws.config;
+    const result = await depcheck(ws.dir, {
+      ignoreBinPackage: unusedConfig.ignoreBinPackage,
+      skipMissing: unusedConfig.skipMissing,
+      ignoreMatches: unusedConfig.ignoreMatches,
+      ignorePatterns: unusedConfig.ignorePatterns,
+      // depcheck uses all of its specials unless given an explicit list
+      ...(unusedConfig.specials.length > 0
+        ? { specials: unusedConfig.specials.map(name => depcheck.special[name]) }
+        : {}),
     });
 
-    const unusedDeps = [
+    const unusedDeps = filterIgnored(ws, "unused", [
       ...(result.dependencies || []),
       ...(result.devDependencies || []),
-    ];
+    ], dep => dep, opts);
 
     if (opts.json) return unusedDeps;
 
@@ -296,28 +377,26 @@ const unused = async (opts = {}) => {
 
     console.log(chalk.cyan("\nSuggested removal commands:"));
     unusedDeps.forEach(dep => {
-      console.log(chalk.cyan(`  ${removeCmd} ${dep}`));
+      console.log(chalk.cyan(`  ${workspaceCommand(project, ws, `${removeCmd} ${dep}`)}`));
     });
 
     return unusedDeps;
   } catch (err) {
-    console.error(chalk.red(`Depcheck failed: ${err.message}`));
-    return [];
-  }
-};
-
-// Enhanced update suggestions with better error handling
-const updateSuggestions = async (opts = {}) => {
-  const pkgPath = path.resolve(process.cwd(), "package.json");
-  
-  if (!(await fileExists(pkgPath))) {
-    throw new Error("package.json not found");
+    // An empty list would read as "nothing unused" to --fail-on-unused
+    throw new Error(`Depcheck failed: ${err.message}`);
   }
-
-  const content = await fs.readFile(pkgPath, "utf8");
-  const pkg = safeJsonParse(content);
-  const manager = await detectPackageManager();
-  const lock = await parseLockfile(manager);
+});
+
+// Update suggestions towards `opts.target` (patch, minor, latest or
+// greatest). Packages sharing a scope or a source repository are grouped
+// so --filter/--reject and --write move them together; --write rewrites
+// the package.json ranges, keeping their prefix. --changelog adds the
+// breaking changes listed in release notes up to the target.
+const updateSuggestions = async (opts = {}) => runPerWorkspace(opts, async (ws, project) => {
+  const pkg = ws.manifest || {};
+  const { manager, lock } = project;
+  const target = opts.target || "latest";
+  const nodeRequirement = await nodeRequirementFor(project, ws);
 
   const allDeps = {
     ...pkg.dependencies,
@@ -325,55 +404,35 @@ const updateSuggestions = async (opts = {}) => {
     ...pkg.optionalDependencies,
   };
 
-  const suggestions = [];
-
-  for (const [name, range] of Object.entries(allDeps)) {
+  const checkDependency = async ([name, range]) => {
     if (!sanitizePackageName(name)) {
       console.warn(chalk.yellow(`Skipping invalid package name: ${name}`));
-      continue;
+      return null;
     }
 
     try {
-      let currentVer = lock.dependencies?.[name]?.version;
+      let currentVer = resolveDirect(lock, name, ws.importerId)?.version;
       if (!currentVer || !semver.valid(currentVer)) {
-        try {
-          const output = await safeExecCommand(manager, 'ls', name, '--json --depth=0');
-          const lsData = safeJsonParse(output);
-          currentVer = lsData.dependencies?.[name]?.version || range;
-        } catch {
-          currentVer = range;
-        }
+        currentVer = (await readInstalledVersion(project, ws, name)) || range;
       }
 
-      const latestOutput = await safeExecCommand(manager, 'view', name, 'version --json');
-      const latestData = safeJsonParse(latestOutput);
-      const latestVer = typeof latestData === "string" ? latestData : latestData.version;
+      const { data: packument, age, stale } = await project.registry.packumentEntry(name);
+      const latestVer = packument["dist-tags"]?.latest;
 
       if (!latestVer) {
         console.warn(chalk.yellow(`Skipping ${name}: No version found`));
-        continue;
+        return null;
       }
-
-      if (semver.eq(currentVer, latestVer)) continue;
-
-      let currentSem, latestSem;
-      try {
-        currentSem = semver.parse(currentVer);
-        latestSem = semver.parse(latestVer);
-        if (!currentSem || !latestSem) {
-          console.warn(chalk.yellow(`Skipping ${name}: Invalid version format`));
-          continue;
-        }
-      } catch (err) {
-        console.warn(chalk.yellow(`Skipping ${name}: Version parsing failed - ${err.message}`));
-        continue;
+      if (!semver.valid(currentVer)) {
+        console.warn(chalk.yellow(`Skipping ${name}: Invalid version format`));
+        return null;
       }
-      
-      let type = "PATCH";
-      if (latestSem.major > currentSem.major) type = "MAJOR";
-      else if (latestSem.minor > currentSem.minor) type = "MINOR";
 
-      if (opts.safe && type === "MAJOR") continue;
+      const targetVer = targetVersion(packument, currentVer, target);
+      if (!targetVer) return null;
+
+      const type = updateType(currentVer, targetVer);
+      if (opts.safe && type === "MAJOR") return null;
 
       const installCmd = {
         npm: "npm install",
@@ -381,17 +440,53 @@ const updateSuggestions = async (opts = {}) => {
         pnpm: "pnpm add"
       }[manager];
 
-      suggestions.push({
+      packuments.set(name, packument);
+      return {
         name,
         current: currentVer,
         latest: latestVer,
+        target: targetVer,
         type,
-        command: `${installCmd} ${name}@${latestVer}`,
-      });
+        declared: range,
+        // Ranges more complex than a single comparator, and < or > ones that
+        // can't be moved without excluding the target, are left for the user
+        range: rangePrefix(range) === null ? null : rangeFor(range, targetVer),
+        deprecated: packument.versions?.[currentVer]?.deprecated || null,
+        node: nodeEngineChange(nodeRequirement, packument.versions?.[currentVer]?.engines, packument.versions?.[targetVer]?.engines),
+        command: workspaceCommand(project, ws, `${installCmd} ${name}@${targetVer}`),
+        cachedAge: stale ? age : null,
+      };
     } catch (err) {
-      console.warn(chalk.yellow(`Skipping ${name}: ${err.message}`));
+      if (err.code === "ENOTCACHED") uncached.push(name);
+      else console.warn(chalk.yellow(`Skipping ${name}: ${err.message}`));
+      return null;
     }
+  };
+
+  // Registry requests run concurrently, bounded by the registry client
+  const uncached = [];
+  const packuments = new Map();
+  const candidates = filterIgnored(ws, "update", Object.entries(allDeps), ([name]) => name, opts);
+  const found = (await Promise.all(candidates.map(checkDependency))).filter(Boolean);
+
+  const groups = groupPackages(found.map(dep => dep.name), name => normalizeRepository(packuments.get(name).repository));
+  const suggestions = selectUpdates(found.map(dep => ({ ...dep, group: groups.get(dep.name) || null })), opts)
+    .sort((a, b) => (a.group || a.name).localeCompare(b.group || b.name) || a.name.localeCompare(b.name));
+
+  if (opts.changelog) {
+    await Promise.all(suggestions.map(async dep => {
+      try {
+        dep.changelog = await loadChangelog(project, dep.name, packuments.get(dep.name), dep.current, dep.target);
+      } catch (err) {
+        if (err.code === "ENOTCACHED") uncached.push(dep.name);
+        else console.warn(chalk.yellow(`No changelog for ${dep.name}: ${err.message}`));
+        dep.changelog = null;
+      }
+    }));
   }
+  reportUncached([...new Set(uncached)]);
+
+  if (opts.write && suggestions.length > 0) await writeUpdates(project, ws, suggestions, opts);
 
   if (opts.json) return suggestions;
 
@@ -404,9 +499,9 @@ const updateSuggestions = async (opts = {}) => {
     head: [
       chalk.cyan("Package"),
       chalk.cyan("Current"),
-      chalk.cyan("Latest"),
+      chalk.cyan(target === "latest" ? "Latest" : `Target (${target})`),
       chalk.cyan("Type"),
-      chalk.cyan("Command"),
+      chalk.cyan(opts.write ? "Range" : "Command"),
     ],
     style: { head: [], border: [] },
   });
@@ -414,320 +509,2133 @@ const updateSuggestions = async (opts = {}) => {
   suggestions.forEach(dep => {
     const color = dep.type === "MAJOR" ? chalk.red : dep.type === "MINOR" ? chalk.yellow : chalk.green;
     table.push([
-      color(dep.name),
+      [
+        color(dep.name),
+        dep.group ? chalk.gray(`group: ${dep.group}`) : null,
+        dep.deprecated ? chalk.red(`${dep.current} deprecated`) : null,
+        dep.node?.compatible === false ? chalk.red(`needs Node ${dep.node.to}`) : null,
+        dep.node?.raises && dep.node.compatible !== false ? chalk.yellow(`Node ${dep.node.from || "any"} → ${dep.node.to}`) : null,
+      ].filter(Boolean).join("\n"),
       dep.current,
-      dep.latest,
-      color(`(${dep.type})`),
-      chalk.cyan(dep.command),
+      dep.cachedAge ? `${dep.target} ${staleNote(dep.cachedAge)}` : dep.target,
+      dep.changelog?.breaking.length > 0
+        ? `${color(`(${dep.type})`)}\n${chalk.red(`${dep.changelog.breaking.reduce((n, entry) => n + entry.breaking.length, 0)} breaking`)}`
+        : color(`(${dep.type})`),
+      opts.write
+        ? (dep.range ? `${dep.declared} → ${dep.range}` : chalk.yellow(`${dep.declared} (kept)`))
+        : chalk.cyan(dep.command),
     ]);
   });
 
   console.log(table.toString());
-  return suggestions;
-};
 
-// Risk audit with enhanced scoring
-const riskAudit = async (opts = {}) => {
-  const pkgPath = path.resolve(process.cwd(), "package.json");
-  
-  if (!(await fileExists(pkgPath))) {
-    throw new Error("package.json not found");
+  suggestions.filter(dep => dep.deprecated).forEach(dep => {
+    console.log(chalk.red(`⚠ ${dep.name}@${dep.current} is deprecated: ${dep.deprecated}`));
+  });
+  if (opts.changelog) printChangelogs(suggestions);
+  return suggestions;
+});
+
+// Changelog sections for an upgrade, from the changelog file shipped in the
+// target version's tarball or, when that has nothing on these versions,
+// the GitHub releases of the package's repository. Resolves to the
+// intermediate versions with their breaking entries and the source used.
+const loadChangelog = async (project, name, packument, from, to) => {
+  const versions = intermediateVersions(packument, from, to);
+  const covers = (sections) => versions.some(version => sections.has(version));
+
+  const tarball = packument.versions?.[to]?.dist?.tarball;
+  if (tarball) {
+    const { data: files } = await project.registry.tarballFilesEntry(tarball, CHANGELOG_FILE);
+    const [file] = Object.keys(files).sort();
+    const sections = file ? parseChangelog(files[file]) : new Map();
+    if (covers(sections)) return { source: file, ...summarizeChangelog(versions, sections) };
   }
 
-  const content = await fs.readFile(pkgPath, "utf8");
-  const pkg = safeJsonParse(content);
-  const manager = await detectPackageManager();
+  const github = /^github\.com\/([^/]+\/[^/]+)$/.exec(normalizeRepository(packument.repository) || "");
+  if (github) {
+    const releases = await project.registry.fetchJson(`https://api.github.com/repos/${github[1]}/releases?per_page=100`);
+    const sections = parseReleases(releases, name);
+    if (covers(sections)) return { source: "GitHub releases", ...summarizeChangelog(versions, sections) };
+  }
+  return { source: null, ...summarizeChangelog(versions, new Map()) };
+};
 
-  const allDeps = {
-    ...pkg.dependencies,
-    ...pkg.devDependencies,
-    ...pkg.optionalDependencies,
-  };
+const printChangelogs = (suggestions) => {
+  suggestions.forEach(dep => {
+    const notes = dep.changelog;
+    if (!notes) return;
+    const source = notes.source ? `from ${notes.source}` : "no changelog found";
+    console.log(chalk.bold(`\n${dep.name} ${dep.current} → ${dep.target}`) +
+      chalk.gray(` (${notes.versions.length} version(s), ${source})`));
+    if (notes.breaking.length === 0 && notes.source) console.log(chalk.green("  No breaking changes listed"));
+    notes.breaking.forEach(({ version, breaking }) => {
+      console.log(`  ${chalk.cyan(version)}`);
+      breaking.forEach(entry => console.log(chalk.red(`    • ${entry}`)));
+    });
+    if (notes.source && notes.missing.length > 0) {
+      console.log(chalk.gray(`  Not in the changelog: ${notes.missing.join(", ")}`));
+    }
+  });
+};
 
-  let auditOutput = {};
-  try {
-    const auditCmd = manager === "yarn" ? "yarn audit --json" : "npm audit --json";
-    const { stdout } = await execAsync(auditCmd, { cwd: process.cwd() });
-    auditOutput = safeJsonParse(stdout);
-  } catch (err) {
-    console.warn(chalk.yellow(`${manager} audit failed, skipping CVE check: ${err.message}`));
-  }
+// --filter / --reject globs. A package matching --filter brings the rest of
+// its group along; --reject always wins.
+const selectUpdates = (updates, { filter = [], reject = [] } = {}) => {
+  const patterns = (list) => list.flatMap(item => item.split(",")).map(item => item.trim()).filter(Boolean).map(item => globToRegExp(item));
+  const included = patterns(filter);
+  const rejected = patterns(reject);
+  const matches = (list, name) => list.some(pattern => pattern.test(name));
+
+  const selected = included.length === 0
+    ? updates
+    : updates.filter(update => matches(included, update.name));
+  const groups = new Set(selected.map(update => update.group).filter(Boolean));
+  return updates
+    .filter(update => selected.includes(update) || groups.has(update.group))
+    .filter(update => !matches(rejected, update.name));
+};
 
-  const results = [];
+// Rewrites the workspace's package.json ranges to the update targets
+const writeUpdates = async (project, ws, updates, opts = {}) => {
+  const file = path.join(ws.dir, "package.json");
+  const written = await editManifest(file, manifest => updates
+    .filter(update => update.range && setDependencyRange(manifest, update.name, update.range) !== null)
+    .map(update => update.name));
+  const kept = updates.filter(update => !update.range).map(update => update.name);
+
+  if (opts.json) return;
+  const relative = path.relative(project.rootDir, file) || "package.json";
+  console.log(chalk.green(`✓ Updated ${written.length} range(s) in ${relative}`));
+  if (kept.length > 0) console.log(chalk.yellow(`Kept complex ranges for ${kept.join(", ")}; edit them by hand.`));
+  if (written.length > 0) console.log(chalk.cyan(`Run \`${INSTALL_COMMANDS[project.manager]}\` to update the lockfile.`));
+};
 
-  for (const [name] of Object.entries(allDeps)) {
-    if (!sanitizePackageName(name)) continue;
+const defaultAdvisoryPath = () => path.join(defaultCacheDir(), "advisories", "npm.json");
 
-    try {
-      const commandResults = await Promise.allSettled([
-        safeExecCommand(manager, 'view', name, 'time --json').then(output => safeJsonParse(output)),
-        safeExecCommand(manager, 'view', name, 'maintainers --json').then(output => safeJsonParse(output)),
-        safeExecCommand(manager, 'view', name, 'weeklyDownloads --json').then(output => safeJsonParse(output))
-      ]);
-      
-      const [timeData, maintainers, downloads] = commandResults.map(result => 
-        result.status === 'fulfilled' ? result.value : {}
-      );
-
-      const latestTime = timeData.modified || timeData.created || timeData.latest || new Date().toISOString();
-      const numMaintainers = Array.isArray(maintainers) ? maintainers.length : 0;
-      const weeklyDownloads = typeof downloads === "number" ? downloads : 0;
-
-      const hasVuln = auditOutput.vulnerabilities?.[name] || 
-        Object.values(auditOutput.vulnerabilities || {}).some(v => v.name === name);
-
-      // Enhanced scoring algorithm
-      let score = 10;
-      const now = new Date();
-      const lastUpdate = new Date(latestTime);
-      const monthsSinceUpdate = (now - lastUpdate) / (1000 * 60 * 60 * 24 * 30);
-
-      if (monthsSinceUpdate > 24) score -= 3;
-      else if (monthsSinceUpdate > 12) score -= 2;
-      if (numMaintainers <= 1) score -= 2;
-      if (weeklyDownloads < 1000) score -= 2;
-      if (hasVuln) score -= 3;
-
-      score = Math.max(0, score);
-
-      let level = "LOW";
-      const reasons = [];
-
-      if (score <= 3) {
-        level = "HIGH";
-        reasons.push("High risk package");
-      } else if (score <= 6) {
-        level = "MEDIUM";
-        reasons.push("Medium risk package");
-      } else {
-        reasons.push("Generally healthy");
-      }
+// Advisories from --advisories paths, else the database imported with
+// "dep-audit advisories import"; null when there is neither. Loaded once
+// per project.
+const loadAdvisoryIndex = async (project, opts = {}) => {
+  if (project.advisories !== undefined) return project.advisories;
 
-      if (monthsSinceUpdate > 12) reasons.push(`Last updated ${Math.round(monthsSinceUpdate)} months ago`);
-      if (numMaintainers <= 1) reasons.push("Few maintainers");
-      if (weeklyDownloads < 1000) reasons.push("Low weekly downloads");
-      if (hasVuln) reasons.push("Known vulnerabilities");
+  let targets = opts.advisories || [];
+  if (targets.length === 0 && (await fileExists(defaultAdvisoryPath()))) {
+    targets = [defaultAdvisoryPath()];
+  }
+  project.advisories = targets.length > 0 ? createAdvisoryIndex(await readAdvisories(targets)) : null;
+  return project.advisories;
+};
 
-      results.push({ name, level, score, reason: reasons.join(", ") });
-    } catch (err) {
-      console.warn(chalk.yellow(`Skipping ${name}: ${err.message}`));
-    }
+// Health score (0-10), level and reasons from registry metadata; whether
+// the package is vulnerable or its installed version deprecated, and its
+// supply-chain signals, are decided by the caller
+const scoreHealth = ({ packument, downloads, hasVuln, deprecated, supplyChain = [] }, { thresholds, weights }, now = new Date()) => {
+  const timeData = packument.time || {};
+  const maintainers = packument.maintainers;
+  const latestTime = timeData.modified || timeData.created || timeData.latest || now.toISOString();
+  const numMaintainers = Array.isArray(maintainers) ? maintainers.length : 0;
+  // Unknown download counts (e.g. uncached while offline) aren't penalized
+  const weeklyDownloads = typeof downloads === "number" ? downloads : null;
+  const lowDownloads = weeklyDownloads !== null && weeklyDownloads < thresholds.minWeeklyDownloads;
+  const fewMaintainers = numMaintainers <= thresholds.minMaintainers;
+
+  // Enhanced scoring algorithm
+  let score = 10;
+  const lastUpdate = new Date(latestTime);
+  const monthsSinceUpdate = (now - lastUpdate) / (1000 * 60 * 60 * 24 * 30);
+
+  if (monthsSinceUpdate > thresholds.staleMonths) score -= weights.stale;
+  else if (monthsSinceUpdate > thresholds.agingMonths) score -= weights.aging;
+  if (fewMaintainers) score -= weights.maintainers;
+  if (lowDownloads) score -= weights.downloads;
+  if (hasVuln) score -= weights.vulnerabilities;
+  if (deprecated) score -= weights.deprecated;
+  if (supplyChain.length > 0) score -= weights.supplyChain;
+
+  score = Math.max(0, score);
+
+  let level = "LOW";
+  const reasons = [];
+
+  if (score <= thresholds.high) {
+    level = "HIGH";
+    reasons.push("High risk package");
+  } else if (score <= thresholds.medium) {
+    level = "MEDIUM";
+    reasons.push("Medium risk package");
+  } else {
+    reasons.push("Generally healthy");
   }
 
-  if (opts.json) return results;
+  if (monthsSinceUpdate > thresholds.agingMonths) reasons.push(`Last updated ${Math.round(monthsSinceUpdate)} months ago`);
+  if (fewMaintainers) reasons.push("Few maintainers");
+  if (lowDownloads) reasons.push("Low weekly downloads");
+  if (deprecated) reasons.push("Deprecated");
+  reasons.push(...supplyChain);
 
-  if (results.length === 0) {
-    console.log(chalk.green("No dependencies to audit."));
-    return [];
+  return { score, level, reasons };
+};
+
+// Risk audit with enhanced scoring
+const riskAudit = async (opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  const { manager } = project;
+
+  // The audit covers the whole lockfile, so run it once for all workspaces.
+  // An advisory database replaces it.
+  const advisories = await loadAdvisoryIndex(project, opts);
+  const { output: auditOutput, age: auditAge } = advisories ? { output: {}, age: null } : await runAudit(project);
+  if (auditAge && auditAge >= project.registry.ttl) {
+    console.warn(chalk.yellow(`Using audit results cached ${formatAge(auditAge)} ago`));
   }
 
-  results.sort((a, b) => b.score - a.score);
+  return runPerWorkspace({ ...opts, project }, async (ws) => {
+    const pkg = ws.manifest || {};
+    const allDeps = {
+      ...pkg.dependencies,
+      ...pkg.devDependencies,
+      ...pkg.optionalDependencies,
+    };
+
+    const lock = project.isMonorepo ? subgraph(project.lock, ws.importerId) : project.lock;
+    const vulnerabilities = advisories ? scanGraph(lock, advisories) : [];
+
+    const assessDependency = async (name) => {
+      if (!sanitizePackageName(name)) return null;
+
+      // Without its packument a package can't be scored: unpublished ones are
+      // skipped, and an unreachable registry fails the run rather than
+      // passing every package as healthy
+      const settled = await Promise.allSettled([
+        project.registry.packumentEntry(name),
+        project.registry.downloadsEntry(name)
+      ]);
+      const failure = settled[0].reason;
+      if (failure?.code === "ENOTCACHED") {
+        uncached.push(name);
+        return null;
+      }
+      if (failure?.message.startsWith("Not found")) {
+        console.warn(chalk.yellow(`Skipping ${name}: not found in the registry`));
+        return null;
+      }
+      if (failure) throw new Error(`Couldn't fetch registry metadata for ${name}: ${failure.message}`);
 
-  const table = new Table({
-    head: [
-      chalk.cyan("Package"),
-      chalk.cyan("Risk Level"),
-      chalk.cyan("Score"),
-      chalk.cyan("Reasons"),
-    ],
-    style: { head: [], border: [] },
-  });
+      try {
+        const [packument, downloads] = settled.map(result => (result.status === "fulfilled" ? result.value.data : {}));
+        const cachedAge = Math.max(0, ...settled.filter(r => r.value?.stale).map(r => r.value.age)) || null;
+
+        // Advisories for the package itself or anything it pulls in
+        const node = resolveDirect(lock, name, ws.importerId);
+        let advisoryIds = [];
+        let vulnerableDeps = [];
+        if (advisories) {
+          const below = node ? descendants(lock, node.id) : new Set();
+          advisoryIds = vulnerabilities.filter(v => v.nodeId === node?.id).map(v => v.id);
+          vulnerableDeps = [...new Set(vulnerabilities.filter(v => below.has(v.nodeId)).map(v => `${v.package}@${v.version}`))];
+        }
+        const hasVuln = advisories
+          ? advisoryIds.length + vulnerableDeps.length > 0
+          : auditOutput.vulnerabilities?.[name] ||
+            Object.values(auditOutput.vulnerabilities || {}).some(v => v.name === name);
+
+        const deprecation = node ? deprecationOf(packument, node.version) : null;
+        const signals = node
+          ? supplyChainSignals({ name, version: node.version, packument, hasInstallScript: node.hasInstallScript ?? null, downloads }, ws.config.supplyChain)
+          : [];
+        const { score, level, reasons } = scoreHealth({
+          packument,
+          downloads,
+          hasVuln,
+          deprecated: Boolean(deprecation),
+          supplyChain: signals.map(signal => signal.message),
+        }, ws.config.risk);
+        const advice = deprecation && deprecationAdvice(project, name, node.version, deprecation);
+        if (advice) reasons.push(advice);
+        if (advisoryIds.length > 0) reasons.push(`Known vulnerabilities (${advisoryIds.join(", ")})`);
+        if (vulnerableDeps.length > 0) reasons.push(`Vulnerable dependencies (${vulnerableDeps.join(", ")})`);
+        if (hasVuln && !advisories) reasons.push("Known vulnerabilities");
+        if (cachedAge) reasons.push(`Metadata cached ${formatAge(cachedAge)} ago`);
+
+        return {
+          name,
+          level,
+          score,
+          reason: reasons.join(", "),
+          advisories: advisoryIds,
+          deprecated: deprecation?.message || null,
+          supplyChain: signals,
+          cachedAge,
+        };
+      } catch (err) {
+        console.warn(chalk.yellow(`Skipping ${name}: ${err.message}`));
+        return null;
+      }
+    };
 
-  results.forEach(dep => {
-    const color = dep.level === "HIGH" ? chalk.red : dep.level === "MEDIUM" ? chalk.yellow : chalk.green;
-    table.push([dep.name, color(dep.level), color(dep.score), dep.reason]);
-  });
+    const uncached = [];
+    const candidates = filterIgnored(ws, "risk", Object.keys(allDeps), name => name, opts);
+    const results = (await Promise.all(candidates.map(assessDependency))).filter(Boolean);
+    reportUncached(uncached);
 
-  console.log(table.toString());
+    if (opts.json) return results;
 
-  const highCount = results.filter(r => r.level === "HIGH").length;
-  const medCount = results.filter(r => r.level === "MEDIUM").length;
-  console.log(chalk.cyan(`\nSummary: ${highCount} HIGH, ${medCount} MEDIUM, ${results.length - highCount - medCount} LOW`));
-  
-  return results;
-};
+    if (results.length === 0) {
+      console.log(chalk.green("No dependencies to audit."));
+      return [];
+    }
 
-// Enhanced Dependabot explanation
-const explainDependabot = async (opts = {}) => {
-  const pkgPath = path.resolve(process.cwd(), "package.json");
-  const manager = await detectPackageManager();
-  const lockFiles = {
-    npm: "package-lock.json",
-    yarn: "yarn.lock",
-    pnpm: "pnpm-lock.yaml"
-  };
+    results.sort((a, b) => b.score - a.score);
 
-  const lockPath = path.resolve(process.cwd(), lockFiles[manager]);
-  
-  if (!(await fileExists(pkgPath)) || !(await fileExists(lockPath))) {
-    throw new Error(`Missing package.json or ${lockFiles[manager]}`);
-  }
+    const table = new Table({
+      head: [
+        chalk.cyan("Package"),
+        chalk.cyan("Risk Level"),
+        chalk.cyan("Score"),
+        chalk.cyan("Reasons"),
+      ],
+      style: { head: [], border: [] },
+    });
 
-  const pkgContent = await fs.readFile(pkgPath, "utf8");
-  const pkg = safeJsonParse(pkgContent);
-  const lock = await parseLockfile(manager);
+    results.forEach(dep => {
+      const color = dep.level === "HIGH" ? chalk.red : dep.level === "MEDIUM" ? chalk.yellow : chalk.green;
+      table.push([dep.name, color(dep.level), color(dep.score), dep.reason]);
+    });
 
-  const issues = [];
+    console.log(table.toString());
 
-  // Version mismatch detection
-  ["dependencies", "devDependencies", "optionalDependencies", "peerDependencies"].forEach(depType => {
-    Object.entries(pkg[depType] || {}).forEach(([dep, reqRange]) => {
-      const lockedVersion = lock.dependencies?.[dep]?.version;
-      if (lockedVersion && !semver.satisfies(lockedVersion, reqRange)) {
-        const installCmd = {
-          npm: "npm install",
-          yarn: "yarn add",
-          pnpm: "pnpm add"
-        }[manager];
+    const highCount = results.filter(r => r.level === "HIGH").length;
+    const medCount = results.filter(r => r.level === "MEDIUM").length;
+    console.log(chalk.cyan(`\nSummary: ${highCount} HIGH, ${medCount} MEDIUM, ${results.length - highCount - medCount} LOW`));
 
-        issues.push({
-          type: "VERSION_MISMATCH",
-          message: `${dep} in ${depType} requires ${reqRange}, but locked at ${lockedVersion}.`,
-          fix: `${installCmd} ${dep}@${reqRange}`,
-          severity: "HIGH",
-        });
-      }
-    });
+    return results;
   });
+};
 
-  // Peer dependency conflicts
-  try {
-    const lsCmd = manager === "yarn" ? "yarn list --json" : "npm ls --json --depth=0";
-    const { stdout, stderr } = await execAsync(lsCmd, { cwd: process.cwd() });
-    
-    if (stderr?.includes("peer") || stderr?.includes("conflict")) {
-      issues.push({
-        type: "PEER_CONFLICT",
-        message: "Potential peer dependency conflicts detected.",
-        fix: `Run ${manager} install --legacy-peer-deps or add resolutions`,
-        severity: "MEDIUM",
-      });
-    }
-  } catch (err) {
-    console.warn(chalk.yellow(`Could not check peer deps: ${err.message}`));
+// Known vulnerabilities in every resolved package, matched offline
+// against an advisory database
+const vuln = async (opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  const advisories = await loadAdvisoryIndex(project, opts);
+  if (!advisories) {
+    throw new Error('No advisory database found. Import OSV or GitHub advisories with "dep-audit advisories import <path>" or pass --advisories <path>.');
   }
 
-  if (opts.json) return { issues };
+  return runPerWorkspace({ ...opts, project }, async (ws) => {
+    const lock = project.isMonorepo ? subgraph(project.lock, ws.importerId) : project.lock;
+    const findings = filterIgnored(ws, "vuln", scanGraph(lock, advisories), finding => finding.package, opts)
+      .map(({ nodeId, ...finding }) => finding);
 
-  if (issues.length === 0) {
-    console.log(chalk.green("No obvious Dependabot issues found! 🚀"));
-    return { issues: [] };
-  }
+    if (opts.json) return findings;
 
-  const table = new Table({
-    head: [
-      chalk.cyan("Issue"),
-      chalk.cyan("Severity"),
-      chalk.cyan("Message"),
-      chalk.cyan("Fix"),
-    ],
-    style: { head: [], border: [] },
-  });
+    if (findings.length === 0) {
+      console.log(chalk.green("No known vulnerabilities found! 🎉"));
+      return [];
+    }
 
-  issues.forEach(issue => {
-    const color = issue.severity === "HIGH" ? chalk.red : chalk.yellow;
-    table.push([
-      color(issue.type),
-      color(issue.severity),
-      issue.message,
-      chalk.cyan(issue.fix),
-    ]);
-  });
+    const table = new Table({
+      head: [
+        chalk.cyan("Package"),
+        chalk.cyan("Advisory"),
+        chalk.cyan("Severity"),
+        chalk.cyan("Affected"),
+        chalk.cyan("Fixed in"),
+        chalk.cyan("Path"),
+      ],
+      style: { head: [], border: [] },
+    });
 
-  console.log(table.toString());
+    findings.forEach(finding => {
+      const color = ["CRITICAL", "HIGH"].includes(finding.severity) ? chalk.red
+        : finding.severity === "MEDIUM" ? chalk.yellow : chalk.green;
+      const score = finding.cvss?.score ? ` (${finding.cvss.score})` : "";
+      table.push([
+        `${finding.package}@${finding.version}${finding.dev ? chalk.gray(" (dev)") : ""}`,
+        [finding.id, ...finding.aliases.slice(0, 1)].join("\n"),
+        color(`${finding.severity}${score}`),
+        finding.affected,
+        finding.fixed || chalk.gray("none"),
+        finding.path.join(" > "),
+      ]);
+    });
 
-  const highIssues = issues.filter(i => i.severity === "HIGH").length;
-  console.log(chalk.cyan(`\n${highIssues} HIGH severity issues.`));
-  
-  return { issues };
-};
+    console.log(table.toString());
 
-// Auto-fix functionality
-const autoFix = async (opts = {}) => {
-  const fixes = [];
+    const counts = ["CRITICAL", "HIGH", "MEDIUM", "LOW"].map(level => `${findings.filter(f => f.severity === level).length} ${level}`);
+    console.log(chalk.cyan(`\nSummary: ${counts.join(", ")}`));
+    return findings;
+  });
+};
 
-  try {
-    const unusedDeps = await unused({ json: true });
-    if (unusedDeps.length > 0) {
-      const manager = await detectPackageManager();
-      const removeCmd = {
-        npm: "npm uninstall",
-        yarn: "yarn remove",
-        pnpm: "pnpm remove"
-      }[manager];
+// "Replace with undici or node-fetch", "Upgrade to 2.1.0" or null. A newer
+// version that isn't deprecated beats a replacement package.
+const deprecationAdvice = (project, name, version, deprecation) => {
+  if (deprecation.upgrade && !deprecation.packageWide) return `Upgrade to ${deprecation.upgrade}`;
+  const replacements = replacementsFor(name, version, project.config.deprecated.replacements);
+  if (replacements.length > 0) return `Replace with ${replacements.join(" or ")}`;
+  return deprecation.upgrade ? `Upgrade to ${deprecation.upgrade}` : null;
+};
 
-      fixes.push({
-        type: "UNUSED_DEPS",
-        description: `Remove ${unusedDeps.length} unused dependencies`,
-        command: unusedDeps.map(dep => `${removeCmd} ${dep}`).join(" && "),
-        packages: unusedDeps
-      });
+// Graph-wide lookups share one packument request per package name across
+// workspaces. Resolves to the packument, or null when it can't be fetched.
+const createPackumentLookup = (project, uncached) => {
+  const packuments = new Map();
+  return (name) => {
+    if (!packuments.has(name)) {
+      packuments.set(name, project.registry.packument(name).catch(err => {
+        if (err.code === "ENOTCACHED") uncached.push(name);
+        else console.warn(chalk.yellow(`Skipping ${name}: ${err.message}`));
+        return null;
+      }));
     }
-  } catch (err) {
-    console.warn(chalk.yellow(`Could not check unused deps: ${err.message}`));
-  }
+    return packuments.get(name);
+  };
+};
 
-  try {
-    const { issues } = await explainDependabot({ json: true });
-    const syncIssues = issues.filter(i => i.type === "VERSION_MISMATCH");
-    if (syncIssues.length > 0) {
-      const manager = await detectPackageManager();
-      const installCmd = {
-        npm: "npm install",
-        yarn: "yarn install", 
-        pnpm: "pnpm install"
-      }[manager];
+// Resolves to deprecationOf() or null
+const createDeprecationLookup = (project, uncached) => {
+  const lookup = createPackumentLookup(project, uncached);
+  return (name, version) => lookup(name).then(packument => (packument ? deprecationOf(packument, version) : null));
+};
 
-      fixes.push({
-        type: "LOCKFILE_SYNC",
-        description: `Fix ${syncIssues.length} version mismatches`,
-        command: installCmd,
-        issues: syncIssues
-      });
+// Deprecated versions anywhere in the resolved graph, transitive ones
+// included, with the registry's message and what to move to
+const deprecated = async (opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  const uncached = [];
+  const lookup = createDeprecationLookup(project, uncached);
+
+  const result = await runPerWorkspace({ ...opts, project }, async (ws) => {
+    const lock = project.isMonorepo ? subgraph(project.lock, ws.importerId) : project.lock;
+    const directIds = new Set(Object.values(lock.importers).flatMap(importer => importer.edges.map(edge => edge.to)));
+    const nodes = [...new Map(Object.values(lock.packages)
+      .filter(node => node.name && semver.valid(node.version) && sanitizePackageName(node.name))
+      .map(node => [`${node.name}@${node.version}`, node])).values()];
+
+    const found = await Promise.all(nodes.map(async node => {
+      const deprecation = await lookup(node.name, node.version);
+      if (!deprecation) return null;
+      return {
+        package: node.name,
+        version: node.version,
+        message: deprecation.message,
+        packageWide: deprecation.packageWide,
+        upgrade: deprecation.upgrade,
+        replacements: replacementsFor(node.name, node.version, project.config.deprecated.replacements),
+        advice: deprecationAdvice(project, node.name, node.version, deprecation),
+        direct: directIds.has(node.id),
+        dev: node.dev,
+        path: (findPath(lock, node.id) || [node.id]).map(id => nodeLabel(lock, id)),
+      };
+    }));
+    const findings = filterIgnored(ws, "deprecated", found.filter(Boolean), finding => finding.package, opts)
+      .sort((a, b) => Number(b.direct) - Number(a.direct) || a.package.localeCompare(b.package));
+
+    if (opts.json) return findings;
+
+    if (findings.length === 0) {
+      console.log(chalk.green("No deprecated packages found! 🎉"));
+      return [];
     }
-  } catch (err) {
-    console.warn(chalk.yellow(`Could not check lockfile: ${err.message}`));
-  }
 
-  if (opts.json) return fixes;
+    const table = new Table({
+      head: [
+        chalk.cyan("Package"),
+        chalk.cyan("Deprecation"),
+        chalk.cyan("Suggestion"),
+        chalk.cyan("Path"),
+      ],
+      style: { head: [], border: [] },
+    });
 
-  if (fixes.length === 0) {
-    console.log(chalk.green("No fixes needed! 🎉"));
-    return [];
-  }
+    findings.forEach(finding => {
+      const color = finding.direct ? chalk.red : chalk.yellow;
+      table.push([
+        color(`${finding.package}@${finding.version}`) + (finding.dev ? chalk.gray(" (dev)") : ""),
+        finding.message,
+        finding.advice ? chalk.cyan(finding.advice) : chalk.gray("none known"),
+        finding.path.join(" > "),
+      ]);
+    });
 
-  const table = new Table({
-    head: [chalk.cyan("Fix Type"), chalk.cyan("Description"), chalk.cyan("Command")],
-    style: { head: [], border: [] }
-  });
+    console.log(table.toString());
 
-  fixes.forEach(fix => {
-    table.push([fix.type, fix.description, chalk.cyan(fix.command)]);
+    const direct = findings.filter(finding => finding.direct).length;
+    console.log(chalk.cyan(`\nSummary: ${findings.length} deprecated (${direct} direct, ${findings.length - direct} transitive)`));
+    return findings;
   });
 
-  console.log(table.toString());
-
-  if (opts.dryRun) {
-    console.log(chalk.yellow("\n🔍 Dry run mode - no changes applied"));
-    console.log(chalk.cyan("Run without --dry-run to apply fixes"));
-  } else {
-    console.log(chalk.red("\n⚠️  Auto-apply not implemented yet"));
-    console.log(chalk.cyan("Run commands manually for now"));
-  }
+  reportUncached([...new Set(uncached)]);
+  return result;
+};
 
-  return fixes;
+const SIGNAL_COLORS = {
+  "install-script": chalk.yellow,
+  typosquat: chalk.red,
+  maintainers: chalk.red,
+  recent: chalk.yellow,
 };
 
-// CLI setup
-const program = new Command();
+// Supply-chain signals for every resolved package, transitive ones included:
+// install scripts, names imitating popular packages, maintainers changed in
+// the installed version and versions published in the last `recentDays`
+const supplyChain = async (opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  const uncached = [];
+  const lookup = createPackumentLookup(project, uncached);
+  // Only names that look like a typosquat need their download count
+  const downloadsOf = (name) => project.registry.downloads(name).catch(() => null);
+
+  const result = await runPerWorkspace({ ...opts, project }, async (ws) => {
+    const options = {
+      ...ws.config.supplyChain,
+      ...(opts.days !== undefined && { recentDays: opts.days }),
+    };
+    const lock = project.isMonorepo ? subgraph(project.lock, ws.importerId) : project.lock;
+    const directIds = new Set(Object.values(lock.importers).flatMap(importer => importer.edges.map(edge => edge.to)));
+    const nodes = [...new Map(Object.values(lock.packages)
+      .filter(node => node.name && semver.valid(node.version) && sanitizePackageName(node.name))
+      .map(node => [`${node.name}@${node.version}`, node])).values()];
+
+    const found = await Promise.all(nodes.map(async node => {
+      const packument = await lookup(node.name);
+      const downloads = typosquatTarget(node.name, [...POPULAR_PACKAGES, ...options.popular]) ? await downloadsOf(node.name) : null;
+      const signals = supplyChainSignals({
+        name: node.name,
+        version: node.version,
+        packument,
+        hasInstallScript: node.hasInstallScript ?? null,
+        downloads,
+      }, options);
+      if (signals.length === 0) return null;
+      return {
+        package: node.name,
+        version: node.version,
+        signals,
+        direct: directIds.has(node.id),
+        dev: node.dev,
+        path: (findPath(lock, node.id) || [node.id]).map(id => nodeLabel(lock, id)),
+      };
+    }));
+    const findings = filterIgnored(ws, "supply-chain", found.filter(Boolean), finding => finding.package, opts)
+      .sort((a, b) => Number(b.direct) - Number(a.direct) || a.package.localeCompare(b.package));
+
+    if (opts.json) return findings;
+
+    if (findings.length === 0) {
+      console.log(chalk.green("No supply-chain signals found! 🎉"));
+      return [];
+    }
 
-program
-  .name("dep-audit")
-  .description("Advanced dependency auditor CLI for npm/yarn/pnpm")
-  .version("2.0.0")
-  .option("-j, --json", "Output as JSON");
+    const table = new Table({
+      head: [chalk.cyan("Package"), chalk.cyan("Signals"), chalk.cyan("Path")],
+      style: { head: [], border: [] },
+    });
+    findings.forEach(finding => {
+      table.push([
+        `${finding.package}@${finding.version}` + (finding.dev ? chalk.gray(" (dev)") : ""),
+        finding.signals.map(signal => SIGNAL_COLORS[signal.type](signal.message)).join("\n"),
+        finding.path.join(" > "),
+      ]);
+    });
+    console.log(table.toString());
 
-program.addHelpText("after", "\nExamples:\n  dep-audit scan\n  dep-audit unused\n  dep-audit update\n  dep-audit risk\n  dep-audit dependabot\n  dep-audit scan --json");
+    const counts = Object.keys(SIGNAL_COLORS)
+      .map(type => `${findings.filter(finding => finding.signals.some(signal => signal.type === type)).length} ${type}`);
+    console.log(chalk.cyan(`\nSummary: ${findings.length} package(s) with signals (${counts.join(", ")})`));
+    return findings;
+  });
+
+  reportUncached([...new Set(uncached)]);
+  return result;
+};
+
+// Node versions a workspace supports (engines.node, .nvmrc, .node-version)
+const nodeRequirementFor = (project, ws) =>
+  readNodeRequirement(project.rootDir, ws, project.workspaces.find(other => other.isRoot)?.manifest);
+
+// npm (v2+) and pnpm lockfiles record each package's engines; for the rest
+// they come from the registry
+const lockfileRecordsEngines = (lock) =>
+  lock.manager === "pnpm" || (lock.manager === "npm" && lock.lockfileVersion >= 2);
+
+// Resolved packages whose engines.node rejects the lowest Node version the
+// project supports, and proposed updates that would raise the minimum
+const engines = async (opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  const uncached = [];
+  const lookup = createPackumentLookup(project, uncached);
+  const enginesOf = async (node) => {
+    if (lockfileRecordsEngines(project.lock)) return node.engines;
+    return (await lookup(node.name))?.versions?.[node.version]?.engines ?? null;
+  };
+
+  const result = await runPerWorkspace({ ...opts, project }, async (ws) => {
+    const node = await nodeRequirementFor(project, ws);
+    if (!node) {
+      console.warn(chalk.yellow(`${ws.name}: no engines.node, .nvmrc or .node-version to check against`));
+      return { node: null, incompatible: [], updates: [] };
+    }
+
+    const lock = project.isMonorepo ? subgraph(project.lock, ws.importerId) : project.lock;
+    const directIds = new Set(Object.values(lock.importers).flatMap(importer => importer.edges.map(edge => edge.to)));
+    const nodes = [...new Map(Object.values(lock.packages)
+      .filter(pkg => pkg.name && semver.valid(pkg.version) && sanitizePackageName(pkg.name))
+      .map(pkg => [`${pkg.name}@${pkg.version}`, pkg])).values()];
+
+    const found = await Promise.all(nodes.map(async pkg => {
+      const declared = await enginesOf(pkg);
+      if (supportsNode(node, declared)) return null;
+      return {
+        package: pkg.name,
+        version: pkg.version,
+        engines: enginesNode(declared),
+        direct: directIds.has(pkg.id),
+        dev: pkg.dev,
+        path: (findPath(lock, pkg.id) || [pkg.id]).map(id => nodeLabel(lock, id)),
+      };
+    }));
+    const incompatible = filterIgnored(ws, "engines", found.filter(Boolean), finding => finding.package, opts)
+      .sort((a, b) => Number(b.direct) - Number(a.direct) || a.package.localeCompare(b.package));
+
+    const suggestions = await updateSuggestions({ ...opts, json: true, project, scope: ws, write: false, changelog: false });
+    const updates = suggestions
+      .filter(update => update.node && (update.node.raises || update.node.compatible === false))
+      .map(update => ({
+        package: update.name,
+        current: update.current,
+        target: update.target,
+        type: update.type,
+        from: update.node.from,
+        to: update.node.to,
+        compatible: update.node.compatible,
+      }));
+
+    if (opts.json) return { node, incompatible, updates };
+
+    console.log(chalk.bold(`Node ${node.range} (${node.source}); checking against ${node.minimum}`));
+    if (incompatible.length === 0) {
+      console.log(chalk.green(`Every installed package supports Node ${node.minimum}! 🎉`));
+    } else {
+      const table = new Table({
+        head: [chalk.cyan("Package"), chalk.cyan("engines.node"), chalk.cyan("Path")],
+        style: { head: [], border: [] },
+      });
+      incompatible.forEach(finding => {
+        const color = finding.direct ? chalk.red : chalk.yellow;
+        table.push([
+          color(`${finding.package}@${finding.version}`) + (finding.dev ? chalk.gray(" (dev)") : ""),
+          finding.engines,
+          finding.path.join(" > "),
+        ]);
+      });
+      console.log(table.toString());
+    }
+
+    if (updates.length > 0) {
+      const table = new Table({
+        head: [chalk.cyan("Update"), chalk.cyan("Type"), chalk.cyan("engines.node")],
+        style: { head: [], border: [] },
+      });
+      updates.forEach(update => {
+        const color = update.compatible === false ? chalk.red : chalk.yellow;
+        table.push([
+          `${update.package} ${update.current} → ${update.target}`,
+          update.type,
+          color(`${update.from || "any"} → ${update.to}`),
+        ]);
+      });
+      console.log(chalk.bold("\nUpdates raising the minimum Node version"));
+      console.log(table.toString());
+    }
+
+    const blocked = updates.filter(update => update.compatible === false).length;
+    console.log(chalk.cyan(`\nSummary: ${incompatible.length} incompatible installed, ${updates.length} update(s) raising the minimum Node version (${blocked} beyond ${node.minimum})`));
+    return { node, incompatible, updates };
+  });
+
+  reportUncached([...new Set(uncached)]);
+  return result;
+};
+
+// Registry hosts from lockfileLint.allowedHosts plus every registry the
+// project's .npmrc (or --registry) points at
+const allowedRegistryHosts = (project) => {
+  const configured = Object.entries(project.registry.config || {})
+    .filter(([key]) => key === "registry" || key.endsWith(":registry"))
+    .flatMap(([, url]) => {
+      try {
+        const { host, hostname } = new URL(url);
+        return [host, hostname];
+      } catch {
+        return [];
+      }
+    });
+  return [...new Set([...project.config.lockfileLint.allowedHosts, ...configured])];
+};
+
+// npm (v2+) and pnpm lockfiles record each importer's own dependencies; the
+// graph rebuilds Yarn importers from package.json, and npm v1 hoists all
+const lockfileRecordsImporters = (lock) =>
+  lock.manager === "pnpm" || (lock.manager === "npm" && lock.lockfileVersion >= 2);
+
+const LOCKFILE_ISSUE_ORDER = ["HIGH", "MEDIUM", "LOW"];
+
+// Lockfile entries that weren't resolved from an allowed registry over https
+// with an integrity checksum (git, file and tarball URL sources included),
+// and direct dependencies missing from or left over in the lockfile
+const lockfileLint = async (opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  const { manager } = project;
+  if (!(await fileExists(path.join(project.rootDir, LOCKFILES[manager])))) {
+    throw new Error(`Missing ${LOCKFILES[manager]}`);
+  }
+  const allowedHosts = allowedRegistryHosts(project);
+  const workspaceNames = project.workspaces.map(ws => ws.name).filter(Boolean);
+
+  return runPerWorkspace({ ...opts, project }, async (ws) => {
+    const lock = project.isMonorepo ? subgraph(project.lock, ws.importerId) : project.lock;
+    const install = workspaceCommand(project, ws, INSTALL_COMMANDS[manager]);
+    let issues = [];
+
+    const nodes = [...new Map(Object.values(lock.packages)
+      .filter(node => node.name)
+      .map(node => [`${node.name}@${node.version} ${node.resolved}`, node])).values()];
+    nodes.forEach(node => {
+      lintPackage(node, { allowedHosts }).forEach(issue => {
+        issues.push({
+          ...issue,
+          package: node.name,
+          version: node.version,
+          path: (findPath(lock, node.id) || [node.id]).map(id => nodeLabel(lock, id)),
+        });
+      });
+    });
+
+    const sync = lockfileSync(ws.manifest, project.lock.importers[ws.importerId], {
+      recordsImporters: lockfileRecordsImporters(project.lock),
+      workspaceNames,
+    });
+    sync.forEach(({ type, name, depType }) => {
+      issues.push(type === "MISSING_FROM_LOCKFILE"
+        ? {
+          type,
+          severity: "HIGH",
+          message: `${name} in ${depType} is missing from ${LOCKFILES[manager]}; frozen installs fail.`,
+          fix: install,
+          package: name,
+        }
+        : {
+          type,
+          severity: "MEDIUM",
+          message: `${LOCKFILES[manager]} still lists ${name} in ${depType}, but package.json no longer declares it.`,
+          fix: install,
+          package: name,
+        });
+    });
+
+    issues = filterIgnored(ws, "lockfile-lint", issues, issue => issue.package, opts)
+      .sort((a, b) => LOCKFILE_ISSUE_ORDER.indexOf(a.severity) - LOCKFILE_ISSUE_ORDER.indexOf(b.severity) ||
+        a.package.localeCompare(b.package) || a.type.localeCompare(b.type));
+
+    if (opts.json) return issues;
+
+    if (issues.length === 0) {
+      console.log(chalk.green(`${LOCKFILES[manager]} looks clean! 🔒`));
+      return issues;
+    }
+
+    const table = new Table({
+      head: [chalk.cyan("Issue"), chalk.cyan("Severity"), chalk.cyan("Package"), chalk.cyan("Message"), chalk.cyan("Fix")],
+      style: { head: [], border: [] },
+    });
+    issues.forEach(issue => {
+      const color = issue.severity === "HIGH" ? chalk.red : issue.severity === "MEDIUM" ? chalk.yellow : chalk.gray;
+      table.push([
+        color(issue.type),
+        color(issue.severity),
+        issue.version ? `${issue.package}@${issue.version}` : issue.package,
+        issue.message,
+        chalk.cyan(issue.fix),
+      ]);
+    });
+    console.log(table.toString());
+
+    const counts = LOCKFILE_ISSUE_ORDER.map(severity => `${issues.filter(issue => issue.severity === severity).length} ${severity}`);
+    console.log(chalk.cyan(`\nSummary: ${issues.length} issue(s) (${counts.join(", ")})`));
+    return issues;
+  });
+};
+
+// Every dependency path from each workspace to a package ("name" or
+// "name@range"), with the range requested at each hop
+const why = async (target, opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  const { name, range } = parseDescriptor(target);
+  const instances = findPackages(project.lock, name);
+  if (instances.length === 0) throw new Error(`${name} is not in the lockfile`);
+
+  const matching = instances
+    .filter(node => !range || node.version === range || semver.satisfies(node.version, range, { includePrerelease: true }))
+    .sort((a, b) => (semver.valid(a.version) && semver.valid(b.version)
+      ? semver.compare(a.version, b.version)
+      : String(a.version).localeCompare(String(b.version))) || a.id.localeCompare(b.id));
+  if (matching.length === 0) {
+    const versions = [...new Set(instances.map(node => node.version))].join(", ");
+    throw new Error(`No installed version of ${name} matches ${range} (installed: ${versions})`);
+  }
+
+  return runPerWorkspace({ ...opts, project }, async (ws) => {
+    const results = matching.map(node => {
+      const { paths, truncated } = findPaths(project.lock, ws.importerId, node.id, { limit: opts.limit });
+      return {
+        name: node.name,
+        version: node.version,
+        dev: node.dev,
+        paths: paths.map(chain => chain.map(edge => ({
+          name: edge.name,
+          version: getNode(project.lock, edge.to)?.version ?? null,
+          spec: edge.spec,
+          type: edge.type,
+        }))),
+        truncated,
+      };
+    }).filter(result => result.paths.length > 0);
+
+    if (opts.json) return results;
+
+    if (results.length === 0) {
+      console.log(chalk.gray(`${ws.name} does not depend on ${target}`));
+      return [];
+    }
+
+    results.forEach(result => {
+      const count = `${result.paths.length}${result.truncated ? "+" : ""} path${result.paths.length === 1 ? "" : "s"}`;
+      console.log(chalk.bold(`\n${result.name}@${result.version}`) + chalk.gray(` (${count}${result.dev ? ", dev only" : ""})`));
+      result.paths.forEach(hops => {
+        const chain = hops.map(hop => {
+          const label = hop.version ? `${hop.name}@${hop.version}` : hop.name;
+          const type = hop.type === "prod" ? "" : ` ${hop.type}`;
+          return `${label} ${chalk.gray(`(${hop.spec}${type})`)}`;
+        });
+        console.log(`  ${[ws.name, ...chain].join(" > ")}`);
+      });
+      if (result.truncated) {
+        console.log(chalk.gray(`  ... more paths not shown (raise --limit to see them)`));
+      }
+    });
+    return results;
+  });
+};
+
+// Packages resolved at more than one version, whether one version could
+// satisfy every dependent, and how to collapse them
+const duplicates = async (opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  const uncached = [];
+
+  // Packuments give published versions, unpacked sizes and, for pnpm, the
+  // ranges behind the exact versions in the lockfile
+  const packuments = new Map();
+  const packument = (name) => {
+    if (!packuments.has(name)) {
+      packuments.set(name, sanitizePackageName(name)
+        ? project.registry.packument(name).catch(err => {
+          if (err.code === "ENOTCACHED") uncached.push(name);
+          else console.warn(chalk.yellow(`Could not fetch ${name}: ${err.message}`));
+          return null;
+        })
+        : Promise.resolve(null));
+    }
+    return packuments.get(name);
+  };
+
+  const result = await runPerWorkspace({ ...opts, project }, async (ws) => {
+    const lock = project.isMonorepo ? subgraph(project.lock, ws.importerId) : project.lock;
+    let found = findDuplicates(lock);
+
+    if (project.manager === "pnpm" && found.length > 0) {
+      const parents = new Map();
+      found.forEach(duplicate => duplicate.versions.forEach(entry => entry.dependents.forEach(dependent => {
+        if (dependent.version) parents.set(`${dependent.name}@${dependent.version}`, dependent);
+      })));
+      const manifests = new Map();
+      await mapLimit([...parents.entries()], 16, async ([key, { name, version }]) => {
+        const versions = (await packument(name))?.versions;
+        if (versions?.[version]) manifests.set(key, versions[version]);
+      });
+      found = findDuplicates(lock, {
+        specOf: (parent, edge) => {
+          const manifest = lock.packages[parent.id] && manifests.get(`${parent.name}@${parent.version}`);
+          const field = { prod: "dependencies", optional: "optionalDependencies", peer: "peerDependencies", dev: "devDependencies" }[edge.type];
+          return manifest?.[field]?.[edge.name] ?? edge.spec;
+        },
+      });
+    }
+
+    const entries = await mapLimit(filterIgnored(ws, "duplicates", found, duplicate => duplicate.name, opts), 16, async (duplicate) => {
+      const published = (await packument(duplicate.name))?.versions || {};
+      const installed = duplicate.versions.map(entry => entry.version);
+      const target = dedupeTarget(duplicate) || dedupeTarget(duplicate, Object.keys(published));
+      const saving = estimateSaving(duplicate, target, version => published[version]?.dist?.unpackedSize ?? null);
+      return { ...duplicate, target, targetInstalled: installed.includes(target), saving };
+    });
+
+    const fix = dedupeFix(project.manager, Object.fromEntries(entries.map(entry => [entry.name, entry.target])));
+    if (opts.json) return { duplicates: entries, fix };
+
+    if (entries.length === 0) {
+      console.log(chalk.green("No duplicate versions found! 🎉"));
+      return { duplicates: entries, fix };
+    }
+
+    const table = new Table({
+      head: [chalk.cyan("Package"), chalk.cyan("Version"), chalk.cyan("Required by"), chalk.cyan("Single version"), chalk.cyan("Est. saving")],
+      style: { head: [], border: [] },
+    });
+    entries.forEach(entry => {
+      const requiredBy = entry.versions.map(({ version, dependents }) => {
+        const names = dependents.slice(0, 3).map(d => `${d.version ? `${d.name}@${d.version}` : d.name} (${d.spec})`);
+        const more = dependents.length > 3 ? chalk.gray(` +${dependents.length - 3} more`) : "";
+        return `${names.join(", ")}${more}`;
+      });
+      const target = entry.target
+        ? chalk.green(entry.target + (entry.targetInstalled ? "" : " (not installed)"))
+        : chalk.red(entry.unsupported.length > 0 ? `no (${entry.unsupported.join(", ")})` : "no, ranges conflict");
+      const saving = entry.saving
+        ? `${entry.saving.copies} cop${entry.saving.copies === 1 ? "y" : "ies"}${entry.saving.bytes != null ? `, ${formatBytes(entry.saving.bytes)}` : ""}`
+        : "-";
+      table.push([
+        entry.name,
+        entry.versions.map(({ version, instances }) => (instances > 1 ? `${version} ×${instances}` : version)).join("\n"),
+        requiredBy.join("\n"),
+        target,
+        saving,
+      ]);
+    });
+    console.log(table.toString());
+
+    const dedupable = entries.filter(entry => entry.target);
+    const bytes = dedupable.reduce((sum, entry) => sum + (entry.saving.bytes || 0), 0);
+    console.log(chalk.cyan(`\nSummary: ${entries.length} duplicated packages, ${dedupable.length} can use a single version${bytes > 0 ? ` (~${formatBytes(bytes)} saved)` : ""}`));
+    if (fix) {
+      console.log(chalk.yellow("\nSuggested fix:"));
+      if (fix.manifest) console.log(`  Add to ${ws.isRoot ? "" : "the root "}package.json:\n${JSON.stringify(fix.manifest, null, 2).replace(/^/gm, "    ")}`);
+      console.log(`  Then run: ${fix.command}`);
+    }
+    return { duplicates: entries, fix };
+  });
+
+  reportUncached([...new Set(uncached)]);
+  return result;
+};
+
+// Lockfile graph from a file path or a git ref (read with `git show`,
+// together with the package.json files at that ref for yarn v1)
+const readLockfileAt = async (project, target) => {
+  const file = path.resolve(target);
+  if ((await fileExists(file)) && (await fs.stat(file)).isFile()) {
+    const manager = managerForFile(file) || project.manager;
+    const manifests = Object.fromEntries(project.workspaces.map(ws => [ws.path, ws.manifest || {}]));
+    return { label: target, graph: parseLockfileContent(manager, await fs.readFile(file, "utf8"), manifests) };
+  }
+
+  const gitShow = async (ref, file) => {
+    const { stdout } = await execFileAsync("git", ["show", `${ref}:./${file}`], { cwd: project.rootDir, maxBuffer: 512 * 1024 * 1024 });
+    return stdout;
+  };
+
+  const lockfile = LOCKFILES[project.manager];
+  let content;
+  try {
+    content = await gitShow(target, lockfile);
+  } catch (err) {
+    const detail = String(err.stderr || err.message).trim().split("\n")[0];
+    // A ref from before the lockfile was committed: everything is new
+    if (!/exists on disk, but not in|does not exist in/.test(detail)) {
+      throw new Error(`Could not read ${lockfile} at "${target}" (not a file or git ref): ${detail}`);
+    }
+    console.warn(chalk.yellow(`${lockfile} does not exist at "${target}"; comparing against an empty lockfile`));
+    return { label: target, graph: createGraph(project.manager) };
+  }
+
+  const manifests = {};
+  for (const ws of project.workspaces) {
+    const manifestPath = ws.path ? `${ws.path}/package.json` : "package.json";
+    manifests[ws.path] = safeJsonParse(await gitShow(target, manifestPath).catch(() => ""), ws.manifest || {});
+  }
+  return { label: target, graph: parseLockfileContent(project.manager, content, manifests) };
+};
+
+// Lockfile changes between a base (git ref or file) and a head (git ref,
+// file, or the working tree), with introduced vulnerabilities and the
+// health of newly added packages
+const diff = async (baseTarget, headTarget, opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  const base = await readLockfileAt(project, baseTarget);
+  const head = headTarget
+    ? await readLockfileAt(project, headTarget)
+    : { label: "working tree", graph: project.lock };
+
+  // --workspace narrows both sides to what one workspace depends on
+  const only = project.isMonorepo && project.selected.length === 1 ? project.selected[0] : null;
+  const scoped = (graph) => (only ? subgraph(graph, only.importerId) : graph);
+  const result = {
+    base: { label: base.label },
+    head: { label: head.label },
+    ...diffGraphs(scoped(base.graph), scoped(head.graph)),
+    vulnerabilities: null,
+    risky: [],
+  };
+
+  const advisories = await loadAdvisoryIndex(project, opts);
+  if (advisories) {
+    const keyOf = (finding) => `${finding.id} ${finding.package}@${finding.version}`;
+    const strip = ({ nodeId, ...finding }) => finding;
+    const before = scanGraph(scoped(base.graph), advisories);
+    const after = scanGraph(scoped(head.graph), advisories);
+    const beforeKeys = new Set(before.map(keyOf));
+    const afterKeys = new Set(after.map(keyOf));
+    result.vulnerabilities = {
+      introduced: after.filter(finding => !beforeKeys.has(keyOf(finding))).map(strip),
+      resolved: before.filter(finding => !afterKeys.has(keyOf(finding))).map(strip),
+    };
+  }
+
+  // Health of packages that weren't in the base lockfile at all
+  const uncached = [];
+  const baseNames = new Set(Object.values(base.graph.packages).map(node => node.name));
+  const added = result.changes.filter(change => change.type === "added" && !baseNames.has(change.name));
+  const { risk: riskConfig, supplyChain: supplyChainConfig } = (only || project.workspaces[0]).config;
+  const assessed = await mapLimit(added, 8, async (change) => {
+    if (!sanitizePackageName(change.name)) return null;
+    try {
+      const settled = await Promise.allSettled([
+        project.registry.packumentEntry(change.name),
+        project.registry.downloadsEntry(change.name),
+      ]);
+      if (settled[0].status === "rejected") throw settled[0].reason;
+      const [packument, downloads] = settled.map(r => (r.status === "fulfilled" ? r.value.data : {}));
+      const vulnerable = (result.vulnerabilities?.introduced || []).filter(v => v.package === change.name);
+      const deprecated = Boolean(deprecationOf(packument, change.to));
+      const signals = supplyChainSignals({ name: change.name, version: change.to, packument, downloads }, supplyChainConfig);
+      const { score, level, reasons } = scoreHealth({
+        packument,
+        downloads,
+        hasVuln: vulnerable.length > 0,
+        deprecated,
+        supplyChain: signals.map(signal => signal.message),
+      }, riskConfig);
+      if (vulnerable.length > 0) reasons.push(`Known vulnerabilities (${vulnerable.map(v => v.id).join(", ")})`);
+      return { name: change.name, version: change.to, direct: change.direct, level, score, reason: reasons.join(", ") };
+    } catch (err) {
+      if (err.code === "ENOTCACHED") uncached.push(change.name);
+      else console.warn(chalk.yellow(`Skipping risk check for ${change.name}: ${err.message}`));
+      return null;
+    }
+  });
+  result.risky = assessed.filter(entry => entry && entry.level !== "LOW");
+  reportUncached(uncached);
+
+  if (opts.json || opts.format === "markdown") return result;
+
+  console.log(chalk.bold(`Lockfile changes: ${base.label} → ${head.label}`));
+  if (result.changes.length === 0) {
+    console.log(chalk.green("No dependency changes."));
+    return result;
+  }
+
+  const colors = { added: chalk.green, removed: chalk.red, upgraded: chalk.cyan, downgraded: chalk.yellow };
+  const table = new Table({
+    head: [chalk.cyan("Change"), chalk.cyan("Package"), chalk.cyan("From"), chalk.cyan("To"), chalk.cyan("Bump"), chalk.cyan("Kind")],
+    style: { head: [], border: [] },
+  });
+  result.changes.forEach(change => {
+    table.push([
+      colors[change.type](change.type),
+      `${change.name}${change.dev ? chalk.gray(" (dev)") : ""}`,
+      change.from || "",
+      change.to || "",
+      change.bump === "major" ? chalk.red(change.bump) : change.bump || "",
+      change.direct ? "direct" : chalk.gray("transitive"),
+    ]);
+  });
+  console.log(table.toString());
+
+  if (result.vulnerabilities?.introduced.length > 0) {
+    console.log(chalk.red("\nNew vulnerabilities:"));
+    result.vulnerabilities.introduced.forEach(v => {
+      console.log(`  ${v.package}@${v.version} ${v.id} (${v.severity})${v.fixed ? `, fixed in ${v.fixed}` : ""}`);
+    });
+  }
+  if (result.vulnerabilities?.resolved.length > 0) {
+    console.log(chalk.green(`\nResolved: ${result.vulnerabilities.resolved.map(v => `${v.id} (${v.package})`).join(", ")}`));
+  }
+  if (result.risky.length > 0) {
+    console.log(chalk.yellow("\nRisky new packages:"));
+    result.risky.forEach(r => console.log(`  ${r.name}@${r.version} ${r.level} (${r.score}): ${r.reason}`));
+  }
+
+  const { direct, transitive } = result.summary;
+  const total = (counts) => Object.values(counts).reduce((sum, n) => sum + n, 0);
+  console.log(chalk.cyan(`\nSummary: ${total(direct)} direct, ${total(transitive)} transitive changes (${describeChanges(result.summary)})`));
+  return result;
+};
+
+// Installed package.json of a lockfile package, if that exact version is
+// on disk (npm's nested path, a hoisted copy or pnpm's virtual store)
+const readInstalledManifest = async (rootDir, node) => {
+  const candidates = [
+    node.path && path.join(rootDir, node.path, "package.json"),
+    path.join(rootDir, "node_modules", node.name, "package.json"),
+    path.join(rootDir, "node_modules", ".pnpm", `${node.name.replace("/", "+")}@${node.version}`, "node_modules", node.name, "package.json"),
+  ].filter(Boolean);
+
+  for (const file of candidates) {
+    if (!(await fileExists(file))) continue;
+    const manifest = safeJsonParse(await fs.readFile(file, "utf8"), null);
+    if (manifest?.version === node.version) return manifest;
+  }
+  return null;
+};
+
+// Raw license per package version: config override, then the lockfile,
+// installed package.json, registry. Registry misses while offline are
+// collected in `uncached`; each package version is looked up once.
+const createLicenseResolver = (project, uncached) => {
+  const { overrides } = project.config.licenses;
+
+  const resolveLicense = async (node) => {
+    const override = overrides[`${node.name}@${node.version}`] ?? overrides[node.name];
+    if (override) return { raw: override, source: "config" };
+    if (node.license) return { raw: licenseFromManifest(node), source: "lockfile" };
+
+    const installed = await readInstalledManifest(project.rootDir, node);
+    if (installed) return { raw: licenseFromManifest(installed), source: "node_modules" };
+    if (!sanitizePackageName(node.name) || !semver.valid(node.version)) return { raw: null, source: null };
+
+    try {
+      const { data } = await project.registry.manifestEntry(node.name, node.version);
+      return { raw: licenseFromManifest(data), source: "registry" };
+    } catch (err) {
+      if (err.code === "ENOTCACHED") uncached.push(node.name);
+      else console.warn(chalk.yellow(`Could not fetch license for ${node.name}@${node.version}: ${err.message}`));
+      return { raw: null, source: null };
+    }
+  };
+
+  const lookups = new Map();
+  return (node) => {
+    const key = `${node.name}@${node.version}`;
+    if (!lookups.has(key)) lookups.set(key, resolveLicense(node));
+    return lookups.get(key);
+  };
+};
+
+const STATUS_ORDER = ["denied", "unknown", "allowed"];
+
+// License of every resolved package, evaluated against the config policy
+const licenses = async (opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  const policy = project.config.licenses;
+  const uncached = [];
+  const lookup = createLicenseResolver(project, uncached);
+
+  const result = await runPerWorkspace({ ...opts, project }, async (ws) => {
+    const lock = project.isMonorepo ? subgraph(project.lock, ws.importerId) : project.lock;
+
+    // One entry per package version; it is dev-only if every instance is
+    const instances = new Map();
+    Object.values(lock.packages)
+      .filter(node => node.name && node.version && !(opts.production && node.dev))
+      .forEach(node => {
+        const key = `${node.name}@${node.version}`;
+        instances.set(key, { node, dev: (instances.get(key)?.dev ?? true) && node.dev });
+      });
+
+    const entries = await mapLimit([...instances.values()], 16, async ({ node, dev }) => {
+      const { raw, source } = await lookup(node);
+      const normalized = normalizeLicense(raw);
+      const { status, reason } = evaluateLicense(normalized, policy);
+      return {
+        name: node.name,
+        version: node.version,
+        license: normalized.expression,
+        raw: normalized.raw,
+        category: normalized.category,
+        status,
+        reason,
+        source,
+        dev,
+      };
+    });
+
+    const kept = filterIgnored(ws, "licenses", entries, entry => entry.name, opts)
+      .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || a.name.localeCompare(b.name));
+    const production = kept.filter(entry => !entry.dev);
+    const development = kept.filter(entry => entry.dev);
+
+    if (opts.json) return { production, development };
+
+    [["Production", production], ["Development", development]].forEach(([group, list]) => {
+      if (list.length === 0) return;
+      const counts = {};
+      list.forEach(entry => {
+        const label = entry.license || "UNKNOWN";
+        counts[label] = counts[label] || { category: entry.category, count: 0 };
+        counts[label].count++;
+      });
+
+      const table = new Table({
+        head: [chalk.cyan(`${group} license`), chalk.cyan("Category"), chalk.cyan("Packages")],
+        style: { head: [], border: [] },
+      });
+      Object.entries(counts)
+        .sort(([, a], [, b]) => b.count - a.count)
+        .forEach(([license, { category, count }]) => table.push([license, category, count]));
+      console.log(table.toString());
+    });
+
+    // Legal review wants copyleft and unknown licenses, not just policy failures
+    const review = kept.filter(entry => entry.status !== "allowed" || entry.category !== "permissive");
+    if (review.length > 0) {
+      const table = new Table({
+        head: [chalk.cyan("Package"), chalk.cyan("License"), chalk.cyan("Category"), chalk.cyan("Status"), chalk.cyan("Reason")],
+        style: { head: [], border: [] },
+      });
+      review.forEach(entry => {
+        const color = entry.status === "denied" ? chalk.red : entry.status === "unknown" ? chalk.yellow : chalk.gray;
+        table.push([
+          `${entry.name}@${entry.version}${entry.dev ? chalk.gray(" (dev)") : ""}`,
+          entry.license || entry.raw || "-",
+          entry.category,
+          color(entry.status),
+          entry.reason || "",
+        ]);
+      });
+      console.log(chalk.yellow("\nPackages needing review:"));
+      console.log(table.toString());
+    }
+
+    const denied = kept.filter(entry => entry.status === "denied").length;
+    const unknown = kept.filter(entry => entry.status === "unknown").length;
+    console.log(chalk.cyan(`\nSummary: ${production.length} production, ${development.length} dev packages; ${denied} denied, ${unknown} unknown`));
+    return { production, development };
+  });
+
+  reportUncached([...new Set(uncached)]);
+  return result;
+};
+
+// CycloneDX or SPDX document for the whole project, or for one workspace
+// when --workspace narrows the selection
+const sbom = async (opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  // Without a lockfile there is nothing resolved to list
+  if (!(await fileExists(path.join(project.rootDir, LOCKFILES[project.manager])))) {
+    throw new Error(`Missing ${LOCKFILES[project.manager]}; install dependencies before generating an SBOM`);
+  }
+  const uncached = [];
+  const lookup = createLicenseResolver(project, uncached);
+  const only = project.isMonorepo && project.selected.length === 1 ? project.selected[0] : null;
+
+  let graph = project.lock;
+  if (only) {
+    graph = subgraph(project.lock, only.importerId);
+    // Keep linked workspaces the selected one depends on
+    Object.values(graph.packages).concat(Object.values(graph.importers)).forEach(node => {
+      node.edges.forEach(edge => {
+        if (project.lock.importers[edge.to]) graph.importers[edge.to] = project.lock.importers[edge.to];
+      });
+    });
+  }
+
+  // Importers carry manifest names and versions for pnpm and yarn too
+  const byImporter = new Map(project.workspaces.map(ws => [ws.importerId, ws.manifest || {}]));
+  graph = {
+    ...graph,
+    importers: Object.fromEntries(Object.entries(graph.importers).map(([id, importer]) => [id, {
+      ...importer,
+      name: importer.name || byImporter.get(id)?.name || null,
+      version: importer.version || byImporter.get(id)?.version || null,
+    }])),
+  };
+
+  const rootId = only ? only.importerId : rootImporterId(project.lock) ?? "";
+  const manifest = byImporter.get(rootId) || {};
+  const licensesByKey = new Map();
+  await mapLimit(Object.values(graph.packages).filter(node => node.name && node.version), 16, async (node) => {
+    const { raw } = await lookup(node);
+    licensesByKey.set(`${node.name}@${node.version}`, raw ? normalizeLicense(raw) : null);
+  });
+  reportUncached([...new Set(uncached)]);
+
+  const rootLicense = licenseFromManifest(manifest);
+  return createSbom(opts.format || "cyclonedx", {
+    graph,
+    rootId,
+    root: {
+      name: manifest.name || path.basename(only ? only.dir : project.rootDir),
+      version: manifest.version || null,
+      license: rootLicense ? normalizeLicense(rootLicense) : null,
+    },
+    licenseOf: (node) => licensesByKey.get(`${node.name}@${node.version}`) ?? null,
+    production: Boolean(opts.production),
+    version: VERSION,
+  });
+};
+
+// Enhanced Dependabot explanation
+const explainDependabot = async (opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  const { manager } = project;
+  if (!(await fileExists(path.resolve(project.rootDir, LOCKFILES[manager])))) {
+    throw new Error(`Missing package.json or ${LOCKFILES[manager]}`);
+  }
+
+  const installCmd = {
+    npm: "npm install",
+    yarn: "yarn add",
+    pnpm: "pnpm add"
+  }[manager];
+
+  // --simulate versions are resolved once for every workspace
+  const bumps = opts.simulate?.length > 0 ? await resolveBumps(project, opts.simulate) : null;
+
+  const uncached = [];
+  const lookupDeprecation = createDeprecationLookup(project, uncached);
+  const lock = recordsPeers(project.lock) ? project.lock : await registryPeers(project, uncached);
+
+  // .github/dependabot.yml decides which outdated dependencies get a PR;
+  // problems with the file itself are reported once, with the root
+  const dependabot = await loadDependabotConfig(project.rootDir);
+  const configIssues = dependabot ? await checkDependabotConfig(project, dependabot) : [];
+
+  const result = await runPerWorkspace({ ...opts, project }, async (ws) => {
+    const pkg = ws.manifest || {};
+    const graph = project.isMonorepo ? subgraph(lock, ws.importerId) : lock;
+    let issues = [];
+
+    // Version mismatch detection
+    ["dependencies", "devDependencies", "optionalDependencies", "peerDependencies"].forEach(depType => {
+      Object.entries(pkg[depType] || {}).forEach(([dep, reqRange]) => {
+        const lockedVersion = resolveDirect(lock, dep, ws.importerId)?.version;
+        if (lockedVersion && !semver.satisfies(lockedVersion, reqRange)) {
+          issues.push({
+            type: "VERSION_MISMATCH",
+            package: dep,
+            message: `${dep} in ${depType} requires ${reqRange}, but locked at ${lockedVersion}.`,
+            fix: workspaceCommand(project, ws, `${installCmd} ${dep}@${reqRange}`),
+            severity: "HIGH",
+          });
+        }
+      });
+    });
+
+    // pnpm records the specifier each importer was resolved for; installs with
+    // --frozen-lockfile fail when package.json no longer matches it
+    if (manager === "pnpm") {
+      const [importer] = listImporterDependencies(lock).filter(i => i.path === ws.importerId);
+      ["dependencies", "devDependencies", "optionalDependencies"].forEach(depType => {
+        Object.entries(pkg[depType] || {}).forEach(([dep, reqRange]) => {
+          const locked = importer?.dependencies.find(d => d.name === dep);
+          if (locked && locked.spec === reqRange) return;
+
+          issues.push({
+            type: "LOCKFILE_OUTDATED",
+            package: dep,
+            message: locked
+              ? `${dep} in ${depType} is ${reqRange}, but pnpm-lock.yaml was resolved for ${locked.spec}.`
+              : `${dep} in ${depType} is missing from pnpm-lock.yaml.`,
+            fix: "pnpm install --no-frozen-lockfile",
+            severity: "HIGH",
+          });
+        });
+      });
+    }
+
+    // Peer ranges of every resolved package against what is installed;
+    // npm refuses such installs (ERESOLVE) unless --legacy-peer-deps is set
+    findPeerConflicts(graph).forEach(conflict => {
+      issues.push({
+        type: "PEER_CONFLICT",
+        package: conflict.package,
+        message: describePeerConflict(conflict),
+        fix: conflict.installed
+          ? `Upgrade ${conflict.requiredBy} to a version accepting ${conflict.package}@${conflict.installed}, or ${workspaceCommand(project, ws, `${installCmd} ${conflict.package}@${shellSpec(conflict.range)}`)}`
+          : workspaceCommand(project, ws, `${installCmd} ${conflict.package}@${shellSpec(conflict.range)}`),
+        severity: conflict.installed ? "HIGH" : "MEDIUM",
+        requiredBy: `${conflict.requiredBy}@${conflict.requiredByVersion}`,
+        range: conflict.range,
+        installed: conflict.installed,
+      });
+    });
+
+    // Dependabot keeps proposing bumps within a deprecated package's range;
+    // the fix is usually a different package
+    const direct = ["dependencies", "devDependencies", "optionalDependencies"]
+      .flatMap(depType => Object.keys(pkg[depType] || {}).map(dep => [dep, depType]))
+      .filter(([dep]) => sanitizePackageName(dep));
+    const deprecations = await Promise.all(direct.map(async ([dep, depType]) => {
+      const version = resolveDirect(lock, dep, ws.importerId)?.version;
+      const deprecation = semver.valid(version) ? await lookupDeprecation(dep, version) : null;
+      if (!deprecation) return null;
+      return {
+        type: "DEPRECATED_PACKAGE",
+        package: dep,
+        message: `${dep}@${version} in ${depType} is deprecated: ${deprecation.message}`,
+        fix: deprecationAdvice(project, dep, version, deprecation) || `Remove ${dep} or find a maintained alternative`,
+        severity: "MEDIUM",
+      };
+    }));
+    issues.push(...deprecations.filter(Boolean));
+
+    let updates = null;
+    if (dependabot) {
+      if (ws.isRoot) issues.push(...configIssues);
+      const explained = await explainDependabotUpdates(project, ws, dependabot, uncached);
+      issues.push(...explained.issues);
+      updates = explained.updates && filterIgnored(ws, "dependabot", explained.updates, update => update.package, { json: true });
+    }
+
+    issues = filterIgnored(ws, "dependabot", issues, issue => issue.package, opts);
+    const simulation = bumps ? simulatePeers(graph, bumps) : null;
+    const output = { issues, ...(updates && { updates }), ...(simulation && { simulation }) };
+
+    if (opts.json) return output;
+
+    if (issues.length === 0) {
+      console.log(chalk.green("No obvious Dependabot issues found! 🚀"));
+      if (updates) printDependabotUpdates(updates);
+      if (simulation) printSimulation(simulation);
+      return output;
+    }
+
+    const table = new Table({
+      head: [
+        chalk.cyan("Issue"),
+        chalk.cyan("Severity"),
+        chalk.cyan("Message"),
+        chalk.cyan("Fix"),
+      ],
+      style: { head: [], border: [] },
+    });
+
+    issues.forEach(issue => {
+      const color = issue.severity === "HIGH" ? chalk.red : chalk.yellow;
+      table.push([
+        color(issue.type),
+        color(issue.severity),
+        issue.message,
+        chalk.cyan(issue.fix),
+      ]);
+    });
+
+    console.log(table.toString());
+
+    const highIssues = issues.filter(i => i.severity === "HIGH").length;
+    console.log(chalk.cyan(`\n${highIssues} HIGH severity issues.`));
+
+    if (updates) printDependabotUpdates(updates);
+    if (simulation) printSimulation(simulation);
+    return output;
+  });
+
+  reportUncached([...new Set(uncached)]);
+  return result;
+};
+
+// The lockfile graph with peerDependencies from the registry manifest of
+// every installed version, for lockfiles that don't record them
+const registryPeers = async (project, uncached) => {
+  const lookup = createPackumentLookup(project, uncached);
+  const manifests = new Map();
+  const installed = new Map(Object.values(project.lock.packages)
+    .filter(node => node.name && semver.valid(node.version) && sanitizePackageName(node.name))
+    .map(node => [`${node.name}@${node.version}`, node]));
+  await mapLimit([...installed.entries()], 16, async ([key, node]) => {
+    const manifest = (await lookup(node.name))?.versions?.[node.version];
+    if (manifest) manifests.set(key, manifest);
+  });
+  return withPeers(project.lock, node => manifests.get(`${node.name}@${node.version}`) || null);
+};
+
+// Quotes ranges a shell would split or redirect: react@">=18 <20"
+const shellSpec = (range) => (/[\s<>|]/.test(range) ? `"${range}"` : range);
+
+const describePeerConflict = (conflict) => {
+  const requirer = `${conflict.requiredBy}@${conflict.requiredByVersion}`;
+  return conflict.installed
+    ? `${requirer} requires peer ${conflict.package}@${conflict.range}, but ${conflict.installed} is installed.`
+    : `${requirer} requires peer ${conflict.package}@${conflict.range}, which is not installed.`;
+};
+
+// "react@19" -> { react: { version, peerDependencies, peerDependenciesMeta } }
+// with the highest published version matching each descriptor (or its
+// dist-tag), read from the registry
+const resolveBumps = async (project, descriptors) => {
+  const bumps = {};
+  for (const descriptor of descriptors) {
+    const { name, range } = parseDescriptor(descriptor);
+    const packument = await project.registry.packument(name);
+    const published = Object.keys(packument.versions || {});
+    const wanted = range || "latest";
+    const version = packument["dist-tags"]?.[wanted] ||
+      (published.includes(wanted) ? wanted : semver.maxSatisfying(published, wanted));
+    if (!version) throw new Error(`No published version of ${name} matches ${wanted}`);
+
+    const manifest = packument.versions[version] || {};
+    bumps[name] = {
+      version,
+      peerDependencies: manifest.peerDependencies || {},
+      peerDependenciesMeta: manifest.peerDependenciesMeta || {},
+    };
+  }
+  return bumps;
+};
+
+const printSimulation = (simulation) => {
+  const bumped = simulation.bumps
+    .map(bump => `${bump.name} ${bump.from.join(", ") || "(not installed)"} → ${bump.to}`)
+    .join(", ");
+  console.log(chalk.bold(`\nSimulating ${bumped}`));
+
+  if (simulation.introduced.length === 0) {
+    console.log(chalk.green("✓ No peer dependency would break"));
+  } else {
+    const table = new Table({
+      head: [chalk.cyan("Required by"), chalk.cyan("Peer"), chalk.cyan("Range"), chalk.cyan("Would be")],
+      style: { head: [], border: [] },
+    });
+    simulation.introduced.forEach(conflict => {
+      table.push([
+        `${conflict.requiredBy}@${conflict.requiredByVersion}`,
+        conflict.package,
+        conflict.range,
+        chalk.red(conflict.installed || "missing"),
+      ]);
+    });
+    console.log(table.toString());
+    console.log(chalk.red(`${simulation.introduced.length} peer requirement(s) would break.`));
+  }
+  if (simulation.resolved.length > 0) {
+    console.log(chalk.green(`Resolves ${simulation.resolved.length} existing peer conflict(s).`));
+  }
+};
+
+// Dependabot directories are repository paths starting with "/"
+const repoDirectory = (dependabot, dir) =>
+  normalizeDirectory(path.relative(dependabot.repoRoot, dir).split(path.sep).join("/"));
+
+// Dependabot findings point at dependabot.yml, relative to the project root
+const dependabotIssue = (project, dependabot, issue) => ({
+  package: null,
+  ...issue,
+  file: path.relative(project.rootDir, dependabot.file).split(path.sep).join("/"),
+});
+
+// Problems with dependabot.yml as a whole: validation errors (GitHub runs no
+// updates at all while the file is invalid), npm entries pointing at
+// directories without a package.json, and a lockfile no entry covers
+const checkDependabotConfig = async (project, dependabot) => {
+  const file = path.relative(dependabot.repoRoot, dependabot.file).split(path.sep).join("/");
+  if (dependabot.errors.length > 0) {
+    return dependabot.errors.map(error => dependabotIssue(project, dependabot, {
+      type: "DEPENDABOT_CONFIG",
+      message: `${file}:${error.line}: ${error.path ? `${error.path}: ` : ""}${error.message}`,
+      fix: `Fix ${file}; Dependabot runs no updates while it is invalid`,
+      severity: "HIGH",
+      path: error.path || null,
+      line: error.line,
+    }));
+  }
+
+  const issues = [];
+  const rootDirectory = repoDirectory(dependabot, project.rootDir);
+  for (const [index, entry] of dependabot.config.updates.entries()) {
+    if (entry["package-ecosystem"] !== "npm") continue;
+    for (const dir of [].concat(entry.directories ?? entry.directory)) {
+      if (/[*?]/.test(dir)) continue;
+      if (await fileExists(path.join(dependabot.repoRoot, normalizeDirectory(dir), "package.json"))) continue;
+      issues.push(dependabotIssue(project, dependabot, {
+        type: "DEPENDABOT_CONFIG",
+        message: `updates[${index}] (npm) points at ${normalizeDirectory(dir)}, which has no package.json, so it updates nothing.`,
+        fix: `Set its directory to ${rootDirectory}`,
+        severity: "MEDIUM",
+        path: `updates[${index}].${entry.directories ? "directories" : "directory"}`,
+        line: dependabot.entryLines[index],
+      }));
+    }
+  }
+
+  if (entriesFor(dependabot.config, rootDirectory).length === 0) {
+    issues.push(dependabotIssue(project, dependabot, {
+      type: "DEPENDABOT_UNCOVERED",
+      message: `${LOCKFILES[project.manager]} in ${rootDirectory} is not covered by any npm entry in ${file}, so its dependencies get no version updates.`,
+      fix: `Add an updates entry with package-ecosystem: npm and directory: ${rootDirectory}`,
+      severity: "MEDIUM",
+      line: 1,
+    }));
+  }
+  return issues;
+};
+
+// Whether Dependabot would open a PR for each outdated direct dependency of a
+// workspace, per npm entry covering it (the workspace's own directory or the
+// root one, which updates every workspace), plus issues for lockfiles and
+// workspaces nothing covers and entries over their PR limit. `updates` is
+// null while the config is invalid.
+const explainDependabotUpdates = async (project, ws, dependabot, uncached) => {
+  const issues = [];
+  const rootDirectory = repoDirectory(dependabot, project.rootDir);
+  const wsDirectory = repoDirectory(dependabot, ws.dir);
+  if (!dependabot.config || dependabot.errors.length > 0) return { issues, updates: null };
+
+  const entries = [...entriesFor(dependabot.config, rootDirectory), ...entriesFor(dependabot.config, wsDirectory)]
+    .filter((match, i, all) => all.findIndex(other => other.index === match.index) === i);
+  const issue = (fields) => dependabotIssue(project, dependabot, { severity: "MEDIUM", line: 1, ...fields });
+
+  if (!ws.isRoot) {
+    if (entries.length === 0) {
+      issues.push(issue({
+        type: "DEPENDABOT_UNCOVERED",
+        message: `Workspace ${ws.name} (${wsDirectory}) is not covered by any npm updates entry.`,
+        fix: `Add an npm updates entry for ${rootDirectory} (it covers every workspace) or ${wsDirectory}`,
+      }));
+    }
+    for (const lockFile of Object.values(LOCKFILES)) {
+      if (!(await fileExists(path.join(ws.dir, lockFile)))) continue;
+      if (entriesFor(dependabot.config, wsDirectory).length > 0) continue;
+      issues.push(issue({
+        type: "DEPENDABOT_UNCOVERED",
+        message: `${lockFile} in ${wsDirectory} is not covered by any npm updates entry; entries for ${rootDirectory} don't update it.`,
+        fix: `Add an updates entry with package-ecosystem: npm and directory: ${wsDirectory}`,
+      }));
+    }
+  }
+
+  // Dependabot widens library ranges under "auto"; a package that could be
+  // published counts as one
+  const pkg = ws.manifest || {};
+  const library = !pkg.private && Boolean(pkg.name && pkg.version);
+  const workspaceNames = new Set(project.workspaces.map(other => other.manifest?.name).filter(Boolean));
+  const direct = ["dependencies", "devDependencies", "optionalDependencies"]
+    .flatMap(depType => Object.entries(pkg[depType] || {}).map(([name, declared]) => ({ name, declared, depType })))
+    .filter(dep => sanitizePackageName(dep.name) && !workspaceNames.has(dep.name));
+
+  const explained = await Promise.all(direct.map(async dep => {
+    const current = resolveDirect(project.lock, dep.name, ws.importerId)?.version;
+    if (!semver.valid(current)) return [];
+
+    let packument;
+    try {
+      ({ data: packument } = await project.registry.packumentEntry(dep.name));
+    } catch (err) {
+      if (err.code === "ENOTCACHED") uncached.push(dep.name);
+      else console.warn(chalk.yellow(`Skipping ${dep.name}: ${err.message}`));
+      return [];
+    }
+    const latest = packument["dist-tags"]?.latest || null;
+    const versions = Object.keys(packument.versions || {});
+    const row = { package: dep.name, current, latest };
+
+    if (entries.length === 0) {
+      const outdated = semver.valid(latest) && semver.gt(latest, current);
+      return outdated
+        ? [{ ...row, entry: null, directory: null, status: "uncovered", target: null, group: null, range: null, reason: `no npm updates entry covers ${wsDirectory}` }]
+        : [];
+    }
+    return entries.flatMap(({ entry, index }) => {
+      const explanation = explainUpdate(entry, { ...dep, current, versions, library });
+      if (!explanation) return [];
+      return [{ ...row, entry: index, directory: [].concat(entry.directories ?? entry.directory).join(", "), ...explanation }];
+    });
+  }));
+  const updates = explained.flat().sort((a, b) => a.package.localeCompare(b.package) || (a.entry ?? 0) - (b.entry ?? 0));
+
+  // Grouped updates share one PR per group
+  entries.forEach(({ entry, index }) => {
+    const limit = entry["open-pull-requests-limit"] ?? DEFAULT_PR_LIMIT;
+    const mine = updates.filter(update => update.entry === index);
+    const prs = mine.filter(update => update.status === "pr").length +
+      new Set(mine.filter(update => update.status === "grouped").map(update => update.group)).size;
+    if (limit === 0 || prs <= limit) return;
+    issues.push(issue({
+      type: "DEPENDABOT_PR_LIMIT",
+      message: `updates[${index}] would open ${prs} version update PRs for ${ws.name}, but open-pull-requests-limit is ${limit}; the rest wait until open ones are merged or closed.`,
+      fix: `Raise open-pull-requests-limit or add groups to updates[${index}]`,
+      severity: "LOW",
+      path: `updates[${index}].open-pull-requests-limit`,
+      line: dependabot.entryLines[index],
+    }));
+  });
+
+  return { issues, updates };
+};
+
+const DEPENDABOT_STATUS_COLORS = {
+  pr: chalk.green,
+  grouped: chalk.green,
+  uncovered: chalk.red,
+};
+
+const printDependabotUpdates = (updates) => {
+  if (updates.length === 0) {
+    console.log(chalk.green("\nDependabot has no version updates to open."));
+    return;
+  }
+  const table = new Table({
+    head: [chalk.cyan("Package"), chalk.cyan("Current"), chalk.cyan("Latest"), chalk.cyan("Dependabot")],
+    style: { head: [], border: [] },
+  });
+  updates.forEach(update => {
+    const color = DEPENDABOT_STATUS_COLORS[update.status] || chalk.yellow;
+    table.push([
+      update.package,
+      update.current,
+      update.latest || "",
+      `${color(update.status)}${update.directory ? chalk.gray(` (${update.directory})`) : ""}\n${update.reason}`,
+    ]);
+  });
+  console.log(chalk.bold("\nOutdated dependencies and Dependabot"));
+  console.log(table.toString());
+};
+
+const FIX_KINDS = ["unused", "sync", "updates"];
+
+const INSTALL_COMMANDS = {
+  npm: "npm install",
+  yarn: "yarn install",
+  pnpm: "pnpm install",
+};
+
+// Auto-fix: a fix plan per workspace (unused removals, ranges for version
+// mismatches and, only when asked for, updates), applied unless it's a dry
+// run. `changes` are package.json range edits.
+const autoFix = async (opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  const { manager } = project;
+  const only = opts.only?.length > 0 ? opts.only : ["unused", "sync"];
+
+  const plan = await runPerWorkspace({ ...opts, project }, async (ws) => {
+    const fixes = [];
+    const pkg = ws.manifest || {};
+    const declared = { ...pkg.optionalDependencies, ...pkg.devDependencies, ...pkg.dependencies };
+
+    if (only.includes("unused")) {
+      try {
+        const unusedDeps = await unused({ json: true, project, scope: ws });
+        if (unusedDeps.length > 0) {
+          const removeCmd = {
+            npm: "npm uninstall",
+            yarn: "yarn remove",
+            pnpm: "pnpm remove"
+          }[manager];
+
+          fixes.push({
+            type: "UNUSED_DEPS",
+            description: `Remove ${unusedDeps.length} unused dependencies`,
+            command: unusedDeps.map(dep => workspaceCommand(project, ws, `${removeCmd} ${dep}`)).join(" && "),
+            packages: unusedDeps,
+            changes: [],
+          });
+        }
+      } catch (err) {
+        console.warn(chalk.yellow(`Could not check unused deps: ${err.message}`));
+      }
+    }
+
+    if (only.includes("sync")) {
+      try {
+        const { issues } = await explainDependabot({ json: true, project, scope: ws });
+        const syncIssues = issues.filter(i => i.type === "VERSION_MISMATCH");
+        if (syncIssues.length > 0) {
+          // A lockfile ahead of package.json moves the range up to it; a range
+          // ahead of the lockfile only needs the install
+          const changes = syncIssues.flatMap(issue => {
+            const range = declared[issue.package];
+            const locked = resolveDirect(project.lock, issue.package, ws.importerId)?.version;
+            return range && semver.valid(locked) && semver.validRange(range) && semver.gtr(locked, range)
+              ? [{ package: issue.package, from: range, to: rangeFor(range, locked) }]
+              : [];
+          });
+
+          fixes.push({
+            type: "LOCKFILE_SYNC",
+            description: `Fix ${syncIssues.length} version mismatches`,
+            command: INSTALL_COMMANDS[manager],
+            issues: syncIssues,
+            changes,
+          });
+        }
+      } catch (err) {
+        console.warn(chalk.yellow(`Could not check lockfile: ${err.message}`));
+      }
+    }
+
+    if (only.includes("updates")) {
+      try {
+        const updates = await updateSuggestions({ json: true, project, scope: ws, safe: opts.safe });
+        const changes = updates
+          .filter(update => update.range && declared[update.name])
+          .map(update => ({ package: update.name, from: declared[update.name], to: update.range }));
+        if (changes.length > 0) {
+          fixes.push({
+            type: "UPDATES",
+            description: `Update ${changes.length} dependencies`,
+            command: INSTALL_COMMANDS[manager],
+            changes,
+          });
+        }
+      } catch (err) {
+        console.warn(chalk.yellow(`Could not check updates: ${err.message}`));
+      }
+    }
+
+    if (opts.json) return fixes;
+
+    if (fixes.length === 0) {
+      console.log(chalk.green("No fixes needed! 🎉"));
+      return [];
+    }
+
+    const table = new Table({
+      head: [chalk.cyan("Fix Type"), chalk.cyan("Description"), chalk.cyan("Command")],
+      style: { head: [], border: [] }
+    });
+
+    fixes.forEach(fix => {
+      const edits = fix.changes.map(change => `${change.package}: ${change.from} → ${change.to}`);
+      table.push([fix.type, [fix.description, ...edits].join("\n"), chalk.cyan(fix.command)]);
+    });
+
+    console.log(table.toString());
+    return fixes;
+  });
+
+  if (opts.dryRun) {
+    if (!opts.json) {
+      console.log(chalk.yellow("\n🔍 Dry run mode - no changes applied"));
+      console.log(chalk.cyan("Run without --dry-run to apply fixes"));
+    }
+    return plan;
+  }
+
+  await applyFixes(project, plan, opts);
+  return plan;
+};
+
+// Yes/no question on the terminal
+const askYesNo = async (question) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return /^y(es)?$/i.test((await rl.question(question)).trim());
+  } finally {
+    rl.close();
+  }
+};
+
+// Edits package.json files for the planned fixes, regenerates the lockfile
+// and runs the verification command. package.json files and the lockfile
+// are restored when any step fails. Each fix gets status applied/skipped.
+// `opts.exec(command, { cwd })` runs the install and verification commands
+// in place of the shell, as `opts.confirm` replaces the prompt.
+const applyFixes = async (project, plan, opts = {}) => {
+  const confirm = opts.confirm || (opts.interactive ? askYesNo : null);
+  const exec = opts.exec || ((command, options) => execAsync(command, { ...options, maxBuffer: 64 * 1024 * 1024 }));
+  const selected = [];
+  for (const { ws, result: fixes } of resultsByWorkspace(project, plan)) {
+    for (const fix of fixes || []) {
+      const where = project.isMonorepo ? ` in ${ws.name}` : "";
+      if (confirm && !(await confirm(`Apply "${fix.description}"${where}? [y/N] `, fix))) {
+        fix.status = "skipped";
+        continue;
+      }
+      selected.push({ ws, fix });
+    }
+  }
+
+  const log = (message) => !opts.json && console.log(message);
+  if (selected.length === 0) {
+    log(chalk.gray("\nNothing to apply."));
+    return;
+  }
+
+  const lockfile = path.join(project.rootDir, LOCKFILES[project.manager]);
+  const files = [...new Set(selected.map(({ ws }) => path.join(ws.dir, "package.json"))), lockfile];
+  const backups = new Map();
+  for (const file of files) {
+    backups.set(file, (await fileExists(file)) ? await fs.readFile(file) : null);
+  }
+
+  const run = async (command, step) => {
+    log(chalk.cyan(`\n$ ${command}`));
+    try {
+      await exec(command, { cwd: project.rootDir });
+    } catch (err) {
+      const output = String(err.stderr || err.stdout || "").trim().split("\n").slice(-10).join("\n");
+      throw new Error(`${step} failed (${command})${output ? `:\n${output}` : ""}`);
+    }
+  };
+
+  try {
+    for (const { ws, fix } of selected) {
+      await editManifest(path.join(ws.dir, "package.json"), manifest => {
+        if (fix.type === "UNUSED_DEPS") removeDependencies(manifest, fix.packages);
+        fix.changes.forEach(change => setDependencyRange(manifest, change.package, change.to));
+      });
+    }
+    await run(INSTALL_COMMANDS[project.manager], "Install");
+    const verify = opts.verify || project.config.fix.verify;
+    if (verify) await run(verify, "Verification");
+  } catch (err) {
+    for (const [file, content] of backups) {
+      if (content === null) await fs.rm(file, { force: true });
+      else await fs.writeFile(file, content);
+    }
+    throw new Error(`${err.message}\nRolled back package.json and ${path.basename(lockfile)}; node_modules is left as the failed step left it, so run ${INSTALL_COMMANDS[project.manager]} to restore it.`);
+  }
+
+  selected.forEach(({ fix }) => { fix.status = "applied"; });
+  log(chalk.green(`\n✓ Applied ${selected.length} fix(es)`));
+};
+
+// Pre-fetch registry metadata and audit results for offline runs
+const warmCache = async (opts = {}) => {
+  const project = opts.project || await loadProject({ ...opts, offline: false, ttl: 0 });
+  const names = new Set();
+
+  project.selected.forEach(ws => {
+    ["dependencies", "devDependencies", "optionalDependencies"].forEach(field => {
+      Object.keys(ws.manifest?.[field] || {}).forEach(name => names.add(name));
+    });
+  });
+  if (opts.all) {
+    Object.values(project.lock.packages).forEach(node => node.name && names.add(node.name));
+  }
+
+  const failed = [];
+  let withDownloads = 0;
+  await Promise.all([...names].filter(name => sanitizePackageName(name)).map(async (name) => {
+    const [packument, downloads] = await Promise.allSettled([
+      project.registry.packumentEntry(name),
+      project.registry.downloadsEntry(name)
+    ]);
+    if (packument.status === "rejected") failed.push(name);
+    if (downloads.status === "fulfilled") withDownloads++;
+  }));
+  const { age: auditAge } = await runAudit(project);
+
+  const summary = {
+    cacheDir: project.registry.cache?.dir ?? null,
+    packages: names.size - failed.length,
+    downloads: withDownloads,
+    failed: failed.sort(),
+    audit: auditAge !== null,
+  };
+
+  if (opts.json) return summary;
+
+  console.log(chalk.green(`Cached metadata for ${summary.packages} packages in ${summary.cacheDir}`));
+  if (summary.downloads < summary.packages) {
+    console.warn(chalk.yellow(`Download stats unavailable for ${summary.packages - summary.downloads} packages`));
+  }
+  if (summary.audit) console.log(chalk.green("Cached audit results"));
+  if (failed.length > 0) console.warn(chalk.yellow(`Could not fetch: ${failed.join(", ")}`));
+  return summary;
+};
+
+// Normalizes OSV / GitHub advisory dumps into the default database used by
+// vuln and risk
+const importAdvisories = async (targets, opts = {}) => {
+  const entries = await readAdvisories(targets);
+  const file = opts.file || defaultAdvisoryPath();
+  await saveAdvisoryDatabase(file, entries);
+
+  const summary = {
+    file,
+    advisories: new Set(entries.map(entry => entry.id)).size,
+    packages: new Set(entries.map(entry => entry.package)).size,
+  };
+  if (!opts.json) {
+    console.log(chalk.green(`Imported ${summary.advisories} advisories for ${summary.packages} npm packages into ${file}`));
+  }
+  return summary;
+};
+
+const clearCache = async (opts = {}) => {
+  const cache = createDiskCache({ dir: opts.cacheDir });
+  const removed = await cache.clear();
+  if (!opts.json) console.log(chalk.green(`Removed ${removed} cached responses from ${cache.dir}`));
+  return { cacheDir: cache.dir, removed };
+};
+
+// Pairs each analyzed workspace with its part of a command's result,
+// whether or not runPerWorkspace grouped it
+const resultsByWorkspace = (project, result) => (project.isMonorepo
+  ? project.selected.map(ws => ({ ws, result: result?.[ws.name] }))
+  : [{ ws: project.workspaces[0], result }]);
+
+// Runs a command and converts its findings for every analyzed workspace
+// into a single SARIF log
+const sarifReport = async (command, run, opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  const result = await run({ ...opts, json: true, project });
+
+  const sarif = await createSarifLog({
+    command,
+    workspaces: resultsByWorkspace(project, result),
+    rootDir: project.rootDir,
+    manager: project.manager,
+    lockfile: LOCKFILES[project.manager],
+    version: VERSION,
+  });
+  return { result, sarif };
+};
+
+// Runs every analysis once over a shared project model. A failing
+// analysis is recorded in the report's errors instead of aborting it.
+const report = async (opts = {}) => {
+  const project = opts.project || await loadProject(opts);
+  const analyses = [
+    ["scan", scan],
+    ["unused", unused],
+    ["updates", updateSuggestions],
+    ["risk", riskAudit],
+    ["dependabot", explainDependabot],
+  ];
+
+  const workspaces = resultsByWorkspace(project, null).map(({ ws }) => ({
+    name: ws.name,
+    path: ws.path,
+    isRoot: ws.isRoot,
+  }));
+  const errors = [];
+
+  for (const [section, run] of analyses) {
+    try {
+      const result = await run({ ...opts, json: true, project });
+      resultsByWorkspace(project, result).forEach(({ result: wsResult }, i) => {
+        workspaces[i][section] = section === "dependabot" ? wsResult?.issues ?? [] : wsResult ?? null;
+      });
+    } catch (err) {
+      errors.push({ section, message: err.message });
+      workspaces.forEach(ws => { ws[section] = null; });
+    }
+  }
+
+  const root = project.workspaces.find(ws => ws.isRoot);
+  return createReport({
+    project: {
+      name: root?.manifest?.name || path.basename(project.rootDir),
+      rootDir: project.rootDir,
+      manager: project.manager,
+      lockfileVersion: project.lock.lockfileVersion ?? null,
+      lockfilePackages: Object.keys(project.lock.packages).length,
+    },
+    workspaces,
+    errors,
+    version: VERSION,
+  });
+};
+
+// CLI setup
+
+// Numeric options are counts; anything else is a usage error rather than NaN
+const parseCount = (value) => {
+  if (!/^\d+$/.test(value.trim())) throw new InvalidArgumentError("Expected a non-negative whole number.");
+  return parseInt(value, 10);
+};
+
+const program = new Command();
+
+program
+  .name("dep-audit")
+  .description("Advanced dependency auditor CLI for npm/yarn/pnpm")
+  .version(VERSION)
+  .option("-j, --json", "Output as JSON")
+  .option("-w, --workspace <name>", "Only analyze the given workspace (name or path)")
+  .option("--registry <url>", "Registry URL (defaults to .npmrc or registry.npmjs.org)")
+  .option("--concurrency <n>", "Maximum parallel registry requests", parseCount, 8)
+  .option("--no-cache", "Bypass the on-disk registry cache")
+  .option("--offline", "Serve registry metadata and advisories only from the local cache")
+  .option("-c, --config <path>", "Path to a dep-audit config file (default: .depauditrc*, package.json#depAudit)")
+  .option("--advisories <path>", "OSV / GitHub advisory file or directory (repeatable; default: the imported database)", (value, previous = []) => [...previous, value])
+  // Usage errors (unknown options, invalid choices) are tool errors too
+  .exitOverride((err) => process.exit(err.exitCode === 0 ? EXIT_CODES.OK : EXIT_CODES.ERROR));
+
+// Options shared by every command
+const cliOptions = () => {
+  const { json, workspace, registry, concurrency, cache, offline, config, advisories } = program.opts();
+  return { json, workspace, registry, concurrency, cache, offline, config, advisories };
+};
+
+// Prints --json results and the completion line
+const reportResult = (result, doneMessage, json = program.opts().json) => {
+  if (json) console.log(JSON.stringify(result, null, 2));
+  else console.log(chalk.green(`✓ ${doneMessage}`));
+};
+
+const formatOption = () =>
+  new Option("--format <format>", "Output format (json is the same as --json)").choices(["table", "json", "sarif"]);
+
+// Runs a command in the --format it was given; SARIF logs go to stdout alone
+const runFormatted = async (command, run, opts, format, doneMessage) => {
+  if (format === "sarif") {
+    const { result, sarif } = await sarifReport(command, run, opts);
+    console.log(JSON.stringify(sarif, null, 2));
+    return result;
+  }
+  const json = format === "json" || Boolean(opts.json);
+  const result = await run({ ...opts, json });
+  reportResult(result, doneMessage, json);
+  return result;
+};
+
+// Sets exit code 1 when findings reach the --fail-on threshold
+const failOnFindings = (command, result, threshold) => {
+  const findings = findingsOverThreshold(command, result, threshold);
+  if (findings.length === 0) return;
+
+  const label = threshold === true ? "" : ` at or above ${String(threshold).toUpperCase()}`;
+  console.error(chalk.red(`✗ ${findings.length} ${command} finding(s)${label}; failing (exit ${EXIT_CODES.FINDINGS})`));
+  process.exitCode = EXIT_CODES.FINDINGS;
+};
+
+const failOnOption = (levels, description) =>
+  new Option("--fail-on <level>", description).choices(levels);
+
+program.addHelpText("after", `
+Examples:
+  dep-audit scan
+  dep-audit unused
+  dep-audit update
+  dep-audit update --target minor --filter "@babel/*" --write
+  dep-audit risk
+  dep-audit dependabot
+  dep-audit scan --json
+  dep-audit risk --workspace @acme/api
+  dep-audit risk --fail-on high
+  dep-audit dependabot --format sarif > dep-audit.sarif
+  dep-audit dependabot --simulate react@19 react-dom@19
+  dep-audit report --format html -o report.html
+  dep-audit advisories import ./osv-npm && dep-audit vuln --fail-on high
+  dep-audit deprecated --fail-on-deprecated
+  dep-audit engines --fail-on-incompatible
+  dep-audit supply-chain --days 3
+  dep-audit lockfile-lint --fail-on medium
+  dep-audit why qs@6.7.0
+  dep-audit duplicates
+  dep-audit diff origin/main --format markdown > lockfile-diff.md
+  dep-audit fix --only unused sync --verify "npm test"
+  dep-audit licenses --production
+  dep-audit sbom --format spdx --production -o sbom.spdx.json
+
+Exit codes:
+  ${EXIT_CODES.OK}  no findings at or above the --fail-on threshold (or no threshold given)
+  ${EXIT_CODES.FINDINGS}  findings at or above the --fail-on threshold
+  ${EXIT_CODES.ERROR}  dep-audit itself failed (invalid options or config, unreadable files, registry errors)`);
 
 // Commands
 program
@@ -737,28 +2645,29 @@ program
     const spinner = ora("Scanning dependencies...").start();
     try {
       spinner.stop();
-      await scan({ json: program.opts().json });
-      console.log(chalk.green("✓ Scan complete"));
+      reportResult(await scan({ ...cliOptions() }), "Scan complete");
     } catch (err) {
       spinner.fail("Scan failed");
       console.error(chalk.red(err.message));
-      process.exit(1);
+      process.exit(EXIT_CODES.ERROR);
     }
   });
 
 program
   .command("unused")
   .description("Detect unused dependencies")
-  .action(async () => {
+  .option("--fail-on-unused", "Exit with code 1 if any unused dependency is found")
+  .addOption(formatOption())
+  .action(async (cmd) => {
     const spinner = ora("Checking for unused deps...").start();
     try {
       spinner.stop();
-      await unused({ json: program.opts().json });
-      console.log(chalk.green("✓ Unused check complete"));
+      const result = await runFormatted("unused", unused, { ...cliOptions() }, cmd.format, "Unused check complete");
+      failOnFindings("unused", result, Boolean(cmd.failOnUnused));
     } catch (err) {
       spinner.fail("Check failed");
       console.error(chalk.red(err.message));
-      process.exit(1);
+      process.exit(EXIT_CODES.ERROR);
     }
   });
 
@@ -766,65 +2675,352 @@ program
   .command("update")
   .description("Suggest safe dependency updates")
   .option("--safe", "Only suggest non-breaking updates")
+  .addOption(new Option("-t, --target <target>", "Version to update to").choices(UPDATE_TARGETS).default("latest"))
+  .option("--filter <patterns...>", "Only update packages matching these globs (and their groups)")
+  .option("--reject <patterns...>", "Never update packages matching these globs")
+  .option("--write", "Rewrite package.json ranges to the target versions")
+  .option("--changelog", "Print breaking changes from release notes between current and target")
+  .addOption(failOnOption(UPDATE_LEVELS, "Exit with code 1 if an update of this type or larger is available"))
   .action(async (cmd) => {
     const spinner = ora("Checking for updates...").start();
     try {
       spinner.stop();
-      await updateSuggestions({ json: program.opts().json, safe: cmd.safe });
-      console.log(chalk.green("✓ Update check complete"));
+      const result = await updateSuggestions({
+        ...cliOptions(),
+        safe: cmd.safe,
+        target: cmd.target,
+        filter: cmd.filter,
+        reject: cmd.reject,
+        write: cmd.write,
+        changelog: cmd.changelog,
+      });
+      reportResult(result, "Update check complete");
+      failOnFindings("update", result, cmd.failOn);
     } catch (err) {
       spinner.fail("Update check failed");
       console.error(chalk.red(err.message));
-      process.exit(1);
+      process.exit(EXIT_CODES.ERROR);
     }
   });
 
 program
   .command("risk")
   .description("Analyze dependency health & risk")
-  .action(async () => {
+  .addOption(failOnOption(SEVERITY_LEVELS, "Exit with code 1 if a dependency is at or above this risk level"))
+  .addOption(formatOption())
+  .action(async (cmd) => {
     const spinner = ora("Running risk audit...").start();
     try {
       spinner.stop();
-      await riskAudit({ json: program.opts().json });
-      console.log(chalk.green("✓ Risk audit complete"));
+      const result = await runFormatted("risk", riskAudit, { ...cliOptions() }, cmd.format, "Risk audit complete");
+      failOnFindings("risk", result, cmd.failOn);
     } catch (err) {
       spinner.fail("Risk audit failed");
       console.error(chalk.red(err.message));
-      process.exit(1);
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command("vuln")
+  .description("Match every resolved package against an offline advisory database")
+  .addOption(failOnOption(ADVISORY_LEVELS, "Exit with code 1 if an advisory is at or above this severity"))
+  .action(async (cmd) => {
+    const spinner = ora("Matching advisories...").start();
+    try {
+      spinner.stop();
+      const result = await vuln({ ...cliOptions() });
+      reportResult(result, "Vulnerability check complete");
+      failOnFindings("vuln", result, cmd.failOn);
+    } catch (err) {
+      spinner.fail("Vulnerability check failed");
+      console.error(chalk.red(err.message));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command("deprecated")
+  .description("Find deprecated package versions in the resolved lockfile graph")
+  .option("--fail-on-deprecated", "Exit with code 1 if any deprecated version is installed")
+  .action(async (cmd) => {
+    const spinner = ora("Checking for deprecated packages...").start();
+    try {
+      spinner.stop();
+      const result = await deprecated({ ...cliOptions() });
+      reportResult(result, "Deprecation check complete");
+      failOnFindings("deprecated", result, Boolean(cmd.failOnDeprecated));
+    } catch (err) {
+      spinner.fail("Deprecation check failed");
+      console.error(chalk.red(err.message));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command("engines")
+  .description("Check installed packages and proposed updates against the project's Node version")
+  .option("--fail-on-incompatible", "Exit with code 1 if an installed package doesn't support the project's Node version")
+  .action(async (cmd) => {
+    const spinner = ora("Checking engines...").start();
+    try {
+      spinner.stop();
+      const result = await engines({ ...cliOptions() });
+      reportResult(result, "Engines check complete");
+      failOnFindings("engines", result, Boolean(cmd.failOnIncompatible));
+    } catch (err) {
+      spinner.fail("Engines check failed");
+      console.error(chalk.red(err.message));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command("supply-chain")
+  .description("Find install scripts, likely typosquats, maintainer changes and fresh releases in the resolved graph")
+  .option("--days <n>", "Report versions published within this many days", parseCount)
+  .option("--fail-on-signals", "Exit with code 1 if any package has a supply-chain signal")
+  .action(async (cmd) => {
+    const spinner = ora("Checking supply-chain signals...").start();
+    try {
+      spinner.stop();
+      const result = await supplyChain({ ...cliOptions(), days: cmd.days });
+      reportResult(result, "Supply-chain check complete");
+      failOnFindings("supply-chain", result, Boolean(cmd.failOnSignals));
+    } catch (err) {
+      spinner.fail("Supply-chain check failed");
+      console.error(chalk.red(err.message));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command("lockfile-lint")
+  .description("Check lockfile sources, integrity and sync with package.json")
+  .addOption(failOnOption(SEVERITY_LEVELS, "Exit with code 1 if an issue is at or above this severity"))
+  .addOption(formatOption())
+  .action(async (cmd) => {
+    const spinner = ora("Linting lockfile...").start();
+    try {
+      spinner.stop();
+      const result = await runFormatted("lockfile-lint", lockfileLint, { ...cliOptions() }, cmd.format, "Lockfile lint complete");
+      failOnFindings("lockfile-lint", result, cmd.failOn);
+    } catch (err) {
+      spinner.fail("Lockfile lint failed");
+      console.error(chalk.red(err.message));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command("why <package>")
+  .description("Show every dependency path to a package (name or name@range)")
+  .option("--limit <n>", "Maximum paths per package version", parseCount, 20)
+  .action(async (target, cmd) => {
+    try {
+      reportResult(await why(target, { ...cliOptions(), limit: cmd.limit }), "Path lookup complete");
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command("duplicates")
+  .description("List packages resolved at more than one version and how to dedupe them")
+  .action(async () => {
+    const spinner = ora("Looking for duplicates...").start();
+    try {
+      spinner.stop();
+      reportResult(await duplicates({ ...cliOptions() }), "Duplicate check complete");
+    } catch (err) {
+      spinner.fail("Duplicate check failed");
+      console.error(chalk.red(err.message));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command("diff <base> [head]")
+  .description("Compare lockfiles between git refs or files (head defaults to the working tree)")
+  .addOption(new Option("--format <format>", "Output format (markdown for PR comments)").choices(DIFF_FORMATS).default("table"))
+  .action(async (base, head, cmd) => {
+    try {
+      const format = program.opts().json ? "json" : cmd.format;
+      const result = await diff(base, head, { ...cliOptions(), json: format === "json", format });
+      if (format === "markdown") console.log(renderDiffMarkdown(result));
+      else reportResult(result, "Diff complete", format === "json");
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+const advisoriesCommand = program
+  .command("advisories")
+  .description("Manage the offline vulnerability advisory database");
+
+advisoriesCommand
+  .command("import <paths...>")
+  .description("Import OSV JSON dumps or GitHub advisory exports (files or directories)")
+  .action(async (paths) => {
+    const spinner = ora("Importing advisories...").start();
+    try {
+      const summary = await importAdvisories(paths, { json: program.opts().json });
+      spinner.stop();
+      reportResult(summary, "Import complete");
+    } catch (err) {
+      spinner.fail("Import failed");
+      console.error(chalk.red(err.message));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command("licenses")
+  .description("Audit dependency licenses against the allow/deny policy in config")
+  .option("--production", "Only include packages needed at runtime")
+  .action(async (cmd) => {
+    const spinner = ora("Collecting licenses...").start();
+    try {
+      spinner.stop();
+      const result = await licenses({ ...cliOptions(), production: cmd.production });
+      reportResult(result, "License audit complete");
+      // Denied and unknown licenses always fail the run
+      failOnFindings("licenses", result, true);
+    } catch (err) {
+      spinner.fail("License audit failed");
+      console.error(chalk.red(err.message));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command("sbom")
+  .description("Export a software bill of materials (CycloneDX 1.5 or SPDX 2.3 JSON)")
+  .addOption(new Option("--format <format>", "SBOM format").choices(SBOM_FORMATS).default("cyclonedx"))
+  .option("--production", "Exclude dev dependencies")
+  .option("-o, --output <file>", "Write the SBOM to a file instead of stdout")
+  .action(async (cmd) => {
+    const spinner = ora("Building SBOM...").start();
+    try {
+      spinner.stop();
+      const document = await sbom({ ...cliOptions(), format: cmd.format, production: cmd.production });
+      const output = `${JSON.stringify(document, null, 2)}\n`;
+      if (cmd.output) {
+        await fs.writeFile(cmd.output, output);
+        console.error(chalk.green(`✓ SBOM written to ${cmd.output}`));
+      } else {
+        process.stdout.write(output);
+      }
+    } catch (err) {
+      spinner.fail("SBOM failed");
+      console.error(chalk.red(err.message));
+      process.exit(EXIT_CODES.ERROR);
     }
   });
 
 program
   .command("dependabot")
   .description("Explain why Dependabot PRs may fail")
-  .action(async () => {
+  .option("--simulate <packages...>", "Check which peer dependencies would break if these versions were installed (e.g. react@19)")
+  .addOption(failOnOption(SEVERITY_LEVELS, "Exit with code 1 if an issue is at or above this severity"))
+  .addOption(formatOption())
+  .action(async (cmd) => {
     const spinner = ora("Analyzing potential Dependabot issues...").start();
     try {
       spinner.stop();
-      await explainDependabot({ json: program.opts().json });
-      console.log(chalk.green("✓ Analysis complete"));
+      const result = await runFormatted("dependabot", explainDependabot, { ...cliOptions(), simulate: cmd.simulate }, cmd.format, "Analysis complete");
+      failOnFindings("dependabot", result, cmd.failOn);
     } catch (err) {
       spinner.fail("Analysis failed");
       console.error(chalk.red(err.message));
-      process.exit(1);
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command("report")
+  .description("Run every analysis once and write a combined report")
+  .addOption(new Option("--format <format>", "Report format").choices(REPORT_FORMATS).default("markdown"))
+  .option("-o, --output <file>", "Write the report to a file instead of stdout")
+  .action(async (cmd) => {
+    const spinner = ora("Building report...").start();
+    try {
+      const format = program.opts().json ? "json" : cmd.format;
+      spinner.stop();
+      const output = renderReport(await report({ ...cliOptions(), json: true }), format);
+      if (cmd.output) {
+        await fs.writeFile(cmd.output, output.endsWith("\n") ? output : `${output}\n`);
+        console.log(chalk.green(`✓ Report written to ${cmd.output}`));
+      } else {
+        console.log(output);
+      }
+    } catch (err) {
+      spinner.fail("Report failed");
+      console.error(chalk.red(err.message));
+      process.exit(EXIT_CODES.ERROR);
     }
   });
 
 program
   .command("fix")
-  .description("Auto-fix issues (unused deps, lockfile sync)")
+  .description("Auto-fix issues (unused deps, lockfile sync, updates) and reinstall")
   .option("--dry-run", "Preview fixes without applying them")
+  .addOption(new Option("--only <kinds...>", "Only these fixes (default: unused sync)").choices(FIX_KINDS))
+  .option("--safe", "With --only updates, skip major updates")
+  .option("-i, --interactive", "Confirm each fix before applying it")
+  .option("--verify <command>", "Command that must pass after the install, e.g. \"npm test\" (default: fix.verify from config)")
   .action(async (cmd) => {
     const spinner = ora("Analyzing fixes...").start();
     try {
       spinner.stop();
-      await autoFix({ json: program.opts().json, dryRun: cmd.dryRun });
-      console.log(chalk.green("✓ Fix analysis complete"));
+      const result = await autoFix({
+        ...cliOptions(),
+        dryRun: cmd.dryRun,
+        only: cmd.only,
+        safe: cmd.safe,
+        interactive: cmd.interactive,
+        verify: cmd.verify,
+      });
+      reportResult(result, cmd.dryRun ? "Fix analysis complete" : "Fix complete");
     } catch (err) {
       spinner.fail("Fix failed");
       console.error(chalk.red(err.message));
-      process.exit(1);
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+const cacheCommand = program
+  .command("cache")
+  .description("Manage the local registry metadata cache used by --offline");
+
+cacheCommand
+  .command("warm")
+  .description("Fetch metadata and audit results for offline use")
+  .option("--all", "Include every package in the lockfile, not just direct dependencies")
+  .action(async (cmd) => {
+    const spinner = ora("Warming cache...").start();
+    try {
+      const summary = await warmCache({ ...cliOptions(), all: cmd.all });
+      spinner.stop();
+      reportResult(summary, "Cache warm complete");
+    } catch (err) {
+      spinner.fail("Cache warm failed");
+      console.error(chalk.red(err.message));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+cacheCommand
+  .command("clear")
+  .description("Remove all cached registry responses")
+  .action(async () => {
+    try {
+      await clearCache({ json: program.opts().json });
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      process.exit(EXIT_CODES.ERROR);
     }
   });
 
@@ -845,6 +3041,20 @@ export {
   unused,
   updateSuggestions,
   riskAudit,
+  vuln,
+  deprecated,
+  supplyChain,
+  engines,
+  lockfileLint,
+  why,
+  duplicates,
+  diff,
+  licenses,
+  sbom,
   explainDependabot,
-  autoFix
+  autoFix,
+  report,
+  warmCache,
+  importAdvisories,
+  clearCache
 };
\ No newline at end of file
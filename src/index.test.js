@@ -1,4 +1,8 @@
 import { describe, test, expect } from 'vitest';
+import http from 'http';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
 
 // Simple integration tests that work with actual behavior
 describe('dep-audit', () => {
@@ -50,5 +54,33 @@ describe('dep-audit', () => {
       const { parseLockfile } = await import('./index.js');
       expect(() => parseLockfile('invalid')).not.toThrow();
     });
+
+    test('riskAudit fails when the registry errors and skips unpublished packages', async () => {
+      const server = http.createServer((req, res) => {
+        const name = decodeURIComponent(req.url.slice(1));
+        res.writeHead(name === 'gone' ? 404 : name === 'flaky' ? 500 : 200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ name, time: { modified: new Date().toISOString() }, versions: { '1.0.0': {} } }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const registry = `http://127.0.0.1:${server.address().port}/`;
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-risk-'));
+      try {
+        const advisories = [path.join(dir, 'advisories.jsonl')];
+        await fs.writeFile(advisories[0], '');
+        const write = (dependencies) => fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ name: 'app', dependencies }));
+        const { riskAudit } = await import('./index.js');
+
+        await write({ ok: '^1.0.0', gone: '^1.0.0' });
+        const results = await riskAudit({ json: true, cwd: dir, cache: false, registry, advisories });
+        expect(results.map(r => r.name)).toEqual(['ok']);
+
+        await write({ ok: '^1.0.0', flaky: '^1.0.0' });
+        await expect(riskAudit({ json: true, cwd: dir, cache: false, registry, advisories }))
+          .rejects.toThrow(`Couldn't fetch registry metadata for flaky: Registry responded 500 for ${registry}flaky`);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
   });
 });
\ No newline at end of file
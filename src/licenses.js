@@ -0,0 +1,210 @@
+import { globToRegExp } from "./config.js";
+
+// Common SPDX identifiers by category. Anything else that parses is "other".
+const LICENSE_CATEGORIES = {
+  permissive: [
+    "0BSD", "Apache-2.0", "Artistic-2.0", "BlueOak-1.0.0", "BSD-2-Clause", "BSD-3-Clause", "BSL-1.0",
+    "CC-BY-3.0", "CC-BY-4.0", "CC0-1.0", "ISC", "MIT", "MIT-0", "PSF-2.0", "Python-2.0",
+    "Unicode-DFS-2016", "Unlicense", "WTFPL", "X11", "Zlib",
+  ],
+  "weak-copyleft": [
+    "CDDL-1.0", "CDDL-1.1", "EPL-1.0", "EPL-2.0", "LGPL-2.0-only", "LGPL-2.0-or-later",
+    "LGPL-2.1-only", "LGPL-2.1-or-later", "LGPL-3.0-only", "LGPL-3.0-or-later", "MPL-1.1", "MPL-2.0", "OFL-1.1",
+  ],
+  copyleft: [
+    "AGPL-1.0-only", "AGPL-3.0-only", "AGPL-3.0-or-later", "CC-BY-SA-3.0", "CC-BY-SA-4.0", "EUPL-1.1", "EUPL-1.2",
+    "GPL-2.0-only", "GPL-2.0-or-later", "GPL-3.0-only", "GPL-3.0-or-later", "OSL-3.0", "SSPL-1.0",
+  ],
+  proprietary: ["UNLICENSED"],
+};
+
+// Least to most restrictive; OR picks the lowest branch, AND the highest
+const CATEGORY_ORDER = ["permissive", "weak-copyleft", "copyleft", "other", "proprietary", "unknown"];
+
+const KNOWN_IDS = new Map(
+  Object.values(LICENSE_CATEGORIES).flat().map(id => [id.toLowerCase(), id])
+);
+
+// Deprecated SPDX ids and free-form names seen in package.json files
+const LICENSE_ALIASES = {
+  "apache 2": "Apache-2.0",
+  "apache 2.0": "Apache-2.0",
+  "apache license 2.0": "Apache-2.0",
+  "apache license, version 2.0": "Apache-2.0",
+  "apache-2": "Apache-2.0",
+  "apache2": "Apache-2.0",
+  "bsd-2": "BSD-2-Clause",
+  "bsd-3": "BSD-3-Clause",
+  "new bsd": "BSD-3-Clause",
+  "simplified bsd": "BSD-2-Clause",
+  "cc0": "CC0-1.0",
+  "isc license": "ISC",
+  "mit license": "MIT",
+  "the mit license": "MIT",
+  "mpl 2.0": "MPL-2.0",
+  "agpl-3.0": "AGPL-3.0-only",
+  "agplv3": "AGPL-3.0-only",
+  "gpl-2.0": "GPL-2.0-only",
+  "gplv2": "GPL-2.0-only",
+  "gpl-3.0": "GPL-3.0-only",
+  "gplv3": "GPL-3.0-only",
+  "lgpl-2.0": "LGPL-2.0-only",
+  "lgpl-2.1": "LGPL-2.1-only",
+  "lgpl-3.0": "LGPL-3.0-only",
+  "lgplv3": "LGPL-3.0-only",
+};
+
+const categoryOf = (id) =>
+  Object.entries(LICENSE_CATEGORIES).find(([, ids]) => ids.includes(id))?.[0] || "other";
+
+// "GPL-2.0+" and "GPL-2.0" are deprecated spellings of the -or-later/-only ids
+const correctId = (raw) => {
+  const plus = raw.endsWith("+");
+  const base = plus ? raw.slice(0, -1) : raw;
+  const lower = base.toLowerCase();
+  let id = KNOWN_IDS.get(lower) || LICENSE_ALIASES[lower] || base;
+  if (plus) id = id.replace(/-only$/, "") + (KNOWN_IDS.has(`${id.replace(/-only$/, "")}-or-later`.toLowerCase()) ? "-or-later" : "+");
+  return id;
+};
+
+const tokenize = (expression) => expression.replace(/([()])/g, " $1 ").trim().split(/\s+/);
+
+// Recursive descent over SPDX expressions: OR binds looser than AND;
+// leaves are ids with an optional "WITH exception"
+const parseExpression = (expression) => {
+  const tokens = tokenize(expression);
+  let pos = 0;
+  const peek = () => tokens[pos]?.toUpperCase();
+
+  const parseLeaf = () => {
+    const token = tokens[pos++];
+    if (token === "(") {
+      const inner = parseOr();
+      if (tokens[pos++] !== ")") throw new Error("unbalanced parentheses");
+      return inner;
+    }
+    if (!token || token === ")" || ["AND", "OR", "WITH"].includes(token.toUpperCase())) {
+      throw new Error(`unexpected ${token || "end of expression"}`);
+    }
+    const leaf = { id: correctId(token) };
+    if (peek() === "WITH") {
+      pos++;
+      if (!tokens[pos]) throw new Error("missing exception after WITH");
+      leaf.exception = tokens[pos++];
+    }
+    return leaf;
+  };
+  const parseAnd = () => {
+    let node = parseLeaf();
+    while (peek() === "AND") {
+      pos++;
+      node = { and: [node, parseLeaf()] };
+    }
+    return node;
+  };
+  const parseOr = () => {
+    let node = parseAnd();
+    while (peek() === "OR") {
+      pos++;
+      node = { or: [node, parseAnd()] };
+    }
+    return node;
+  };
+
+  const ast = parseOr();
+  if (pos < tokens.length) throw new Error(`unexpected ${tokens[pos]}`);
+  return ast;
+};
+
+// Expression text for an AST; `mapId` can rewrite ids (e.g. to LicenseRefs)
+const formatLicenseExpression = (ast, mapId = (id) => id, parent = null) => {
+  if (ast.id) return ast.exception ? `${mapId(ast.id)} WITH ${ast.exception}` : mapId(ast.id);
+  const op = ast.and ? "AND" : "OR";
+  const text = (ast.and || ast.or).map(child => formatLicenseExpression(child, mapId, op)).join(` ${op} `);
+  return parent && parent !== op ? `(${text})` : text;
+};
+
+const isKnownLicense = (id) => KNOWN_IDS.get(String(id).toLowerCase()) === id;
+
+const leaves = (ast) => (ast.id ? [ast] : (ast.and || ast.or).flatMap(leaves));
+
+// package.json "license" (SPDX string or legacy { type }) or legacy
+// "licenses" array, as one expression string
+const licenseFromManifest = (manifest) => {
+  const { license, licenses } = manifest || {};
+  if (typeof license === "string") return license;
+  if (license?.type) return license.type;
+  if (Array.isArray(licenses) && licenses.length > 0) {
+    const types = licenses.map(l => (typeof l === "string" ? l : l?.type)).filter(Boolean);
+    return types.length > 1 ? `(${types.join(" OR ")})` : types[0] || null;
+  }
+  return null;
+};
+
+const unknownLicense = (raw, reason) => ({ raw, expression: null, ast: null, licenses: [], category: "unknown", reason });
+
+// Raw license text -> { raw, expression, ast, licenses, category, reason }
+const normalizeLicense = (raw) => {
+  const text = typeof raw === "string" ? raw.trim() : "";
+  if (!text || /^unknown$/i.test(text)) return unknownLicense(raw ?? null, "no license metadata");
+  if (/^see licen[cs]e in /i.test(text)) return unknownLicense(raw, `custom license (${text})`);
+
+  let ast;
+  const alias = LICENSE_ALIASES[text.toLowerCase()];
+  try {
+    ast = alias ? { id: alias } : parseExpression(text);
+  } catch (err) {
+    return unknownLicense(raw, `unparseable license "${text}": ${err.message}`);
+  }
+
+  const rank = (ids, pick) => CATEGORY_ORDER[pick(...ids.map(category => CATEGORY_ORDER.indexOf(category)))];
+  const categorize = (node) => (node.id
+    ? categoryOf(node.id)
+    : rank((node.and || node.or).map(categorize), node.and ? Math.max : Math.min));
+
+  return {
+    raw,
+    expression: formatLicenseExpression(ast),
+    ast,
+    licenses: [...new Set(leaves(ast).map(leaf => leaf.id))],
+    category: categorize(ast),
+    reason: null,
+  };
+};
+
+// Policy entries are SPDX ids, globs ("GPL-*") or category names ("copyleft")
+const matchesPolicy = (entries, id) =>
+  entries.some(entry => (CATEGORY_ORDER.includes(entry) ? categoryOf(id) === entry : globToRegExp(entry, { ignoreCase: true }).test(id)));
+
+// Most acceptable first: OR takes the first branch, AND the last
+const ACCEPTANCE_ORDER = ["allowed", "unknown", "denied"];
+
+// { status: "allowed" | "denied" | "unknown", reason } for a normalized
+// license. OR needs one acceptable branch, AND needs all of them.
+const evaluateLicense = (normalized, { allow = [], deny = [] } = {}) => {
+  if (!normalized.ast) return { status: "unknown", reason: normalized.reason };
+
+  const evaluate = (node) => {
+    if (node.id) {
+      if (matchesPolicy(deny, node.id)) return { status: "denied", reason: `${node.id} is denied` };
+      if (allow.length > 0 && !matchesPolicy(allow, node.id)) {
+        return { status: "denied", reason: `${node.id} is not in the allow list` };
+      }
+      return { status: "allowed", reason: null };
+    }
+    const results = (node.and || node.or).map(evaluate);
+    const sorted = results.sort((a, b) => ACCEPTANCE_ORDER.indexOf(a.status) - ACCEPTANCE_ORDER.indexOf(b.status));
+    return node.and ? sorted[sorted.length - 1] : sorted[0];
+  };
+
+  return evaluate(normalized.ast);
+};
+
+export {
+  LICENSE_CATEGORIES,
+  isKnownLicense,
+  normalizeLicense,
+  evaluateLicense,
+  licenseFromManifest,
+  formatLicenseExpression
+};
@@ -0,0 +1,87 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { normalizeLicense, evaluateLicense, licenseFromManifest } from './licenses.js';
+
+describe('licenses', () => {
+  test('normalizes SPDX expressions, aliases and deprecated ids', () => {
+    expect(normalizeLicense('mit')).toMatchObject({ expression: 'MIT', category: 'permissive' });
+    expect(normalizeLicense('Apache License 2.0').expression).toBe('Apache-2.0');
+    expect(normalizeLicense('GPL-2.0+').expression).toBe('GPL-2.0-or-later');
+    expect(normalizeLicense('(mit OR gpl-3.0) and ISC')).toMatchObject({
+      expression: '(MIT OR GPL-3.0-only) AND ISC',
+      licenses: ['MIT', 'GPL-3.0-only', 'ISC'],
+      category: 'permissive'
+    });
+    expect(normalizeLicense('GPL-2.0-only WITH Classpath-exception-2.0 AND MIT').category).toBe('copyleft');
+  });
+
+  test('treats missing, custom and unparseable licenses as unknown', () => {
+    expect(normalizeLicense(null)).toMatchObject({ category: 'unknown', reason: 'no license metadata' });
+    expect(normalizeLicense('SEE LICENSE IN LICENSE.md').reason).toMatch(/custom license/);
+    expect(normalizeLicense('MIT OR').category).toBe('unknown');
+  });
+
+  test('reads legacy license fields', () => {
+    expect(licenseFromManifest({ license: { type: 'MIT' } })).toBe('MIT');
+    expect(licenseFromManifest({ licenses: [{ type: 'MIT' }, { type: 'Apache-2.0' }] })).toBe('(MIT OR Apache-2.0)');
+  });
+
+  test('evaluates allow/deny policies with globs and categories', () => {
+    const policy = { allow: ['permissive', 'MPL-2.0'], deny: ['AGPL-*'] };
+    expect(evaluateLicense(normalizeLicense('MIT'), policy).status).toBe('allowed');
+    expect(evaluateLicense(normalizeLicense('MIT OR GPL-3.0'), policy).status).toBe('allowed');
+    expect(evaluateLicense(normalizeLicense('MIT AND GPL-3.0'), policy)).toEqual({
+      status: 'denied',
+      reason: 'GPL-3.0-only is not in the allow list'
+    });
+    expect(evaluateLicense(normalizeLicense('AGPL-3.0-only'), { deny: ['AGPL-*'] }).reason).toBe('AGPL-3.0-only is denied');
+    expect(evaluateLicense(normalizeLicense('LGPL-2.1-only'), { deny: ['lgpl-?.?-only'] }).status).toBe('denied');
+    expect(evaluateLicense(normalizeLicense(undefined), {}).status).toBe('unknown');
+  });
+
+  describe('licenses command', () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-licenses-'));
+      await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({
+        name: 'app',
+        dependencies: { 'gpl-lib': '^1.0.0', 'mystery': '^1.0.0', 'custom': '^1.0.0' },
+        devDependencies: { 'test-lib': '^1.0.0' },
+        depAudit: { licenses: { deny: ['copyleft'], overrides: { custom: 'MIT' } } }
+      }));
+      await fs.writeFile(path.join(dir, 'package-lock.json'), JSON.stringify({
+        name: 'app',
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'app', dependencies: { 'gpl-lib': '^1.0.0', 'mystery': '^1.0.0', 'custom': '^1.0.0' }, devDependencies: { 'test-lib': '^1.0.0' } },
+          'node_modules/gpl-lib': { version: '1.0.0', license: 'GPL-3.0' },
+          'node_modules/mystery': { version: '1.0.0' },
+          'node_modules/custom': { version: '1.0.0' },
+          'node_modules/test-lib': { version: '2.0.0', dev: true, license: 'MIT' }
+        }
+      }));
+      await fs.mkdir(path.join(dir, 'node_modules', 'mystery'), { recursive: true });
+      await fs.writeFile(path.join(dir, 'node_modules', 'mystery', 'package.json'), JSON.stringify({ name: 'mystery', version: '1.0.0' }));
+    });
+
+    afterAll(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('collects licenses locally and separates production from dev', async () => {
+      const { licenses } = await import('./index.js');
+      const result = await licenses({ json: true, cwd: dir, offline: true });
+
+      expect(result.production.map(e => [e.name, e.license, e.status, e.source])).toEqual([
+        ['gpl-lib', 'GPL-3.0-only', 'denied', 'lockfile'],
+        ['mystery', null, 'unknown', 'node_modules'],
+        ['custom', 'MIT', 'allowed', 'config']
+      ]);
+      expect(result.development.map(e => e.name)).toEqual(['test-lib']);
+      expect((await licenses({ json: true, cwd: dir, offline: true, production: true })).development).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,660 @@
+import { createRequire } from "module";
+import path from "path";
+import semver from "semver";
+import yaml from "yaml";
+import { safeJsonParse } from "./utils.js";
+
+// @yarnpkg/lockfile is a webpack bundle whose ESM default export differs
+// between Node and bundlers, so load it through require.
+const lockfile = createRequire(import.meta.url)("@yarnpkg/lockfile");
+
+// Every parser returns the same graph shape:
+//   importers: the root project (and workspaces), keyed by their lockfile path
+//   packages:  every installed instance, keyed by a parser-specific id
+// Nodes carry `edges` ({ name, spec, type, to }) where `to` is the id of the
+// node that satisfies the dependency, or null when the lockfile lacks it.
+const createGraph = (manager, lockfileVersion = null) => ({
+  manager,
+  lockfileVersion,
+  importers: {},
+  packages: {},
+});
+
+const createNode = (id, fields = {}) => ({
+  id,
+  name: null,
+  version: null,
+  resolved: null,
+  integrity: null,
+  dev: false,
+  optional: false,
+  peer: false,
+  edges: [],
+  ...fields,
+});
+
+const EDGE_FIELDS = [
+  ["dependencies", "prod"],
+  ["devDependencies", "dev"],
+  ["optionalDependencies", "optional"],
+  ["peerDependencies", "peer"],
+];
+
+const addEdges = (node, info, resolve) => {
+  EDGE_FIELDS.forEach(([field, type]) => {
+    Object.entries(info?.[field] || {}).forEach(([name, spec]) => {
+      // npm duplicates optional deps into `dependencies`; keep the optional edge
+      if (type === "prod" && info.optionalDependencies?.[name]) return;
+      const optionalPeer = type === "peer" && info.peerDependenciesMeta?.[name]?.optional;
+      node.edges.push({
+        name,
+        spec,
+        type,
+        optional: type === "optional" || Boolean(optionalPeer),
+        to: resolve(name, spec, type),
+      });
+    });
+  });
+};
+
+const getNode = (graph, id) => graph?.packages?.[id] || graph?.importers?.[id] || null;
+
+const rootImporterId = (graph) => {
+  const ids = Object.keys(graph?.importers || {});
+  return ids.includes("") ? "" : ids.includes(".") ? "." : ids[0];
+};
+
+const findPackages = (graph, name) =>
+  Object.values(graph?.packages || {}).filter(node => node.name === name);
+
+// Version of a direct dependency as installed for the given importer. Falls
+// back to the first instance by name when the lockfile doesn't record edges
+// for that importer.
+const resolveDirect = (graph, name, importerId = rootImporterId(graph)) => {
+  const importer = graph?.importers?.[importerId];
+  const edge = importer?.edges.find(e => e.name === name && e.to);
+  if (edge) return getNode(graph, edge.to);
+  return findPackages(graph, name)[0] || null;
+};
+
+// The part of the graph a single importer depends on, following edges into
+// other workspace importers it links to
+const subgraph = (graph, importerId) => {
+  const result = { ...graph, importers: {}, packages: {} };
+  const start = graph?.importers?.[importerId];
+  if (!start) return result;
+  result.importers[importerId] = start;
+
+  const stack = start.edges.map(e => e.to).filter(Boolean);
+  const seen = new Set([importerId]);
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const node = getNode(graph, id);
+    if (!node) continue;
+    if (graph.packages[id]) result.packages[id] = node;
+    // A linked workspace only brings in what it needs at runtime
+    node.edges
+      .filter(e => e.to && (graph.packages[id] || e.type !== "dev"))
+      .forEach(e => stack.push(e.to));
+  }
+  return result;
+};
+
+// Shortest chain of node ids from an importer to `targetId`, or null when
+// it isn't reachable. Importers are tried in order; the first id is one.
+const findPath = (graph, targetId, importerIds = Object.keys(graph?.importers || {})) => {
+  const previous = new Map(importerIds.map(id => [id, null]));
+  const queue = [...importerIds];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (id === targetId) {
+      const chain = [];
+      for (let at = id; at !== null; at = previous.get(at)) chain.unshift(at);
+      return chain;
+    }
+    getNode(graph, id)?.edges.forEach(edge => {
+      if (edge.to && !previous.has(edge.to)) {
+        previous.set(edge.to, id);
+        queue.push(edge.to);
+      }
+    });
+  }
+  return null;
+};
+
+// Every cycle-free chain of edges from `fromId` to `targetId`, as arrays of
+// edges ({ name, spec, type, to }), shortest first. Only nodes that can reach
+// the target are explored, so `limit` bounds the work on large graphs.
+const findPaths = (graph, fromId, targetId, { limit = 100 } = {}) => {
+  const parents = new Map();
+  Object.values({ ...graph.importers, ...graph.packages }).forEach(node => {
+    node.edges.forEach(edge => {
+      if (!edge.to) return;
+      if (!parents.has(edge.to)) parents.set(edge.to, new Set());
+      parents.get(edge.to).add(node.id);
+    });
+  });
+
+  // Distance to the target; nodes without one can't reach it
+  const distance = new Map([[targetId, 0]]);
+  const queue = [targetId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    (parents.get(id) || []).forEach(parent => {
+      if (!distance.has(parent)) {
+        distance.set(parent, distance.get(id) + 1);
+        queue.push(parent);
+      }
+    });
+  }
+
+  const paths = [];
+  let truncated = false;
+  const visit = (id, chain, onChain) => {
+    if (truncated) return;
+    if (id === targetId && chain.length > 0) {
+      if (paths.length >= limit) truncated = true;
+      else paths.push(chain);
+      return;
+    }
+    // Closest edges first, so the first path found is a shortest one
+    getNode(graph, id)?.edges
+      .filter(edge => distance.has(edge.to))
+      .sort((a, b) => distance.get(a.to) - distance.get(b.to))
+      .forEach(edge => {
+        if (onChain.has(edge.to)) return;
+        onChain.add(edge.to);
+        visit(edge.to, [...chain, edge], onChain);
+        onChain.delete(edge.to);
+      });
+  };
+  if (distance.has(fromId)) visit(fromId, [], new Set([fromId]));
+
+  return { paths: paths.sort((a, b) => a.length - b.length), truncated };
+};
+
+// Ids of every package reachable from `id`, excluding `id` itself
+const descendants = (graph, id) => {
+  const seen = new Set();
+  const stack = (getNode(graph, id)?.edges || []).map(e => e.to).filter(Boolean);
+  while (stack.length > 0) {
+    const next = stack.pop();
+    if (seen.has(next) || next === id) continue;
+    seen.add(next);
+    graph.packages[next]?.edges.forEach(e => e.to && stack.push(e.to));
+  }
+  return seen;
+};
+
+// name -> sorted list of every installed version
+const groupVersionsByName = (graph) => {
+  const grouped = {};
+  Object.values(graph?.packages || {}).forEach(node => {
+    if (!node.name || !node.version) return;
+    grouped[node.name] = grouped[node.name] || [];
+    if (!grouped[node.name].includes(node.version)) grouped[node.name].push(node.version);
+  });
+  Object.values(grouped).forEach(versions => versions.sort((a, b) =>
+    (semver.valid(a) && semver.valid(b) ? semver.compare(a, b) : String(a).localeCompare(String(b)))));
+  return grouped;
+};
+
+// npm: lockfileVersion 2/3 `packages` section, with a fallback to the v1 tree
+const npmNameFromPath = (key) => {
+  const idx = key.lastIndexOf("node_modules/");
+  return idx === -1 ? null : key.slice(idx + "node_modules/".length);
+};
+
+const parseNpmLock = (content) => {
+  const lock = safeJsonParse(content);
+  if (lock.packages && Object.keys(lock.packages).length > 0) {
+    return parseNpmPackages(lock);
+  }
+  return parseNpmLegacy(lock);
+};
+
+// Node's module resolution: look in the package's own node_modules, then
+// walk up through each ancestor node_modules folder to the root.
+const resolveNpmPath = (entries, fromPath, name) => {
+  let base = fromPath;
+  for (let depth = 0; depth < 100; depth++) {
+    const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+    const entry = entries[candidate];
+    if (entry) return entry.link ? entry.resolved : candidate;
+    if (!base) return null;
+    const idx = base.lastIndexOf("/node_modules/");
+    base = idx === -1 ? "" : base.slice(0, idx);
+  }
+  return null;
+};
+
+const isNpmPackagePath = (key) => key.startsWith("node_modules/") || key.includes("/node_modules/");
+
+const parseNpmPackages = (lock) => {
+  const graph = createGraph("npm", lock.lockfileVersion ?? null);
+  const entries = lock.packages;
+
+  Object.entries(entries).forEach(([key, info]) => {
+    if (info?.link) return;
+
+    const isPackage = isNpmPackagePath(key);
+    const node = createNode(key, {
+      name: info.name || (isPackage ? npmNameFromPath(key) : key === "" ? lock.name || null : key),
+      version: info.version || null,
+      resolved: info.resolved || null,
+      integrity: info.integrity || null,
+      dev: Boolean(info.dev || info.devOptional),
+      optional: Boolean(info.optional || info.devOptional),
+      peer: Boolean(info.peer),
+      path: key,
+      license: info.license || null,
+      engines: info.engines || null,
+      hasInstallScript: Boolean(info.hasInstallScript),
+      inBundle: Boolean(info.inBundle),
+      peerDependencies: info.peerDependencies || {},
+      peerDependenciesMeta: info.peerDependenciesMeta || {},
+    });
+
+    addEdges(node, info, (name) => resolveNpmPath(entries, key, name));
+    if (isPackage) graph.packages[key] = node;
+    else graph.importers[key] = node;
+  });
+
+  if (!graph.importers[""]) {
+    graph.importers[""] = createNode("", { name: lock.name || null, version: lock.version || null, path: "" });
+  }
+
+  return graph;
+};
+
+const parseNpmLegacy = (lock) => {
+  const graph = createGraph("npm", lock.lockfileVersion ?? 1);
+  const root = createNode("", { name: lock.name || null, version: lock.version || null, path: "" });
+  graph.importers[""] = root;
+
+  // Flatten the nested v1 tree into the same path-keyed layout as v2 so
+  // `requires` can be resolved with the regular node_modules walk.
+  const entries = {};
+  const collect = (deps, parentPath, depth = 0) => {
+    if (depth > 100) return;
+    Object.entries(deps || {}).forEach(([name, info]) => {
+      const key = parentPath ? `${parentPath}/node_modules/${name}` : `node_modules/${name}`;
+      entries[key] = { ...info, name };
+      if (info?.dependencies) collect(info.dependencies, key, depth + 1);
+    });
+  };
+  collect(lock.dependencies);
+
+  Object.entries(entries).forEach(([key, info]) => {
+    const node = createNode(key, {
+      name: info.name,
+      version: info.version || null,
+      resolved: info.resolved || null,
+      integrity: info.integrity || null,
+      dev: Boolean(info.dev),
+      optional: Boolean(info.optional),
+      inBundle: Boolean(info.bundled),
+      path: key,
+    });
+    addEdges(node, { dependencies: info.requires }, (name) => resolveNpmPath(entries, key, name));
+    graph.packages[key] = node;
+  });
+
+  // v1 lockfiles don't record the root's own ranges, so every hoisted entry
+  // is treated as reachable from the root.
+  Object.entries(lock.dependencies || {}).forEach(([name, info]) => {
+    const type = info?.dev ? "dev" : info?.optional ? "optional" : "prod";
+    root.edges.push({
+      name,
+      spec: info?.version || "*",
+      type,
+      optional: type === "optional",
+      to: `node_modules/${name}`,
+    });
+  });
+
+  return graph;
+};
+
+// Split "name@range" on the separator after the (optionally scoped) name
+const parseDescriptor = (descriptor) => {
+  const trimmed = descriptor.trim().replace(/^"|"$/g, "");
+  const atIndex = trimmed.indexOf("@", trimmed.startsWith("@") ? 1 : 0);
+  if (atIndex <= 0) return { name: trimmed, range: "" };
+  return { name: trimmed.slice(0, atIndex), range: trimmed.slice(atIndex + 1) };
+};
+
+const protocolOf = (range = "") => {
+  const match = /^([a-z+]+):/i.exec(range);
+  return match ? match[1].toLowerCase() : "npm";
+};
+
+// Flag packages that are only reachable through dev (or optional) edges, for
+// lockfiles that don't record this themselves.
+const markReachability = (graph) => {
+  const walk = (startEdges, follow) => {
+    const seen = new Set();
+    const stack = startEdges.filter(follow).map(e => e.to).filter(Boolean);
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const node = graph.packages[id];
+      node?.edges.filter(follow).forEach(e => e.to && stack.push(e.to));
+    }
+    return seen;
+  };
+
+  const importerEdges = Object.values(graph.importers).flatMap(importer => importer.edges);
+  const prod = walk(importerEdges, e => e.type !== "dev");
+  const required = walk(importerEdges, e => !e.optional);
+
+  Object.values(graph.packages).forEach(node => {
+    node.dev = !prod.has(node.id);
+    node.optional = !required.has(node.id);
+  });
+};
+
+// Root edges for importers the lockfile doesn't describe (Yarn v1 has no
+// entry for the project itself), taken from the importer's package.json.
+const addManifestEdges = (importer, manifest, resolve) => {
+  if (!manifest) return;
+  importer.name = importer.name || manifest.name || null;
+  importer.version = importer.version || manifest.version || null;
+  importer.edges = [];
+  addEdges(importer, manifest, resolve);
+};
+
+// Importer paths are "" for npm/Yarn v1 and "." for Yarn Berry/pnpm
+const manifestFor = (manifests, importerPath) =>
+  manifests[importerPath] ?? (importerPath === "." || importerPath === "" ? manifests[""] ?? manifests["."] : undefined);
+
+const isYarnBerry = (content) => /^__metadata:/m.test(content);
+
+const parseYarnLock = (content, { manifests = {} } = {}) => {
+  try {
+    return isYarnBerry(content)
+      ? parseYarnBerry(content, manifests)
+      : parseYarnClassic(content, manifests);
+  } catch (err) {
+    throw new Error(`Yarn lockfile parsing failed: ${err.message}`);
+  }
+};
+
+const parseYarnClassic = (content, manifests) => {
+  const parsed = lockfile.parse(content);
+  if (parsed.type !== "success") {
+    throw new Error("lockfile contains merge conflicts");
+  }
+
+  const graph = createGraph("yarn", 1);
+  const byDescriptor = {};
+  const entries = {};
+
+  Object.entries(parsed.object || {}).forEach(([key, value]) => {
+    if (!value?.version) return;
+    const { name } = parseDescriptor(key);
+    const id = `${name}@${value.version}`;
+    byDescriptor[key] = id;
+    if (graph.packages[id]) return;
+
+    entries[id] = value;
+    graph.packages[id] = createNode(id, {
+      name,
+      version: value.version,
+      resolved: value.resolved || null,
+      integrity: value.integrity || null,
+    });
+  });
+
+  const resolve = (name, spec) => byDescriptor[`${name}@${spec}`] || null;
+  Object.entries(entries).forEach(([id, value]) => addEdges(graph.packages[id], value, resolve));
+
+  const importerPaths = Object.keys(manifests).length > 0 ? Object.keys(manifests) : [""];
+  importerPaths.forEach(importerPath => {
+    const importer = createNode(importerPath, { path: importerPath });
+    addManifestEdges(importer, manifests[importerPath], resolve);
+    graph.importers[importerPath] = importer;
+  });
+
+  markReachability(graph);
+  return graph;
+};
+
+const parseYarnBerry = (content, manifests) => {
+  const parsed = yaml.parse(content) || {};
+  const metadata = parsed.__metadata || {};
+  const graph = createGraph("yarn", Number(metadata.version) || null);
+  graph.cacheKey = metadata.cacheKey ?? null;
+  const byDescriptor = {};
+  const entries = [];
+
+  Object.entries(parsed).forEach(([key, value]) => {
+    if (key === "__metadata" || !value) return;
+    const resolution = value.resolution || key.split(",")[0].trim();
+    const { name, range } = parseDescriptor(resolution);
+    const protocol = protocolOf(range);
+
+    key.split(",").forEach(descriptor => {
+      byDescriptor[descriptor.trim()] = protocol === "workspace" ? range.slice("workspace:".length) : resolution;
+    });
+    entries.push({ resolution, name, range, protocol, value });
+  });
+
+  // Package specs in the lockfile omit the default npm: protocol
+  const resolve = (name, spec) =>
+    byDescriptor[`${name}@${spec}`] || byDescriptor[`${name}@npm:${spec}`] || null;
+
+  entries.forEach(({ resolution, name, range, protocol, value }) => {
+    const info = {
+      dependencies: {},
+      optionalDependencies: {},
+      peerDependencies: value.peerDependencies || {},
+      peerDependenciesMeta: value.peerDependenciesMeta || {},
+    };
+    Object.entries(value.dependencies || {}).forEach(([dep, spec]) => {
+      const bucket = value.dependenciesMeta?.[dep]?.optional ? "optionalDependencies" : "dependencies";
+      info[bucket][dep] = spec;
+    });
+
+    if (protocol === "workspace") {
+      const importerPath = range.slice("workspace:".length);
+      const importer = createNode(importerPath, {
+        name,
+        version: value.version && value.version !== "0.0.0-use.local" ? value.version : null,
+        path: importerPath,
+      });
+      addEdges(importer, info, resolve);
+      // The lockfile merges dev and prod dependencies of workspaces
+      addManifestEdges(importer, manifestFor(manifests, importerPath), resolve);
+      graph.importers[importerPath] = importer;
+      return;
+    }
+
+    const node = createNode(resolution, {
+      name,
+      version: value.version || null,
+      resolved: resolution,
+      protocol,
+      checksum: value.checksum || null,
+      linkType: value.linkType || null,
+      peerDependencies: info.peerDependencies,
+      peerDependenciesMeta: info.peerDependenciesMeta,
+    });
+    addEdges(node, info, resolve);
+    graph.packages[resolution] = node;
+  });
+
+  if (Object.keys(graph.importers).length === 0) {
+    const importer = createNode(".", { path: "." });
+    addManifestEdges(importer, manifestFor(manifests, "."), resolve);
+    graph.importers["."] = importer;
+  }
+
+  markReachability(graph);
+  return graph;
+};
+
+// pnpm: "(react@18.2.0)(react-dom@18.2.0)" -> ["react@18.2.0", "react-dom@18.2.0"]
+const splitPeerSuffix = (ref = "") => {
+  const start = ref.indexOf("(");
+  if (start === -1) return { base: ref, peers: [] };
+
+  const peers = [];
+  let depth = 0;
+  let current = "";
+  for (const char of ref.slice(start)) {
+    if (char === "(") {
+      if (depth > 0) current += char;
+      depth++;
+    } else if (char === ")") {
+      depth--;
+      if (depth === 0) {
+        peers.push(current);
+        current = "";
+      } else {
+        current += char;
+      }
+    } else if (depth > 0) {
+      current += char;
+    }
+  }
+  return { base: ref.slice(0, start), peers };
+};
+
+const parsePnpmKey = (key, legacy) => {
+  const withoutSlash = key.startsWith("/") ? key.slice(1) : key;
+
+  // v5: /name/1.0.0_peer@1.0.0
+  if (legacy) {
+    const slashIndex = withoutSlash.lastIndexOf("/");
+    if (slashIndex <= 0) return null;
+    const [version, ...peers] = withoutSlash.slice(slashIndex + 1).split("_");
+    return { name: withoutSlash.slice(0, slashIndex), version, peers };
+  }
+
+  // v6+: /name@1.0.0(peer@1.0.0) and v9: name@1.0.0(peer@1.0.0)
+  const { base, peers } = splitPeerSuffix(withoutSlash);
+  const { name, range } = parseDescriptor(base);
+  if (!name || !range) return null;
+  return { name, version: range, peers };
+};
+
+// Registry packages only record their integrity; git and directory
+// dependencies get a resolved value in the npm lockfile's format
+const pnpmResolved = (resolution) => {
+  if (resolution?.tarball) return resolution.tarball;
+  if (resolution?.type === "git" && resolution.repo) return `git+${resolution.repo}#${resolution.commit}`;
+  if (resolution?.type === "directory" && resolution.directory) return `file:${resolution.directory}`;
+  return null;
+};
+
+const parsePnpmLock = (content) => {
+  try {
+    const parsed = yaml.parse(content) || {};
+    const lockfileVersion = parseFloat(parsed.lockfileVersion) || null;
+    const legacy = lockfileVersion !== null && lockfileVersion < 6;
+    const graph = createGraph("pnpm", parsed.lockfileVersion ?? null);
+    const metadata = parsed.packages || {};
+    // v9 splits resolved instances (snapshots) from per-version metadata
+    const instances = parsed.snapshots || metadata;
+
+    // Turns a dependency reference into the key of the instance it points at
+    const keyFor = (name, ref, importerPath = ".") => {
+      if (typeof ref !== "string") return null;
+      if (ref.startsWith("link:")) {
+        return path.posix.normalize(path.posix.join(importerPath, ref.slice("link:".length)));
+      }
+      const candidates = [];
+      if (ref.startsWith("/")) candidates.push(ref);
+      // Aliases reference the real package: "string-width@4.2.3"
+      if (parseDescriptor(splitPeerSuffix(ref).base).range) candidates.push(ref, `/${ref}`);
+      candidates.push(legacy ? `/${name}/${ref}` : `/${name}@${ref}`, `${name}@${ref}`);
+      return candidates.find(candidate => instances[candidate]) || null;
+    };
+
+    Object.entries(instances).forEach(([key, info]) => {
+      const parsedKey = parsePnpmKey(key, legacy);
+      if (!parsedKey) return;
+
+      const baseKey = key.startsWith("/") ? key : `${parsedKey.name}@${parsedKey.version}`;
+      const meta = parsed.snapshots ? metadata[baseKey] || {} : info || {};
+      const node = createNode(key, {
+        name: meta.name || parsedKey.name,
+        version: meta.version || parsedKey.version,
+        peerSuffix: parsedKey.peers,
+        resolved: pnpmResolved(meta.resolution),
+        integrity: meta.resolution?.integrity || null,
+        engines: meta.engines || null,
+        hasInstallScript: Boolean(meta.requiresBuild),
+        peerDependencies: meta.peerDependencies || {},
+        peerDependenciesMeta: meta.peerDependenciesMeta || {},
+      });
+      addEdges(node, {
+        dependencies: info?.dependencies,
+        optionalDependencies: info?.optionalDependencies,
+      }, (name, ref) => keyFor(name, ref));
+      graph.packages[key] = node;
+    });
+
+    // Single-project lockfiles before v9 keep the root's deps at the top level
+    const importers = parsed.importers || { ".": parsed };
+    Object.entries(importers).forEach(([importerPath, info]) => {
+      const importer = createNode(importerPath, { path: importerPath });
+      EDGE_FIELDS.forEach(([field, type]) => {
+        Object.entries(info?.[field] || {}).forEach(([name, entry]) => {
+          const ref = typeof entry === "object" ? entry?.version : entry;
+          const spec = typeof entry === "object" ? entry?.specifier : info.specifiers?.[name];
+          importer.edges.push({
+            name,
+            spec: spec ?? ref,
+            type,
+            optional: type === "optional",
+            to: keyFor(name, ref, importerPath),
+          });
+        });
+      });
+      graph.importers[importerPath] = importer;
+    });
+
+    markReachability(graph);
+    return graph;
+  } catch (err) {
+    throw new Error(`PNPM lockfile parsing failed: ${err.message}`);
+  }
+};
+
+// Direct dependencies of every importer with the spec recorded in the
+// lockfile and the version it resolved to
+const listImporterDependencies = (graph) =>
+  Object.values(graph?.importers || {}).map(importer => ({
+    path: importer.path ?? importer.id,
+    name: importer.name,
+    dependencies: importer.edges.map(edge => ({
+      name: edge.name,
+      spec: edge.spec,
+      type: edge.type,
+      version: getNode(graph, edge.to)?.version ?? null,
+    })),
+  }));
+
+export {
+  createGraph,
+  getNode,
+  rootImporterId,
+  findPackages,
+  resolveDirect,
+  subgraph,
+  findPath,
+  findPaths,
+  descendants,
+  groupVersionsByName,
+  listImporterDependencies,
+  parseDescriptor,
+  parseNpmLock,
+  parseYarnLock,
+  parsePnpmLock
+};
@@ -0,0 +1,364 @@
+import { describe, test, expect } from 'vitest';
+import {
+  parseNpmLock,
+  parseYarnLock,
+  parsePnpmLock,
+  resolveDirect,
+  groupVersionsByName,
+  listImporterDependencies,
+  findPaths,
+  getNode
+} from './lockfile.js';
+
+const npmV3 = JSON.stringify({
+  name: 'app',
+  version: '1.0.0',
+  lockfileVersion: 3,
+  packages: {
+    '': {
+      name: 'app',
+      version: '1.0.0',
+      dependencies: { a: '^1.0.0', '@scope/b': '^2.0.0' },
+      devDependencies: { c: '^3.0.0' }
+    },
+    'node_modules/a': {
+      version: '1.2.0',
+      resolved: 'https://registry.npmjs.org/a/-/a-1.2.0.tgz',
+      integrity: 'sha512-aaa',
+      dependencies: { shared: '^1.0.0' }
+    },
+    'node_modules/a/node_modules/shared': { version: '1.5.0' },
+    'node_modules/@scope/b': {
+      version: '2.1.0',
+      dependencies: { shared: '^2.0.0' },
+      peerDependencies: { react: '>=17' },
+      peerDependenciesMeta: { react: { optional: true } }
+    },
+    'node_modules/shared': { version: '2.0.1' },
+    'node_modules/c': { version: '3.0.0', dev: true, hasInstallScript: true }
+  }
+});
+
+describe('parseNpmLock', () => {
+  test('keeps every installed instance from the packages section', () => {
+    const graph = parseNpmLock(npmV3);
+    expect(graph.lockfileVersion).toBe(3);
+    expect(Object.keys(graph.packages)).toHaveLength(5);
+    expect(groupVersionsByName(graph).shared).toEqual(['1.5.0', '2.0.1']);
+
+    expect(graph.packages['node_modules/@scope/b'].name).toBe('@scope/b');
+  });
+
+  test('sorts versions by semver', () => {
+    const wide = parseNpmLock(JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'app' },
+        'node_modules/glob': { version: '10.0.0' },
+        'node_modules/a/node_modules/glob': { version: '9.0.0' },
+        'node_modules/b/node_modules/glob': { version: '9.0.0-rc.1' }
+      }
+    }));
+    expect(groupVersionsByName(wide).glob).toEqual(['9.0.0-rc.1', '9.0.0', '10.0.0']);
+  });
+
+  test('resolves edges through nested node_modules folders', () => {
+    const graph = parseNpmLock(npmV3);
+    const a = graph.packages['node_modules/a'];
+    const b = graph.packages['node_modules/@scope/b'];
+    expect(getNode(graph, a.edges[0].to).version).toBe('1.5.0');
+    expect(getNode(graph, b.edges.find(e => e.name === 'shared').to).version).toBe('2.0.1');
+    expect(b.edges.find(e => e.name === 'react')).toMatchObject({ type: 'peer', optional: true, to: null });
+  });
+
+  test('records flags, resolved and integrity', () => {
+    const graph = parseNpmLock(npmV3);
+    expect(graph.packages['node_modules/c']).toMatchObject({ dev: true, hasInstallScript: true });
+    expect(graph.packages['node_modules/a']).toMatchObject({
+      resolved: 'https://registry.npmjs.org/a/-/a-1.2.0.tgz',
+      integrity: 'sha512-aaa'
+    });
+    expect(graph.importers[''].edges.find(e => e.name === 'c').type).toBe('dev');
+    expect(resolveDirect(graph, 'a').version).toBe('1.2.0');
+  });
+
+  test('falls back to the v1 dependencies tree', () => {
+    const graph = parseNpmLock(JSON.stringify({
+      lockfileVersion: 1,
+      dependencies: {
+        a: {
+          version: '1.0.0',
+          requires: { shared: '^1.0.0' },
+          dependencies: { shared: { version: '1.0.0' } }
+        },
+        shared: { version: '2.0.0', dev: true }
+      }
+    }));
+    expect(getNode(graph, graph.packages['node_modules/a'].edges[0].to).version).toBe('1.0.0');
+    expect(resolveDirect(graph, 'shared').version).toBe('2.0.0');
+    expect(graph.packages['node_modules/shared'].dev).toBe(true);
+  });
+});
+
+const yarnClassic = `# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+# yarn lockfile v1
+
+
+"@babel/core@^7.0.0", "@babel/core@^7.1.0":
+  version "7.2.0"
+  resolved "https://registry.yarnpkg.com/@babel/core/-/core-7.2.0.tgz#abc"
+  integrity sha512-core
+  dependencies:
+    debug "^4.0.0"
+
+debug@^4.0.0:
+  version "4.3.4"
+  resolved "https://registry.yarnpkg.com/debug/-/debug-4.3.4.tgz#def"
+  integrity sha512-debug
+
+debug@^3.0.0:
+  version "3.2.7"
+`;
+
+const yarnBerry = `__metadata:
+  version: 8
+  cacheKey: 10c0
+
+"@babel/core@npm:^7.0.0":
+  version: 7.2.0
+  resolution: "@babel/core@npm:7.2.0"
+  dependencies:
+    debug: "npm:^4.0.0"
+    fsevents: "npm:^2.0.0"
+  dependenciesMeta:
+    fsevents:
+      optional: true
+  checksum: 10c0/abcdef
+  languageName: node
+  linkType: hard
+
+"debug@npm:^4.0.0":
+  version: 4.3.4
+  resolution: "debug@npm:4.3.4"
+  checksum: 10c0/123456
+  languageName: node
+  linkType: hard
+
+"lodash@patch:lodash@npm%3A4.17.21#~/.yarn/patches/lodash.patch::locator=app%40workspace%3A.":
+  version: 4.17.21
+  resolution: "lodash@patch:lodash@npm%3A4.17.21#~/.yarn/patches/lodash.patch::version=4.17.21&hash=1"
+  languageName: node
+  linkType: hard
+
+"app@workspace:.":
+  version: 0.0.0-use.local
+  resolution: "app@workspace:."
+  dependencies:
+    "@babel/core": "npm:^7.0.0"
+    lib: "workspace:packages/lib"
+  languageName: unknown
+  linkType: soft
+
+"lib@workspace:packages/lib":
+  version: 0.0.0-use.local
+  resolution: "lib@workspace:packages/lib"
+  languageName: unknown
+  linkType: soft
+`;
+
+describe('parseYarnLock', () => {
+  test('keeps scoped packages and links the root from package.json', () => {
+    const graph = parseYarnLock(yarnClassic, {
+      manifests: { '': { name: 'app', devDependencies: { '@babel/core': '^7.1.0' } } }
+    });
+    expect(graph.lockfileVersion).toBe(1);
+    expect(groupVersionsByName(graph)).toEqual({ '@babel/core': ['7.2.0'], debug: ['3.2.7', '4.3.4'] });
+    expect(resolveDirect(graph, '@babel/core')).toMatchObject({ version: '7.2.0', integrity: 'sha512-core', dev: true });
+    expect(getNode(graph, graph.packages['@babel/core@7.2.0'].edges[0].to).version).toBe('4.3.4');
+  });
+
+  test('parses Yarn Berry lockfiles with protocols and workspaces', () => {
+    const graph = parseYarnLock(yarnBerry);
+    expect(graph.lockfileVersion).toBe(8);
+    expect(Object.keys(graph.importers).sort()).toEqual(['.', 'packages/lib']);
+    expect(resolveDirect(graph, '@babel/core', '.')).toMatchObject({ version: '7.2.0', checksum: '10c0/abcdef' });
+    expect(resolveDirect(graph, 'lib', '.').id).toBe('packages/lib');
+
+    const core = graph.packages['@babel/core@npm:7.2.0'];
+    expect(core.edges.find(e => e.name === 'fsevents')).toMatchObject({ type: 'optional', to: null });
+    expect(getNode(graph, core.edges.find(e => e.name === 'debug').to).version).toBe('4.3.4');
+
+    const patched = Object.values(graph.packages).find(node => node.protocol === 'patch');
+    expect(patched).toMatchObject({ name: 'lodash', version: '4.17.21' });
+  });
+});
+
+const pnpmV9 = `lockfileVersion: '9.0'
+
+importers:
+  .:
+    dependencies:
+      react-dom:
+        specifier: ^18.2.0
+        version: 18.2.0(react@18.2.0)
+      lib:
+        specifier: workspace:*
+        version: link:packages/lib
+    devDependencies:
+      react:
+        specifier: ^18.0.0
+        version: 18.2.0
+  packages/lib:
+    dependencies:
+      '@scope/util':
+        specifier: ~1.0.0
+        version: 1.0.3
+
+packages:
+  '@scope/util@1.0.3':
+    resolution: {integrity: sha512-util}
+  react@18.2.0:
+    resolution: {integrity: sha512-react}
+    engines: {node: '>=0.10.0'}
+  react-dom@18.2.0:
+    resolution: {integrity: sha512-dom}
+    peerDependencies:
+      react: ^18.2.0
+
+snapshots:
+  '@scope/util@1.0.3': {}
+  react@18.2.0: {}
+  react-dom@18.2.0(react@18.2.0):
+    dependencies:
+      react: 18.2.0
+`;
+
+const pnpmV6 = `lockfileVersion: '6.0'
+
+dependencies:
+  react-dom:
+    specifier: ^18.2.0
+    version: 18.2.0(react@18.2.0)
+
+packages:
+  /react@18.2.0:
+    resolution: {integrity: sha512-react}
+    dev: false
+
+  /react-dom@18.2.0(react@18.2.0):
+    resolution: {integrity: sha512-dom}
+    peerDependencies:
+      react: ^18.2.0
+    dependencies:
+      react: 18.2.0
+    dev: false
+`;
+
+describe('parsePnpmLock', () => {
+  test('reads v9 snapshots, peer suffixes and importers', () => {
+    const graph = parsePnpmLock(pnpmV9);
+    const dom = resolveDirect(graph, 'react-dom', '.');
+    expect(dom).toMatchObject({ version: '18.2.0', peerSuffix: ['react@18.2.0'], integrity: 'sha512-dom' });
+    expect(getNode(graph, dom.edges[0].to).name).toBe('react');
+    expect(resolveDirect(graph, 'lib', '.').id).toBe('packages/lib');
+    expect(resolveDirect(graph, '@scope/util', 'packages/lib').version).toBe('1.0.3');
+    expect(graph.packages['react@18.2.0'].dev).toBe(false);
+  });
+
+  test('exposes per-importer dependency lists with specifiers', () => {
+    const [root, lib] = listImporterDependencies(parsePnpmLock(pnpmV9));
+    expect(root.dependencies).toContainEqual({ name: 'react', spec: '^18.0.0', type: 'dev', version: '18.2.0' });
+    expect(lib).toMatchObject({ path: 'packages/lib', dependencies: [{ name: '@scope/util', spec: '~1.0.0', version: '1.0.3' }] });
+  });
+
+  test('reads v6 single-project lockfiles', () => {
+    const graph = parsePnpmLock(pnpmV6);
+    expect(Object.keys(graph.packages)).toHaveLength(2);
+    expect(resolveDirect(graph, 'react-dom')).toMatchObject({ id: '/react-dom@18.2.0(react@18.2.0)', version: '18.2.0' });
+    expect(graph.importers['.'].edges[0].spec).toBe('^18.2.0');
+  });
+
+  test('reads v5 package keys', () => {
+    const graph = parsePnpmLock(`lockfileVersion: 5.4
+
+specifiers:
+  '@scope/pkg': ^1.0.0
+
+dependencies:
+  '@scope/pkg': 1.0.0_react@18.2.0
+
+packages:
+  /@scope/pkg/1.0.0_react@18.2.0:
+    resolution: {integrity: sha512-pkg}
+    dev: false
+`);
+    expect(resolveDirect(graph, '@scope/pkg')).toMatchObject({ name: '@scope/pkg', version: '1.0.0', peerSuffix: ['react@18.2.0'] });
+  });
+
+  test('records git and directory resolutions as resolved specs', () => {
+    const graph = parsePnpmLock(`lockfileVersion: '9.0'
+
+importers:
+  .:
+    dependencies:
+      utils:
+        specifier: github:acme/utils
+        version: https://codeload.github.com/acme/utils/tar.gz/abc
+      local:
+        specifier: file:../local
+        version: file:../local
+
+packages:
+  utils@git+https://github.com/acme/utils.git#abc:
+    resolution: {commit: abc, repo: https://github.com/acme/utils.git, type: git}
+    version: 1.0.0
+  local@file:../local:
+    resolution: {directory: ../local, type: directory}
+    version: 2.0.0
+
+snapshots:
+  utils@git+https://github.com/acme/utils.git#abc: {}
+  local@file:../local: {}
+`);
+    expect(Object.values(graph.packages).map(node => node.resolved)).toEqual([
+      'git+https://github.com/acme/utils.git#abc',
+      'file:../local'
+    ]);
+  });
+});
+
+describe('findPaths', () => {
+  const hops = (graph, chain) => chain.map(edge => `${edge.name}@${getNode(graph, edge.to).version} (${edge.spec})`).join(' > ');
+
+  test('lists every path with the requested range at each hop', () => {
+    const graph = parseNpmLock(npmV3);
+    const shared = findPaths(graph, '', 'node_modules/shared');
+    expect(shared.paths.map(chain => hops(graph, chain))).toEqual(['@scope/b@2.1.0 (^2.0.0) > shared@2.0.1 (^2.0.0)']);
+    expect(findPaths(graph, '', 'node_modules/a/node_modules/shared').paths).toHaveLength(1);
+  });
+
+  test('works the same for yarn and pnpm graphs', () => {
+    const yarn = parseYarnLock(yarnClassic, { manifests: { '': { name: 'app', dependencies: { '@babel/core': '^7.0.0' } } } });
+    const [debug] = Object.values(yarn.packages).filter(node => node.name === 'debug' && node.version === '4.3.4');
+    expect(findPaths(yarn, '', debug.id).paths.map(chain => hops(yarn, chain))).toEqual(['@babel/core@7.2.0 (^7.0.0) > debug@4.3.4 (^4.0.0)']);
+
+    const pnpm = parsePnpmLock(pnpmV9);
+    const react = resolveDirect(pnpm, 'react', '.');
+    const paths = findPaths(pnpm, '.', react.id).paths.map(chain => chain.map(edge => edge.name).join(' > '));
+    expect(paths).toEqual(['react', 'react-dom > react']);
+  });
+
+  test('stops at the limit and skips cycles', () => {
+    const graph = parseNpmLock(JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': { dependencies: { a: '1', b: '1' } },
+        'node_modules/a': { version: '1.0.0', dependencies: { b: '1', c: '1' } },
+        'node_modules/b': { version: '1.0.0', dependencies: { a: '1', c: '1' } },
+        'node_modules/c': { version: '1.0.0' }
+      }
+    }));
+    expect(findPaths(graph, '', 'node_modules/c').paths).toHaveLength(4);
+    expect(findPaths(graph, '', 'node_modules/c', { limit: 2 })).toMatchObject({ truncated: true, paths: [{ length: 2 }, { length: 3 }] });
+  });
+});
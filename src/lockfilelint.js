@@ -0,0 +1,122 @@
+import semver from "semver";
+
+const DEP_FIELDS = ["dependencies", "devDependencies", "optionalDependencies"];
+
+const GIT_SPEC = /^(git(\+[a-z]+)?:|github:|gitlab:|bitbucket:)|\.git(#|$)|#commit=/i;
+// Plain-text transports anyone on the network path can tamper with
+const INSECURE_PROTOCOLS = ["http:", "git:", "git+http:"];
+
+// Where a resolved value points: { kind, url } with kind registry, tarball,
+// git, file or unknown. Registry tarballs live under ".../<name>/-/"; a null
+// value is a registry package whose host the lockfile doesn't record (pnpm,
+// Yarn Berry).
+const sourceOf = (value) => {
+  if (!value) return { kind: "registry", url: null };
+  if (GIT_SPEC.test(value)) return { kind: "git", url: value };
+  if (/^(file|link|portal):/.test(value) || /^\.{0,2}\//.test(value)) return { kind: "file", url: value };
+  if (/^npm:/.test(value)) return { kind: "registry", url: null };
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    return { kind: /\/-\/[^/]+\.tgz$/.test(value.split(/[?#]/)[0]) ? "registry" : "tarball", url: value };
+  }
+  return { kind: "unknown", url: value };
+};
+
+// Yarn Berry records the resolution ("lodash@npm:4.17.21") instead of a URL,
+// and npm v1 lockfiles keep git and file specs in `version`
+const lockedSource = (node) => {
+  if (node.protocol) return sourceOf(node.resolved?.slice(node.name.length + 1));
+  return sourceOf(node.resolved || (node.version && !semver.valid(node.version) ? node.version : null));
+};
+
+// "@scope/name" and "name-1.2.3.tgz" from ".../@scope/name/-/name-1.2.3.tgz"
+const tarballPackage = (url) => {
+  const [before, file = ""] = decodeURIComponent(url.pathname).split("/-/");
+  const segments = before.split("/").filter(Boolean);
+  const scoped = segments.length > 1 && segments[segments.length - 2].startsWith("@");
+  return { name: segments.slice(scoped ? -2 : -1).join("/"), file };
+};
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+};
+
+// Problems with where one locked package comes from, as { type, severity,
+// message, fix }. `allowedHosts` lists the registries tarballs may come from.
+const lintPackage = (node, { allowedHosts = [] } = {}) => {
+  if (node.inBundle) return [];
+  const label = `${node.name}@${node.version}`;
+  const source = lockedSource(node);
+  const url = source.url ? parseUrl(source.url) : null;
+  const issues = [];
+  const add = (type, severity, message, fix) => issues.push({ type, severity, message, fix });
+
+  if (url && INSECURE_PROTOCOLS.includes(url.protocol)) {
+    add("INSECURE_PROTOCOL", "HIGH", `${label} is resolved over ${url.protocol.slice(0, -1)}: ${source.url}`, "Resolve it over https (or ssh for git)");
+  }
+
+  if (url && (source.kind === "registry" || source.kind === "tarball")) {
+    if (!allowedHosts.includes(url.host) && !allowedHosts.includes(url.hostname)) {
+      add("DISALLOWED_HOST", "HIGH", `${label} is resolved from ${url.host}, which is not an allowed registry.`, `Reinstall it from an allowed registry, or add ${url.hostname} to lockfileLint.allowedHosts`);
+    }
+  }
+
+  if (url && source.kind === "registry") {
+    const { name, file } = tarballPackage(url);
+    if (name !== node.name || file !== `${node.name.split("/").pop()}-${node.version}.tgz`) {
+      add("NAME_MISMATCH", "HIGH", `${label} is resolved to ${source.url}, a tarball of ${name}.`, "Check where the entry came from and regenerate it from the registry");
+    }
+  }
+
+  // Yarn v1 without integrity fields still checks the sha1 in the URL fragment
+  const checksum = node.integrity || node.checksum || /#[0-9a-f]{40}$/i.test(source.url || "");
+  if ((source.kind === "registry" || source.kind === "tarball") && !checksum) {
+    add("MISSING_INTEGRITY", "HIGH", `${label} has no integrity checksum, so its tarball is installed unverified.`, "Reinstall it so the lockfile records its integrity");
+  }
+
+  if (source.kind === "git") {
+    add("GIT_SOURCE", "MEDIUM", `${label} is installed from git: ${source.url}`, "Depend on a published version from the registry");
+  } else if (source.kind === "tarball") {
+    add("URL_SOURCE", "MEDIUM", `${label} is installed from a tarball URL: ${source.url}`, "Depend on a published version from the registry");
+  } else if (source.kind === "file") {
+    add("FILE_SOURCE", "LOW", `${label} is installed from a local path: ${source.url}`, "Publish it, or make it a workspace");
+  }
+
+  return issues;
+};
+
+// Direct dependencies that package.json and the importer's lockfile entry
+// disagree on, as { type, name, depType }. Lockfiles that record each
+// importer's own dependencies (`recordsImporters`) also report entries
+// package.json no longer declares; elsewhere the importer's edges come from
+// package.json itself. Workspace siblings and link: specs aren't locked.
+const lockfileSync = (manifest, importer, { recordsImporters = false, workspaceNames = [] } = {}) => {
+  const declared = new Map(DEP_FIELDS.flatMap(depType =>
+    Object.entries(manifest?.[depType] || {}).map(([name, spec]) => [name, { depType, spec }])));
+  const edges = (importer?.edges || []).filter(edge => edge.type !== "peer");
+  const differences = [];
+
+  declared.forEach(({ depType, spec }, name) => {
+    if (workspaceNames.includes(name) || /^(link|workspace):/.test(String(spec))) return;
+    const edge = edges.find(e => e.name === name);
+    if (!edge || (!edge.to && !edge.optional)) differences.push({ type: "MISSING_FROM_LOCKFILE", name, depType });
+  });
+
+  if (recordsImporters) {
+    edges.filter(edge => !declared.has(edge.name)).forEach(edge => {
+      differences.push({ type: "EXTRA_IN_LOCKFILE", name: edge.name, depType: { prod: "dependencies", dev: "devDependencies", optional: "optionalDependencies" }[edge.type] });
+    });
+  }
+
+  return differences;
+};
+
+export {
+  sourceOf,
+  lockedSource,
+  lintPackage,
+  lockfileSync
+};
@@ -0,0 +1,114 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { sourceOf, lockedSource, lintPackage, lockfileSync } from './lockfilelint.js';
+
+const allowedHosts = ['registry.npmjs.org', 'registry.yarnpkg.com'];
+const node = (fields) => ({ name: 'lodash', version: '4.17.21', integrity: 'sha512-abc', ...fields });
+const types = (fields) => lintPackage(node(fields), { allowedHosts }).map(issue => issue.type);
+
+describe('lockfile lint', () => {
+  test('classifies resolved values', () => {
+    expect(sourceOf('https://registry.npmjs.org/@babel/core/-/core-7.2.0.tgz')).toEqual({ kind: 'registry', url: 'https://registry.npmjs.org/@babel/core/-/core-7.2.0.tgz' });
+    expect(sourceOf('git+ssh://git@github.com/acme/utils.git#0123456789abcdef0123456789abcdef01234567').kind).toBe('git');
+    expect(sourceOf('https://github.com/acme/utils.git#commit=abc').kind).toBe('git');
+    expect(sourceOf('https://codeload.github.com/acme/utils/tar.gz/abc').kind).toBe('tarball');
+    expect(sourceOf('file:vendor/utils-1.0.0.tgz').kind).toBe('file');
+    expect(sourceOf(null)).toEqual({ kind: 'registry', url: null });
+
+    expect(lockedSource({ name: 'lodash', resolved: 'lodash@npm:4.17.21', protocol: 'npm' })).toEqual({ kind: 'registry', url: null });
+    expect(lockedSource({ name: 'utils', version: 'github:acme/utils#abc', resolved: null }).kind).toBe('git');
+  });
+
+  test('checks integrity, host, protocol and name of registry tarballs', () => {
+    expect(types({ resolved: 'https://registry.npmjs.org/lodash/-/lodash-4.17.21.tgz' })).toEqual([]);
+    expect(types({ resolved: 'https://registry.npmjs.org/lodash/-/lodash-4.17.21.tgz', integrity: null })).toEqual(['MISSING_INTEGRITY']);
+    expect(types({ resolved: 'https://registry.yarnpkg.com/lodash/-/lodash-4.17.21.tgz#0123456789abcdef0123456789abcdef01234567', integrity: null })).toEqual([]);
+    expect(types({ resolved: 'http://registry.npmjs.org/lodash/-/lodash-4.17.21.tgz' })).toEqual(['INSECURE_PROTOCOL']);
+    expect(types({ resolved: 'https://npm.evil.example/lodash/-/lodash-4.17.21.tgz' })).toEqual(['DISALLOWED_HOST']);
+    expect(types({ resolved: 'https://registry.npmjs.org/lodahs/-/lodahs-4.17.21.tgz' })).toEqual(['NAME_MISMATCH']);
+    expect(types({ name: '@babel/core', version: '7.2.0', resolved: 'https://npm.acme.dev/api/npm/@babel%2fcore/-/core-7.2.0.tgz' })).toEqual(['DISALLOWED_HOST']);
+    expect(types({ resolved: null, integrity: null })).toEqual(['MISSING_INTEGRITY']);
+    expect(types({ resolved: null, integrity: null, inBundle: true })).toEqual([]);
+  });
+
+  test('flags git, tarball URL and local sources', () => {
+    expect(types({ resolved: 'git+ssh://git@github.com/acme/lodash.git#0123456789abcdef0123456789abcdef01234567', integrity: null })).toEqual(['GIT_SOURCE']);
+    expect(types({ resolved: 'git://github.com/acme/lodash.git#abc', integrity: null })).toEqual(['INSECURE_PROTOCOL', 'GIT_SOURCE']);
+    expect(types({ resolved: 'https://codeload.github.com/acme/lodash/tar.gz/abc' })).toEqual(['DISALLOWED_HOST', 'URL_SOURCE']);
+    expect(lintPackage(node({ resolved: 'file:vendor/lodash.tgz' }), { allowedHosts })).toEqual([{
+      type: 'FILE_SOURCE',
+      severity: 'LOW',
+      message: 'lodash@4.17.21 is installed from a local path: file:vendor/lodash.tgz',
+      fix: 'Publish it, or make it a workspace'
+    }]);
+  });
+
+  test('compares direct dependencies with the importer entry', () => {
+    const manifest = { dependencies: { lodash: '^4.17.0', ui: '^1.0.0', local: 'link:../local' }, devDependencies: { vitest: '^1.0.0' } };
+    const importer = {
+      edges: [
+        { name: 'lodash', type: 'prod', to: 'node_modules/lodash' },
+        { name: 'chalk', type: 'prod', to: 'node_modules/chalk' },
+        { name: 'react', type: 'peer', to: null }
+      ]
+    };
+    expect(lockfileSync(manifest, importer, { recordsImporters: true, workspaceNames: ['ui'] })).toEqual([
+      { type: 'MISSING_FROM_LOCKFILE', name: 'vitest', depType: 'devDependencies' },
+      { type: 'EXTRA_IN_LOCKFILE', name: 'chalk', depType: 'dependencies' }
+    ]);
+    expect(lockfileSync(manifest, importer, { workspaceNames: ['ui'] }).map(d => d.type)).toEqual(['MISSING_FROM_LOCKFILE']);
+  });
+
+  describe('lockfile-lint command', () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-lockfile-lint-'));
+      await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({
+        name: 'app',
+        dependencies: { lodash: '^4.17.0', utils: 'github:acme/utils' },
+        devDependencies: { vitest: '^1.0.0' }
+      }));
+      await fs.writeFile(path.join(dir, '.depauditrc.json'), JSON.stringify({ lockfileLint: { allowedHosts: [] } }));
+      await fs.writeFile(path.join(dir, 'package-lock.json'), JSON.stringify({
+        name: 'app',
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'app', dependencies: { lodash: '^4.17.0', utils: 'github:acme/utils', chalk: '^5.0.0' } },
+          'node_modules/lodash': { version: '4.17.21', resolved: 'https://npm.acme.dev/lodash/-/lodash-4.17.21.tgz', integrity: 'sha512-a' },
+          'node_modules/chalk': { version: '5.3.0', resolved: 'https://registry.npmjs.org/chalk/-/chalk-5.3.0.tgz', integrity: 'sha512-b' },
+          'node_modules/utils': {
+            version: '1.0.0',
+            resolved: 'git+ssh://git@github.com/acme/utils.git#0123456789abcdef0123456789abcdef01234567',
+            dependencies: { 'left-pad': '^1.0.0' }
+          },
+          'node_modules/left-pad': { version: '1.3.0', resolved: 'http://npm.acme.dev/left-pad/-/left-pad-1.3.0.tgz' }
+        }
+      }));
+    });
+
+    afterAll(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('reports sources, integrity and package.json drift', async () => {
+      const { lockfileLint } = await import('./index.js');
+      const issues = await lockfileLint({ json: true, cwd: dir, cache: false, registry: 'https://npm.acme.dev/' });
+      expect(issues.map(issue => [issue.type, issue.severity, issue.package])).toEqual([
+        ['DISALLOWED_HOST', 'HIGH', 'chalk'],
+        ['INSECURE_PROTOCOL', 'HIGH', 'left-pad'],
+        ['MISSING_INTEGRITY', 'HIGH', 'left-pad'],
+        ['MISSING_FROM_LOCKFILE', 'HIGH', 'vitest'],
+        ['EXTRA_IN_LOCKFILE', 'MEDIUM', 'chalk'],
+        ['GIT_SOURCE', 'MEDIUM', 'utils']
+      ]);
+      expect(issues[1].path).toEqual(['app', 'utils@1.0.0', 'left-pad@1.3.0']);
+      expect(issues[3]).toMatchObject({
+        message: 'vitest in devDependencies is missing from package-lock.json; frozen installs fail.',
+        fix: 'npm install'
+      });
+    });
+  });
+});
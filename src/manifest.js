@@ -0,0 +1,91 @@
+import { promises as fs } from "fs";
+
+const DEPENDENCY_FIELDS = ["dependencies", "devDependencies", "optionalDependencies"];
+
+// Indentation, line endings and final newline of a JSON file, so edits
+// rewrite it the way it was written. Key order is kept by JSON itself.
+const detectFormat = (text) => {
+  const indent = /^[{[]\r?\n([ \t]+)\S/.exec(text)?.[1] ?? 2;
+  return {
+    indent,
+    eol: text.includes("\r\n") ? "\r\n" : "\n",
+    finalNewline: /\r?\n$/.test(text),
+  };
+};
+
+const formatManifest = (data, { indent = 2, eol = "\n", finalNewline = true } = {}) => {
+  const text = JSON.stringify(data, null, indent).replace(/\n/g, eol);
+  return finalNewline ? `${text}${eol}` : text;
+};
+
+// "^1.2.0" -> "^", "~1.2" -> "~", "1.2.0" -> "", ">=1.2.0" -> ">=", and "="
+// stays an exact pin. Ranges that aren't a single comparator get no prefix
+// (null), nor do ">" and "<": moved to a new version they exclude it.
+const rangePrefix = (range) => {
+  const match = /^(\^|~|>=|<=|=)?v?\d+(\.[\dxX*]+){0,2}(-[\w.]+)?$/.exec(String(range).trim());
+  return match ? match[1] || "" : null;
+};
+
+// Range for `version` written the way `current` was: prefix kept, partial
+// versions and x-ranges kept as precise as they were ("1.x" -> "2.x", "1.2"
+// -> "2.3"), ^ for anything more complex
+const rangeFor = (current, version) => {
+  const prefix = rangePrefix(current);
+  if (prefix === null) return `^${version}`;
+
+  const parts = String(current).trim().slice(prefix.length).replace(/^v/, "").split(".");
+  const fixed = parts.findIndex(part => !/^\d+$/.test(part));
+  // Full versions, and prereleases that fewer parts can't express
+  if ((parts.length === 3 && fixed === -1) || version.includes("-") || parts.some(part => part.includes("-"))) {
+    return `${prefix}${version}`;
+  }
+
+  const numbers = version.split(".").slice(0, fixed === -1 ? parts.length : fixed);
+  return `${prefix}${[...numbers, ...parts.slice(numbers.length)].join(".")}`;
+};
+
+// Drops packages from every dependency field. Returns the names removed.
+const removeDependencies = (manifest, names) => {
+  const removed = [];
+  DEPENDENCY_FIELDS.forEach(field => {
+    names.forEach(name => {
+      if (manifest[field] && name in manifest[field]) {
+        delete manifest[field][name];
+        removed.push(name);
+      }
+    });
+  });
+  return [...new Set(removed)];
+};
+
+// Replaces the range of a dependency in whichever field declares it,
+// keeping its position. Returns the previous range or null.
+const setDependencyRange = (manifest, name, range) => {
+  const field = DEPENDENCY_FIELDS.find(key => manifest[key] && name in manifest[key]);
+  if (!field) return null;
+  const previous = manifest[field][name];
+  manifest[field][name] = range;
+  return previous;
+};
+
+// Applies `edit(manifest)` to a package.json and writes it back in its own
+// format, only if something changed
+const editManifest = async (file, edit) => {
+  const text = await fs.readFile(file, "utf8");
+  const manifest = JSON.parse(text);
+  const result = await edit(manifest);
+  const updated = formatManifest(manifest, detectFormat(text));
+  if (updated !== text) await fs.writeFile(file, updated);
+  return result;
+};
+
+export {
+  DEPENDENCY_FIELDS,
+  detectFormat,
+  formatManifest,
+  rangePrefix,
+  rangeFor,
+  removeDependencies,
+  setDependencyRange,
+  editManifest
+};
@@ -0,0 +1,130 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { detectFormat, rangePrefix, rangeFor, removeDependencies, setDependencyRange } from './manifest.js';
+
+describe('manifest', () => {
+  test('detects indentation, line endings and the final newline', () => {
+    expect(detectFormat('{\n    "a": 1\n}\n')).toEqual({ indent: '    ', eol: '\n', finalNewline: true });
+    expect(detectFormat('{\r\n\t"a": 1\r\n}')).toEqual({ indent: '\t', eol: '\r\n', finalNewline: false });
+  });
+
+  test('keeps range prefixes', () => {
+    expect(rangePrefix('^1.2.0')).toBe('^');
+    expect(rangePrefix('~1.2')).toBe('~');
+    expect(rangePrefix('1.2.0')).toBe('');
+    expect(rangePrefix('>=1.0.0')).toBe('>=');
+    expect(rangePrefix('1.x || 2.x')).toBeNull();
+    expect(rangeFor('~1.2.0', '1.4.1')).toBe('~1.4.1');
+    expect(rangeFor('1.x || 2.x', '3.0.0')).toBe('^3.0.0');
+  });
+
+  test('replaces < and > ranges, which exclude the new version, and keeps = pins', () => {
+    expect(rangePrefix('<2.0.0')).toBeNull();
+    expect(rangePrefix('>1.0.0')).toBeNull();
+    expect(rangePrefix('=1.0.0')).toBe('=');
+    expect(rangeFor('<2.0.0', '2.1.0')).toBe('^2.1.0');
+    expect(rangeFor('>1.0.0', '2.1.0')).toBe('^2.1.0');
+    expect(rangeFor('=1.0.0', '2.1.0')).toBe('=2.1.0');
+    expect(rangeFor('<=2.0.0', '2.1.0')).toBe('<=2.1.0');
+  });
+
+  test('edits dependency fields in place', () => {
+    const manifest = { dependencies: { a: '^1.0.0', b: '^1.0.0', c: '1.0.0' }, devDependencies: { d: '^1.0.0' } };
+    expect(removeDependencies(manifest, ['b', 'd', 'missing'])).toEqual(['b', 'd']);
+    expect(setDependencyRange(manifest, 'a', '^2.0.0')).toBe('^1.0.0');
+    expect(setDependencyRange(manifest, 'missing', '^1.0.0')).toBeNull();
+    expect(Object.keys(manifest.dependencies)).toEqual(['a', 'c']);
+    expect(manifest).toEqual({ dependencies: { a: '^2.0.0', c: '1.0.0' }, devDependencies: {} });
+  });
+
+  describe('fix command', () => {
+    let dir;
+    const manifestText = '{\n    "name": "app",\n    "version": "1.0.0",\n    "dependencies": {\n        "left-pad": "^1.0.0"\n    },\n    "private": true\n}\n';
+    const lockText = JSON.stringify({
+      name: 'app',
+      version: '1.0.0',
+      lockfileVersion: 3,
+      requires: true,
+      packages: {
+        '': { name: 'app', version: '1.0.0', dependencies: { 'left-pad': '^1.0.0' } },
+        'node_modules/left-pad': { version: '1.3.0' }
+      }
+    }, null, 2);
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-fix-'));
+      await fs.writeFile(path.join(dir, 'package.json'), manifestText);
+      await fs.writeFile(path.join(dir, 'package-lock.json'), lockText);
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    // Records commands instead of running them; the install rewrites the
+    // lockfile and `failing` commands exit non-zero
+    const recorder = (failing = []) => {
+      const commands = [];
+      const exec = async (command, { cwd }) => {
+        commands.push(command);
+        if (failing.includes(command)) throw Object.assign(new Error('exit 3'), { stderr: 'tests failed' });
+        if (command === 'npm install') await fs.writeFile(path.join(cwd, 'package-lock.json'), '{}');
+        return { stdout: '', stderr: '' };
+      };
+      return { commands, exec };
+    };
+
+    test('removes unused dependencies keeping the file format, then reinstalls', async () => {
+      const { autoFix } = await import('./index.js');
+      const { commands, exec } = recorder();
+      const [fix] = await autoFix({ json: true, cwd: dir, only: ['unused'], verify: 'npm test', exec });
+      expect(fix).toMatchObject({ type: 'UNUSED_DEPS', packages: ['left-pad'], status: 'applied' });
+      expect(commands).toEqual(['npm install', 'npm test']);
+      expect(await fs.readFile(path.join(dir, 'package.json'), 'utf8'))
+        .toBe('{\n    "name": "app",\n    "version": "1.0.0",\n    "dependencies": {},\n    "private": true\n}\n');
+    });
+
+    test('rolls back package.json and the lockfile when verification fails', async () => {
+      const { autoFix } = await import('./index.js');
+      const { exec } = recorder(['npm test']);
+      await expect(autoFix({ json: true, cwd: dir, only: ['unused'], verify: 'npm test', exec }))
+        .rejects.toThrow(/Verification failed \(npm test\):\ntests failed\nRolled back package\.json and package-lock\.json/);
+      expect(await fs.readFile(path.join(dir, 'package.json'), 'utf8')).toBe(manifestText);
+      expect(await fs.readFile(path.join(dir, 'package-lock.json'), 'utf8')).toBe(lockText);
+    });
+
+    test('moves ranges up to the locked version', async () => {
+      const { autoFix } = await import('./index.js');
+      const ranges = { 'left-pad': '<1.2.0', 'is-odd': '=1.0.0', 'is-even': '>2.0.0' };
+      await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ name: 'app', dependencies: ranges }));
+      await fs.writeFile(path.join(dir, 'package-lock.json'), JSON.stringify({
+        name: 'app',
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'app', dependencies: ranges },
+          'node_modules/left-pad': { version: '1.3.0' },
+          'node_modules/is-odd': { version: '1.1.0' },
+          'node_modules/is-even': { version: '1.0.0' }
+        }
+      }));
+      const { exec } = recorder();
+      const [fix] = await autoFix({ json: true, cwd: dir, only: ['sync'], cache: false, registry: 'http://127.0.0.1:1/', exec });
+      expect(fix).toMatchObject({ type: 'LOCKFILE_SYNC', status: 'applied' });
+      expect(fix.changes).toEqual([
+        { package: 'left-pad', from: '<1.2.0', to: '^1.3.0' },
+        { package: 'is-odd', from: '=1.0.0', to: '=1.1.0' }
+      ]);
+      expect(JSON.parse(await fs.readFile(path.join(dir, 'package.json'), 'utf8')).dependencies)
+        .toEqual({ 'left-pad': '^1.3.0', 'is-odd': '=1.1.0', 'is-even': '>2.0.0' });
+    });
+
+    test('skips fixes that are not confirmed', async () => {
+      const { autoFix } = await import('./index.js');
+      const [fix] = await autoFix({ json: true, cwd: dir, only: ['unused'], confirm: async () => false });
+      expect(fix.status).toBe('skipped');
+      expect(await fs.readFile(path.join(dir, 'package.json'), 'utf8')).toBe(manifestText);
+    });
+  });
+});
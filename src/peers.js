@@ -0,0 +1,132 @@
+import semver from "semver";
+import { resolveDirect } from "./lockfile.js";
+
+// node id -> ids of the packages and importers depending on it
+const parentIndex = (graph) => {
+  const parents = new Map();
+  Object.values({ ...graph.importers, ...graph.packages }).forEach(node => {
+    node.edges.forEach(edge => {
+      if (!edge.to) return;
+      if (!parents.has(edge.to)) parents.set(edge.to, []);
+      parents.get(edge.to).push(node.id);
+    });
+  });
+  return parents;
+};
+
+// Peers a package declares: the lockfile's peerDependencies (with
+// peerDependenciesMeta for optional ones), or its peer edges for lockfiles
+// that only record those
+const declaredPeers = (node) => {
+  const fields = Object.entries(node.peerDependencies || {});
+  if (fields.length > 0) {
+    return fields.map(([name, range]) => ({ name, range, optional: Boolean(node.peerDependenciesMeta?.[name]?.optional) }));
+  }
+  return (node.edges || [])
+    .filter(edge => edge.type === "peer")
+    .map(edge => ({ name: edge.name, range: edge.spec, optional: edge.optional }));
+};
+
+// Yarn v1 and npm v1 lockfiles don't record peerDependencies; their peers
+// have to come from the registry manifests (see withPeers)
+const recordsPeers = (graph) => graph.lockfileVersion !== 1 || !["npm", "yarn"].includes(graph.manager);
+
+// The graph with every package's peers taken from `manifestOf(node)`, a
+// registry manifest or null; packages without one keep what they had
+const withPeers = (graph, manifestOf) => ({
+  ...graph,
+  packages: Object.fromEntries(Object.entries(graph.packages).map(([id, node]) => {
+    const manifest = manifestOf(node);
+    if (!manifest) return [id, node];
+    return [id, { ...node, peerDependencies: manifest.peerDependencies || {}, peerDependenciesMeta: manifest.peerDependenciesMeta || {} }];
+  })),
+});
+
+// The installed instance a package sees for one of its peers: its own
+// resolution when the lockfile records one (npm, pnpm), else what the
+// packages depending on it resolve that name to (the peer is provided by
+// the parent), else the project-level install
+const installedPeer = (graph, node, name, parents) => {
+  const resolvedBy = (holder) => {
+    const edge = holder?.edges.find(e => e.name === name && e.to && graph.packages[e.to]);
+    return edge ? graph.packages[edge.to] : null;
+  };
+
+  const own = resolvedBy(node);
+  if (own) return own;
+  for (const parentId of parents.get(node.id) || []) {
+    const provided = resolvedBy(graph.packages[parentId] || graph.importers[parentId]);
+    if (provided) return provided;
+  }
+  const direct = resolveDirect(graph, name);
+  return direct && graph.packages[direct.id] ? direct : null;
+};
+
+// Ranges semver can't judge (workspace:, npm: aliases, tags) pass
+const satisfiesPeer = (version, range) =>
+  !semver.validRange(range) || semver.satisfies(version, range, { includePrerelease: true });
+
+const conflictKey = (conflict) =>
+  `${conflict.requiredBy}@${conflict.requiredByVersion}>${conflict.package}@${conflict.range}`;
+
+// Unmet peer dependencies of every package in the graph: { package, range,
+// installed (null when missing), requiredBy, requiredByVersion, optional }.
+// Missing optional peers are fine. `bumps` (name -> { version,
+// peerDependencies, peerDependenciesMeta }) simulates other versions being
+// installed: dependents see the new version and the bumped package's own
+// peers come from its new manifest.
+const findPeerConflicts = (graph, bumps = {}) => {
+  const parents = parentIndex(graph);
+  const conflicts = new Map();
+
+  Object.values(graph.packages).forEach(node => {
+    if (!node.name || !node.version) return;
+    const bump = bumps[node.name];
+    const peers = declaredPeers(bump || node);
+
+    peers.forEach(peer => {
+      const installed = bumps[peer.name]?.version ?? installedPeer(graph, node, peer.name, parents)?.version ?? null;
+      if (installed === null ? peer.optional : satisfiesPeer(installed, peer.range)) return;
+
+      const conflict = {
+        package: peer.name,
+        range: peer.range,
+        installed,
+        requiredBy: node.name,
+        requiredByVersion: bump?.version ?? node.version,
+        optional: peer.optional,
+      };
+      conflicts.set(conflictKey(conflict), conflict);
+    });
+  });
+
+  return [...conflicts.values()].sort((a, b) =>
+    a.package.localeCompare(b.package) || a.requiredBy.localeCompare(b.requiredBy));
+};
+
+// What a set of bumps does to peer dependencies: conflicts it would
+// introduce and existing ones it would resolve
+const simulatePeers = (graph, bumps) => {
+  const before = findPeerConflicts(graph);
+  const after = findPeerConflicts(graph, bumps);
+  const beforeKeys = new Set(before.map(conflictKey));
+  const afterKeys = new Set(after.map(conflictKey));
+
+  return {
+    bumps: Object.entries(bumps).map(([name, bump]) => ({
+      name,
+      from: [...new Set(Object.values(graph.packages).filter(node => node.name === name).map(node => node.version))],
+      to: bump.version,
+    })),
+    introduced: after.filter(conflict => !beforeKeys.has(conflictKey(conflict))),
+    resolved: before.filter(conflict => !afterKeys.has(conflictKey(conflict))),
+  };
+};
+
+export {
+  recordsPeers,
+  withPeers,
+  declaredPeers,
+  findPeerConflicts,
+  simulatePeers
+};
@@ -0,0 +1,170 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseNpmLock, parseYarnLock } from './lockfile.js';
+import { recordsPeers, withPeers, declaredPeers, findPeerConflicts, simulatePeers } from './peers.js';
+
+const lock = JSON.stringify({
+  name: 'app',
+  lockfileVersion: 3,
+  packages: {
+    '': { name: 'app', dependencies: { react: '^18.2.0', 'react-dom': '^18.2.0', 'old-widget': '^1.0.0', 'lint-plugin': '^1.0.0' } },
+    'node_modules/react': { version: '18.2.0' },
+    'node_modules/react-dom': { version: '18.2.0', peerDependencies: { react: '^18.2.0' } },
+    'node_modules/old-widget': { version: '1.0.0', peerDependencies: { react: '^16.8.0 || ^17.0.0' } },
+    'node_modules/lint-plugin': {
+      version: '1.0.0',
+      peerDependencies: { eslint: '>=8', typescript: '>=4' },
+      peerDependenciesMeta: { typescript: { optional: true } }
+    }
+  }
+});
+
+describe('peers', () => {
+  test('reads declared peers with their optional flag', () => {
+    const graph = parseNpmLock(lock);
+    expect(declaredPeers(graph.packages['node_modules/lint-plugin'])).toEqual([
+      { name: 'eslint', range: '>=8', optional: false },
+      { name: 'typescript', range: '>=4', optional: true }
+    ]);
+  });
+
+  test('checks every peer range against the installed version', () => {
+    expect(findPeerConflicts(parseNpmLock(lock))).toEqual([
+      { package: 'eslint', range: '>=8', installed: null, requiredBy: 'lint-plugin', requiredByVersion: '1.0.0', optional: false },
+      { package: 'react', range: '^16.8.0 || ^17.0.0', installed: '18.2.0', requiredBy: 'old-widget', requiredByVersion: '1.0.0', optional: false }
+    ]);
+  });
+
+  test('adds peers from registry manifests to lockfiles that lack them', () => {
+    const graph = parseYarnLock('# yarn lockfile v1\n\nreact@^18.2.0:\n  version "18.2.0"\n\nold-widget@^1.0.0:\n  version "1.0.0"\n');
+    expect(recordsPeers(graph)).toBe(false);
+    expect(recordsPeers(parseNpmLock(lock))).toBe(true);
+    expect(findPeerConflicts(graph)).toEqual([]);
+    const manifests = { 'old-widget@1.0.0': { peerDependencies: { react: '^17.0.0' } } };
+    expect(findPeerConflicts(withPeers(graph, node => manifests[`${node.name}@${node.version}`] || null)).map(c => [c.requiredBy, c.installed]))
+      .toEqual([['old-widget', '18.2.0']]);
+  });
+
+  test('resolves peers through the parent when the lockfile does not record them', () => {
+    const graph = parseYarnLock(`__metadata:
+  version: 8
+
+"react@npm:^18.0.0":
+  version: 18.2.0
+  resolution: "react@npm:18.2.0"
+  languageName: node
+  linkType: hard
+
+"ui@npm:^1.0.0":
+  version: 1.0.0
+  resolution: "ui@npm:1.0.0"
+  peerDependencies:
+    react: ">=16"
+    vue: ^3.0.0
+  languageName: node
+  linkType: hard
+
+"app@workspace:.":
+  version: 0.0.0-use.local
+  resolution: "app@workspace:."
+  dependencies:
+    react: "npm:^18.0.0"
+    ui: "npm:^1.0.0"
+  languageName: unknown
+  linkType: soft
+`);
+    expect(findPeerConflicts(graph).map(c => [c.package, c.installed])).toEqual([['vue', null]]);
+  });
+
+  test('simulates a bump', () => {
+    const graph = parseNpmLock(lock);
+    const simulation = simulatePeers(graph, { react: { version: '19.0.0', peerDependencies: {} } });
+    expect(simulation.bumps).toEqual([{ name: 'react', from: ['18.2.0'], to: '19.0.0' }]);
+    expect(simulation.introduced.map(c => `${c.requiredBy} ${c.range} ${c.installed}`)).toEqual(['react-dom ^18.2.0 19.0.0']);
+    expect(simulation.resolved).toEqual([]);
+
+    const together = simulatePeers(graph, {
+      react: { version: '19.0.0' },
+      'react-dom': { version: '19.0.0', peerDependencies: { react: '^19.0.0' } }
+    });
+    expect(together.introduced).toEqual([]);
+  });
+
+  describe('dependabot command', () => {
+    let server;
+    let dir;
+    let registry;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const name = decodeURIComponent(req.url.slice(1));
+        const versions = {
+          react: { '18.2.0': {}, '19.0.0': {}, '19.1.0': {} },
+          'react-dom': { '18.2.0': { peerDependencies: { react: '^18.2.0' } }, '19.1.0': { peerDependencies: { react: '^19.1.0' } } },
+          'old-widget': { '1.0.0': { peerDependencies: { react: '^16.8.0 || ^17.0.0' } } }
+        }[name] || { '1.0.0': {} };
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ name, 'dist-tags': { latest: Object.keys(versions).pop() }, versions }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      registry = `http://127.0.0.1:${server.address().port}/`;
+
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-peers-'));
+      await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({
+        name: 'app',
+        dependencies: { react: '^18.2.0', 'react-dom': '^18.2.0', 'old-widget': '^1.0.0', 'lint-plugin': '^1.0.0' }
+      }));
+      await fs.writeFile(path.join(dir, 'package-lock.json'), lock);
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('reports peer conflicts and simulates bumps without installing', async () => {
+      const { explainDependabot } = await import('./index.js');
+      const { issues, simulation } = await explainDependabot({ json: true, cwd: dir, cache: false, registry, simulate: ['react@19'] });
+      expect(issues.filter(i => i.type === 'PEER_CONFLICT')).toEqual([
+        expect.objectContaining({
+          package: 'eslint',
+          message: 'lint-plugin@1.0.0 requires peer eslint@>=8, which is not installed.',
+          fix: 'npm install eslint@">=8"',
+          severity: 'MEDIUM'
+        }),
+        expect.objectContaining({
+          package: 'react',
+          message: 'old-widget@1.0.0 requires peer react@^16.8.0 || ^17.0.0, but 18.2.0 is installed.',
+          fix: 'Upgrade old-widget to a version accepting react@18.2.0, or npm install react@"^16.8.0 || ^17.0.0"',
+          severity: 'HIGH',
+          requiredBy: 'old-widget@1.0.0'
+        })
+      ]);
+      expect(simulation.bumps).toEqual([{ name: 'react', from: ['18.2.0'], to: '19.1.0' }]);
+      expect(simulation.introduced.map(c => c.requiredBy)).toEqual(['react-dom']);
+
+      const both = await explainDependabot({ json: true, cwd: dir, cache: false, registry, simulate: ['react@19', 'react-dom'] });
+      expect(both.simulation.introduced).toEqual([]);
+      await expect(explainDependabot({ json: true, cwd: dir, cache: false, registry, simulate: ['react@20'] }))
+        .rejects.toThrow('No published version of react matches 20');
+    });
+
+    test('reads peers from the registry for Yarn v1 lockfiles', async () => {
+      const yarnDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-peers-yarn-'));
+      await fs.writeFile(path.join(yarnDir, 'package.json'), JSON.stringify({ name: 'app', dependencies: { react: '^18.2.0', 'old-widget': '^1.0.0' } }));
+      await fs.writeFile(path.join(yarnDir, 'yarn.lock'), '# yarn lockfile v1\n\nreact@^18.2.0:\n  version "18.2.0"\n\nold-widget@^1.0.0:\n  version "1.0.0"\n');
+      try {
+        const { explainDependabot } = await import('./index.js');
+        const { issues } = await explainDependabot({ json: true, cwd: yarnDir, cache: false, registry });
+        expect(issues.filter(i => i.type === 'PEER_CONFLICT').map(i => [i.requiredBy, i.range, i.installed])).toEqual([
+          ['old-widget@1.0.0', '^16.8.0 || ^17.0.0', '18.2.0']
+        ]);
+      } finally {
+        await fs.rm(yarnDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import zlib from "zlib";
+import { safeJsonParse, fileExists, createLimiter } from "./utils.js";
+
+const DEFAULT_REGISTRY = "https://registry.npmjs.org/";
+const DEFAULT_DOWNLOADS_URL = "https://api.npmjs.org/downloads/point/last-week/";
+const DEFAULT_TTL = 60 * 60 * 1000;
+const DEFAULT_CONCURRENCY = 8;
+const DEFAULT_TIMEOUT = 30 * 1000;
+
+const defaultCacheDir = () =>
+  process.env.DEP_AUDIT_CACHE_DIR ||
+  path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"), "dep-audit");
+
+const withTrailingSlash = (url) => (url.endsWith("/") ? url : `${url}/`);
+
+// .npmrc is ini-like: key=value, ; and # comments, ${ENV} interpolation
+const parseNpmrc = (content, env = process.env) => {
+  const config = {};
+  content.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#") || trimmed.startsWith(";")) return;
+    const eq = trimmed.indexOf("=");
+    if (eq === -1) return;
+
+    const key = trimmed.slice(0, eq).trim();
+    const value = trimmed.slice(eq + 1).trim()
+      .replace(/^(["'])(.*)\1$/, "$2")
+      .replace(/\$\{([^}]+)\}/g, (_, name) => env[name] ?? "");
+    config[key] = value;
+  });
+  return config;
+};
+
+// User config first, then the project's .npmrc on top
+const loadNpmrc = async (cwd, env = process.env) => {
+  const files = [
+    env.NPM_CONFIG_USERCONFIG || path.join(os.homedir(), ".npmrc"),
+    path.join(cwd, ".npmrc"),
+  ];
+
+  let config = {};
+  for (const file of files) {
+    if (await fileExists(file)) {
+      config = { ...config, ...parseNpmrc(await fs.readFile(file, "utf8"), env) };
+    }
+  }
+  return config;
+};
+
+const registryFor = (name, config) => {
+  const scope = name.startsWith("@") ? name.split("/")[0] : null;
+  return withTrailingSlash((scope && config[`${scope}:registry`]) || config.registry || DEFAULT_REGISTRY);
+};
+
+// Credentials are keyed by "nerf darts" (//host/path/:_authToken); the most
+// specific prefix of the request URL wins
+const authHeaderFor = (url, config) => {
+  const { host, pathname } = new URL(url);
+  const target = `//${host}${pathname}`;
+  const prefixes = Object.keys(config)
+    .filter(key => key.startsWith("//"))
+    .map(key => key.slice(0, key.lastIndexOf(":")))
+    .filter(prefix => target.startsWith(prefix))
+    .sort((a, b) => b.length - a.length);
+
+  for (const prefix of new Set(prefixes)) {
+    if (config[`${prefix}:_authToken`]) return `Bearer ${config[`${prefix}:_authToken`]}`;
+    if (config[`${prefix}:_auth`]) return `Basic ${config[`${prefix}:_auth`]}`;
+    if (config[`${prefix}:username`] && config[`${prefix}:_password`]) {
+      const password = Buffer.from(config[`${prefix}:_password`], "base64").toString("utf8");
+      return `Basic ${Buffer.from(`${config[`${prefix}:username`]}:${password}`).toString("base64")}`;
+    }
+  }
+  return null;
+};
+
+// Text of the files in a .tgz whose path (without the leading "package/")
+// matches `pattern`. Only regular files; pax and GNU long names are rare
+// enough in npm tarballs to skip.
+const readTarFiles = (tgz, pattern) => {
+  const tar = zlib.gunzipSync(tgz);
+  const files = {};
+  const field = (offset, length) => tar.toString("utf8", offset, offset + length).replace(/\0.*$/s, "");
+  let offset = 0;
+  while (offset + 512 <= tar.length && tar[offset] !== 0) {
+    const size = parseInt(field(offset + 124, 12).trim() || "0", 8);
+    const type = field(offset + 156, 1) || "0";
+    const prefix = field(offset + 345, 155);
+    const name = (prefix ? `${prefix}/` : "") + field(offset, 100);
+    const file = name.replace(/^[^/]+\//, "");
+    if (type === "0" && pattern.test(file)) {
+      files[file] = tar.toString("utf8", offset + 512, offset + 512 + size);
+    }
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+};
+
+const packumentUrl = (registry, name) =>
+  `${registry}${encodeURIComponent(name).replace(/^%40/, "@")}`;
+
+// Responses stored as JSON files named after a hash of the request URL
+const createDiskCache = ({ dir = defaultCacheDir(), ttl = DEFAULT_TTL } = {}) => {
+  const fileFor = (key) => path.join(dir, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+
+  return {
+    dir,
+    ttl,
+    async get(key) {
+      try {
+        const entry = safeJsonParse(await fs.readFile(fileFor(key), "utf8"), null);
+        if (!entry) return null;
+        return { ...entry, age: Date.now() - entry.fetchedAt };
+      } catch {
+        return null;
+      }
+    },
+    async set(key, data) {
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(fileFor(key), JSON.stringify({ key, fetchedAt: Date.now(), data }));
+      } catch {
+        // A read-only cache directory shouldn't break the audit
+      }
+    },
+    async clear() {
+      const files = (await fs.readdir(dir).catch(() => [])).filter(file => file.endsWith(".json"));
+      await Promise.all(files.map(file => fs.rm(path.join(dir, file), { force: true })));
+      return files.length;
+    },
+  };
+};
+
+const createRegistryClient = async (opts = {}) => {
+  const cwd = opts.cwd || process.cwd();
+  const config = { ...(await loadNpmrc(cwd, opts.env)), ...(opts.registry ? { registry: opts.registry } : {}) };
+  const cache = opts.cache === false ? null : createDiskCache({ dir: opts.cacheDir, ttl: opts.ttl });
+  const ttl = opts.ttl ?? DEFAULT_TTL;
+  const downloadsUrl = withTrailingSlash(opts.downloadsUrl || DEFAULT_DOWNLOADS_URL);
+  const fetchImpl = opts.fetch || globalThis.fetch;
+  const offline = Boolean(opts.offline);
+  const limit = createLimiter(opts.concurrency || DEFAULT_CONCURRENCY);
+  const inFlight = new Map();
+
+  const request = async (url, accept = "application/json") => {
+    const headers = { accept };
+    const auth = authHeaderFor(url, config);
+    if (auth) headers.authorization = auth;
+
+    const res = await fetchImpl(url, { headers, signal: AbortSignal.timeout(opts.timeout || DEFAULT_TIMEOUT) });
+    if (res.status === 404) throw new Error(`Not found: ${url}`);
+    if (!res.ok) throw new Error(`Registry responded ${res.status} for ${url}`);
+    return accept === "application/json" ? res.json() : Buffer.from(await res.arrayBuffer());
+  };
+
+  // Cached, de-duplicated and concurrency-limited GET. Resolves to
+  // { data, age, stale } so callers can tell how old cached data is.
+  // `load` turns the URL into cacheable data; `key` defaults to the URL.
+  const fetchEntry = (url, load = () => request(url), key = url) => {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const pending = (async () => {
+      const cached = cache ? await cache.get(key) : null;
+      if (cached && (offline || cached.age < ttl)) {
+        return { data: cached.data, age: cached.age, stale: cached.age >= ttl };
+      }
+      if (offline) {
+        const err = new Error(`${url} is not in the offline cache; run "dep-audit cache warm" first`);
+        err.code = "ENOTCACHED";
+        throw err;
+      }
+
+      try {
+        const data = await limit(load);
+        if (cache) await cache.set(key, data);
+        return { data, age: 0, stale: false };
+      } catch (err) {
+        // An expired entry beats no data when the registry is unreachable
+        if (cached && !err.message.startsWith("Not found")) {
+          return { data: cached.data, age: cached.age, stale: true };
+        }
+        throw err;
+      }
+    })();
+
+    inFlight.set(key, pending);
+    pending.finally(() => inFlight.delete(key)).catch(() => {});
+    return pending;
+  };
+
+  const fetchJson = async (url) => (await fetchEntry(url)).data;
+  const packumentEntry = (name) => fetchEntry(packumentUrl(registryFor(name, config), name));
+  // The manifest of one published version, much smaller than the packument
+  const manifestEntry = (name, version) =>
+    fetchEntry(`${packumentUrl(registryFor(name, config), name)}/${encodeURIComponent(version)}`);
+  // Matching files from a package tarball; only their text is cached
+  const tarballFilesEntry = (url, pattern) =>
+    fetchEntry(url, async () => readTarFiles(await request(url, "application/octet-stream"), pattern), `${url}#${pattern.source}`);
+  const downloadsEntry = async (name) => {
+    const entry = await fetchEntry(`${downloadsUrl}${name}`);
+    return { ...entry, data: entry.data?.downloads ?? 0 };
+  };
+
+  return {
+    config,
+    cache,
+    offline,
+    ttl,
+    registryFor: (name) => registryFor(name, config),
+    fetchEntry,
+    fetchJson,
+    packumentEntry,
+    manifestEntry,
+    tarballFilesEntry,
+    downloadsEntry,
+    packument: async (name) => (await packumentEntry(name)).data,
+    downloads: async (name) => (await downloadsEntry(name)).data,
+  };
+};
+
+export {
+  defaultCacheDir,
+  parseNpmrc,
+  loadNpmrc,
+  authHeaderFor,
+  createDiskCache,
+  createRegistryClient
+};
@@ -0,0 +1,110 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseNpmrc, authHeaderFor, createRegistryClient } from './registry.js';
+
+describe('registry', () => {
+  let server;
+  let registryUrl;
+  let cacheDir;
+  const requests = [];
+  let active = 0;
+  let maxActive = 0;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, auth: req.headers.authorization });
+      active++;
+      maxActive = Math.max(maxActive, active);
+      setTimeout(() => {
+        active--;
+        const name = decodeURIComponent(req.url.replace(/^\/(scoped\/)?/, ''));
+        if (name === 'missing') {
+          res.writeHead(404).end();
+          return;
+        }
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ name, 'dist-tags': { latest: '1.0.0' } }));
+      }, 10);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    registryUrl = `http://127.0.0.1:${server.address().port}/`;
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-cache-'));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('parses .npmrc with env interpolation', () => {
+    const config = parseNpmrc('; comment\nregistry=https://r.example/\n@acme:registry = "https://npm.acme.dev/"\n//npm.acme.dev/:_authToken=${TOKEN}\n', { TOKEN: 'secret' });
+    expect(config).toEqual({
+      registry: 'https://r.example/',
+      '@acme:registry': 'https://npm.acme.dev/',
+      '//npm.acme.dev/:_authToken': 'secret'
+    });
+  });
+
+  test('picks the most specific credentials for a URL', () => {
+    const config = {
+      '//npm.acme.dev/:_authToken': 'outer',
+      '//npm.acme.dev/private/:_authToken': 'inner'
+    };
+    expect(authHeaderFor('https://npm.acme.dev/private/@acme%2fui', config)).toBe('Bearer inner');
+    expect(authHeaderFor('https://npm.acme.dev/lodash', config)).toBe('Bearer outer');
+    expect(authHeaderFor('https://registry.npmjs.org/lodash', config)).toBeNull();
+  });
+
+  test('fetches packuments with scoped registries and auth', async () => {
+    const client = await createRegistryClient({ cwd: cacheDir, registry: registryUrl, cache: false, env: {} });
+    Object.assign(client.config, {
+      '@acme:registry': `${registryUrl}scoped/`,
+      [`//127.0.0.1:${server.address().port}/scoped/:_authToken`]: 'token'
+    });
+
+    expect((await client.packument('@acme/ui')).name).toBe('@acme/ui');
+    expect(requests.at(-1)).toEqual({ url: '/scoped/@acme%2Fui', auth: 'Bearer token' });
+    await expect(client.packument('missing')).rejects.toThrow('Not found');
+  });
+
+  test('caches responses on disk within the TTL', async () => {
+    const options = { cwd: cacheDir, registry: registryUrl, cacheDir, env: {} };
+    await (await createRegistryClient(options)).packument('cached-pkg');
+    const before = requests.length;
+    await (await createRegistryClient(options)).packument('cached-pkg');
+    expect(requests.length).toBe(before);
+
+    await (await createRegistryClient({ ...options, ttl: 0 })).packument('cached-pkg');
+    expect(requests.length).toBe(before + 1);
+  });
+
+  test('serves only cached data when offline, flagging stale entries', async () => {
+    const options = { cwd: cacheDir, registry: registryUrl, cacheDir, env: {} };
+    await (await createRegistryClient(options)).packument('offline-pkg');
+    const before = requests.length;
+
+    const offline = await createRegistryClient({ ...options, offline: true, ttl: 0 });
+    const entry = await offline.packumentEntry('offline-pkg');
+    expect(entry).toMatchObject({ data: { name: 'offline-pkg' }, stale: true });
+    await expect(offline.packument('never-fetched')).rejects.toMatchObject({ code: 'ENOTCACHED' });
+    expect(requests.length).toBe(before);
+  });
+
+  test('falls back to expired cache entries when the registry is unreachable', async () => {
+    const options = { cwd: cacheDir, registry: registryUrl, cacheDir, env: {} };
+    await (await createRegistryClient(options)).packument('flaky-pkg');
+    const failingFetch = async () => { throw new Error('ECONNREFUSED'); };
+    const client = await createRegistryClient({ ...options, ttl: 0, fetch: failingFetch });
+    expect(await client.packumentEntry('flaky-pkg')).toMatchObject({ stale: true, data: { name: 'flaky-pkg' } });
+  });
+
+  test('bounds concurrent requests', async () => {
+    const client = await createRegistryClient({ cwd: cacheDir, registry: registryUrl, cache: false, concurrency: 2, env: {} });
+    maxActive = 0;
+    await Promise.all(['a', 'b', 'c', 'd', 'e'].map(name => client.packument(name)));
+    expect(maxActive).toBeLessThanOrEqual(2);
+  });
+});
@@ -0,0 +1,222 @@
+const REPORT_FORMATS = ["markdown", "html", "json"];
+
+const countBy = (items, key) =>
+  items.reduce((counts, item) => ({ ...counts, [item[key]]: (counts[item[key]] || 0) + 1 }), {});
+
+// Totals across every workspace in the report
+const summarize = (workspaces, lockfilePackages, errors) => {
+  const all = (section) => workspaces.flatMap(ws => ws[section] || []);
+  const direct = new Set();
+  workspaces.forEach(ws => {
+    ["dependencies", "devDependencies", "optionalDependencies"].forEach(field => {
+      Object.keys(ws.scan?.[field] || {}).forEach(name => direct.add(name));
+    });
+  });
+
+  const updates = countBy(all("updates"), "type");
+  const risk = countBy(all("risk"), "level");
+  const dependabot = countBy(all("dependabot"), "severity");
+
+  return {
+    workspaces: workspaces.length,
+    directDependencies: direct.size,
+    lockfilePackages,
+    unused: all("unused").length,
+    updates: { total: all("updates").length, major: updates.MAJOR || 0, minor: updates.MINOR || 0, patch: updates.PATCH || 0 },
+    risk: { high: risk.HIGH || 0, medium: risk.MEDIUM || 0, low: risk.LOW || 0 },
+    dependabot: { total: all("dependabot").length, high: dependabot.HIGH || 0, medium: dependabot.MEDIUM || 0 },
+    errors: errors.length,
+  };
+};
+
+// Report model shared by every output format
+const createReport = ({ project, workspaces, errors = [], version, now = new Date() }) => ({
+  tool: { name: "dep-audit", version },
+  generatedAt: now.toISOString(),
+  project,
+  summary: summarize(workspaces, project.lockfilePackages, errors),
+  workspaces,
+  errors,
+});
+
+const summaryRows = ({ summary }) => [
+  ["Workspaces", summary.workspaces],
+  ["Direct dependencies", summary.directDependencies],
+  ["Installed packages (lockfile)", summary.lockfilePackages],
+  ["Unused dependencies", summary.unused],
+  ["Available updates", `${summary.updates.total} (${summary.updates.major} major, ${summary.updates.minor} minor, ${summary.updates.patch} patch)`],
+  ["Risk", `${summary.risk.high} high, ${summary.risk.medium} medium, ${summary.risk.low} low`],
+  ["Dependabot issues", `${summary.dependabot.total} (${summary.dependabot.high} high, ${summary.dependabot.medium} medium)`],
+];
+
+// Per-workspace tables, independent of the output format. A null `rows`
+// means the analysis did not run (see the report's errors).
+const workspaceTables = (ws) => {
+  const scan = ws.scan;
+  return [
+    {
+      title: "Dependencies",
+      columns: ["Type", "Count"],
+      rows: scan && [
+        ["dependencies", Object.keys(scan.dependencies).length],
+        ["devDependencies", Object.keys(scan.devDependencies).length],
+        ["optionalDependencies", Object.keys(scan.optionalDependencies).length],
+        ["peerDependencies", Object.keys(scan.peerDependencies).length],
+        ["Installed instances", scan.lockfileInstances],
+      ],
+    },
+    {
+      title: "Unused dependencies",
+      columns: ["Package"],
+      rows: ws.unused && ws.unused.map(name => [name]),
+    },
+    {
+      title: "Updates",
+      columns: ["Package", "Current", "Latest", "Type"],
+      rows: ws.updates && ws.updates.map(u => [u.name, u.current, u.latest, u.type]),
+    },
+    {
+      title: "Risk",
+      columns: ["Package", "Level", "Score", "Reasons"],
+      rows: ws.risk && [...ws.risk].sort((a, b) => a.score - b.score).map(r => [r.name, r.level, r.score, r.reason]),
+    },
+    {
+      title: "Dependabot issues",
+      columns: ["Issue", "Severity", "Package", "Message", "Fix"],
+      rows: ws.dependabot && ws.dependabot.map(i => [i.type, i.severity, i.package || "", i.message, i.fix]),
+    },
+  ];
+};
+
+const projectTitle = (report) => report.project.name || "project";
+
+const subtitle = (report) =>
+  `Generated ${report.generatedAt} by dep-audit ${report.tool.version} · ${report.project.manager}` +
+  (report.project.lockfileVersion ? ` (lockfile v${report.project.lockfileVersion})` : "");
+
+const workspaceTitle = (ws) => (ws.isRoot ? `${ws.name} (root)` : `${ws.name} (${ws.path})`);
+
+const escapeMarkdown = (value) => String(value ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+
+const markdownTable = (columns, rows) => [
+  `| ${columns.join(" | ")} |`,
+  `| ${columns.map(() => "---").join(" | ")} |`,
+  ...rows.map(row => `| ${row.map(escapeMarkdown).join(" | ")} |`),
+].join("\n");
+
+const renderMarkdown = (report) => {
+  const lines = [`# Dependency report: ${projectTitle(report)}`, "", `_${subtitle(report)}_`, ""];
+  lines.push("## Summary", "", markdownTable(["Metric", "Value"], summaryRows(report)), "");
+
+  // Single-package projects skip the workspace heading level
+  const monorepo = report.workspaces.length > 1;
+  report.workspaces.forEach(ws => {
+    if (monorepo) lines.push(`## ${workspaceTitle(ws)}`, "");
+    workspaceTables(ws).forEach(({ title, columns, rows }) => {
+      lines.push(`${monorepo ? "###" : "##"} ${title}`, "");
+      if (!rows) lines.push("_Not available (see Errors)._");
+      else if (rows.length === 0) lines.push("None.");
+      else lines.push(markdownTable(columns, rows));
+      lines.push("");
+    });
+  });
+
+  if (report.errors.length > 0) {
+    lines.push("## Errors", "", ...report.errors.map(e => `- **${e.section}**: ${escapeMarkdown(e.message)}`), "");
+  }
+  return lines.join("\n");
+};
+
+const escapeHtml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const LEVEL_CLASSES = { HIGH: "high", MEDIUM: "medium", LOW: "low", MAJOR: "high", MINOR: "medium", PATCH: "low" };
+
+const htmlTable = (columns, rows) => `<table>
+<thead><tr>${columns.map(c => `<th>${escapeHtml(c)}</th>`).join("")}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(cell => {
+    const level = LEVEL_CLASSES[cell];
+    return level ? `<td><span class="badge ${level}">${escapeHtml(cell)}</span></td>` : `<td>${escapeHtml(cell)}</td>`;
+  }).join("")}</tr>`).join("\n")}
+</tbody>
+</table>`;
+
+const HTML_STYLE = `
+body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #1f2328; }
+h1 { margin-bottom: 0; }
+.subtitle { color: #59636e; margin-top: .25rem; }
+.cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: .75rem; margin: 1.5rem 0; }
+.card { border: 1px solid #d1d9e0; border-radius: 6px; padding: .75rem 1rem; }
+.card .label { color: #59636e; font-size: 12px; text-transform: uppercase; }
+.card .value { font-size: 18px; font-weight: 600; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; }
+th, td { border: 1px solid #d1d9e0; padding: .35rem .6rem; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+.badge { border-radius: 999px; padding: 0 .5rem; font-size: 12px; font-weight: 600; }
+.badge.high { background: #ffebe9; color: #cf222e; }
+.badge.medium { background: #fff8c5; color: #9a6700; }
+.badge.low { background: #dafbe1; color: #1a7f37; }
+.muted { color: #59636e; }
+`;
+
+// Standalone page: inline styles, no scripts or external assets
+const renderHtml = (report) => {
+  const monorepo = report.workspaces.length > 1;
+  const sections = report.workspaces.map(ws => {
+    const tables = workspaceTables(ws).map(({ title, columns, rows }) => {
+      const heading = monorepo ? "h3" : "h2";
+      let body = htmlTable(columns, rows || []);
+      if (!rows) body = `<p class="muted">Not available (see Errors).</p>`;
+      else if (rows.length === 0) body = `<p class="muted">None.</p>`;
+      return `<${heading}>${escapeHtml(title)}</${heading}>\n${body}`;
+    }).join("\n");
+    return monorepo ? `<section>\n<h2>${escapeHtml(workspaceTitle(ws))}</h2>\n${tables}\n</section>` : tables;
+  }).join("\n");
+
+  const errors = report.errors.length === 0 ? "" : `<h2>Errors</h2>
+<ul>${report.errors.map(e => `<li><strong>${escapeHtml(e.section)}</strong>: ${escapeHtml(e.message)}</li>`).join("")}</ul>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Dependency report: ${escapeHtml(projectTitle(report))}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Dependency report: ${escapeHtml(projectTitle(report))}</h1>
+<p class="subtitle">${escapeHtml(subtitle(report))}</p>
+<div class="cards">
+${summaryRows(report).map(([label, value]) => `<div class="card"><div class="label">${escapeHtml(label)}</div><div class="value">${escapeHtml(value)}</div></div>`).join("\n")}
+</div>
+${sections}
+${errors}
+</body>
+</html>
+`;
+};
+
+const renderReport = (report, format = "markdown") => {
+  switch (format) {
+    case "json":
+      return JSON.stringify(report, null, 2);
+    case "markdown":
+      return renderMarkdown(report);
+    case "html":
+      return renderHtml(report);
+    default:
+      throw new Error(`Unknown report format "${format}" (expected one of ${REPORT_FORMATS.join(", ")})`);
+  }
+};
+
+export {
+  REPORT_FORMATS,
+  createReport,
+  renderReport,
+  escapeMarkdown,
+  markdownTable
+};
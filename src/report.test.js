@@ -0,0 +1,78 @@
+import { describe, test, expect } from 'vitest';
+import { createReport, renderReport } from './report.js';
+
+const scan = {
+  dependencies: { lodash: '^4.0.0', chalk: '^4.0.0' },
+  devDependencies: { vitest: '^1.0.0' },
+  optionalDependencies: {},
+  peerDependencies: {},
+  lockfileInstances: 12
+};
+
+const buildReport = (workspaces, errors = []) => createReport({
+  project: { name: 'app', rootDir: '/app', manager: 'npm', lockfileVersion: 3, lockfilePackages: 12 },
+  workspaces,
+  errors,
+  version: '2.0.0',
+  now: new Date('2026-01-05T00:00:00Z')
+});
+
+describe('report', () => {
+  const workspace = {
+    name: 'app',
+    path: '',
+    isRoot: true,
+    scan,
+    unused: ['chalk'],
+    updates: [{ name: 'lodash', current: '4.0.0', latest: '5.0.0', type: 'MAJOR' }],
+    risk: [
+      { name: 'chalk', level: 'LOW', score: 9, reason: 'Generally healthy' },
+      { name: 'lodash', level: 'HIGH', score: 2, reason: 'High risk package | stale' }
+    ],
+    dependabot: [{ type: 'VERSION_MISMATCH', severity: 'HIGH', package: 'lodash', message: 'lodash requires ^4.0.0', fix: 'npm install lodash@^4.0.0' }]
+  };
+
+  test('totals every section', () => {
+    expect(buildReport([workspace]).summary).toEqual({
+      workspaces: 1,
+      directDependencies: 3,
+      lockfilePackages: 12,
+      unused: 1,
+      updates: { total: 1, major: 1, minor: 0, patch: 0 },
+      risk: { high: 1, medium: 0, low: 1 },
+      dependabot: { total: 1, high: 1, medium: 0 },
+      errors: 0
+    });
+  });
+
+  test('renders Markdown tables, escaping cell content', () => {
+    const markdown = renderReport(buildReport([workspace]), 'markdown');
+    expect(markdown).toContain('# Dependency report: app');
+    expect(markdown).toContain('| Available updates | 1 (1 major, 0 minor, 0 patch) |');
+    expect(markdown).toContain('## Risk');
+    expect(markdown).toContain('| lodash | HIGH | 2 | High risk package \\| stale |');
+    expect(markdown.indexOf('| lodash | HIGH')).toBeLessThan(markdown.indexOf('| chalk | LOW'));
+  });
+
+  test('marks sections that failed and groups monorepo workspaces', () => {
+    const api = { name: '@acme/api', path: 'packages/api', isRoot: false, scan, unused: [], updates: null, risk: [], dependabot: [] };
+    const markdown = renderReport(buildReport([workspace, api], [{ section: 'updates', message: 'registry unreachable' }]), 'markdown');
+    expect(markdown).toContain('## @acme/api (packages/api)');
+    expect(markdown).toContain('### Unused dependencies\n\nNone.');
+    expect(markdown).toContain('_Not available (see Errors)._');
+    expect(markdown).toContain('- **updates**: registry unreachable');
+  });
+
+  test('renders a standalone HTML page', () => {
+    const html = renderReport(buildReport([{ ...workspace, unused: ['<script>'] }]), 'html');
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<td>&lt;script&gt;</td>');
+    expect(html).toContain('<span class="badge high">HIGH</span>');
+    expect(html).not.toMatch(/<script|<link/);
+  });
+
+  test('rejects unknown formats', () => {
+    expect(JSON.parse(renderReport(buildReport([workspace]), 'json')).generatedAt).toBe('2026-01-05T00:00:00.000Z');
+    expect(() => renderReport(buildReport([workspace]), 'pdf')).toThrow('Unknown report format');
+  });
+});
@@ -0,0 +1,324 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const DEP_FIELDS = ["dependencies", "devDependencies", "optionalDependencies", "peerDependencies"];
+
+const RULES = {
+  VERSION_MISMATCH: {
+    name: "VersionMismatch",
+    description: "The locked version does not satisfy the range declared in package.json.",
+    help: "Reinstall the dependency so the lockfile matches package.json.",
+    level: "error",
+  },
+  LOCKFILE_OUTDATED: {
+    name: "LockfileOutdated",
+    description: "The lockfile was resolved for a different specifier than package.json declares.",
+    help: "Run the install without --frozen-lockfile and commit the updated lockfile.",
+    level: "error",
+  },
+  PEER_CONFLICT: {
+    name: "PeerConflict",
+    description: "A locked package's peer dependency is missing or installed at a version outside its range.",
+    help: "Upgrade the package declaring the peer to a version that accepts the installed one, or install the peer within its range.",
+    level: "warning",
+  },
+  DEPRECATED_PACKAGE: {
+    name: "DeprecatedPackage",
+    description: "The installed version of a direct dependency is deprecated in the registry.",
+    help: "Upgrade to a version that isn't deprecated, or move to the suggested replacement.",
+    level: "warning",
+  },
+  DEPENDABOT_CONFIG: {
+    name: "DependabotConfig",
+    description: "dependabot.yml is invalid or has an npm entry that updates nothing.",
+    help: "Fix the reported option; GitHub runs no updates while the file is invalid.",
+    level: "error",
+  },
+  DEPENDABOT_UNCOVERED: {
+    name: "DependabotUncovered",
+    description: "A lockfile or workspace is not covered by any npm entry in dependabot.yml.",
+    help: "Add an updates entry with package-ecosystem: npm for its directory.",
+    level: "warning",
+  },
+  DEPENDABOT_PR_LIMIT: {
+    name: "DependabotPrLimit",
+    description: "More version updates are due than open-pull-requests-limit allows.",
+    help: "Raise open-pull-requests-limit or group related updates.",
+    level: "note",
+  },
+  MISSING_INTEGRITY: {
+    name: "MissingIntegrity",
+    description: "A locked package has no integrity checksum, so its tarball is installed unverified.",
+    help: "Reinstall the package so the lockfile records its integrity.",
+    level: "error",
+  },
+  DISALLOWED_HOST: {
+    name: "DisallowedHost",
+    description: "A locked package is resolved from a host that is not an allowed registry.",
+    help: "Reinstall it from an allowed registry, or add the host to lockfileLint.allowedHosts.",
+    level: "error",
+  },
+  INSECURE_PROTOCOL: {
+    name: "InsecureProtocol",
+    description: "A locked package is resolved over plain http or git://.",
+    help: "Resolve it over https (or ssh for git).",
+    level: "error",
+  },
+  NAME_MISMATCH: {
+    name: "NameMismatch",
+    description: "A locked package's resolved URL is the tarball of a different package or version.",
+    help: "Check where the entry came from and regenerate it from the registry.",
+    level: "error",
+  },
+  GIT_SOURCE: {
+    name: "GitSource",
+    description: "A locked package is installed from a git repository.",
+    help: "Depend on a published version from the registry.",
+    level: "warning",
+  },
+  URL_SOURCE: {
+    name: "UrlSource",
+    description: "A locked package is installed from a tarball URL outside the registry.",
+    help: "Depend on a published version from the registry.",
+    level: "warning",
+  },
+  FILE_SOURCE: {
+    name: "FileSource",
+    description: "A locked package is installed from a local path.",
+    help: "Publish the package, or make it a workspace.",
+    level: "note",
+  },
+  MISSING_FROM_LOCKFILE: {
+    name: "MissingFromLockfile",
+    description: "A dependency declared in package.json has no entry in the lockfile.",
+    help: "Run the install and commit the updated lockfile.",
+    level: "error",
+  },
+  EXTRA_IN_LOCKFILE: {
+    name: "ExtraInLockfile",
+    description: "The lockfile lists a direct dependency package.json no longer declares.",
+    help: "Run the install and commit the updated lockfile.",
+    level: "warning",
+  },
+  UNUSED_DEPENDENCY: {
+    name: "UnusedDependency",
+    description: "A declared dependency is never imported.",
+    help: "Remove the dependency, or ignore it in the dep-audit config if it is used indirectly.",
+    level: "warning",
+  },
+  HIGH_RISK_PACKAGE: {
+    name: "HighRiskPackage",
+    description: "The dependency scored as high risk (stale, unmaintained, little used or vulnerable).",
+    help: "Replace the package or review it; see the reasons in the result message.",
+    level: "error",
+  },
+  MEDIUM_RISK_PACKAGE: {
+    name: "MediumRiskPackage",
+    description: "The dependency scored as medium risk.",
+    help: "Keep an eye on the package; see the reasons in the result message.",
+    level: "warning",
+  },
+};
+
+const COMMAND_RULES = {
+  risk: ["HIGH_RISK_PACKAGE", "MEDIUM_RISK_PACKAGE"],
+  unused: ["UNUSED_DEPENDENCY"],
+  dependabot: [
+    "VERSION_MISMATCH",
+    "LOCKFILE_OUTDATED",
+    "PEER_CONFLICT",
+    "DEPRECATED_PACKAGE",
+    "DEPENDABOT_CONFIG",
+    "DEPENDABOT_UNCOVERED",
+    "DEPENDABOT_PR_LIMIT",
+  ],
+  "lockfile-lint": [
+    "MISSING_INTEGRITY",
+    "DISALLOWED_HOST",
+    "INSECURE_PROTOCOL",
+    "NAME_MISMATCH",
+    "GIT_SOURCE",
+    "URL_SOURCE",
+    "FILE_SOURCE",
+    "MISSING_FROM_LOCKFILE",
+    "EXTRA_IN_LOCKFILE",
+  ],
+};
+
+const SEVERITY_LEVELS = { HIGH: "error", MEDIUM: "warning", LOW: "note" };
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// 1-based line number of a character offset
+const lineAt = (content, index) => content.slice(0, index).split("\n").length;
+
+// Line where `name` is declared in one of the manifest's dependency maps
+const findManifestLine = (content, name, fields = DEP_FIELDS) => {
+  for (const field of fields) {
+    const section = new RegExp(`"${field}"\\s*:\\s*\\{`).exec(content);
+    if (!section) continue;
+
+    const start = section.index + section[0].length;
+    const end = content.indexOf("}", start);
+    const key = new RegExp(`"${escapeRegExp(name)}"\\s*:`).exec(content.slice(start, end === -1 ? undefined : end));
+    if (key) return lineAt(content, start + key.index);
+  }
+  return null;
+};
+
+// Entry patterns per lockfile format, most specific first
+const LOCKFILE_PATTERNS = {
+  npm: (name) => [`^\\s*"(?:[^"]*/)?node_modules/${name}"\\s*:`, `^\\s*"${name}"\\s*:\\s*\\{`],
+  yarn: (name) => [`^"?${name}@`, `^\\S.*[ "]${name}@[^,]*[,:]`],
+  pnpm: (name) => [`^\\s+'?${name}'?:`, `^\\s+'?/?${name}[@/]`],
+};
+
+// Line of the package's entry in the lockfile. For pnpm the search starts
+// at the workspace's importer so monorepo findings point at its section.
+const findLockfileLine = (content, manager, name, importerId = null) => {
+  const lines = content.split(/\r?\n/);
+  let from = 0;
+  if (manager === "pnpm" && importerId) {
+    const importerLine = new RegExp(`^  '?${escapeRegExp(importerId)}'?:\\s*$`);
+    from = Math.max(0, lines.findIndex(line => importerLine.test(line)));
+  }
+
+  for (const pattern of (LOCKFILE_PATTERNS[manager] || (() => []))(escapeRegExp(name))) {
+    const regex = new RegExp(pattern);
+    const index = lines.findIndex((line, i) => i >= from && regex.test(line));
+    if (index !== -1) return index + 1;
+  }
+  return null;
+};
+
+// Paths in the log are relative to the project root, with forward slashes
+const toUri = (rootDir, file) => path.relative(rootDir, file).split(path.sep).join("/");
+
+// One command's result for a workspace as { ruleId, level, message, package, target }
+// where target says which file the finding belongs to
+const findingsFor = (command, result) => {
+  switch (command) {
+    case "risk":
+      return (result || [])
+        .filter(dep => dep.level === "HIGH" || dep.level === "MEDIUM")
+        .map(dep => ({
+          ruleId: `${dep.level}_RISK_PACKAGE`,
+          level: SEVERITY_LEVELS[dep.level],
+          message: `${dep.name} is ${dep.level.toLowerCase()} risk (score ${dep.score}/10): ${dep.reason}.`,
+          package: dep.name,
+          target: "manifest",
+        }));
+    case "unused":
+      return (result || []).map(name => ({
+        ruleId: "UNUSED_DEPENDENCY",
+        level: "warning",
+        message: `${name} is declared but never imported.`,
+        package: name,
+        target: "manifest",
+      }));
+    case "dependabot":
+      return (result?.issues || []).map(issue => ({
+        ruleId: issue.type,
+        level: SEVERITY_LEVELS[issue.severity] || "warning",
+        message: `${issue.message} Fix: ${issue.fix}`,
+        package: issue.package || null,
+        target: ["VERSION_MISMATCH", "DEPRECATED_PACKAGE"].includes(issue.type) ? "manifest" : "lockfile",
+        // dependabot.yml findings carry their own file and line
+        file: issue.file || null,
+        line: issue.line || null,
+        key: issue.path || null,
+      }));
+    case "lockfile-lint":
+      return (result || []).map(issue => ({
+        ruleId: issue.type,
+        level: SEVERITY_LEVELS[issue.severity] || "warning",
+        message: `${issue.message} Fix: ${issue.fix}`,
+        package: issue.package,
+        target: issue.type === "MISSING_FROM_LOCKFILE" ? "manifest" : "lockfile",
+      }));
+    default:
+      throw new Error(`SARIF output is not supported for ${command}`);
+  }
+};
+
+// SARIF 2.1.0 log for one command. `workspaces` pairs each analyzed
+// workspace with its result: [{ ws, result }].
+const createSarifLog = async ({ command, workspaces, rootDir, manager, lockfile, version }) => {
+  const files = new Map();
+  const read = async (file) => {
+    if (!files.has(file)) files.set(file, await fs.readFile(file, "utf8").catch(() => ""));
+    return files.get(file);
+  };
+
+  const ruleIds = COMMAND_RULES[command];
+  if (!ruleIds) throw new Error(`SARIF output is not supported for ${command}`);
+
+  const lockPath = lockfile ? path.join(rootDir, lockfile) : null;
+  const results = [];
+
+  for (const { ws, result } of workspaces) {
+    const manifestPath = path.join(ws.dir, "package.json");
+
+    for (const finding of findingsFor(command, result)) {
+      const useLockfile = finding.target === "lockfile" && lockPath;
+      const file = finding.file ? path.join(rootDir, finding.file) : useLockfile ? lockPath : manifestPath;
+      const content = await read(file);
+      let line = finding.line || null;
+      if (!line && finding.package) {
+        line = useLockfile
+          ? findLockfileLine(content, manager, finding.package, ws.importerId)
+          : findManifestLine(content, finding.package);
+      }
+
+      const uri = toUri(rootDir, file);
+      results.push({
+        ruleId: finding.ruleId,
+        ruleIndex: ruleIds.indexOf(finding.ruleId),
+        level: finding.level,
+        message: { text: finding.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri, uriBaseId: "%SRCROOT%" },
+            region: { startLine: line || 1 },
+          },
+        }],
+        // Stable across runs even when lines move
+        partialFingerprints: {
+          "depAudit/v1": [finding.ruleId, uri, finding.package || finding.key || ""].join(":"),
+        },
+      });
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [{
+      tool: {
+        driver: {
+          name: "dep-audit",
+          version,
+          rules: ruleIds.map(id => ({
+            id,
+            name: RULES[id].name,
+            shortDescription: { text: RULES[id].description },
+            help: { text: RULES[id].help },
+            defaultConfiguration: { level: RULES[id].level },
+            properties: { tags: ["dependencies", command] },
+          })),
+        },
+      },
+      originalUriBaseIds: {
+        "%SRCROOT%": { uri: `file://${rootDir.split(path.sep).join("/").replace(/\/?$/, "/")}` },
+      },
+      results,
+    }],
+  };
+};
+
+export {
+  findManifestLine,
+  findLockfileLine,
+  createSarifLog
+};
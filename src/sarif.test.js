@@ -0,0 +1,105 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { findManifestLine, findLockfileLine, createSarifLog } from './sarif.js';
+
+const manifest = JSON.stringify({
+  name: '@acme/api',
+  dependencies: { lodash: '^4.0.0' },
+  devDependencies: { 'lodash.merge': '^4.6.2', vitest: '^1.0.0' }
+}, null, 2);
+
+describe('sarif', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-sarif-'));
+    await fs.mkdir(path.join(dir, 'packages', 'api'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'packages', 'api', 'package.json'), manifest);
+    await fs.writeFile(path.join(dir, 'pnpm-lock.yaml'), [
+      "lockfileVersion: '9.0'",
+      'importers:',
+      '  .:',
+      '    dependencies:',
+      '      lodash:',
+      '        specifier: ^4.0.0',
+      '  packages/api:',
+      '    dependencies:',
+      '      lodash:',
+      '        specifier: ^3.0.0',
+      ''
+    ].join('\n'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('finds the line a dependency is declared on in package.json', () => {
+    expect(findManifestLine(manifest, 'lodash')).toBe(4);
+    expect(findManifestLine(manifest, 'vitest')).toBe(8);
+    expect(findManifestLine(manifest, 'chalk')).toBeNull();
+  });
+
+  test('finds package entries in each lockfile format', () => {
+    const npmLock = '{\n  "packages": {\n    "": {},\n    "node_modules/lodash.merge": {},\n    "node_modules/lodash": {}\n  }\n}';
+    expect(findLockfileLine(npmLock, 'npm', 'lodash')).toBe(5);
+
+    const yarnLock = '# yarn lockfile v1\n\n"@babel/core@^7.0.0", "@babel/core@^7.1.0":\n  version "7.1.0"\n\nlodash@^4.17.0:\n  version "4.17.21"\n';
+    expect(findLockfileLine(yarnLock, 'yarn', 'lodash')).toBe(6);
+    expect(findLockfileLine(yarnLock, 'yarn', '@babel/core')).toBe(3);
+  });
+
+  test('builds a SARIF log with rules and workspace-relative locations', async () => {
+    const api = { name: '@acme/api', path: 'packages/api', dir: path.join(dir, 'packages', 'api'), importerId: 'packages/api' };
+    const log = await createSarifLog({
+      command: 'dependabot',
+      workspaces: [{
+        ws: api,
+        result: {
+          issues: [
+            { type: 'VERSION_MISMATCH', package: 'vitest', message: 'vitest mismatch.', fix: 'pnpm add vitest', severity: 'HIGH' },
+            { type: 'LOCKFILE_OUTDATED', package: 'lodash', message: 'lodash outdated.', fix: 'pnpm install', severity: 'HIGH' },
+            { type: 'DEPENDABOT_CONFIG', package: null, message: 'bad interval.', fix: 'Fix it', severity: 'HIGH', file: '.github/dependabot.yml', line: 4, path: 'updates[0].schedule.interval' }
+          ]
+        }
+      }],
+      rootDir: dir,
+      manager: 'pnpm',
+      lockfile: 'pnpm-lock.yaml',
+      version: '2.0.0'
+    });
+
+    expect(log.version).toBe('2.1.0');
+    const [run] = log.runs;
+    expect(run.tool.driver.rules.map(r => r.id)).toEqual([
+      'VERSION_MISMATCH', 'LOCKFILE_OUTDATED', 'PEER_CONFLICT', 'DEPRECATED_PACKAGE',
+      'DEPENDABOT_CONFIG', 'DEPENDABOT_UNCOVERED', 'DEPENDABOT_PR_LIMIT'
+    ]);
+    expect(run.results.map(r => [r.ruleId, r.level, r.locations[0].physicalLocation.artifactLocation.uri, r.locations[0].physicalLocation.region.startLine])).toEqual([
+      ['VERSION_MISMATCH', 'error', 'packages/api/package.json', 8],
+      ['LOCKFILE_OUTDATED', 'error', 'pnpm-lock.yaml', 9],
+      ['DEPENDABOT_CONFIG', 'error', '.github/dependabot.yml', 4]
+    ]);
+  });
+
+  test('reports only medium and high risk packages', async () => {
+    const log = await createSarifLog({
+      command: 'risk',
+      workspaces: [{
+        ws: { dir: path.join(dir, 'packages', 'api'), importerId: '.' },
+        result: [
+          { name: 'lodash', level: 'HIGH', score: 2, reason: 'High risk package' },
+          { name: 'vitest', level: 'LOW', score: 9, reason: 'Generally healthy' }
+        ]
+      }],
+      rootDir: dir,
+      manager: 'pnpm',
+      lockfile: 'pnpm-lock.yaml',
+      version: '2.0.0'
+    });
+    expect(log.runs[0].results).toHaveLength(1);
+    expect(log.runs[0].results[0]).toMatchObject({ ruleId: 'HIGH_RISK_PACKAGE', ruleIndex: 0 });
+  });
+});
@@ -0,0 +1,270 @@
+import crypto from "crypto";
+import { isKnownLicense, formatLicenseExpression } from "./licenses.js";
+
+const SBOM_FORMATS = ["cyclonedx", "spdx"];
+
+// SRI algorithm -> [CycloneDX name, SPDX name]
+const HASH_ALGORITHMS = {
+  sha1: ["SHA-1", "SHA1"],
+  sha256: ["SHA-256", "SHA256"],
+  sha384: ["SHA-384", "SHA384"],
+  sha512: ["SHA-512", "SHA512"],
+};
+
+// pkg:npm/%40scope/name@version, plus vcs_url for git dependencies
+const purlFor = (name, version, resolved = null) => {
+  const encoded = name.split("/").map(encodeURIComponent).join("/");
+  const base = `pkg:npm/${encoded}@${encodeURIComponent(version)}`;
+  return /^git(\+|:)/.test(resolved || "") ? `${base}?vcs_url=${encodeURIComponent(resolved)}` : base;
+};
+
+// "sha512-<base64> sha1-<base64>" and yarn's "#<sha1 hex>" URL fragment
+// -> [{ algorithm, hex }]
+const hashesFor = (node) => {
+  const hashes = String(node.integrity || "").split(/\s+/).filter(Boolean).map(sri => {
+    const [algorithm, digest] = sri.split(/-(.*)/s);
+    return HASH_ALGORITHMS[algorithm] && digest
+      ? { algorithm, hex: Buffer.from(digest, "base64").toString("hex") }
+      : null;
+  }).filter(Boolean);
+
+  const fragment = /#([0-9a-f]{40})$/i.exec(node.resolved || "");
+  if (fragment && !hashes.some(hash => hash.algorithm === "sha1")) hashes.push({ algorithm: "sha1", hex: fragment[1].toLowerCase() });
+  return hashes;
+};
+
+const isDownloadUrl = (resolved) => /^(https?|git\+[a-z]+|git):\/\//.test(resolved || "");
+
+// Components and dependency edges shared by both formats. Packages that
+// appear several times in the graph at one version become one component.
+const collectComponents = (graph, { rootId, production, licenseOf }) => {
+  const components = new Map();
+  const refOf = new Map();
+
+  Object.values(graph.packages).forEach(node => {
+    if (!node.name || !node.version || (production && node.dev)) return;
+    const ref = purlFor(node.name, node.version, node.resolved);
+    refOf.set(node.id, ref);
+    if (components.has(ref)) {
+      const existing = components.get(ref);
+      existing.dev = existing.dev && node.dev;
+      existing.optional = existing.optional && node.optional;
+      return;
+    }
+    components.set(ref, {
+      ref,
+      name: node.name,
+      version: node.version,
+      purl: ref,
+      resolved: node.resolved || null,
+      hashes: hashesFor(node),
+      license: licenseOf(node),
+      dev: node.dev,
+      optional: node.optional,
+      workspace: false,
+    });
+  });
+
+  // Workspace packages other than the root are components too
+  Object.values(graph.importers).forEach(importer => {
+    if (importer.id === rootId) return;
+    const ref = importer.name && importer.version ? purlFor(importer.name, importer.version) : `workspace:${importer.id}`;
+    refOf.set(importer.id, ref);
+    components.set(ref, {
+      ref,
+      name: importer.name || importer.id,
+      version: importer.version || null,
+      purl: importer.name && importer.version ? ref : null,
+      resolved: null,
+      hashes: [],
+      license: null,
+      dev: false,
+      optional: false,
+      workspace: true,
+    });
+  });
+
+  // ref -> { prod: Set, dev: Set } of refs it depends on
+  const dependencies = new Map();
+  const addEdges = (fromId, fromRef) => {
+    const node = graph.packages[fromId] || graph.importers[fromId];
+    const isImporter = Boolean(graph.importers[fromId]);
+    if (!dependencies.has(fromRef)) dependencies.set(fromRef, { prod: new Set(), dev: new Set() });
+    (node?.edges || []).forEach(edge => {
+      const to = refOf.get(edge.to);
+      if (!to || to === fromRef) return;
+      // Only the importer's own devDependencies make the edge a dev edge
+      const dev = isImporter && edge.type === "dev";
+      if (production && dev) return;
+      dependencies.get(fromRef)[dev ? "dev" : "prod"].add(to);
+    });
+  };
+
+  addEdges(rootId, "root");
+  Object.values(graph.importers).forEach(importer => importer.id !== rootId && addEdges(importer.id, refOf.get(importer.id)));
+  Object.values(graph.packages).forEach(node => refOf.has(node.id) && addEdges(node.id, refOf.get(node.id)));
+
+  return {
+    components: [...components.values()].sort((a, b) => a.ref.localeCompare(b.ref)),
+    dependencies,
+  };
+};
+
+const cyclonedxLicenses = (license) => {
+  if (!license?.ast) return undefined;
+  if (license.ast.id && !license.ast.exception) {
+    return [{ license: isKnownLicense(license.ast.id) ? { id: license.ast.id } : { name: license.ast.id } }];
+  }
+  // Expressions must be SPDX; fall back to the raw text otherwise
+  return license.licenses.every(isKnownLicense)
+    ? [{ expression: license.expression }]
+    : [{ license: { name: String(license.raw) } }];
+};
+
+const createCycloneDx = ({ root, collected, version, now }) => {
+  const rootRef = root.name && root.version ? purlFor(root.name, root.version) : "root";
+  const mapRef = (ref) => (ref === "root" ? rootRef : ref);
+
+  return {
+    bomFormat: "CycloneDX",
+    specVersion: "1.5",
+    serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: now.toISOString(),
+      tools: { components: [{ type: "application", name: "dep-audit", version }] },
+      component: {
+        type: "application",
+        "bom-ref": rootRef,
+        name: root.name || "root",
+        ...(root.version ? { version: root.version } : {}),
+        ...(root.name && root.version ? { purl: rootRef } : {}),
+      },
+    },
+    components: collected.components.map(component => {
+      const scoped = component.name.startsWith("@") && component.name.includes("/");
+      const [group, name] = scoped ? component.name.split(/\/(.*)/s) : [null, component.name];
+      return {
+        type: component.workspace ? "application" : "library",
+        "bom-ref": component.ref,
+        ...(group ? { group } : {}),
+        name,
+        ...(component.version ? { version: component.version } : {}),
+        ...(component.purl ? { purl: component.purl } : {}),
+        scope: component.dev ? "excluded" : component.optional ? "optional" : "required",
+        ...(component.hashes.length > 0
+          ? { hashes: component.hashes.map(hash => ({ alg: HASH_ALGORITHMS[hash.algorithm][0], content: hash.hex })) }
+          : {}),
+        ...(cyclonedxLicenses(component.license) ? { licenses: cyclonedxLicenses(component.license) } : {}),
+        ...(isDownloadUrl(component.resolved)
+          ? { externalReferences: [{ type: "distribution", url: component.resolved }] }
+          : {}),
+      };
+    }),
+    dependencies: [...collected.dependencies.entries()].map(([ref, { prod, dev }]) => ({
+      ref: mapRef(ref),
+      dependsOn: [...new Set([...prod, ...dev])].sort(),
+    })),
+  };
+};
+
+const spdxId = (value) => `SPDXRef-${value.replace(/[^A-Za-z0-9.-]+/g, "-")}`;
+
+const createSpdx = ({ root, collected, version, now }) => {
+  const documentName = `${root.name || "root"}${root.version ? `-${root.version}` : ""}`;
+  const ids = new Map([["root", "SPDXRef-Root"]]);
+  const used = new Set(ids.values());
+  collected.components.forEach(component => {
+    const base = spdxId(`Package-npm-${component.name}-${component.version || "workspace"}`);
+    let id = base;
+    for (let i = 2; used.has(id); i++) id = `${base}-${i}`;
+    used.add(id);
+    ids.set(component.ref, id);
+  });
+
+  // Ids outside the SPDX list become LicenseRefs described in the document
+  const extracted = new Map();
+  const licenseDeclared = (license) => {
+    if (!license?.ast) return "NOASSERTION";
+    return formatLicenseExpression(license.ast, id => {
+      if (isKnownLicense(id)) return id;
+      const ref = `LicenseRef-${id.replace(/[^A-Za-z0-9.-]+/g, "-")}`;
+      extracted.set(ref, id);
+      return ref;
+    });
+  };
+
+  const packageFor = (component, id) => ({
+    name: component.name,
+    SPDXID: id,
+    ...(component.version ? { versionInfo: component.version } : {}),
+    downloadLocation: isDownloadUrl(component.resolved) ? component.resolved : "NOASSERTION",
+    filesAnalyzed: false,
+    ...(component.hashes.length > 0
+      ? { checksums: component.hashes.map(hash => ({ algorithm: HASH_ALGORITHMS[hash.algorithm][1], checksumValue: hash.hex })) }
+      : {}),
+    licenseConcluded: "NOASSERTION",
+    licenseDeclared: licenseDeclared(component.license),
+    copyrightText: "NOASSERTION",
+    ...(component.purl
+      ? { externalRefs: [{ referenceCategory: "PACKAGE-MANAGER", referenceType: "purl", referenceLocator: component.purl }] }
+      : {}),
+    primaryPackagePurpose: component.workspace ? "APPLICATION" : "LIBRARY",
+  });
+
+  const relationships = [{ spdxElementId: "SPDXRef-DOCUMENT", relationshipType: "DESCRIBES", relatedSpdxElement: "SPDXRef-Root" }];
+  collected.dependencies.forEach(({ prod, dev }, ref) => {
+    [...prod].sort().forEach(to => relationships.push({ spdxElementId: ids.get(ref), relationshipType: "DEPENDS_ON", relatedSpdxElement: ids.get(to) }));
+    [...dev].sort().forEach(to => relationships.push({ spdxElementId: ids.get(to), relationshipType: "DEV_DEPENDENCY_OF", relatedSpdxElement: ids.get(ref) }));
+  });
+
+  const packages = [
+    packageFor({ name: root.name || "root", version: root.version, resolved: null, hashes: [], license: root.license, purl: root.name && root.version ? purlFor(root.name, root.version) : null, workspace: true }, "SPDXRef-Root"),
+    ...collected.components.map(component => packageFor(component, ids.get(component.ref))),
+  ];
+
+  return {
+    spdxVersion: "SPDX-2.3",
+    dataLicense: "CC0-1.0",
+    SPDXID: "SPDXRef-DOCUMENT",
+    name: documentName,
+    documentNamespace: `https://spdx.org/spdxdocs/${encodeURIComponent(documentName)}-${crypto.randomUUID()}`,
+    creationInfo: {
+      created: now.toISOString().replace(/\.\d{3}Z$/, "Z"),
+      creators: [`Tool: dep-audit-${version}`],
+    },
+    documentDescribes: ["SPDXRef-Root"],
+    packages,
+    relationships,
+    ...(extracted.size > 0
+      ? {
+        hasExtractedLicensingInfos: [...extracted.entries()].map(([licenseId, name]) => ({
+          licenseId,
+          name,
+          extractedText: `License declared as "${name}" in package metadata`,
+        })),
+      }
+      : {}),
+  };
+};
+
+// SBOM document for a lockfile graph. `root` describes the project
+// ({ name, version, license }), `licenseOf(node)` returns a normalized
+// license or null.
+const createSbom = (format, { graph, rootId, root, licenseOf = () => null, production = false, version, now = new Date() }) => {
+  const collected = collectComponents(graph, { rootId, production, licenseOf });
+  switch (format) {
+    case "cyclonedx":
+      return createCycloneDx({ root, collected, version, now });
+    case "spdx":
+      return createSpdx({ root, collected, version, now });
+    default:
+      throw new Error(`Unknown SBOM format "${format}" (expected one of ${SBOM_FORMATS.join(", ")})`);
+  }
+};
+
+export {
+  SBOM_FORMATS,
+  purlFor,
+  createSbom
+};
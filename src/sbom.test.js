@@ -0,0 +1,138 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseNpmLock } from './lockfile.js';
+import { normalizeLicense } from './licenses.js';
+import { purlFor, createSbom } from './sbom.js';
+
+const sha512 = `sha512-${Buffer.from('a'.repeat(64)).toString('base64')}`;
+
+const lock = JSON.stringify({
+  name: 'app',
+  version: '1.0.0',
+  lockfileVersion: 3,
+  packages: {
+    '': { name: 'app', version: '1.0.0', dependencies: { '@scope/lib': '^1.0.0' }, devDependencies: { tester: '^2.0.0' } },
+    'node_modules/@scope/lib': {
+      version: '1.2.0',
+      resolved: 'https://registry.npmjs.org/@scope/lib/-/lib-1.2.0.tgz',
+      integrity: sha512,
+      license: 'MIT OR Custom-1',
+      dependencies: { dep: '^3.0.0' }
+    },
+    'node_modules/dep': { version: '3.0.0', license: 'ISC' },
+    'node_modules/tester': { version: '2.0.0', dev: true, dependencies: { dep: '^3.0.0' } }
+  }
+});
+
+const options = (production = false) => ({
+  graph: parseNpmLock(lock),
+  rootId: '',
+  root: { name: 'app', version: '1.0.0', license: normalizeLicense('MIT') },
+  licenseOf: (node) => (node.license ? normalizeLicense(node.license) : null),
+  production,
+  version: '2.0.0',
+  now: new Date('2026-01-02T03:04:05.678Z')
+});
+
+describe('sbom', () => {
+  test('builds npm package URLs', () => {
+    expect(purlFor('@scope/lib', '1.2.0')).toBe('pkg:npm/%40scope/lib@1.2.0');
+    expect(purlFor('lib', '1.0.0', 'git+ssh://git@github.com/a/lib.git#abc'))
+      .toBe('pkg:npm/lib@1.0.0?vcs_url=git%2Bssh%3A%2F%2Fgit%40github.com%2Fa%2Flib.git%23abc');
+  });
+
+  test('emits CycloneDX 1.5 components, hashes, licenses and dependencies', () => {
+    const bom = createSbom('cyclonedx', options());
+    expect(bom).toMatchObject({ bomFormat: 'CycloneDX', specVersion: '1.5', metadata: { component: { 'bom-ref': 'pkg:npm/app@1.0.0' } } });
+    expect(bom.serialNumber).toMatch(/^urn:uuid:[0-9a-f-]{36}$/);
+
+    const lib = bom.components.find(c => c.name === 'lib');
+    expect(lib).toMatchObject({
+      group: '@scope',
+      purl: 'pkg:npm/%40scope/lib@1.2.0',
+      scope: 'required',
+      hashes: [{ alg: 'SHA-512', content: '61'.repeat(64) }],
+      licenses: [{ license: { name: 'MIT OR Custom-1' } }]
+    });
+    expect(bom.components.find(c => c.name === 'dep').licenses).toEqual([{ license: { id: 'ISC' } }]);
+    expect(bom.components.find(c => c.name === 'tester').scope).toBe('excluded');
+    expect(bom.dependencies).toContainEqual({
+      ref: 'pkg:npm/app@1.0.0',
+      dependsOn: ['pkg:npm/%40scope/lib@1.2.0', 'pkg:npm/tester@2.0.0']
+    });
+  });
+
+  test('emits SPDX 2.3 packages and relationships', () => {
+    const doc = createSbom('spdx', options());
+    expect(doc).toMatchObject({ spdxVersion: 'SPDX-2.3', dataLicense: 'CC0-1.0', documentDescribes: ['SPDXRef-Root'] });
+    expect(doc.creationInfo.created).toBe('2026-01-02T03:04:05Z');
+
+    const lib = doc.packages.find(p => p.name === '@scope/lib');
+    expect(lib).toMatchObject({
+      licenseDeclared: 'MIT OR LicenseRef-Custom-1',
+      checksums: [{ algorithm: 'SHA512', checksumValue: '61'.repeat(64) }],
+      externalRefs: [{ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: 'pkg:npm/%40scope/lib@1.2.0' }]
+    });
+    expect(doc.packages.find(p => p.name === 'dep').downloadLocation).toBe('NOASSERTION');
+    expect(doc.hasExtractedLicensingInfos.map(info => info.licenseId)).toEqual(['LicenseRef-Custom-1']);
+    expect(doc.relationships).toContainEqual({ spdxElementId: 'SPDXRef-Root', relationshipType: 'DEPENDS_ON', relatedSpdxElement: lib.SPDXID });
+    expect(doc.relationships.some(r => r.relationshipType === 'DEV_DEPENDENCY_OF')).toBe(true);
+  });
+
+  test('excludes dev dependencies on request', () => {
+    const bom = createSbom('cyclonedx', options(true));
+    expect(bom.components.map(c => c.name)).toEqual(['lib', 'dep']);
+    expect(bom.dependencies.find(d => d.ref === 'pkg:npm/app@1.0.0').dependsOn).toEqual(['pkg:npm/%40scope/lib@1.2.0']);
+  });
+
+  test('lists only the root for an empty graph', () => {
+    const bom = createSbom('cyclonedx', { ...options(), graph: { manager: 'npm', importers: {}, packages: {} } });
+    expect(bom.components).toEqual([]);
+    expect(bom.dependencies).toEqual([{ ref: 'pkg:npm/app@1.0.0', dependsOn: [] }]);
+  });
+
+  describe('sbom command', () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-sbom-'));
+      await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({
+        name: 'app',
+        version: '1.0.0',
+        license: 'MIT',
+        dependencies: { '@scope/lib': '^1.0.0' },
+        devDependencies: { tester: '^2.0.0' },
+        depAudit: { licenses: { overrides: { tester: 'Apache-2.0' } } }
+      }));
+      await fs.writeFile(path.join(dir, 'package-lock.json'), lock);
+    });
+
+    afterAll(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('resolves licenses the same way as the licenses command', async () => {
+      const { sbom } = await import('./index.js');
+      const bom = await sbom({ cwd: dir, offline: true, format: 'cyclonedx' });
+      expect(bom.metadata.component).toMatchObject({ name: 'app', version: '1.0.0' });
+      expect(bom.components.find(c => c.name === 'tester').licenses).toEqual([{ license: { id: 'Apache-2.0' } }]);
+
+      const doc = await sbom({ cwd: dir, offline: true, format: 'spdx', production: true });
+      expect(doc.packages.map(p => p.name)).toEqual(['app', '@scope/lib', 'dep']);
+      expect(doc.packages[0].licenseDeclared).toBe('MIT');
+    });
+
+    test('fails clearly without a lockfile', async () => {
+      const { sbom } = await import('./index.js');
+      const bare = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-sbom-bare-'));
+      try {
+        await fs.writeFile(path.join(bare, 'package.json'), JSON.stringify({ name: 'bare', version: '1.0.0' }));
+        await expect(sbom({ cwd: bare, cache: false })).rejects.toThrow('Missing package-lock.json');
+      } finally {
+        await fs.rm(bare, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import semver from "semver";
+
+const INSTALL_SCRIPTS = ["preinstall", "install", "postinstall"];
+const DAY = 1000 * 60 * 60 * 24;
+
+// Frequently typosquatted names. Extended by `supplyChain.popular` in the config.
+const POPULAR_PACKAGES = [
+  "axios", "babel-core", "bluebird", "body-parser", "chalk", "cheerio", "classnames", "commander", "cors",
+  "cross-env", "cross-spawn", "date-fns", "debug", "dotenv", "electron", "eslint", "express", "fs-extra",
+  "glob", "got", "graphql", "gulp", "immer", "inquirer", "jquery", "jsonwebtoken", "koa", "lodash",
+  "minimist", "mocha", "moment", "mongodb", "mongoose", "mysql", "nodemon", "node-fetch", "nodemailer",
+  "prettier", "prop-types", "puppeteer", "react", "react-dom", "react-router", "redux", "request",
+  "rimraf", "rxjs", "semver", "sharp", "socket.io", "styled-components", "superagent", "typescript",
+  "underscore", "uuid", "validator", "vue", "webpack", "winston", "yargs", "zod", "next", "nuxt",
+  "angular", "svelte", "vite", "esbuild", "rollup", "jest", "vitest", "chai", "sinon", "ws", "colors",
+  "coffee-script", "crypto-js", "bcrypt", "bcryptjs", "passport", "sequelize", "pg", "redis", "ioredis",
+  "mkdirp", "ora", "execa", "npm", "yarn", "pnpm", "tslib", "core-js", "regenerator-runtime", "postcss",
+  "tailwindcss", "autoprefixer", "sass", "less", "eslint-plugin-react", "husky", "lint-staged", "ethers",
+  "web3", "discord.js", "electron-builder", "serve-static", "cookie-parser", "multer", "helmet", "http-proxy",
+  "qs", "ms", "async", "lru-cache", "node-gyp", "nan", "typeorm", "prisma", "@babel/core", "@types/node",
+  "@angular/core", "@nestjs/core",
+];
+
+// Optimal string alignment distance: insertions, deletions, substitutions
+// and swaps of neighbouring characters each cost 1
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// "lo-dash", "lodash_" and "Lodash" all read as "lodash"
+const squash = (name) => name.toLowerCase().replace(/[-_.]/g, "");
+
+// The popular package a name imitates, or null. Short names are skipped
+// (too many legitimate neighbours), names up to 8 characters allow one edit
+// and longer ones two; a scope counts as part of the name.
+const typosquatTarget = (name, popular = POPULAR_PACKAGES) => {
+  if (popular.includes(name) || name.replace(/^@[^/]+\//, "").length < 4) return null;
+  const budget = name.length <= 8 ? 1 : 2;
+  let best = null;
+  popular.forEach(candidate => {
+    const distance = squash(candidate) === squash(name) ? 0 : editDistance(name, candidate);
+    if (distance <= budget && (best === null || distance < best.distance)) best = { name: candidate, distance };
+  });
+  return best?.name ?? null;
+};
+
+// "postinstall: node install.js" for each install hook a manifest declares
+const installScripts = (manifest) =>
+  INSTALL_SCRIPTS.filter(hook => manifest?.scripts?.[hook]).map(hook => `${hook}: ${manifest.scripts[hook]}`);
+
+const names = (people) => (Array.isArray(people) ? people : [])
+  .map(person => (typeof person === "string" ? person.replace(/\s*<.*$/, "") : person?.name))
+  .filter(Boolean);
+
+// Maintainers added in `version` compared with the release published
+// before it, with the account that published it when that is new too
+const maintainerChange = (packument, version) => {
+  const time = packument.time || {};
+  const published = Object.keys(packument.versions || {})
+    .filter(v => semver.valid(v) && time[v])
+    .sort((a, b) => new Date(time[a]) - new Date(time[b]));
+  const index = published.indexOf(version);
+  if (index < 1) return null;
+
+  const manifest = packument.versions[version];
+  const before = new Set(names(packument.versions[published[index - 1]]?.maintainers));
+  if (before.size === 0) return null;
+  const added = names(manifest?.maintainers).filter(name => !before.has(name));
+  const publisher = manifest?._npmUser?.name || null;
+  const newPublisher = publisher && !before.has(publisher) ? publisher : null;
+  if (added.length === 0 && !newPublisher) return null;
+  return { previous: published[index - 1], added, publisher: newPublisher };
+};
+
+// Supply-chain signals for one installed version, as { type, message }:
+// install-script, typosquat, maintainers and recent. `hasInstallScript` is
+// the lockfile's flag (null when it doesn't record one); a package with
+// `typosquatDownloads` weekly downloads or more is popular in its own right.
+const supplyChainSignals = ({ name, version, packument, hasInstallScript = null, downloads = null }, options = {}, now = new Date()) => {
+  const { recentDays = 7, maintainerDays = 90, typosquatDownloads = 50000, popular = [] } = options;
+  const signals = [];
+  const manifest = packument?.versions?.[version];
+
+  const scripts = installScripts(manifest);
+  if (scripts.length > 0 || hasInstallScript) {
+    signals.push({
+      type: "install-script",
+      message: scripts.length > 0 ? `Install script (${scripts.join("; ")})` : "Install script",
+    });
+  }
+
+  const imitated = typosquatTarget(name, [...POPULAR_PACKAGES, ...popular]);
+  if (imitated && !(typeof downloads === "number" && downloads >= typosquatDownloads)) {
+    signals.push({ type: "typosquat", message: `Name close to ${imitated}` });
+  }
+
+  const publishedAt = packument?.time?.[version] ? new Date(packument.time[version]) : null;
+  const age = publishedAt ? (now - publishedAt) / DAY : null;
+
+  const change = packument ? maintainerChange(packument, version) : null;
+  if (change && age !== null && age <= maintainerDays) {
+    const details = [
+      change.added.length > 0 ? `added ${change.added.join(", ")}` : null,
+      change.publisher ? `published by ${change.publisher}` : null,
+    ].filter(Boolean);
+    signals.push({ type: "maintainers", message: `Maintainers changed since ${change.previous} (${details.join("; ")})` });
+  }
+
+  if (age !== null && age >= 0 && age <= recentDays) {
+    const days = Math.floor(age);
+    signals.push({ type: "recent", message: `Published ${days === 0 ? "today" : `${days} day${days === 1 ? "" : "s"} ago`}` });
+  }
+
+  return signals;
+};
+
+export {
+  INSTALL_SCRIPTS,
+  POPULAR_PACKAGES,
+  editDistance,
+  typosquatTarget,
+  installScripts,
+  maintainerChange,
+  supplyChainSignals
+};
@@ -0,0 +1,112 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { editDistance, typosquatTarget, installScripts, maintainerChange, supplyChainSignals } from './supplychain.js';
+
+const now = new Date('2026-03-10T00:00:00Z');
+
+const packument = {
+  name: 'left-padder',
+  time: { '1.0.0': '2024-01-01T00:00:00Z', '1.1.0': '2026-03-08T12:00:00Z' },
+  versions: {
+    '1.0.0': { maintainers: [{ name: 'alice' }], _npmUser: { name: 'alice' } },
+    '1.1.0': {
+      maintainers: [{ name: 'alice' }, { name: 'mallory' }],
+      _npmUser: { name: 'mallory' },
+      scripts: { test: 'jest', postinstall: 'node setup.js' }
+    }
+  }
+};
+
+describe('supply chain', () => {
+  test('measures edit distance with swaps', () => {
+    expect(editDistance('lodash', 'lodahs')).toBe(1);
+    expect(editDistance('express', 'expres')).toBe(1);
+    expect(editDistance('react', 'preact')).toBe(1);
+    expect(editDistance('axios', 'chalk')).toBe(5);
+  });
+
+  test('finds names imitating popular packages', () => {
+    expect(typosquatTarget('lodahs')).toBe('lodash');
+    expect(typosquatTarget('lo-dash')).toBe('lodash');
+    expect(typosquatTarget('crossenv')).toBe('cross-env');
+    expect(typosquatTarget('electorn')).toBe('electron');
+    expect(typosquatTarget('lodash')).toBeNull();
+    expect(typosquatTarget('qss')).toBeNull();
+    expect(typosquatTarget('left-pad')).toBeNull();
+    expect(typosquatTarget('acme-utils', ['acme-util'])).toBe('acme-util');
+  });
+
+  test('reads install scripts and maintainer changes', () => {
+    expect(installScripts(packument.versions['1.1.0'])).toEqual(['postinstall: node setup.js']);
+    expect(maintainerChange(packument, '1.1.0')).toEqual({ previous: '1.0.0', added: ['mallory'], publisher: 'mallory' });
+    expect(maintainerChange(packument, '1.0.0')).toBeNull();
+  });
+
+  test('collects every signal for an installed version', () => {
+    expect(supplyChainSignals({ name: 'left-padder', version: '1.1.0', packument }, {}, now)).toEqual([
+      { type: 'install-script', message: 'Install script (postinstall: node setup.js)' },
+      { type: 'maintainers', message: 'Maintainers changed since 1.0.0 (added mallory; published by mallory)' },
+      { type: 'recent', message: 'Published 1 day ago' }
+    ]);
+    expect(supplyChainSignals({ name: 'left-padder', version: '1.1.0', packument }, { recentDays: 1, maintainerDays: 1 }, new Date('2026-03-20T00:00:00Z')))
+      .toEqual([{ type: 'install-script', message: 'Install script (postinstall: node setup.js)' }]);
+    expect(supplyChainSignals({ name: 'lodahs', version: '1.0.0', packument: null, hasInstallScript: true }, {}, now)).toEqual([
+      { type: 'install-script', message: 'Install script' },
+      { type: 'typosquat', message: 'Name close to lodash' }
+    ]);
+    expect(supplyChainSignals({ name: 'preact', version: '1.0.0', packument: null, downloads: 4000000 }, {}, now)).toEqual([]);
+  });
+
+  describe('supply-chain command', () => {
+    let server;
+    let dir;
+    let registry;
+
+    beforeAll(async () => {
+      const today = new Date().toISOString();
+      const packuments = {
+        'left-padder': { ...packument, time: { ...packument.time, '1.1.0': today } },
+        'native-thing': { name: 'native-thing', time: { '2.0.0': '2020-01-01T00:00:00Z' }, versions: { '2.0.0': {} } }
+      };
+      server = http.createServer((req, res) => {
+        const name = decodeURIComponent(req.url.slice(1));
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(packuments[name] || { name, versions: { '1.0.0': {} } }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      registry = `http://127.0.0.1:${server.address().port}/`;
+
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-supply-chain-'));
+      await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ name: 'app', dependencies: { 'left-padder': '^1.0.0' } }));
+      await fs.writeFile(path.join(dir, 'package-lock.json'), JSON.stringify({
+        name: 'app',
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'app', dependencies: { 'left-padder': '^1.0.0' } },
+          'node_modules/left-padder': { version: '1.1.0', hasInstallScript: true, dependencies: { 'native-thing': '^2.0.0' } },
+          'node_modules/native-thing': { version: '2.0.0', hasInstallScript: true }
+        }
+      }));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('reports signals across the resolved graph', async () => {
+      const { supplyChain } = await import('./index.js');
+      const findings = await supplyChain({ json: true, cwd: dir, cache: false, registry });
+      expect(findings.map(f => [f.package, f.direct, f.signals.map(s => s.type), f.path])).toEqual([
+        ['left-padder', true, ['install-script', 'maintainers', 'recent'], ['app', 'left-padder@1.1.0']],
+        ['native-thing', false, ['install-script'], ['app', 'left-padder@1.1.0', 'native-thing@2.0.0']]
+      ]);
+
+      const [leftPadder] = await supplyChain({ json: true, cwd: dir, cache: false, registry, days: 0 });
+      expect(leftPadder.signals.map(s => s.type)).toEqual(['install-script', 'maintainers']);
+    });
+  });
+});
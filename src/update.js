@@ -0,0 +1,97 @@
+import semver from "semver";
+
+const UPDATE_TARGETS = ["patch", "minor", "latest", "greatest"];
+
+// Version to move `current` to for a target, or null when there is nothing
+// newer. "latest" follows the dist-tag; the others pick the highest
+// non-deprecated published version allowed by the target, and only
+// "greatest" considers prereleases.
+const targetVersion = (packument, current, target = "latest") => {
+  if (!semver.valid(current)) return null;
+
+  if (target === "latest") {
+    const latest = packument["dist-tags"]?.latest;
+    return semver.valid(latest) && semver.gt(latest, current) ? latest : null;
+  }
+
+  if (!UPDATE_TARGETS.includes(target)) throw new Error(`Unknown update target: ${target}`);
+
+  const sameLine = (version) => semver.prerelease(version) === null &&
+    semver.major(version) === semver.major(current) &&
+    (target === "minor" || semver.minor(version) === semver.minor(current));
+  const versions = Object.entries(packument.versions || {})
+    .filter(([version, manifest]) => semver.valid(version) && !manifest?.deprecated)
+    .map(([version]) => version)
+    .filter(version => semver.gt(version, current) && (target === "greatest" || sameLine(version)));
+  return versions.length > 0 ? semver.rsort(versions)[0] : null;
+};
+
+// "MAJOR" | "MINOR" | "PATCH" for a move between two versions
+const updateType = (from, to) => {
+  if (semver.major(to) > semver.major(from)) return "MAJOR";
+  if (semver.minor(to) > semver.minor(from)) return "MINOR";
+  return "PATCH";
+};
+
+// "git+https://github.com/babel/babel.git" -> "github.com/babel/babel"
+const normalizeRepository = (repository) => {
+  const url = typeof repository === "string" ? repository : repository?.url;
+  if (!url) return null;
+  const shorthand = /^(github|gitlab|bitbucket):([^/]+\/[^/#]+)/.exec(url);
+  if (shorthand) return `${shorthand[1]}.${shorthand[1] === "bitbucket" ? "org" : "com"}/${shorthand[2]}`.toLowerCase();
+  if (/^[\w.-]+\/[\w.-]+$/.test(url)) return `github.com/${url}`.toLowerCase();
+  return url
+    .replace(/^git\+/, "")
+    .replace(/^[a-z]+:\/\//, "")
+    .replace(/^[^@/]+@/, "")
+    .replace(/^([^/:]+):/, "$1/")
+    .replace(/[#?].*$/, "")
+    .replace(/\.git$/, "")
+    .replace(/\/+$/, "")
+    .toLowerCase();
+};
+
+// Groups packages that should be upgraded together: the same npm scope or
+// the same source repository (monorepos publishing several packages).
+// `repositoryOf(name)` returns a normalized repository or null. Returns
+// name -> group label; packages without a partner are left out.
+const groupPackages = (names, repositoryOf = () => null) => {
+  const parent = new Map(names.map(name => [name, name]));
+  const find = (name) => (parent.get(name) === name ? name : find(parent.get(name)));
+  const union = (a, b) => parent.set(find(b), find(a));
+
+  const byKey = new Map();
+  names.forEach(name => {
+    const keys = [name.startsWith("@") ? `${name.split("/")[0]}/*` : null, repositoryOf(name)];
+    keys.filter(Boolean).forEach(key => {
+      if (byKey.has(key)) union(byKey.get(key), name);
+      else byKey.set(key, name);
+    });
+  });
+
+  const members = new Map();
+  names.forEach(name => {
+    const root = find(name);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(name);
+  });
+
+  const groups = new Map();
+  members.forEach(list => {
+    if (list.length < 2) return;
+    const scopes = new Set(list.map(name => (name.startsWith("@") ? name.split("/")[0] : null)));
+    const label = scopes.size === 1 && !scopes.has(null)
+      ? `${[...scopes][0]}/*`
+      : repositoryOf(list[0]) || [...list].sort()[0];
+    list.forEach(name => groups.set(name, label));
+  });
+  return groups;
+};
+
+export {
+  UPDATE_TARGETS,
+  targetVersion,
+  updateType,
+  normalizeRepository,
+  groupPackages
+};
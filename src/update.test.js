@@ -0,0 +1,179 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { targetVersion, updateType, normalizeRepository, groupPackages } from './update.js';
+import { rangeFor } from './manifest.js';
+
+const packument = (name, latest, versions, repository) => ({
+  name,
+  'dist-tags': { latest },
+  versions: Object.fromEntries(versions.map(v => (typeof v === 'string' ? [v, { version: v }] : [v.version, v]))),
+  repository
+});
+
+const lib = packument('lib', '2.1.0', ['1.2.3', '1.2.5', '1.3.0', { version: '1.4.0', deprecated: 'broken' }, '2.0.0', '2.1.0', '3.0.0-beta.1']);
+
+describe('update', () => {
+  test('picks the target version', () => {
+    expect(targetVersion(lib, '1.2.3', 'patch')).toBe('1.2.5');
+    expect(targetVersion(lib, '1.2.3', 'minor')).toBe('1.3.0');
+    expect(targetVersion(lib, '1.2.3', 'latest')).toBe('2.1.0');
+    expect(targetVersion(lib, '1.2.3', 'greatest')).toBe('3.0.0-beta.1');
+    expect(targetVersion(lib, '2.1.0', 'latest')).toBeNull();
+    expect(targetVersion(lib, '1.3.0', 'minor')).toBeNull();
+    expect(() => targetVersion(lib, '1.2.3', 'newest')).toThrow('Unknown update target');
+  });
+
+  test('writes x-ranges and partial versions in the same shape', () => {
+    expect(rangeFor('1.x', '2.3.4')).toBe('2.x');
+    expect(rangeFor('1.2', '2.3.4')).toBe('2.3');
+    expect(rangeFor('1.2.x', '2.3.4')).toBe('2.3.x');
+    expect(rangeFor('~1.2', '2.3.4')).toBe('~2.3');
+    expect(rangeFor('1.2.3', '2.3.4')).toBe('2.3.4');
+    expect(rangeFor('*', '2.3.4')).toBe('^2.3.4');
+  });
+
+  test('classifies updates', () => {
+    expect(updateType('1.2.3', '2.0.0')).toBe('MAJOR');
+    expect(updateType('1.2.3', '1.3.0')).toBe('MINOR');
+    expect(updateType('1.2.3', '1.2.5')).toBe('PATCH');
+  });
+
+  test('normalizes repository URLs', () => {
+    expect(normalizeRepository({ type: 'git', url: 'git+https://github.com/babel/babel.git', directory: 'packages/babel-core' })).toBe('github.com/babel/babel');
+    expect(normalizeRepository('git@github.com:Babel/babel.git')).toBe('github.com/babel/babel');
+    expect(normalizeRepository('github:babel/babel')).toBe('github.com/babel/babel');
+    expect(normalizeRepository('babel/babel')).toBe('github.com/babel/babel');
+    expect(normalizeRepository(undefined)).toBeNull();
+  });
+
+  test('groups packages by scope and repository', () => {
+    const repositories = { jest: 'github.com/jestjs/jest', 'jest-environment-jsdom': 'github.com/jestjs/jest', lodash: 'github.com/lodash/lodash' };
+    const groups = groupPackages(['@babel/core', '@babel/preset-env', 'jest', 'jest-environment-jsdom', 'lodash', '@types/node'], name => repositories[name]);
+    expect(Object.fromEntries(groups)).toEqual({
+      '@babel/core': '@babel/*',
+      '@babel/preset-env': '@babel/*',
+      jest: 'github.com/jestjs/jest',
+      'jest-environment-jsdom': 'github.com/jestjs/jest'
+    });
+  });
+
+  describe('update command', () => {
+    let server;
+    let dir;
+    const packuments = {
+      lib,
+      exact: packument('exact', '1.1.0', ['1.0.0', '1.0.1', '1.1.0']),
+      wide: packument('wide', '2.0.0', ['1.0.0', '2.0.0']),
+      '@babel/core': packument('@babel/core', '7.24.0', ['7.20.0', '7.24.0']),
+      '@babel/preset-env': packument('@babel/preset-env', '7.24.0', ['7.20.0', '7.24.0']),
+      xr: packument('xr', '2.3.4', ['1.0.0', '2.3.4']),
+      partial: packument('partial', '2.3.4', ['1.2.0', '2.3.4']),
+      any: packument('any', '2.3.4', ['1.0.0', '2.3.4']),
+      below: packument('below', '2.1.0', ['1.5.0', '2.1.0']),
+      above: packument('above', '2.1.0', ['1.5.0', '2.1.0']),
+      pinned: packument('pinned', '2.1.0', ['1.5.0', '2.1.0'])
+    };
+    const manifestText = JSON.stringify({
+      name: 'app',
+      dependencies: { lib: '~1.2.3', exact: '1.0.0', wide: '1.x || 2.x', '@babel/core': '^7.20.0', xr: '1.x', partial: '1.2', any: '*', below: '<2.0.0', above: '>1.0.0', pinned: '=1.5.0' },
+      devDependencies: { '@babel/preset-env': '>=7.20.0' }
+    }, null, 4) + '\n';
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const data = packuments[decodeURIComponent(req.url.slice(1))];
+        if (!data) {
+          res.writeHead(404).end();
+          return;
+        }
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(data));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-update-'));
+      await fs.writeFile(path.join(dir, 'package-lock.json'), JSON.stringify({
+        name: 'app',
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'app', dependencies: { lib: '~1.2.3', exact: '1.0.0', wide: '1.x || 2.x', '@babel/core': '^7.20.0', xr: '1.x', partial: '1.2', any: '*', below: '<2.0.0', above: '>1.0.0', pinned: '=1.5.0' }, devDependencies: { '@babel/preset-env': '>=7.20.0' } },
+          'node_modules/lib': { version: '1.2.3' },
+          'node_modules/exact': { version: '1.0.0' },
+          'node_modules/wide': { version: '1.0.0' },
+          'node_modules/xr': { version: '1.0.0' },
+          'node_modules/partial': { version: '1.2.0' },
+          'node_modules/any': { version: '1.0.0' },
+          'node_modules/below': { version: '1.5.0' },
+          'node_modules/above': { version: '1.5.0' },
+          'node_modules/pinned': { version: '1.5.0' },
+          'node_modules/@babel/core': { version: '7.20.0' },
+          'node_modules/@babel/preset-env': { version: '7.20.0', dev: true }
+        }
+      }));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const run = async (opts) => {
+      await fs.writeFile(path.join(dir, 'package.json'), manifestText);
+      const { updateSuggestions } = await import('./index.js');
+      return updateSuggestions({ json: true, cwd: dir, cache: false, registry: `http://127.0.0.1:${server.address().port}/`, ...opts });
+    };
+
+    test('rewrites ranges to the target keeping their prefix', async () => {
+      const updates = await run({ target: 'minor', write: true });
+      expect(updates.map(u => [u.name, u.target, u.range, u.group])).toEqual([
+        ['@babel/core', '7.24.0', '^7.24.0', '@babel/*'],
+        ['@babel/preset-env', '7.24.0', '>=7.24.0', '@babel/*'],
+        ['exact', '1.1.0', '1.1.0', null],
+        ['lib', '1.3.0', '~1.3.0', null]
+      ]);
+      const written = await fs.readFile(path.join(dir, 'package.json'), 'utf8');
+      expect(written).toBe(manifestText
+        .replace('~1.2.3', '~1.3.0')
+        .replace('"1.0.0"', '"1.1.0"')
+        .replace('^7.20.0', '^7.24.0')
+        .replace('>=7.20.0', '>=7.24.0'));
+    });
+
+    test('leaves complex ranges alone', async () => {
+      const [wide] = await run({ filter: ['wide'], write: true });
+      expect(wide).toMatchObject({ name: 'wide', target: '2.0.0', range: null });
+      expect(await fs.readFile(path.join(dir, 'package.json'), 'utf8')).toBe(manifestText);
+    });
+
+    test('keeps x-ranges, partial versions and * unpinned', async () => {
+      const updates = await run({ filter: ['xr', 'partial', 'any'], write: true });
+      expect(updates.map(u => [u.name, u.target, u.range])).toEqual([
+        ['any', '2.3.4', null],
+        ['partial', '2.3.4', '2.3'],
+        ['xr', '2.3.4', '2.x']
+      ]);
+      expect(await fs.readFile(path.join(dir, 'package.json'), 'utf8')).toBe(manifestText
+        .replace('"1.x"', '"2.x"')
+        .replace('"1.2"', '"2.3"'));
+    });
+
+    test('leaves < and > ranges for the user and keeps = pins', async () => {
+      const updates = await run({ filter: ['below', 'above', 'pinned'], write: true });
+      expect(updates.map(u => [u.name, u.target, u.range])).toEqual([
+        ['above', '2.1.0', null],
+        ['below', '2.1.0', null],
+        ['pinned', '2.1.0', '=2.1.0']
+      ]);
+      expect(await fs.readFile(path.join(dir, 'package.json'), 'utf8')).toBe(manifestText.replace('"=1.5.0"', '"=2.1.0"'));
+    });
+
+    test('filters and rejects by glob, upgrading groups together', async () => {
+      const filtered = await run({ filter: ['@babel/core'] });
+      expect(filtered.map(u => u.name)).toEqual(['@babel/core', '@babel/preset-env']);
+      const rejected = await run({ reject: ['@babel/*,wide'], target: 'patch' });
+      expect(rejected.map(u => [u.name, u.target])).toEqual([['exact', '1.0.1'], ['lib', '1.2.5']]);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { promises as fs } from "fs";
+
+// Utility functions
+const safeJsonParse = (content, fallback = {}) => {
+  try {
+    return JSON.parse(content);
+  } catch {
+    return fallback;
+  }
+};
+
+const sanitizePackageName = (name) => {
+  // Only allow valid npm package name characters
+  const isValid = /^[@a-z0-9._/-]+$/i.test(name);
+  if (!isValid) {
+    console.debug(`Invalid package name detected: "${name}"`);
+  }
+  return isValid ? name : null;
+};
+
+const fileExists = async (filePath) => {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Runs async tasks with at most `limit` in flight at once
+const createLimiter = (limit = 8) => {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve().then(task).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+const mapLimit = (items, limit, fn) => {
+  const run = createLimiter(limit);
+  return Promise.all(items.map((item, index) => run(() => fn(item, index))));
+};
+
+// 90061000 -> "1d 1h"
+const formatAge = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  const days = Math.floor(hours / 24);
+  return hours % 24 ? `${days}d ${hours % 24}h` : `${days}d`;
+};
+
+// 1500 -> "1.5 kB"
+const formatBytes = (bytes) => {
+  if (bytes < 1000) return `${bytes} B`;
+  const units = ["kB", "MB", "GB"];
+  let value = bytes / 1000;
+  let unit = 0;
+  while (value >= 1000 && unit < units.length - 1) {
+    value /= 1000;
+    unit++;
+  }
+  return `${value.toFixed(1).replace(/\.0$/, "")} ${units[unit]}`;
+};
+
+export {
+  safeJsonParse,
+  sanitizePackageName,
+  fileExists,
+  createLimiter,
+  mapLimit,
+  formatAge,
+  formatBytes
+};
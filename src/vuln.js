@@ -0,0 +1,297 @@
+import { promises as fs } from "fs";
+import path from "path";
+import semver from "semver";
+import { safeJsonParse } from "./utils.js";
+import { getNode, findPath } from "./lockfile.js";
+
+const SEVERITIES = ["UNKNOWN", "LOW", "MEDIUM", "HIGH", "CRITICAL"];
+const DATABASE_VERSION = 1;
+
+// CVSS v3.x base metric weights
+const CVSS_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 },
+};
+
+// CVSS 3.1 "round up to one decimal", robust to floating point noise
+const roundUp = (value) => {
+  const scaled = Math.round(value * 100000);
+  return scaled % 10000 === 0 ? scaled / 100000 : (Math.floor(scaled / 10000) + 1) / 10;
+};
+
+// Base score of a "CVSS:3.x/AV:N/AC:L/..." vector; null for other versions
+const cvssScore = (vector) => {
+  if (!/^CVSS:3\.[01]\//.test(vector || "")) return null;
+  const metrics = Object.fromEntries(vector.split("/").slice(1).map(part => part.split(":")));
+  const changed = metrics.S === "C";
+  const pr = { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 }[metrics.PR];
+  const [av, ac, ui] = [CVSS_WEIGHTS.AV[metrics.AV], CVSS_WEIGHTS.AC[metrics.AC], CVSS_WEIGHTS.UI[metrics.UI]];
+  const [c, i, a] = ["C", "I", "A"].map(key => CVSS_WEIGHTS.CIA[metrics[key]]);
+  if ([pr, av, ac, ui, c, i, a].some(weight => weight === undefined)) return null;
+
+  const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+  const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * (iss - 0.02) ** 15 : 6.42 * iss;
+  if (impact <= 0) return 0;
+  const exploitability = 8.22 * av * ac * pr * ui;
+  return roundUp(Math.min(changed ? 1.08 * (impact + exploitability) : impact + exploitability, 10));
+};
+
+const severityFromScore = (score) => {
+  if (score === null || score === undefined) return "UNKNOWN";
+  if (score >= 9) return "CRITICAL";
+  if (score >= 7) return "HIGH";
+  if (score >= 4) return "MEDIUM";
+  return score > 0 ? "LOW" : "UNKNOWN";
+};
+
+// GitHub uses MODERATE where the rest of dep-audit says MEDIUM
+const normalizeSeverity = (value) => {
+  const upper = String(value || "").toUpperCase();
+  if (upper === "MODERATE") return "MEDIUM";
+  return SEVERITIES.includes(upper) ? upper : null;
+};
+
+const eventVersion = (event) => event.introduced ?? event.fixed ?? event.last_affected ?? event.limit;
+
+// OSV range events -> [{ introduced, fixed, lastAffected }]; a null
+// introduced means "from the first version"
+const toIntervals = (events = []) => {
+  const sorted = events
+    .filter(event => eventVersion(event) === "0" || semver.valid(eventVersion(event)))
+    .sort((a, b) => {
+      if (eventVersion(a) === "0") return -1;
+      if (eventVersion(b) === "0") return 1;
+      return semver.compare(eventVersion(a), eventVersion(b));
+    });
+
+  const intervals = [];
+  let open = null;
+  sorted.forEach(event => {
+    if (event.introduced !== undefined) {
+      open = open || { introduced: event.introduced === "0" ? null : event.introduced, fixed: null, lastAffected: null };
+    } else if (open && (event.fixed || event.last_affected)) {
+      intervals.push({ ...open, fixed: event.fixed || null, lastAffected: event.last_affected || null });
+      open = null;
+    }
+  });
+  if (open) intervals.push(open);
+  return intervals;
+};
+
+const osvCvss = (raw) => {
+  const entry = (raw.severity || []).find(s => /^CVSS_V3/.test(s.type)) || (raw.severity || [])[0];
+  if (!entry?.score) return null;
+  // OSV severities are vectors; some exporters put the numeric score there
+  const numeric = Number(entry.score);
+  return Number.isNaN(numeric)
+    ? { vector: entry.score, score: cvssScore(entry.score) }
+    : { vector: null, score: numeric };
+};
+
+const firstReference = (raw) =>
+  (raw.references || []).find(ref => ref.type === "ADVISORY")?.url || (raw.references || [])[0]?.url || null;
+
+// One OSV record -> one entry per affected npm package
+const fromOsv = (raw) => {
+  if (raw.withdrawn) return [];
+  const cvss = osvCvss(raw);
+  const severity = normalizeSeverity(raw.database_specific?.severity) || severityFromScore(cvss?.score);
+
+  return (raw.affected || [])
+    .filter(affected => affected.package?.ecosystem === "npm" && affected.package.name)
+    .map(affected => ({
+      id: raw.id,
+      aliases: raw.aliases || [],
+      summary: raw.summary || (raw.details || "").split("\n")[0],
+      package: affected.package.name,
+      severity,
+      cvss,
+      intervals: (affected.ranges || [])
+        .filter(range => range.type === "SEMVER" || range.type === "ECOSYSTEM")
+        .flatMap(range => toIntervals(range.events)),
+      versions: affected.versions || [],
+      range: null,
+      fixed: null,
+      url: firstReference(raw),
+    }));
+};
+
+// One GitHub REST advisory (GET /advisories) -> entries per npm package
+const fromGithub = (raw) => {
+  if (raw.withdrawn_at) return [];
+  const vector = raw.cvss?.vector_string || raw.cvss_severities?.cvss_v3?.vector_string || null;
+  const score = raw.cvss?.score || raw.cvss_severities?.cvss_v3?.score || cvssScore(vector);
+  const cvss = vector || score ? { vector, score: score ?? null } : null;
+
+  return (raw.vulnerabilities || [])
+    .filter(vuln => String(vuln.package?.ecosystem).toLowerCase() === "npm" && vuln.package.name)
+    .map(vuln => ({
+      id: raw.ghsa_id,
+      aliases: [raw.cve_id, ...(raw.identifiers || []).map(identifier => identifier.value)]
+        .filter(alias => alias && alias !== raw.ghsa_id)
+        .filter((alias, i, all) => all.indexOf(alias) === i),
+      summary: raw.summary || "",
+      package: vuln.package.name,
+      severity: normalizeSeverity(raw.severity) || severityFromScore(cvss?.score),
+      cvss,
+      intervals: [],
+      versions: [],
+      // ">= 1.0.0, < 1.2.3" -> ">= 1.0.0 < 1.2.3"
+      range: vuln.vulnerable_version_range ? vuln.vulnerable_version_range.replace(/,/g, " ") : null,
+      fixed: typeof vuln.first_patched_version === "string"
+        ? vuln.first_patched_version
+        : vuln.first_patched_version?.identifier || null,
+      url: raw.html_url || null,
+    }));
+};
+
+// Records in any supported shape -> normalized entries
+const normalizeAdvisories = (data) => {
+  if (Array.isArray(data)) return data.flatMap(normalizeAdvisories);
+  if (!data || typeof data !== "object") return [];
+  if (data.version === DATABASE_VERSION && Array.isArray(data.entries)) return data.entries;
+  if (data.ghsa_id) return fromGithub(data);
+  if (data.id && data.affected) return fromOsv(data);
+  return [];
+};
+
+const listAdvisoryFiles = async (target) => {
+  const stat = await fs.stat(target);
+  if (!stat.isDirectory()) return [target];
+  const entries = await fs.readdir(target, { withFileTypes: true });
+  const nested = await Promise.all(entries.map(entry => {
+    const full = path.join(target, entry.name);
+    if (entry.isDirectory()) return listAdvisoryFiles(full);
+    return /\.(json|jsonl|ndjson)$/.test(entry.name) ? [full] : [];
+  }));
+  return nested.flat();
+};
+
+// Reads OSV records, GitHub advisory exports or a database written by
+// saveAdvisoryDatabase from files or directories (searched recursively).
+// JSON files may hold one record or an array; .jsonl holds one per line.
+const readAdvisories = async (targets) => {
+  const entries = [];
+  for (const target of targets) {
+    let files;
+    try {
+      files = await listAdvisoryFiles(target);
+    } catch {
+      throw new Error(`Advisory database not found: ${target}`);
+    }
+    for (const file of files) {
+      const content = await fs.readFile(file, "utf8");
+      const records = /\.(jsonl|ndjson)$/.test(file)
+        ? content.split(/\r?\n/).filter(line => line.trim()).map(line => safeJsonParse(line, null))
+        : [safeJsonParse(content, null)];
+      records.forEach(record => entries.push(...normalizeAdvisories(record)));
+    }
+  }
+
+  // The same advisory often ships in several dumps
+  const seen = new Set();
+  return entries.filter(entry => {
+    const key = `${entry.id}:${entry.package}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const saveAdvisoryDatabase = async (file, entries) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ version: DATABASE_VERSION, importedAt: new Date().toISOString(), entries }));
+};
+
+// Entries grouped by package name for lookups during matching
+const createAdvisoryIndex = (entries) => {
+  const index = new Map();
+  entries.forEach(entry => {
+    if (!index.has(entry.package)) index.set(entry.package, []);
+    index.get(entry.package).push(entry);
+  });
+  return index;
+};
+
+const describeInterval = ({ introduced, fixed, lastAffected }) => {
+  const parts = [];
+  if (introduced) parts.push(`>=${introduced}`);
+  if (fixed) parts.push(`<${fixed}`);
+  else if (lastAffected) parts.push(`<=${lastAffected}`);
+  return parts.join(" ") || "*";
+};
+
+// { affected, fixed } when `version` is affected by the entry, else null
+const matchAdvisory = (entry, version) => {
+  if (!semver.valid(version)) return null;
+
+  const interval = entry.intervals.find(({ introduced, fixed, lastAffected }) =>
+    (!introduced || semver.gte(version, introduced)) &&
+    (fixed ? semver.lt(version, fixed) : !lastAffected || semver.lte(version, lastAffected)));
+  if (interval) return { affected: describeInterval(interval), fixed: interval.fixed };
+
+  if (entry.versions.includes(version)) {
+    const later = entry.intervals.map(i => i.fixed).filter(fixed => fixed && semver.gt(fixed, version)).sort(semver.compare);
+    return { affected: entry.intervals.map(describeInterval).join(" || ") || version, fixed: later[0] || null };
+  }
+
+  if (entry.range && semver.satisfies(version, entry.range, { includePrerelease: true })) {
+    return { affected: entry.range, fixed: entry.fixed };
+  }
+  return null;
+};
+
+const nodeLabel = (graph, id) => {
+  const node = getNode(graph, id);
+  if (!graph.packages[id]) return node?.name || id || ".";
+  return `${node.name}@${node.version}`;
+};
+
+// Matches every resolved package in the graph (transitive ones included).
+// One finding per package version and advisory, with the shortest
+// dependency path that installs it.
+const scanGraph = (graph, index) => {
+  const findings = new Map();
+
+  Object.values(graph.packages).forEach(node => {
+    (index.get(node.name) || []).forEach(entry => {
+      const key = `${node.name}@${node.version}:${entry.id}`;
+      if (findings.has(key)) return;
+      const match = matchAdvisory(entry, node.version);
+      if (!match) return;
+
+      findings.set(key, {
+        package: node.name,
+        version: node.version,
+        id: entry.id,
+        aliases: entry.aliases,
+        summary: entry.summary,
+        severity: entry.severity,
+        cvss: entry.cvss,
+        affected: match.affected,
+        fixed: match.fixed,
+        path: (findPath(graph, node.id) || [node.id]).map(id => nodeLabel(graph, id)),
+        dev: node.dev,
+        url: entry.url,
+        nodeId: node.id,
+      });
+    });
+  });
+
+  return [...findings.values()].sort((a, b) =>
+    SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || a.package.localeCompare(b.package));
+};
+
+export {
+  SEVERITIES,
+  cvssScore,
+  normalizeAdvisories,
+  readAdvisories,
+  saveAdvisoryDatabase,
+  createAdvisoryIndex,
+  matchAdvisory,
+  nodeLabel,
+  scanGraph
+};
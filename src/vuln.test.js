@@ -0,0 +1,107 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseNpmLock } from './lockfile.js';
+import { cvssScore, normalizeAdvisories, readAdvisories, createAdvisoryIndex, matchAdvisory, scanGraph } from './vuln.js';
+
+const osvQs = {
+  id: 'GHSA-hrpp-h998-j3pp',
+  aliases: ['CVE-2022-24999'],
+  summary: 'qs vulnerable to Prototype Pollution',
+  severity: [{ type: 'CVSS_V3', score: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:H' }],
+  affected: [{
+    package: { ecosystem: 'npm', name: 'qs' },
+    ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '6.7.0' }, { fixed: '6.7.3' }, { introduced: '0' }, { fixed: '6.2.4' }] }]
+  }],
+  references: [{ type: 'ADVISORY', url: 'https://nvd.nist.gov/vuln/detail/CVE-2022-24999' }],
+  database_specific: { severity: 'HIGH' }
+};
+
+const githubLodash = {
+  ghsa_id: 'GHSA-35jh-r3h4-6jhm',
+  cve_id: 'CVE-2021-23337',
+  summary: 'Command Injection in lodash',
+  severity: 'high',
+  cvss: { vector_string: 'CVSS:3.1/AV:N/AC:L/PR:H/UI:N/S:U/C:H/I:H/A:H', score: 7.2 },
+  html_url: 'https://github.com/advisories/GHSA-35jh-r3h4-6jhm',
+  vulnerabilities: [{ package: { ecosystem: 'npm', name: 'lodash' }, vulnerable_version_range: '< 4.17.21', first_patched_version: '4.17.21' }]
+};
+
+const lock = JSON.stringify({
+  name: 'app',
+  lockfileVersion: 3,
+  packages: {
+    '': { name: 'app', dependencies: { express: '^4.17.0', lodash: '^4.17.0' } },
+    'node_modules/express': { version: '4.17.1', dependencies: { qs: '6.7.0' } },
+    'node_modules/qs': { version: '6.7.0' },
+    'node_modules/lodash': { version: '4.17.21' }
+  }
+});
+
+describe('vuln', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-vuln-'));
+    await fs.mkdir(path.join(dir, 'osv', 'q'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'osv', 'q', 'GHSA-hrpp-h998-j3pp.json'), JSON.stringify(osvQs));
+    await fs.writeFile(path.join(dir, 'github.jsonl'), `${JSON.stringify(githubLodash)}\n${JSON.stringify(osvQs)}\n`);
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('computes CVSS v3 base scores', () => {
+    expect(cvssScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H')).toBe(9.8);
+    expect(cvssScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N')).toBe(6.1);
+    expect(cvssScore('CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:H/VI:H/VA:H/SC:N/SI:N/SA:N')).toBeNull();
+  });
+
+  test('normalizes OSV records and matches every affected range', () => {
+    const [entry] = normalizeAdvisories(osvQs);
+    expect(entry).toMatchObject({ package: 'qs', severity: 'HIGH', cvss: { score: 7.5 } });
+    expect(matchAdvisory(entry, '6.7.0')).toEqual({ affected: '>=6.7.0 <6.7.3', fixed: '6.7.3' });
+    expect(matchAdvisory(entry, '6.1.0')).toEqual({ affected: '<6.2.4', fixed: '6.2.4' });
+    expect(matchAdvisory(entry, '6.7.3')).toBeNull();
+  });
+
+  test('normalizes GitHub advisory exports', () => {
+    const [entry] = normalizeAdvisories(githubLodash);
+    expect(entry).toMatchObject({ id: 'GHSA-35jh-r3h4-6jhm', aliases: ['CVE-2021-23337'], severity: 'HIGH', fixed: '4.17.21' });
+    expect(matchAdvisory(entry, '4.17.20')).toEqual({ affected: '< 4.17.21', fixed: '4.17.21' });
+    expect(matchAdvisory(entry, '4.17.21')).toBeNull();
+  });
+
+  test('reads directories and JSON lines, dropping duplicates', async () => {
+    const entries = await readAdvisories([path.join(dir, 'osv'), path.join(dir, 'github.jsonl')]);
+    expect(entries.map(e => e.id).sort()).toEqual(['GHSA-35jh-r3h4-6jhm', 'GHSA-hrpp-h998-j3pp']);
+    await expect(readAdvisories([path.join(dir, 'missing')])).rejects.toThrow('Advisory database not found');
+  });
+
+  test('matches transitive packages with their dependency path', () => {
+    const index = createAdvisoryIndex([...normalizeAdvisories(osvQs), ...normalizeAdvisories(githubLodash)]);
+    const findings = scanGraph(parseNpmLock(lock), index);
+    expect(findings).toHaveLength(1);
+    expect(findings[0]).toMatchObject({
+      package: 'qs',
+      version: '6.7.0',
+      id: 'GHSA-hrpp-h998-j3pp',
+      fixed: '6.7.3',
+      path: ['app', 'express@4.17.1', 'qs@6.7.0']
+    });
+  });
+
+  test('runs the vuln command against a project', async () => {
+    const project = path.join(dir, 'project');
+    await fs.mkdir(project, { recursive: true });
+    await fs.writeFile(path.join(project, 'package.json'), JSON.stringify({ name: 'app', dependencies: { express: '^4.17.0' } }));
+    await fs.writeFile(path.join(project, 'package-lock.json'), lock);
+
+    const { vuln } = await import('./index.js');
+    const findings = await vuln({ json: true, cwd: project, advisories: [path.join(dir, 'github.jsonl')] });
+    expect(findings.map(f => `${f.package}@${f.version} ${f.id}`)).toEqual(['qs@6.7.0 GHSA-hrpp-h998-j3pp']);
+    expect(findings[0]).not.toHaveProperty('nodeId');
+  });
+});
@@ -0,0 +1,148 @@
+import { promises as fs } from "fs";
+import path from "path";
+import yaml from "yaml";
+import { safeJsonParse, fileExists } from "./utils.js";
+
+const IGNORED_DIRS = new Set(["node_modules", ".git"]);
+
+const readJson = async (filePath) => safeJsonParse(await fs.readFile(filePath, "utf8"), null);
+
+const listDirs = async (rootDir, rel) => {
+  try {
+    const entries = await fs.readdir(path.join(rootDir, rel), { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isDirectory() && !IGNORED_DIRS.has(entry.name) && !entry.name.startsWith("."))
+      .map(entry => entry.name);
+  } catch {
+    return [];
+  }
+};
+
+const listDirsRecursive = async (rootDir, rel, depth = 0) => {
+  if (depth > 10) return [];
+  const found = [];
+  for (const name of await listDirs(rootDir, rel)) {
+    const child = path.posix.join(rel, name);
+    found.push(child, ...(await listDirsRecursive(rootDir, child, depth + 1)));
+  }
+  return found;
+};
+
+const segmentToRegExp = (segment) =>
+  new RegExp(`^${segment.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".")}$`);
+
+// Expands the subset of glob syntax used in workspace definitions
+// ("packages/*", "apps/**", "tools/cli") into relative directories
+const expandPattern = async (rootDir, pattern) => {
+  const segments = pattern.replace(/^\.\//, "").split("/").filter(Boolean);
+  let dirs = [""];
+
+  for (const segment of segments) {
+    const next = [];
+    for (const rel of dirs) {
+      if (segment === "**") {
+        next.push(rel, ...(await listDirsRecursive(rootDir, rel)));
+      } else if (!/[*?]/.test(segment)) {
+        next.push(path.posix.join(rel, segment));
+      } else {
+        const matcher = segmentToRegExp(segment);
+        (await listDirs(rootDir, rel))
+          .filter(name => matcher.test(name))
+          .forEach(name => next.push(path.posix.join(rel, name)));
+      }
+    }
+    dirs = next;
+  }
+
+  return dirs;
+};
+
+const readWorkspacePatterns = async (rootDir) => {
+  const pnpmWorkspace = path.join(rootDir, "pnpm-workspace.yaml");
+  if (await fileExists(pnpmWorkspace)) {
+    const parsed = yaml.parse(await fs.readFile(pnpmWorkspace, "utf8")) || {};
+    return parsed.packages || [];
+  }
+
+  const pkgPath = path.join(rootDir, "package.json");
+  if (!(await fileExists(pkgPath))) return null;
+  const workspaces = (await readJson(pkgPath))?.workspaces;
+  if (Array.isArray(workspaces)) return workspaces;
+  if (Array.isArray(workspaces?.packages)) return workspaces.packages;
+  return null;
+};
+
+// Relative (posix) paths of every workspace package, excluding the root
+const resolveWorkspacePaths = async (rootDir, patterns) => {
+  const included = new Set();
+  const excluded = new Set();
+
+  for (const pattern of patterns) {
+    const negated = pattern.startsWith("!");
+    const dirs = await expandPattern(rootDir, negated ? pattern.slice(1) : pattern);
+    dirs.forEach(dir => (negated ? excluded : included).add(dir));
+  }
+
+  const paths = [];
+  for (const dir of [...included].sort()) {
+    if (!dir || excluded.has(dir)) continue;
+    if (await fileExists(path.join(rootDir, dir, "package.json"))) paths.push(dir);
+  }
+  return paths;
+};
+
+// Walks up from `cwd` to the directory that declares the workspace it
+// belongs to, so commands run inside a package still use the root lockfile
+const findWorkspaceRoot = async (cwd) => {
+  let dir = path.resolve(cwd);
+  for (let depth = 0; depth < 20; depth++) {
+    const patterns = await readWorkspacePatterns(dir);
+    if (patterns) {
+      const rel = path.relative(dir, cwd).split(path.sep).join("/");
+      if (!rel || (await resolveWorkspacePaths(dir, patterns)).includes(rel)) return dir;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+  return path.resolve(cwd);
+};
+
+// Root project first, then every workspace package
+const discoverWorkspaces = async (rootDir) => {
+  const rootManifest = await readJson(path.join(rootDir, "package.json"));
+  const patterns = (await readWorkspacePatterns(rootDir)) || [];
+  const workspaces = [{
+    name: rootManifest?.name || path.basename(rootDir),
+    path: "",
+    dir: rootDir,
+    manifest: rootManifest,
+    isRoot: true,
+  }];
+
+  for (const rel of await resolveWorkspacePaths(rootDir, patterns)) {
+    const dir = path.join(rootDir, rel);
+    const manifest = await readJson(path.join(dir, "package.json"));
+    workspaces.push({ name: manifest?.name || rel, path: rel, dir, manifest, isRoot: false });
+  }
+
+  return workspaces;
+};
+
+const selectWorkspaces = (workspaces, filter) => {
+  if (!filter) return workspaces;
+  const wanted = [].concat(filter);
+  const selected = workspaces.filter(ws =>
+    wanted.some(name => ws.name === name || ws.path === name.replace(/^\.\//, "").replace(/\/$/, ""))
+  );
+  if (selected.length === 0) {
+    throw new Error(`Workspace not found: ${wanted.join(", ")} (available: ${workspaces.map(ws => ws.name).join(", ")})`);
+  }
+  return selected;
+};
+
+export {
+  findWorkspaceRoot,
+  discoverWorkspaces,
+  selectWorkspaces
+};
@@ -0,0 +1,91 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { findWorkspaceRoot, discoverWorkspaces, selectWorkspaces } from './workspaces.js';
+
+const writeJson = async (file, data) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(data, null, 2));
+};
+
+describe('workspaces', () => {
+  let root;
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-ws-'));
+    await writeJson(path.join(root, 'package.json'), {
+      name: 'monorepo',
+      workspaces: ['packages/*', 'apps/**', '!packages/ignored']
+    });
+    await writeJson(path.join(root, 'packages/api/package.json'), { name: '@acme/api', dependencies: { lodash: '^4.0.0' } });
+    await writeJson(path.join(root, 'packages/ignored/package.json'), { name: 'ignored' });
+    await writeJson(path.join(root, 'apps/web/site/package.json'), { name: 'site' });
+    await fs.mkdir(path.join(root, 'packages/api/src'), { recursive: true });
+    await fs.writeFile(path.join(root, 'package-lock.json'), JSON.stringify({
+      name: 'monorepo',
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'monorepo', workspaces: ['packages/*'] },
+        'packages/api': { name: '@acme/api', dependencies: { lodash: '^4.0.0' } },
+        'node_modules/@acme/api': { resolved: 'packages/api', link: true },
+        'node_modules/lodash': { version: '3.10.1' }
+      }
+    }));
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('discovers workspaces from package.json globs', async () => {
+    const workspaces = await discoverWorkspaces(root);
+    expect(workspaces.map(ws => ws.path)).toEqual(['', 'apps/web/site', 'packages/api']);
+    expect(workspaces[0]).toMatchObject({ name: 'monorepo', isRoot: true });
+  });
+
+  test('finds the root from inside a workspace package', async () => {
+    expect(await findWorkspaceRoot(path.join(root, 'packages/api'))).toBe(root);
+    expect(await findWorkspaceRoot(path.join(root, 'packages/api/src'))).toBe(path.join(root, 'packages/api/src'));
+  });
+
+  test('reads pnpm-workspace.yaml', async () => {
+    const pnpmRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-audit-pnpm-'));
+    await writeJson(path.join(pnpmRoot, 'package.json'), { name: 'pnpm-root' });
+    await writeJson(path.join(pnpmRoot, 'libs/util/package.json'), { name: 'util' });
+    await fs.writeFile(path.join(pnpmRoot, 'pnpm-workspace.yaml'), "packages:\n  - 'libs/*'\n");
+    expect((await discoverWorkspaces(pnpmRoot)).map(ws => ws.name)).toEqual(['pnpm-root', 'util']);
+    await fs.rm(pnpmRoot, { recursive: true, force: true });
+  });
+
+  test('filters by name or path', async () => {
+    const workspaces = await discoverWorkspaces(root);
+    expect(selectWorkspaces(workspaces, '@acme/api')[0].path).toBe('packages/api');
+    expect(selectWorkspaces(workspaces, './apps/web/site/')[0].name).toBe('site');
+    expect(() => selectWorkspaces(workspaces, 'missing')).toThrow('Workspace not found');
+  });
+
+  test('runs analyses per workspace against the root lockfile', async () => {
+    const { explainDependabot } = await import('./index.js');
+    const grouped = await explainDependabot({ json: true, cwd: path.join(root, 'packages/api') });
+    expect(Object.keys(grouped)).toEqual(['@acme/api']);
+    expect(grouped['@acme/api'].issues[0]).toMatchObject({
+      type: 'VERSION_MISMATCH',
+      fix: 'npm install lodash@^4.0.0 --workspace @acme/api'
+    });
+  });
+
+  test('explains dependency paths for each workspace', async () => {
+    const { why } = await import('./index.js');
+    const grouped = await why('lodash@3', { json: true, cwd: root });
+    expect(grouped['@acme/api']).toEqual([{
+      name: 'lodash',
+      version: '3.10.1',
+      dev: false,
+      paths: [[{ name: 'lodash', version: '3.10.1', spec: '^4.0.0', type: 'prod' }]],
+      truncated: false
+    }]);
+    expect(grouped.site).toEqual([]);
+    await expect(why('lodash@^4.0.0', { json: true, cwd: root })).rejects.toThrow('installed: 3.10.1');
+  });
+});